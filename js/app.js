@@ -1,7 +1,8 @@
 /**
  * @fileoverview Controlador principal de la aplicación.
  * Inicializa el menú de navegación, gestiona la navegación entre vistas
- * de algoritmos y controla la visibilidad de la barra lateral.
+ * de algoritmos, controla la visibilidad de la barra lateral y retoma la
+ * última vista abierta con su sesión guardada.
  * @module app
  */
 (function () {
@@ -20,6 +21,8 @@
     const menuTreeEl = document.getElementById('menu-tree');
     /** @type {HTMLElement} */
     const algorithmViewEl = document.getElementById('algorithm-view');
+    /** @type {HTMLElement} */
+    const btnClearSessions = document.getElementById('btn-clear-sessions');
 
     /** @type {AlgorithmView|null} Vista de algoritmo activa */
     let currentView = null;
@@ -36,15 +39,22 @@
         'hash-cuadrado': BusquedaHashCuadradoView,
         'hash-truncamiento': BusquedaHashTruncamientoView,
         'hash-plegamiento': BusquedaHashPlegamientoView,
+        'hash-multiplicacion': BusquedaHashMultiplicacionView,
+        'hash-base': BusquedaHashBaseView,
+        'hash-comparacion': BusquedaHashComparacionView,
+        'hash-funciones': BusquedaHashFuncionesView,
         'arboles-digitales': ArbolesDigitalesView,
+        'arboles-trie': TrieView,
+        'arboles-ternarios': ArbolesTernariosView,
         'arboles-residuos': ArbolesResiduosView,
         'arboles-residuos-multiples': ArbolesResiduosMultiplesView,
+        'arboles-patricia': ArbolesPatriciaView,
         'arboles-huffman': HuffmanView
     };
 
     /**
-     * Navega a la vista de un algoritmo específico.
-     * Si la vista no está registrada, muestra un mensaje informativo.
+     * Navega a la vista de un algoritmo específico y ofrece restaurar su
+     * sesión guardada. Si la vista no está registrada, muestra un mensaje informativo.
      * @param {string} actionId - Identificador de la acción del menú.
      */
     function navigateTo(actionId) {
@@ -55,8 +65,31 @@
             return;
         }
 
+        // Guardar ya los cambios pendientes de la vista que se deja
+        SessionStore.flush();
+
         currentView = new ViewClass(algorithmViewEl);
         currentView.show();
+        SessionStore.setLastView(actionId);
+        currentView.restoreSession();
+    }
+
+    /**
+     * Borra, previa confirmación, todas las sesiones guardadas en el navegador.
+     * La vista actual no cambia, pero deja de guardarse hasta su próxima modificación.
+     * @async
+     */
+    async function clearSessions() {
+        if (SessionStore.list().length === 0) {
+            Validation.showInfo('No hay sesiones guardadas.');
+            return;
+        }
+
+        const confirmed = await Validation.confirm('Se borrarán las sesiones guardadas de todas las vistas. ¿Desea continuar?');
+        if (!confirmed) return;
+
+        const count = SessionStore.clearAll();
+        Validation.showSuccess(`${count} sesión(es) borrada(s).`);
     }
 
     /**
@@ -85,5 +118,22 @@
     // Eventos del toggle de la barra lateral
     sidebarToggle.addEventListener('click', toggleSidebar);
     sidebarExpand.addEventListener('click', toggleSidebar);
+    btnClearSessions.addEventListener('click', clearSessions);
+
+    // Guardar la sesión pendiente antes de cerrar o recargar la página
+    window.addEventListener('beforeunload', () => SessionStore.flush());
+
+    // Atajos Ctrl+Z / Ctrl+Y: deshacer y rehacer en la vista activa
+    document.addEventListener('keydown', (e) => {
+        if (currentView && currentView.history) {
+            currentView.history.handleKeydown(e);
+        }
+    });
+
+    // Volver a la última vista abierta (su sesión se ofrece al mostrarla)
+    const lastView = SessionStore.getLastView();
+    if (lastView && views[lastView]) {
+        menuView.select(lastView);
+    }
 
 })();
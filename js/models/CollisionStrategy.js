@@ -32,8 +32,15 @@ class CollisionResolver {
         } else if (this.ds.hashMethod === 'plegamiento') {
             const { hash: h, blocks, sum, lastDigits } = this.ds._getHashValue(k);
             return `h(${key}) = digmensig(${blocks}) = digmensig(${sum}) = ${lastDigits} + 1 = ${h}`;
+        } else if (this.ds.hashMethod === 'base') {
+            const { hash: h, terms, converted } = this.ds._getHashValue(k);
+            return `h(${key}) = (${terms}) mod ${n} + 1 = (${converted} mod ${n}) + 1 = ${h}`;
+        } else if (this.ds.hashMethod === 'multiplicacion') {
+            const { hash: h, frac } = this.ds._getHashValue(k);
+            const a = DataStructure.formatMultiplier(this.ds.multiplier);
+            return `h(${key}) = ⌊${n} · frac(${k} · ${a})⌋ + 1 = ⌊${n} · ${frac.toFixed(4)}⌋ + 1 = ${h}`;
         } else {
-            const h = (k % n) + 1;
+            const h = this.ds._getHashValue(k).hash;
             return `h(${key}) = (${k} mod ${n}) + 1 = ${h}`;
         }
     }
@@ -49,6 +56,8 @@ class CollisionResolver {
      * - Cuadrado: H'(D) = digCent((D+1)²) + 1
      * - Truncamiento: H'(D) = elegirdigitos_impares(D+1) + 1
      * - Plegamiento: H'(D) = digmensig(bloques de D+1) + 1
+     * - Multiplicación: H'(D) = ⌊n · frac((D+1) · A)⌋ + 1
+     * - Conversión de base: H'(D) = (D+1 leído en base b) mod n + 1
      * 
      * @param {number} position - Posición actual (1-indexed)
      * @returns {number} Nueva posición calculada (1-indexed)
@@ -94,11 +103,42 @@ class CollisionResolver {
             }
             const sum = blocks.reduce((acc, block) => acc + parseInt(block, 10), 0);
             return `H'(${prevPosition}) = digmensig(${prevPosition}+1) = digmensig(${blocks.join(' + ')}) = digmensig(${sum}) + 1 = ${newPosition}`;
+        } else if (this.ds.hashMethod === 'base') {
+            const { terms, converted } = this.ds._getHashValue(input);
+            return `H'(${prevPosition}) = (base${this.ds.base}(${prevPosition}+1) mod ${n}) + 1 = (${terms}) mod ${n} + 1 = (${converted} mod ${n}) + 1 = ${newPosition}`;
+        } else if (this.ds.hashMethod === 'multiplicacion') {
+            const { frac } = this.ds._getHashValue(input);
+            const a = DataStructure.formatMultiplier(this.ds.multiplier);
+            return `H'(${prevPosition}) = ⌊${n} · frac((${prevPosition}+1) · ${a})⌋ + 1 = ⌊${n} · frac(${input} · ${a})⌋ + 1 = ⌊${n} · ${frac.toFixed(4)}⌋ + 1 = ${newPosition}`;
         }
 
         return `H'(${prevPosition}) = ${newPosition}`;
     }
 
+    /**
+     * Indica si una posición puede recibir una clave: vacía o marcada como lápida.
+     * @private
+     * @param {number} position - Posición (0-indexed).
+     * @returns {boolean}
+     */
+    _isFreeSlot(position) {
+        const slot = this.ds.keys[position];
+        return slot === null || slot === DataStructure.TOMBSTONE;
+    }
+
+    /**
+     * Borra la clave de una posición dejando una lápida, que las búsquedas
+     * saltan y las inserciones reutilizan.
+     * @private
+     * @param {number} position - Posición (0-indexed).
+     * @returns {Object} Resultado de la eliminación.
+     */
+    _markTombstone(position) {
+        this.ds.keys[position] = DataStructure.TOMBSTONE;
+        this.ds.count--;
+        return { success: true, position, tombstone: true, error: null };
+    }
+
     // === MÉTODOS DE PRUEBA LINEAL ===
 
     /**
@@ -116,12 +156,14 @@ class CollisionResolver {
         while (attempts < this.ds.size) {
             const currentPosLabel = position + 1;
 
-            if (this.ds.keys[position] === null) {
+            if (this._isFreeSlot(position)) {
+                const reused = this.ds.keys[position] === DataStructure.TOMBSTONE;
                 this.ds.keys[position] = key;
                 this.ds.count++;
                 steps.push({
                     position,
                     action: 'inserted',
+                    reused,
                     formula: attempts === 0 ? null : `${hashValue} + ${attempts} = ${currentPosLabel}`
                 });
                 return { success: true, position, collisions, error: null, steps };
@@ -168,6 +210,14 @@ class CollisionResolver {
                     formula: attempts === 0 ? null : `${hashValue} + ${attempts} = ${currentPosLabel}`
                 });
                 return { found: false, position: -1, steps };
+            } else if (currentKey === DataStructure.TOMBSTONE) {
+                steps.push({
+                    index: position,
+                    key: null,
+                    hashValue,
+                    action: 'lapida',
+                    formula: attempts === 0 ? null : `${hashValue} + ${attempts} = ${currentPosLabel}`
+                });
             } else {
                 steps.push({
                     index: position,
@@ -192,7 +242,9 @@ class CollisionResolver {
     }
 
     /**
-     * Elimina una clave usando Prueba Lineal.
+     * Elimina una clave usando Prueba Lineal, según el modo de borrado de la
+     * estructura: marcando la posición como lápida o con corrimiento hacia atrás
+     * de las claves siguientes del grupo.
      * @param {string} key - Clave a eliminar.
      * @param {number} hashValue - Valor hash inicial (1-indexed).
      * @returns {Object} Resultado de la eliminación.
@@ -203,6 +255,10 @@ class CollisionResolver {
             return { success: false, position: -1, error: `La clave "${key}" no fue encontrada.` };
         }
 
+        if (this.ds.deletionMode === 'lapida') {
+            return this._markTombstone(result.position);
+        }
+
         const n = this.ds.size;
         let holeIdx = result.position;
         this.ds.keys[holeIdx] = null;
@@ -246,6 +302,163 @@ class CollisionResolver {
         return { success: true, position: result.position, error: null };
     }
 
+    // === MÉTODOS DE ROBIN HOOD (Prueba Lineal con desplazamiento) ===
+
+    /**
+     * Inserta una clave usando Robin Hood.
+     * Se recorre la tabla como en Prueba Lineal, pero si la clave en curso lleva
+     * una distancia de sondeo mayor que la de la clave que ocupa la posición,
+     * toman sus lugares y se continúa insertando la clave desplazada.
+     * @param {string} key - Clave a insertar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la operación.
+     */
+    robinHoodInsert(key, hashValue) {
+        const n = this.ds.size;
+        let position = hashValue - 1;
+        let current = key;
+        let distance = 0;
+        let keyPosition = -1;
+        let collisions = 0;
+        const steps = [];
+
+        for (let attempts = 0; attempts < n; attempts++) {
+            const existing = this.ds.keys[position];
+
+            if (existing === null) {
+                this.ds.keys[position] = current;
+                this.ds.count++;
+                if (current === key) {
+                    keyPosition = position;
+                } else {
+                    steps.push({
+                        position,
+                        action: 'relocated',
+                        key: current,
+                        formula: `"${current}" reubicada en pos ${position + 1} (d = ${distance})`
+                    });
+                }
+                steps.push({
+                    position: keyPosition,
+                    action: 'inserted',
+                    formula: collisions === 0 ? null : `${hashValue} + ${this.ds.getProbeDistance(keyPosition)} = ${keyPosition + 1} (d = ${this.ds.getProbeDistance(keyPosition)})`
+                });
+                return { success: true, position: keyPosition, collisions, error: null, steps };
+            }
+
+            const existingDistance = this.ds.getProbeDistance(position);
+            collisions++;
+
+            if (existingDistance < distance) {
+                // La clave en curso está más lejos de su posición: le quita el lugar
+                steps.push({
+                    position,
+                    action: 'swap',
+                    key: existing,
+                    formula: `d("${current}") = ${distance} > d("${existing}") = ${existingDistance} → intercambio`
+                });
+                this.ds.keys[position] = current;
+                if (current === key) keyPosition = position;
+                current = existing;
+                distance = existingDistance;
+            } else {
+                steps.push({
+                    position,
+                    action: 'collision',
+                    key: existing,
+                    formula: `${this._getExistingKeyFormula(existing)}, d = ${existingDistance} ≥ ${distance}`
+                });
+            }
+
+            position = (position + 1) % n;
+            distance++;
+        }
+
+        return { success: false, position: -1, collisions, error: 'La tabla está llena.', steps };
+    }
+
+    /**
+     * Busca una clave usando Robin Hood.
+     * Termina anticipadamente al encontrar una posición vacía o una clave cuya
+     * distancia de sondeo es menor que la recorrida: la buscada no puede estar más adelante.
+     * @param {string} key - Clave a buscar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la búsqueda.
+     */
+    robinHoodSearch(key, hashValue) {
+        const n = this.ds.size;
+        let position = hashValue - 1;
+        const steps = [];
+
+        for (let distance = 0; distance < n; distance++) {
+            const currentKey = this.ds.keys[position];
+            const probeFormula = distance === 0 ? null : `${hashValue} + ${distance} = ${position + 1}`;
+
+            if (currentKey === null) {
+                steps.push({ index: position, key: null, hashValue, action: 'vacio', formula: probeFormula });
+                return { found: false, position: -1, steps };
+            }
+
+            if (currentKey === key) {
+                steps.push({ index: position, key: currentKey, hashValue, action: 'encontrada', formula: probeFormula });
+                return { found: true, position, steps };
+            }
+
+            const existingDistance = this.ds.getProbeDistance(position);
+            if (existingDistance < distance) {
+                steps.push({
+                    index: position,
+                    key: currentKey,
+                    hashValue,
+                    action: 'detenida',
+                    formula: `d("${currentKey}") = ${existingDistance} < ${distance}`
+                });
+                return { found: false, position: -1, steps };
+            }
+
+            steps.push({
+                index: position,
+                key: currentKey,
+                hashValue,
+                action: 'colision',
+                formula: `${this._getExistingKeyFormula(currentKey)}, d = ${existingDistance}`
+            });
+
+            position = (position + 1) % n;
+        }
+
+        return { found: false, position: -1, steps };
+    }
+
+    /**
+     * Elimina una clave usando Robin Hood con corrimiento hacia atrás:
+     * las claves siguientes retroceden una posición mientras no estén en su posición base.
+     * @param {string} key - Clave a eliminar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la eliminación.
+     */
+    robinHoodDelete(key, hashValue) {
+        const result = this.robinHoodSearch(key, hashValue);
+        if (!result.found) {
+            return { success: false, position: -1, error: `La clave "${key}" no fue encontrada.` };
+        }
+
+        const n = this.ds.size;
+        let hole = result.position;
+        this.ds.keys[hole] = null;
+        this.ds.count--;
+
+        let next = (hole + 1) % n;
+        while (this.ds.keys[next] !== null && this.ds.getProbeDistance(next) > 0) {
+            this.ds.keys[hole] = this.ds.keys[next];
+            this.ds.keys[next] = null;
+            hole = next;
+            next = (next + 1) % n;
+        }
+
+        return { success: true, position: result.position, error: null };
+    }
+
     // === MÉTODOS DE PRUEBA CUADRÁTICA (Quadratic Probing) ===
 
     /**
@@ -262,12 +475,14 @@ class CollisionResolver {
             const position = (hashValue - 1 + i * i) % this.ds.size;
             const currentPosLabel = position + 1;
 
-            if (this.ds.keys[position] === null) {
+            if (this._isFreeSlot(position)) {
+                const reused = this.ds.keys[position] === DataStructure.TOMBSTONE;
                 this.ds.keys[position] = key;
                 this.ds.count++;
                 steps.push({
                     position,
                     action: 'inserted',
+                    reused,
                     offset: i,
                     formula: i === 0 ? null : `${hashValue} + ${i}² = ${currentPosLabel}`
                 });
@@ -313,6 +528,15 @@ class CollisionResolver {
                     formula: i === 0 ? null : `${hashValue} + ${i}² = ${currentPosLabel}`
                 });
                 return { found: false, position: -1, steps };
+            } else if (currentKey === DataStructure.TOMBSTONE) {
+                steps.push({
+                    index: position,
+                    key: null,
+                    hashValue,
+                    action: 'lapida',
+                    offset: i,
+                    formula: i === 0 ? null : `${hashValue} + ${i}² = ${currentPosLabel}`
+                });
             } else {
                 steps.push({
                     index: position,
@@ -335,7 +559,7 @@ class CollisionResolver {
     }
 
     /**
-     * Elimina una clave usando Prueba Cuadrática.
+     * Elimina una clave usando Prueba Cuadrática marcando su posición como lápida.
      * @param {string} key - Clave a eliminar.
      * @param {number} hashValue - Valor hash inicial (1-indexed).
      * @returns {Object} Resultado de la eliminación.
@@ -346,45 +570,7 @@ class CollisionResolver {
             return { success: false, position: -1, error: `La clave "${key}" no fue encontrada.` };
         }
 
-        const n = this.ds.size;
-        let holeIdx = result.position;
-        this.ds.keys[holeIdx] = null;
-        this.ds.count--;
-
-        // Reordenamiento para Prueba Cuadrática
-        // Escaneamos toda la tabla para encontrar elementos que deban moverse
-        for (let i = 0; i < n; i++) {
-            const targetKey = this.ds.keys[i];
-            if (targetKey === null) continue;
-
-            const k = this.ds.getNumericValue(targetKey);
-            const { hash: startPosLabel } = this.ds._getHashValue(k);
-            const startPos = startPosLabel - 1;
-
-            // Verificar si el hueco está en la secuencia cuadrática de targetKey antes de su posición actual i
-            let inPath = false;
-            let j_hole = -1;
-            let j_curr = -1;
-
-            for (let j = 0; j < n; j++) {
-                const pos = (startPos + j * j) % n;
-                if (pos === holeIdx) j_hole = j;
-                if (pos === i) {
-                    j_curr = j;
-                    break;
-                }
-            }
-
-            if (j_hole !== -1 && j_hole < j_curr) {
-                this.ds.keys[holeIdx] = targetKey;
-                this.ds.keys[i] = null;
-                holeIdx = i; // El nuevo hueco es la posición que acabamos de vaciar
-                // Reiniciar el bucle para asegurar que no queden huecos intermedios
-                i = -1;
-            }
-        }
-
-        return { success: true, position: result.position, error: null };
+        return this._markTombstone(result.position);
     }
 
     // === MÉTODOS DE DOBLE FUNCIÓN HASH (Double Hashing) ===
@@ -401,6 +587,8 @@ class CollisionResolver {
      * - Cuadrado: H'(D) = digCent((D+1)²) + 1
      * - Truncamiento: H'(D) = elegirdigitos_impares(D+1) + 1
      * - Plegamiento: H'(D) = digmensig(bloques de D+1) + 1
+     * - Multiplicación: H'(D) = ⌊n · frac((D+1) · A)⌋ + 1
+     * - Conversión de base: H'(D) = (D+1 leído en base b) mod n + 1
      * 
      * @param {string} key - Clave a insertar.
      * @param {number} hashValue - Valor hash inicial (1-indexed).
@@ -415,12 +603,14 @@ class CollisionResolver {
         for (let i = 0; i < n; i++) {
             const index = currentPos - 1;
 
-            if (this.ds.keys[index] === null) {
+            if (this._isFreeSlot(index)) {
+                const reused = this.ds.keys[index] === DataStructure.TOMBSTONE;
                 this.ds.keys[index] = key;
                 this.ds.count++;
                 steps.push({
                     position: index,
                     action: 'inserted',
+                    reused,
                     formula: i === 0 ? null : this._getDoubleHashFormula(steps[i - 1].position + 1, currentPos)
                 });
                 return { success: true, position: index, collisions, error: null, steps };
@@ -467,6 +657,16 @@ class CollisionResolver {
                 return { found: false, position: -1, steps };
             }
 
+            if (currentKey === DataStructure.TOMBSTONE) {
+                steps.push({
+                    index,
+                    action: 'lapida',
+                    formula: i === 0 ? null : this._getDoubleHashFormula(steps[i - 1].index + 1, currentPos)
+                });
+                currentPos = this._applyHashToPosition(currentPos);
+                continue;
+            }
+
             const isMatch = currentKey === key;
             steps.push({
                 index,
@@ -489,10 +689,8 @@ class CollisionResolver {
     }
 
     /**
-     * Elimina una clave usando Doble Hash y reordena la secuencia de colisiones.
-     * Al eliminar, se debe asegurar que los elementos posteriores en la secuencia
-     * que dependen de la posición liberada sean movidos para no romper la cadena de búsqueda.
-     * 
+     * Elimina una clave usando Doble Hash marcando su posición como lápida, para
+     * no romper la secuencia de búsqueda de las claves que pasaron por ella.
      * @param {string} key - Clave a eliminar.
      * @param {number} hashValue - Valor hash inicial (1-indexed).
      * @returns {Object} Resultado de la eliminación.
@@ -503,51 +701,7 @@ class CollisionResolver {
             return { success: false, error: 'Clave no encontrada.' };
         }
 
-        const n = this.ds.size;
-        let holeIdx = result.position; // 0-indexed
-        this.ds.keys[holeIdx] = null;
-        this.ds.count--;
-
-        // Reordenamiento para mantener la consistencia de la secuencia
-        let currentPos = holeIdx + 1; // 1-indexed para usar _applyHashToPosition
-        currentPos = this._applyHashToPosition(currentPos);
-
-        for (let i = 0; i < n - 1; i++) {
-            const index = currentPos - 1;
-            const targetKey = this.ds.keys[index];
-
-            if (targetKey === null) break;
-
-            // Calcular dónde empezaría la búsqueda de targetKey
-            const k = this.ds.getNumericValue(targetKey);
-            const { hash: startPos } = this.ds._getHashValue(k);
-
-            // Verificar si el "hueco" está en el camino de startPos a currentPos
-            // Si recorremos desde startPos y encontramos holeIdx+1 antes de currentPos,
-            // significa que targetKey debe ser movida al hueco.
-            let inPath = false;
-            let checkPos = startPos;
-            for (let j = 0; j < n; j++) {
-                if (checkPos === holeIdx + 1) {
-                    inPath = true;
-                    break;
-                }
-                if (checkPos === currentPos) {
-                    break;
-                }
-                checkPos = this._applyHashToPosition(checkPos);
-            }
-
-            if (inPath) {
-                this.ds.keys[holeIdx] = targetKey;
-                this.ds.keys[index] = null;
-                holeIdx = index;
-            }
-
-            currentPos = this._applyHashToPosition(currentPos);
-        }
-
-        return { success: true, position: result.position };
+        return this._markTombstone(result.position);
     }
 
     // === MÉTODOS DE ARREGLOS ANIDADOS (Nested Arrays) ===
@@ -826,6 +980,370 @@ class CollisionResolver {
         return { success: false, error: 'Clave no encontrada.' };
     }
 
+    // === MÉTODOS DE ENCADENAMIENTO COALESCIDO (con zona de desborde) ===
+
+    /**
+     * Inserta una clave usando Encadenamiento Coalescido.
+     * Si la posición base está ocupada se recorre la cadena que empieza en ella;
+     * la clave se guarda en la posición libre más alta de la tabla (primero la
+     * zona de desborde) y se enlaza al final de la cadena.
+     * @param {string} key - Clave a insertar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la operación.
+     */
+    coalescedInsert(key, hashValue) {
+        const index = hashValue - 1;
+        const steps = [];
+
+        if (this.ds.keys[index] === null) {
+            this.ds.keys[index] = key;
+            this.ds.links[index] = -1;
+            this.ds.count++;
+            steps.push({ position: index, action: 'inserted' });
+            return { success: true, position: index, collisions: 0, error: null, steps };
+        }
+
+        // Recorrer la cadena hasta su último eslabón
+        let tail = index;
+        let collisions = 0;
+        while (true) {
+            collisions++;
+            const next = this.ds.links[tail];
+            steps.push({
+                position: tail,
+                action: 'collision',
+                key: this.ds.keys[tail],
+                formula: next === -1 ? 'fin de la cadena' : `siguiente → pos ${next + 1}`
+            });
+            if (next === -1) break;
+            tail = next;
+        }
+
+        const free = this._findCellarFreeSlot();
+        if (free === -1) {
+            return { success: false, position: -1, collisions, error: 'La tabla está llena.', steps };
+        }
+
+        this.ds.keys[free] = key;
+        this.ds.links[free] = -1;
+        this.ds.links[tail] = free;
+        this.ds.count++;
+
+        const zone = free >= this.ds.size ? 'zona de desborde' : 'área primaria';
+        steps.push({
+            position: free,
+            action: 'inserted',
+            formula: `pos ${tail + 1} → pos ${free + 1} (${zone})`
+        });
+        return { success: true, position: free, collisions, error: null, steps };
+    }
+
+    /**
+     * Busca la posición libre de mayor índice, de modo que la zona de desborde
+     * (al final de la tabla) se ocupe antes que el área primaria.
+     * @private
+     * @returns {number} Posición libre (0-indexed) o -1 si la tabla está llena.
+     */
+    _findCellarFreeSlot() {
+        for (let i = this.ds.keys.length - 1; i >= 0; i--) {
+            if (this.ds.keys[i] === null) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Busca una clave usando Encadenamiento Coalescido, siguiendo los enlaces
+     * desde la posición base.
+     * @param {string} key - Clave a buscar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la búsqueda.
+     */
+    coalescedSearch(key, hashValue) {
+        const steps = [];
+        let position = hashValue - 1;
+        let prev = -1;
+
+        if (this.ds.keys[position] === null) {
+            steps.push({ index: position, key: null, hashValue, action: 'vacio', formula: null });
+            return { found: false, position: -1, steps };
+        }
+
+        while (position !== -1) {
+            const currentKey = this.ds.keys[position];
+            const formula = prev === -1 ? null : `enlace pos ${prev + 1} → pos ${position + 1}`;
+
+            if (currentKey === key) {
+                steps.push({ index: position, key: currentKey, hashValue, action: 'encontrada', formula });
+                return { found: true, position, steps };
+            }
+
+            steps.push({ index: position, key: currentKey, hashValue, action: 'colision', formula });
+            prev = position;
+            position = this.ds.links[position];
+        }
+
+        return { found: false, position: -1, steps };
+    }
+
+    /**
+     * Elimina una clave usando Encadenamiento Coalescido.
+     * Se corta la cadena en la clave eliminada y las claves que la seguían se
+     * reinsertan, ya que pueden pertenecer a cadenas de otras posiciones base.
+     * @param {string} key - Clave a eliminar.
+     * @param {number} hashValue - Valor hash inicial (1-indexed).
+     * @returns {Object} Resultado de la eliminación.
+     */
+    coalescedDelete(key, hashValue) {
+        const result = this.coalescedSearch(key, hashValue);
+        if (!result.found) {
+            return { success: false, position: -1, error: `La clave "${key}" no fue encontrada.` };
+        }
+
+        const position = result.position;
+        const prev = this.ds.links.indexOf(position);
+        if (prev !== -1) this.ds.links[prev] = -1;
+
+        // Retirar la clave y las que la siguen en la cadena
+        const followers = [];
+        let current = this.ds.links[position];
+        this.ds.keys[position] = null;
+        this.ds.links[position] = -1;
+        this.ds.count--;
+        while (current !== -1) {
+            followers.push(this.ds.keys[current]);
+            const next = this.ds.links[current];
+            this.ds.keys[current] = null;
+            this.ds.links[current] = -1;
+            this.ds.count--;
+            current = next;
+        }
+
+        for (const follower of followers) {
+            const { hash } = this.ds._getHashValue(this.ds.getNumericValue(follower));
+            this.coalescedInsert(follower, hash);
+        }
+
+        return { success: true, position, error: null };
+    }
+
+    // === MÉTODOS DE HASHING CUCKOO (dos tablas) ===
+
+    /**
+     * Calcula la posición de una clave en una de las tablas del hashing Cuckoo:
+     * la tabla 1 usa la función hash de la estructura (h₁) y la tabla 2 la función h₂.
+     * @private
+     * @param {string} key - Clave.
+     * @param {number} table - Tabla (1 o 2).
+     * @returns {{position: number, formula: string}} Posición 0-indexed y texto de la fórmula.
+     */
+    _cuckooHash(key, table) {
+        const k = this.ds.getNumericValue(key);
+        const method = table === 1 ? this.ds.hashMethod : this.ds.secondaryHashMethod;
+        return {
+            position: this.ds._getHashValue(k, method).hash - 1,
+            formula: this.ds.getHashFormula(k, method, table === 1 ? 'h₁' : 'h₂')
+        };
+    }
+
+    /**
+     * Inserta una clave usando hashing Cuckoo.
+     * La clave ocupa su posición h₁ de la tabla 1; si estaba ocupada, expulsa a la
+     * clave existente, que pasa a su posición en la otra tabla, y así sucesivamente.
+     * Si la cadena de expulsiones repite un estado (ciclo), las tablas se amplían
+     * y todas las claves se reinsertan (rehash).
+     * @param {string} key - Clave a insertar.
+     * @param {number} hashValue - Valor hash inicial h₁ (1-indexed).
+     * @param {number} [rehashes=0] - Rehash en curso (uso interno, limita la recursión).
+     * @returns {Object} Resultado de la operación.
+     */
+    cuckooInsert(key, hashValue, rehashes = 0) {
+        // Cada copia ocupa su única posición posible en una de las dos tablas
+        const copies = [...this.ds.keys, ...this.ds.altKeys].filter(k => k === key).length;
+        if (copies >= 2) {
+            return { success: false, position: -1, collisions: 0, error: `La clave "${key}" ya está en ambas tablas: Cuckoo admite como máximo dos copias de una clave.`, steps: [] };
+        }
+
+        const snapshot = rehashes === 0 ? this._cuckooSnapshot() : null;
+        const visited = new Set();
+        const steps = [];
+        let current = key;
+        let table = 1;
+        let position = hashValue - 1;
+        let formula = null;
+        let collisions = 0;
+
+        while (!visited.has(`${table}:${position}:${current}`)) {
+            visited.add(`${table}:${position}:${current}`);
+            const slots = table === 1 ? this.ds.keys : this.ds.altKeys;
+            const occupant = slots[position];
+            slots[position] = current;
+
+            if (occupant === null) {
+                this.ds.count++;
+                if (current !== key) {
+                    steps.push({
+                        table,
+                        position,
+                        action: 'relocated',
+                        key: current,
+                        formula: `"${current}" reubicada en tabla ${table}, pos ${position + 1} (${formula})`
+                    });
+                }
+                // La cadena pudo volver a expulsar a la clave nueva hacia la tabla 2
+                const found = this.cuckooSearch(key);
+                steps.push({ table: found.table, position: found.position, action: 'inserted', formula: this._cuckooHash(key, found.table).formula });
+                return { success: true, position: found.position, table: found.table, collisions, error: null, steps };
+            }
+
+            // La clave en curso se queda con el lugar y la existente pasa a la otra tabla
+            collisions++;
+            const next = this._cuckooHash(occupant, 3 - table);
+            steps.push({
+                table,
+                position,
+                action: 'evict',
+                key: occupant,
+                formula: `"${current}" expulsa a "${occupant}" de la tabla ${table}, pos ${position + 1}; ${next.formula}`
+            });
+
+            current = occupant;
+            table = 3 - table;
+            position = next.position;
+            formula = next.formula;
+        }
+
+        const result = this._cuckooRehash(key, current, rehashes);
+        if (!result.success) {
+            if (snapshot) this._cuckooRestore(snapshot);
+            return { success: false, position: -1, collisions, error: result.error, steps };
+        }
+
+        steps.push(...result.steps);
+        return { ...result, collisions, steps };
+    }
+
+    /**
+     * Rehash del hashing Cuckoo: amplía ambas tablas a 2n + 1 posiciones y
+     * reinserta todas las claves, dejando la nueva para el final.
+     * @private
+     * @param {string} key - Clave cuya inserción provocó el ciclo.
+     * @param {string} pending - Clave que quedó fuera de las tablas.
+     * @param {number} rehashes - Rehash previos en la misma inserción.
+     * @returns {Object} Resultado con la posición final de la clave.
+     */
+    _cuckooRehash(key, pending, rehashes) {
+        if (rehashes >= CollisionResolver.CUCKOO_MAX_REHASH) {
+            return { success: false, error: `No se pudo insertar "${key}": las funciones h₁ y h₂ generan ciclos aun después de ${rehashes} rehash.` };
+        }
+
+        const oldSize = this.ds.size;
+        // La clave nueva se reinserta al final: se quita solo una de sus copias
+        const stored = [...this.ds.keys, ...this.ds.altKeys, pending].filter(k => k !== null);
+        stored.splice(stored.indexOf(key), 1);
+
+        this.ds.size = oldSize * 2 + 1;
+        this.ds.keys = new Array(this.ds.size).fill(null);
+        this.ds.altKeys = new Array(this.ds.size).fill(null);
+        this.ds.count = 0;
+
+        for (const k of [...stored, key]) {
+            const result = this.cuckooInsert(k, this._cuckooHash(k, 1).position + 1, rehashes + 1);
+            if (!result.success) return result;
+        }
+
+        const found = this.cuckooSearch(key);
+        return {
+            success: true,
+            position: found.position,
+            table: found.table,
+            error: null,
+            steps: [
+                {
+                    position: -1,
+                    action: 'rehash',
+                    key: pending,
+                    formula: `Ciclo de expulsiones: "${pending}" quedó fuera. Tablas ampliadas de ${oldSize} a ${this.ds.size} posiciones y ${stored.length + 1} clave(s) reinsertadas`
+                },
+                { table: found.table, position: found.position, action: 'inserted', formula: found.steps[found.steps.length - 1].formula }
+            ]
+        };
+    }
+
+    /**
+     * Copia el estado de las tablas Cuckoo para poder restaurarlo.
+     * @private
+     * @returns {Object}
+     */
+    _cuckooSnapshot() {
+        return { size: this.ds.size, keys: [...this.ds.keys], altKeys: [...this.ds.altKeys], count: this.ds.count };
+    }
+
+    /**
+     * Restaura el estado de las tablas Cuckoo desde una copia.
+     * @private
+     * @param {Object} snapshot - Copia creada con _cuckooSnapshot.
+     */
+    _cuckooRestore(snapshot) {
+        this.ds.size = snapshot.size;
+        this.ds.keys = snapshot.keys;
+        this.ds.altKeys = snapshot.altKeys;
+        this.ds.count = snapshot.count;
+    }
+
+    /**
+     * Busca una clave usando hashing Cuckoo: solo puede estar en su posición h₁
+     * de la tabla 1 o en su posición h₂ de la tabla 2.
+     * @param {string} key - Clave a buscar.
+     * @returns {Object} Resultado de la búsqueda.
+     */
+    cuckooSearch(key) {
+        const steps = [];
+
+        for (const table of [1, 2]) {
+            const { position, formula } = this._cuckooHash(key, table);
+            const currentKey = (table === 1 ? this.ds.keys : this.ds.altKeys)[position];
+
+            if (currentKey === key) {
+                steps.push({ index: position, table, key: currentKey, hashValue: position + 1, action: 'encontrada', formula });
+                return { found: true, position, table, steps };
+            }
+
+            steps.push({
+                index: position,
+                table,
+                key: currentKey,
+                hashValue: position + 1,
+                action: currentKey === null ? 'vacio' : 'colision',
+                formula
+            });
+        }
+
+        return { found: false, position: -1, steps };
+    }
+
+    /**
+     * Elimina una clave usando hashing Cuckoo.
+     * @param {string} key - Clave a eliminar.
+     * @returns {Object} Resultado de la eliminación.
+     */
+    cuckooDelete(key) {
+        const result = this.cuckooSearch(key);
+        if (!result.found) {
+            return { success: false, position: -1, error: `La clave "${key}" no fue encontrada.` };
+        }
+
+        (result.table === 1 ? this.ds.keys : this.ds.altKeys)[result.position] = null;
+        this.ds.count--;
+        return { success: true, position: result.position, table: result.table, error: null };
+    }
+
+    /**
+     * Cantidad máxima de rehash encadenados en una sola inserción Cuckoo.
+     * @returns {number}
+     */
+    static get CUCKOO_MAX_REHASH() {
+        return 3;
+    }
 }
 
 /**
@@ -851,6 +1369,13 @@ class CollisionStrategyFactory {
                     delete: (k, h) => resolver.linearDelete(k, h),
                     getName: () => 'Prueba Lineal'
                 };
+            case 'robin-hood':
+                return {
+                    insert: (k, h) => resolver.robinHoodInsert(k, h),
+                    search: (k, h) => resolver.robinHoodSearch(k, h),
+                    delete: (k, h) => resolver.robinHoodDelete(k, h),
+                    getName: () => 'Robin Hood'
+                };
             case 'prueba-cuadratica':
                 return {
                     insert: (k, h) => resolver.quadraticInsert(k, h),
@@ -879,6 +1404,20 @@ class CollisionStrategyFactory {
                     delete: (k, h) => resolver.linkedListDelete(k, h),
                     getName: () => 'Encadenamiento'
                 };
+            case 'coalescido':
+                return {
+                    insert: (k, h) => resolver.coalescedInsert(k, h),
+                    search: (k, h) => resolver.coalescedSearch(k, h),
+                    delete: (k, h) => resolver.coalescedDelete(k, h),
+                    getName: () => 'Encadenamiento Coalescido'
+                };
+            case 'cuckoo':
+                return {
+                    insert: (k, h) => resolver.cuckooInsert(k, h),
+                    search: (k) => resolver.cuckooSearch(k),
+                    delete: (k) => resolver.cuckooDelete(k),
+                    getName: () => 'Cuckoo'
+                };
             default:
                 throw new Error(`Estrategia no soportada: ${strategyName}`);
         }
@@ -891,10 +1430,13 @@ class CollisionStrategyFactory {
     static getAvailableStrategies() {
         return [
             { value: 'prueba-lineal', label: 'Prueba Lineal' },
+            { value: 'robin-hood', label: 'Robin Hood' },
             { value: 'prueba-cuadratica', label: 'Prueba Cuadrática' },
             { value: 'doble-hash', label: 'Doble Función Hash' },
             { value: 'arreglos-anidados', label: 'Arreglos Anidados' },
-            { value: 'encadenamiento', label: 'Encadenamiento' }
+            { value: 'encadenamiento', label: 'Encadenamiento' },
+            { value: 'coalescido', label: 'Encadenamiento Coalescido' },
+            { value: 'cuckoo', label: 'Cuckoo' }
         ];
     }
 }
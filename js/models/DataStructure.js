@@ -35,6 +35,28 @@ class DataStructure {
         this.count = 0;
         /** @type {string} Método hash: 'modulo' o 'cuadrado' */
         this.hashMethod = 'modulo';
+        /** @type {number} Constante A del método de multiplicación (0 < A < 1) */
+        this.multiplier = DataStructure.DEFAULT_MULTIPLIER;
+        /** @type {number} Base del método de conversión de base */
+        this.base = DataStructure.DEFAULT_BASE;
+        /** @type {string} Conversión clave → entero: 'ascii', 'polinomial' o 'concatenacion' */
+        this.keyConversion = 'ascii';
+        /** @type {number} Base del hash polinomial de cadenas */
+        this.conversionBase = DataStructure.DEFAULT_CONVERSION_BASE;
+        /** @type {Array<string|null>} Segunda tabla del hashing Cuckoo (vacía en otras estrategias) */
+        this.altKeys = [];
+        /** @type {string} Método hash de la segunda tabla (Cuckoo) */
+        this.secondaryHashMethod = DataStructure.getDefaultSecondaryMethod('modulo');
+        /** @type {number} Posiciones de la zona de desborde (Encadenamiento Coalescido) */
+        this.cellarSize = 0;
+        /** @type {Array<number>} Enlace a la siguiente posición de la cadena (-1 = fin), solo Coalescido */
+        this.links = [];
+        /** @type {string|null} Modo de borrado en direccionamiento abierto: 'lapida' o 'corrimiento' */
+        this.deletionMode = null;
+        /** @type {string|null} Política de crecimiento del rehash automático: 'doble', 'primo' o null (desactivado) */
+        this.rehashPolicy = null;
+        /** @type {number} Factor de carga máximo antes de ampliar la tabla */
+        this.loadFactorThreshold = DataStructure.DEFAULT_LOAD_FACTOR;
     }
 
     /**
@@ -45,19 +67,48 @@ class DataStructure {
      * @param {boolean} allowDuplicates - Si se permiten claves repetidas.
      * @param {string} collisionStrategy - Estrategia de colisión.
      * @param {string} hashMethod - Método hash ('modulo' o 'cuadrado').
+     * @param {Object} [hashOptions] - Parámetros adicionales de la función hash.
+     * @param {number} [hashOptions.multiplier] - Constante A del método de multiplicación.
+     * @param {number} [hashOptions.base] - Base del método de conversión de base.
+     * @param {string} [hashOptions.keyConversion] - Conversión de claves no numéricas a entero.
+     * @param {number} [hashOptions.conversionBase] - Base del hash polinomial de cadenas.
+     * @param {string} [hashOptions.secondaryHashMethod] - Función h₂ de la segunda tabla (Cuckoo).
+     * @param {number} [hashOptions.cellarSize] - Tamaño de la zona de desborde (Encadenamiento Coalescido).
+     * @param {string} [hashOptions.deletionMode] - Modo de borrado de Prueba Lineal ('lapida' o 'corrimiento').
+     * @param {string} [hashOptions.rehashPolicy] - Crecimiento del rehash automático ('doble' o 'primo').
+     * @param {number} [hashOptions.loadFactorThreshold] - Factor de carga que dispara el rehash.
      */
-    create(size, keyLength, dataType, allowDuplicates, collisionStrategy = null, hashMethod = 'modulo') {
+    create(size, keyLength, dataType, allowDuplicates, collisionStrategy = null, hashMethod = 'modulo', hashOptions = {}) {
         this.size = size;
         this.keyLength = keyLength;
         this.dataType = dataType;
         this.allowDuplicates = allowDuplicates;
         this.collisionStrategy = collisionStrategy;
         this.hashMethod = hashMethod;
-        this.keys = new Array(size).fill(null);
+        this.multiplier = hashOptions.multiplier || DataStructure.DEFAULT_MULTIPLIER;
+        this.base = hashOptions.base || DataStructure.DEFAULT_BASE;
+        this.keyConversion = hashOptions.keyConversion || 'ascii';
+        this.conversionBase = hashOptions.conversionBase || DataStructure.DEFAULT_CONVERSION_BASE;
+        this.secondaryHashMethod = hashOptions.secondaryHashMethod || DataStructure.getDefaultSecondaryMethod(hashMethod);
+        this.cellarSize = collisionStrategy === 'coalescido' ? (hashOptions.cellarSize || DataStructure.getDefaultCellarSize(size)) : 0;
+        this._allocateTable();
+        this.deletionMode = DataStructure.getDeletionMode(collisionStrategy, hashOptions.deletionMode);
+        this.rehashPolicy = DataStructure.getRehashPolicy(collisionStrategy, hashOptions.rehashPolicy);
+        this.loadFactorThreshold = hashOptions.loadFactorThreshold || DataStructure.DEFAULT_LOAD_FACTOR;
         this.created = true;
         this.count = 0;
     }
 
+    /**
+     * Reserva los arreglos de la tabla hash vacíos según el tamaño y la estrategia.
+     * @private
+     */
+    _allocateTable() {
+        this.keys = new Array(this.getTableLength()).fill(null);
+        this.altKeys = this.collisionStrategy === 'cuckoo' ? new Array(this.size).fill(null) : [];
+        this.links = this.collisionStrategy === 'coalescido' ? new Array(this.getTableLength()).fill(-1) : [];
+    }
+
     /**
      * Valida y normaliza una clave de acuerdo a la configuración.
      * Para claves numéricas más cortas que keyLength, aplica zero-padding.
@@ -99,7 +150,7 @@ class DataStructure {
         }
 
         // Verificar duplicados
-        if (!this.allowDuplicates && this.keys.includes(key)) {
+        if (!this.allowDuplicates && (this.keys.includes(key) || this.altKeys.includes(key))) {
             return { valid: false, key: null, error: `La clave "${key}" ya existe y no se permiten claves repetidas.` };
         }
 
@@ -341,30 +392,112 @@ class DataStructure {
     }
 
     /**
-     * Convierte una clave a su equivalente numérico (entero o suma ASCII).
+     * Convierte una clave a su equivalente numérico según la conversión configurada.
+     * - Numérico: el entero de la clave.
+     * - 'ascii': suma de los códigos de los caracteres.
+     * - 'polinomial': Σ cᵢ · p^(m−1−i) con la base p configurada (regla de Horner).
+     * - 'concatenacion': códigos de los caracteres concatenados como dígitos.
+     * Los valores que superan Number.MAX_SAFE_INTEGER se retornan como BigInt
+     * para que el número mostrado en las fórmulas sea exactamente el que se hashea.
      * @param {string} key - Clave a convertir.
-     * @returns {number}
+     * @returns {number|bigint}
      */
     getNumericValue(key) {
-        if (this.dataType === 'numerico') return parseInt(key, 10);
+        const exact = (value) => (value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value);
+
+        if (this.dataType === 'numerico') return /^\d+$/.test(key) ? exact(BigInt(key)) : parseInt(key, 10);
+
+        if (this.keyConversion === 'polinomial') {
+            const p = BigInt(this.conversionBase);
+            let value = 0n;
+            for (let i = 0; i < key.length; i++) value = value * p + BigInt(key.charCodeAt(i));
+            return exact(value);
+        }
+
+        if (this.keyConversion === 'concatenacion') {
+            let digits = '';
+            for (let i = 0; i < key.length; i++) digits += key.charCodeAt(i);
+            return exact(BigInt(digits));
+        }
+
         let sum = 0;
         for (let i = 0; i < key.length; i++) sum += key.charCodeAt(i);
         return sum;
     }
 
+    /**
+     * Retorna el nombre legible de la conversión clave → entero configurada.
+     * @returns {string}
+     */
+    getConversionName() {
+        if (this.keyConversion === 'polinomial') return `Hash polinomial (p = ${this.conversionBase})`;
+        if (this.keyConversion === 'concatenacion') return 'Concatenación de códigos';
+        return 'Suma ASCII';
+    }
+
+    /**
+     * Genera el texto paso a paso de la conversión de una clave no numérica a entero.
+     * @param {string} key - Clave a convertir.
+     * @returns {string} Ej: 'Conversión Suma ASCII: "AB" → k = 65 + 66 = 131'
+     */
+    getConversionFormula(key) {
+        const codes = key.split('').map(c => c.charCodeAt(0));
+        const k = this.getNumericValue(key);
+        let steps;
+
+        if (this.keyConversion === 'polinomial') {
+            const p = this.conversionBase;
+            steps = codes.map((c, i) => `${c}·${p}${DataStructure.toSuperscript(codes.length - 1 - i)}`).join(' + ');
+        } else if (this.keyConversion === 'concatenacion') {
+            steps = codes.join(' ‖ ');
+        } else {
+            steps = codes.join(' + ');
+        }
+
+        return `Conversión ${this.getConversionName()}: "${key}" → k = ${steps} = ${k}`;
+    }
+
     /**
      * Calcula la posición hash inicial (1-indexed) según el método configurado.
      * @private
-     * @param {number} k - Valor numérico de la clave.
+     * @param {number|bigint} k - Valor numérico de la clave.
+     * @param {string} [method] - Método hash a aplicar (por defecto, el de la estructura).
      * @returns {{hash: number, k2: string|null, pickedDigits: string|null}}
      */
-    _getHashValue(k) {
-        if (this.hashMethod === 'modulo') {
-            return { hash: (k % this.size) + 1, k2: null, pickedDigits: null, blocks: null };
+    _getHashValue(k, method = this.hashMethod) {
+        if (method === 'modulo') {
+            const rem = typeof k === 'bigint' ? Number(k % BigInt(this.size)) : k % this.size;
+            return { hash: rem + 1, k2: null, pickedDigits: null, blocks: null };
+        }
+
+        if (method === 'multiplicacion') {
+            // Método de Knuth: h(k) = ⌊n · frac(k · A)⌋ + 1. A se lleva a punto fijo
+            // de w bits para que frac(k · A) sea exacta aunque k · A supere 2^53.
+            const w = BigInt(DataStructure.MULTIPLIER_BITS);
+            const scale = 1n << w;
+            const a = BigInt(Math.round(this.multiplier * Number(scale)));
+            const fracFixed = (BigInt(k) * a) % scale;
+            const hash = Number((BigInt(this.size) * fracFixed) >> w) + 1;
+            const frac = Number(fracFixed) / Number(scale);
+            return { hash, k2: null, pickedDigits: null, blocks: null, frac };
+        }
+
+        if (method === 'base') {
+            // Leer los dígitos de k en la base elegida y convertir a decimal
+            const kStr = BigInt(k).toString();
+            const b = BigInt(this.base);
+            let converted = 0n;
+            const terms = [];
+            for (let i = 0; i < kStr.length; i++) {
+                converted = converted * b + BigInt(kStr[i]);
+                terms.push(`${kStr[i]}·${this.base}${DataStructure.toSuperscript(kStr.length - 1 - i)}`);
+            }
+            const hash = Number(converted % BigInt(this.size)) + 1;
+            return { hash, k2: null, pickedDigits: null, blocks: null, terms: terms.join(' + '), converted: converted.toString() };
         }
 
-        if (this.hashMethod === 'truncamiento') {
-            const kStr = k.toString();
+        if (method === 'truncamiento') {
+            const kStr = BigInt(k).toString();
             const d = (this.size - 1).toString().length;
             // Seleccionar dígitos en posiciones impares (1, 3, 5, ...)
             let pickedDigits = '';
@@ -377,8 +510,8 @@ class DataStructure {
             return { hash: (val % this.size) + 1, k2: null, pickedDigits, blocks: null };
         }
 
-        if (this.hashMethod === 'plegamiento') {
-            const kStr = k.toString();
+        if (method === 'plegamiento') {
+            const kStr = BigInt(k).toString();
             const d = (this.size - 1).toString().length;
             const blocks = [];
 
@@ -406,6 +539,259 @@ class DataStructure {
         return { hash: (val % this.size) + 1, k2, pickedDigits: null, blocks: null };
     }
 
+    /**
+     * Distancia de sondeo de la clave en una posición: cuántos pasos está
+     * de su posición base h(k) recorriendo la tabla circularmente.
+     * @param {number} position - Posición (0-indexed) de una clave simple.
+     * @returns {number} La distancia, o -1 si la posición está vacía.
+     */
+    getProbeDistance(position) {
+        const key = this.keys[position];
+        if (key === null || key === undefined || typeof key === 'object' || key === DataStructure.TOMBSTONE) return -1;
+        const { hash } = this._getHashValue(this.getNumericValue(key));
+        return (position - (hash - 1) + this.size) % this.size;
+    }
+
+    /**
+     * Estadísticas de las distancias de sondeo de las claves almacenadas.
+     * @returns {{count: number, mean: number, variance: number, max: number}}
+     */
+    getProbeStats() {
+        const distances = [];
+        for (let i = 0; i < this.size; i++) {
+            const d = this.getProbeDistance(i);
+            if (d >= 0) distances.push(d);
+        }
+        if (distances.length === 0) return { count: 0, mean: 0, variance: 0, max: 0 };
+
+        const mean = distances.reduce((acc, d) => acc + d, 0) / distances.length;
+        const variance = distances.reduce((acc, d) => acc + (d - mean) ** 2, 0) / distances.length;
+        return { count: distances.length, mean, variance, max: Math.max(...distances) };
+    }
+
+    /**
+     * Longitudes de los grupos primarios: secuencias circulares de posiciones
+     * ocupadas (claves o lápidas) dentro del área primaria.
+     * @returns {Array<number>}
+     */
+    getClusterLengths() {
+        const start = this.keys.slice(0, this.size).indexOf(null);
+        if (start === -1) return this.size > 0 ? [this.size] : [];
+
+        // Recorrer desde una posición vacía para no partir el grupo que da la vuelta
+        const lengths = [];
+        let run = 0;
+        for (let j = 1; j <= this.size; j++) {
+            if (this.keys[(start + j) % this.size] !== null) {
+                run++;
+            } else if (run > 0) {
+                lengths.push(run);
+                run = 0;
+            }
+        }
+        return lengths;
+    }
+
+    /**
+     * Ocupación de las cubetas en Arreglos Anidados y Encadenamiento.
+     * @returns {Array<number>} En el índice c, cuántas cubetas tienen c claves.
+     */
+    getBucketOccupancy() {
+        const occupancy = [0];
+        for (let i = 0; i < this.size; i++) {
+            const slot = this.keys[i];
+            let length = 0;
+            if (Array.isArray(slot)) {
+                length = slot.length;
+            } else if (slot !== null && typeof slot === 'object') {
+                for (let node = slot; node !== null; node = node.next) length++;
+            } else if (slot !== null) {
+                length = 1;
+            }
+            while (occupancy.length <= length) occupancy.push(0);
+            occupancy[length]++;
+        }
+        return occupancy;
+    }
+
+    /**
+     * Estadísticas de la tabla hash medidas con los pasos de búsqueda de la
+     * estrategia: sondeos de las búsquedas exitosas (una por clave almacenada)
+     * y fallidas (una clave ausente por cada posición base), junto a los
+     * valores teóricos esperados para el factor de carga actual.
+     * Medir los sondeos cuesta O(m · sondeos); sin measureProbes solo se
+     * calculan los valores teóricos, los grupos y las cubetas.
+     * @param {string} strategyName - Estrategia de colisión.
+     * @param {boolean} [measureProbes=true] - Medir los sondeos de cada búsqueda.
+     * @returns {{loadFactor: number, successful: {mean: number, max: number}|null, unsuccessful: {mean: number, max: number}|null, expected: Object|null, clusters: Array<number>|null, buckets: Array<number>|null}}
+     */
+    getHashStats(strategyName, measureProbes = true) {
+        const summarize = (probes) => probes.length === 0
+            ? { mean: 0, max: 0 }
+            : { mean: probes.reduce((acc, p) => acc + p, 0) / probes.length, max: Math.max(...probes) };
+
+        let successful = null;
+        let unsuccessful = null;
+        if (measureProbes) {
+            const strategy = CollisionStrategyFactory.create(strategyName, this);
+            successful = summarize(this.getStoredKeys().map(({ key }) => this.hashSearch(key, strategyName).steps.length));
+
+            // La clave vacía nunca está almacenada; Cuckoo siempre revisa ambas tablas
+            const probes = [];
+            for (let h = 1; h <= this.size; h++) {
+                probes.push(strategyName === 'cuckoo' ? 2 : strategy.search('', h).steps.length);
+            }
+            unsuccessful = summarize(probes);
+        }
+
+        const loadFactor = this.getLoadFactor();
+        const usesClusters = strategyName === 'prueba-lineal' || strategyName === 'robin-hood';
+        const usesBuckets = strategyName === 'arreglos-anidados' || strategyName === 'encadenamiento';
+        return {
+            loadFactor,
+            successful,
+            unsuccessful,
+            expected: DataStructure.getExpectedProbes(strategyName, loadFactor),
+            clusters: usesClusters ? this.getClusterLengths() : null,
+            buckets: usesBuckets ? this.getBucketOccupancy() : null
+        };
+    }
+
+    /**
+     * Distribución de las claves almacenadas sobre las direcciones de la
+     * tabla según un método hash, sin resolver colisiones. La uniformidad se
+     * mide con χ² = Σ (cᵢ − n/m)² / (n/m): cuanto menor, mejor reparte.
+     * @param {string} method - Método hash (ver {@link DataStructure.HASH_METHODS}).
+     * @returns {{counts: Array<number>, addresses: Array<{key: string, hash: number}>, collisions: number, occupied: number, maxLoad: number, chiSquare: number}}
+     */
+    getHashDistribution(method) {
+        const counts = new Array(this.size).fill(0);
+        const addresses = this.getStoredKeys().map(({ key }) => {
+            const { hash } = this._getHashValue(this.getNumericValue(key), method);
+            counts[hash - 1]++;
+            return { key, hash };
+        });
+
+        const occupied = counts.filter(c => c > 0).length;
+        const expected = addresses.length / this.size;
+        const chiSquare = expected > 0 ? counts.reduce((acc, c) => acc + (c - expected) ** 2, 0) / expected : 0;
+        return {
+            counts,
+            addresses,
+            collisions: addresses.length - occupied,
+            occupied,
+            maxLoad: Math.max(0, ...counts),
+            chiSquare
+        };
+    }
+
+    /**
+     * Cantidad total de posiciones de la tabla: el área primaria (rango de la
+     * función hash) más la zona de desborde, si la estrategia la usa.
+     * @returns {number}
+     */
+    getTableLength() {
+        return this.size + this.cellarSize;
+    }
+
+    /**
+     * Cantidad de claves que caben en la estructura: en Cuckoo, las posiciones
+     * de ambas tablas; en las demás estrategias, {@link getTableLength}.
+     * @returns {number}
+     */
+    getCapacity() {
+        return this.collisionStrategy === 'cuckoo' ? this.size * 2 : this.getTableLength();
+    }
+
+    /**
+     * Cantidad de posiciones marcadas como lápida (claves borradas).
+     * @returns {number}
+     */
+    getTombstoneCount() {
+        return this.keys.filter(k => k === DataStructure.TOMBSTONE).length;
+    }
+
+    /**
+     * Factor de carga α = ocupadas / capacidad. Las lápidas cuentan como
+     * ocupadas porque alargan las secuencias de sondeo igual que una clave.
+     * @param {number} [extra=0] - Claves adicionales a considerar (ej: 1 antes de insertar).
+     * @returns {number}
+     */
+    getLoadFactor(extra = 0) {
+        const length = this.getCapacity();
+        return length > 0 ? (this.count + this.getTombstoneCount() + extra) / length : 0;
+    }
+
+    /**
+     * Claves almacenadas en el orden de la tabla, incluyendo las de arreglos
+     * anidados, listas enlazadas y la segunda tabla Cuckoo. Omite las lápidas.
+     * @returns {Array<{key: string, position: number}>}
+     */
+    getStoredKeys() {
+        const entries = [];
+        this.keys.forEach((slot, i) => {
+            if (slot === null || slot === DataStructure.TOMBSTONE) return;
+            if (Array.isArray(slot)) {
+                slot.forEach(key => entries.push({ key, position: i }));
+            } else if (typeof slot === 'object') {
+                for (let node = slot; node !== null; node = node.next) entries.push({ key: node.value, position: i });
+            } else {
+                entries.push({ key: slot, position: i });
+            }
+        });
+        this.altKeys.forEach((key, i) => {
+            if (key !== null) entries.push({ key, position: i });
+        });
+        return entries;
+    }
+
+    /**
+     * Contenido de la tabla posición por posición, para exportarlo como CSV.
+     * En Arreglos Anidados y Encadenamiento la primera clave de la cubeta va
+     * en "Clave" y las demás en "Cadena" (separadas por " | "); Cuckoo lista
+     * ambas tablas y Coalescido agrega el enlace de cada posición.
+     * Las posiciones vacías quedan en blanco y las lápidas se marcan con †.
+     * @returns {{columns: Array<string>, rows: Array<Array<string|number>>}}
+     */
+    getTableRows() {
+        const strategy = this.collisionStrategy;
+        const cell = (key) => (key === null || key === undefined ? '' : key);
+
+        if (strategy === 'cuckoo') {
+            return {
+                columns: ['Posición', 'Tabla 1', 'Tabla 2'],
+                rows: this.keys.map((key, i) => [i + 1, cell(key), cell(this.altKeys[i])])
+            };
+        }
+
+        if (strategy === 'arreglos-anidados' || strategy === 'encadenamiento') {
+            const rows = this.keys.map((slot, i) => {
+                let bucket = [];
+                if (Array.isArray(slot)) {
+                    bucket = slot;
+                } else if (slot !== null && typeof slot === 'object') {
+                    for (let node = slot; node !== null; node = node.next) bucket.push(node.value);
+                } else if (slot !== null) {
+                    bucket = [slot];
+                }
+                return [i + 1, cell(bucket[0]), bucket.slice(1).join(' | ')];
+            });
+            return { columns: ['Posición', 'Clave', 'Cadena'], rows };
+        }
+
+        if (strategy === 'coalescido') {
+            return {
+                columns: ['Posición', 'Clave', 'Enlace'],
+                rows: this.keys.map((key, i) => [i + 1, cell(key), this.links[i] >= 0 ? this.links[i] + 1 : ''])
+            };
+        }
+
+        return {
+            columns: ['Posición', 'Clave'],
+            rows: this.keys.map((key, i) => [i + 1, cell(key)])
+        };
+    }
+
     /**
      * Normaliza la clave con trim y padding si es numérico.
      * @private
@@ -416,32 +802,58 @@ class DataStructure {
             ? key.padStart(this.keyLength, '0') : key;
     }
 
+    /**
+     * Genera el texto de la función hash aplicada a un valor numérico.
+     * @param {number|bigint} k - Valor numérico de la clave.
+     * @param {string} [method] - Método hash (por defecto, el de la estructura).
+     * @param {string} [name='h'] - Nombre de la función en el texto (ej: 'h₂').
+     * @returns {string} Ej: 'h(25) = (25 mod 10) + 1 = 6'
+     */
+    getHashFormula(k, method = this.hashMethod, name = 'h') {
+        const { hash, k2, pickedDigits, blocks, sum, lastDigits, frac, terms, converted } = this._getHashValue(k, method);
+
+        if (method === 'base') {
+            return `${name}(${k}) = (${terms}) mod ${this.size} + 1 = (${converted} mod ${this.size}) + 1 = ${hash}`;
+        } else if (method === 'multiplicacion') {
+            return `${name}(${k}) = ⌊${this.size} · frac(${k} · ${DataStructure.formatMultiplier(this.multiplier)})⌋ + 1 = ⌊${this.size} · ${frac.toFixed(4)}⌋ + 1 = ${hash}`;
+        } else if (method === 'cuadrado') {
+            return `${name}(${k}) = digCent(${k}²) = digCent(${k2}) + 1 = ${hash}`;
+        } else if (method === 'truncamiento') {
+            return `${name}(${k}) = elegirdigitos impares(${pickedDigits}) + 1 = ${hash}`;
+        } else if (method === 'plegamiento') {
+            return `${name}(${k}) = digmensig(${blocks}) = digmensig(${sum}) = ${lastDigits} + 1 = ${hash}`;
+        }
+        return `${name}(${k}) = (${k} mod ${this.size}) + 1 = ${hash}`;
+    }
+
     /**
      * Inserta una clave usando la función hash activa y estrategia de colisión.
      */
     hashInsert(rawKey, strategyName) {
         if (!this.created) return { success: false, error: 'Debe crear la estructura.' };
-        if (this.count >= this.size) return { success: false, error: 'Estructura llena.' };
 
         const { valid, key, error } = this.validateKey(rawKey);
         if (!valid) return { success: false, error };
 
-        const k = this.getNumericValue(key);
-        const { hash, k2, pickedDigits, blocks, sum, lastDigits } = this._getHashValue(k);
-
-        let formula = '';
-        if (this.hashMethod === 'cuadrado') {
-            formula = `h(${k}) = digCent(${k}²) = digCent(${k2}) + 1 = ${hash}`;
-        } else if (this.hashMethod === 'truncamiento') {
-            formula = `h(${k}) = elegirdigitos impares(${pickedDigits}) + 1 = ${hash}`;
-        } else if (this.hashMethod === 'plegamiento') {
-            formula = `h(${k}) = digmensig(${blocks}) = digmensig(${sum}) = ${lastDigits} + 1 = ${hash}`;
-        } else {
-            formula = `h(${k}) = (${k} mod ${this.size}) + 1 = ${hash}`;
+        // Rehash automático: ampliar la tabla antes de superar el factor de carga
+        let rehash = null;
+        const loadFactor = this.getLoadFactor(1);
+        if (this.rehashPolicy && loadFactor > this.loadFactorThreshold) {
+            rehash = this.hashRehash(strategyName, DataStructure.getGrowthSize(this.size, this.rehashPolicy));
+            rehash.loadFactor = loadFactor;
         }
 
+        // Si el rehash se canceló, la clave se intenta en la tabla original
+        const rehashError = rehash && !rehash.success ? `${rehash.error} ` : '';
+        if (this.count >= this.getCapacity()) return { success: false, error: `${rehashError}Estructura llena.` };
+
+        const k = this.getNumericValue(key);
+        const { hash } = this._getHashValue(k);
+        const formula = this.getHashFormula(k);
+
         const result = CollisionStrategyFactory.create(strategyName, this).insert(key, hash);
-        return { ...result, hashValue: hash, formula };
+        if (!result.success) return { ...result, error: `${rehashError}${result.error}` };
+        return { ...result, hashValue: hash, formula, rehash };
     }
 
     /** Busca una clave usando la función hash activa. */
@@ -460,6 +872,101 @@ class DataStructure {
         return CollisionStrategyFactory.create(strategyName, this).delete(key, hash);
     }
 
+    /**
+     * Compacta la tabla: elimina las lápidas y reinserta las claves vigentes,
+     * en el orden en que aparecen, con la función hash y la estrategia activas.
+     * Si alguna clave no encuentra lugar (p. ej. la secuencia de Prueba
+     * Cuadrática no alcanza una posición libre), se conserva la tabla original.
+     * @param {string} strategyName - Estrategia de colisión.
+     * @returns {{success: boolean, removed: number, moves: Array<{key: string, from: number, to: number, collisions: number, formula: string}>, error: string|null}}
+     */
+    hashCompact(strategyName) {
+        if (!this.created) return { success: false, removed: 0, moves: [], error: 'Debe crear la estructura.' };
+
+        const removed = this.getTombstoneCount();
+        const original = { keys: this.keys, count: this.count };
+        const entries = [];
+        this.keys.forEach((key, i) => {
+            if (key !== null && key !== DataStructure.TOMBSTONE) entries.push({ key, from: i });
+        });
+
+        this.keys = new Array(this.size).fill(null);
+        this.count = 0;
+
+        const strategy = CollisionStrategyFactory.create(strategyName, this);
+        const moves = [];
+        for (const { key, from } of entries) {
+            const k = this.getNumericValue(key);
+            const { hash } = this._getHashValue(k);
+            const result = strategy.insert(key, hash);
+            if (!result.success) {
+                this.keys = original.keys;
+                this.count = original.count;
+                return { success: false, removed: 0, moves: [], error: `No se pudo compactar: la clave "${key}" no encuentra posición libre al reinsertarla. Se conserva la tabla original.` };
+            }
+            moves.push({ key, from, to: result.position, collisions: result.collisions, formula: this.getHashFormula(k) });
+        }
+
+        return { success: true, removed, moves, error: null };
+    }
+
+    /**
+     * Amplía la tabla a un nuevo tamaño y reinserta todas las claves vigentes,
+     * en el orden en que aparecen, con la función hash y la estrategia activas.
+     * La zona de desborde (Coalescido) crece en la misma proporción. Si alguna
+     * clave no encuentra lugar (p. ej. la secuencia de Doble Hash cicla sin
+     * pasar por una posición libre), la tabla vuelve a crecer; tras
+     * {@link DataStructure.REHASH_MAX_ATTEMPTS} intentos se restaura la original.
+     * @param {string} strategyName - Estrategia de colisión.
+     * @param {number} newSize - Nuevo tamaño del área primaria.
+     * @returns {{success: boolean, oldSize: number, newSize: number, failedSizes: Array<number>, moves: Array<{key: string, from: number, to: number, collisions: number, formula: string}>, error: string|null}}
+     */
+    hashRehash(strategyName, newSize) {
+        const oldSize = this.size;
+        if (!this.created) return { success: false, oldSize, newSize, failedSizes: [], moves: [], error: 'Debe crear la estructura.' };
+
+        const entries = this.getStoredKeys();
+        const original = { cellarSize: this.cellarSize, keys: this.keys, altKeys: this.altKeys, links: this.links, count: this.count };
+        const failedSizes = [];
+        let size = newSize;
+
+        for (let attempt = 0; attempt < DataStructure.REHASH_MAX_ATTEMPTS; attempt++) {
+            if (original.cellarSize > 0) {
+                this.cellarSize = Math.max(1, Math.round(original.cellarSize * size / oldSize));
+            }
+            this.size = size;
+            this._allocateTable();
+            this.count = 0;
+
+            const strategy = CollisionStrategyFactory.create(strategyName, this);
+            const moves = [];
+            for (const { key, position } of entries) {
+                const k = this.getNumericValue(key);
+                const { hash } = this._getHashValue(k);
+                const result = strategy.insert(key, hash);
+                if (!result.success) break;
+                moves.push({ key, from: position, to: result.position, collisions: result.collisions, formula: this.getHashFormula(k) });
+            }
+
+            if (moves.length === entries.length) {
+                return { success: true, oldSize, newSize: size, failedSizes, moves, error: null };
+            }
+            failedSizes.push(size);
+            size = DataStructure.getGrowthSize(size, this.rehashPolicy || 'doble');
+        }
+
+        this.size = oldSize;
+        Object.assign(this, original);
+        return {
+            success: false,
+            oldSize,
+            newSize,
+            failedSizes,
+            moves: [],
+            error: `Rehash cancelado: con m = ${failedSizes.join(', ')} alguna clave no encuentra posición libre al reinsertarla. Se conserva la tabla de m = ${oldSize}.`
+        };
+    }
+
     /**
      * Serializa la estructura a un objeto JSON para guardar.
      * @returns {Object} Objeto con los campos de la estructura.
@@ -473,6 +980,17 @@ class DataStructure {
             allowDuplicates: this.allowDuplicates,
             count: this.count,
             hashMethod: this.hashMethod,
+            multiplier: this.multiplier,
+            base: this.base,
+            keyConversion: this.keyConversion,
+            conversionBase: this.conversionBase,
+            secondaryHashMethod: this.secondaryHashMethod,
+            altKeys: this.altKeys,
+            cellarSize: this.cellarSize,
+            links: this.links,
+            deletionMode: this.deletionMode,
+            rehashPolicy: this.rehashPolicy,
+            loadFactorThreshold: this.loadFactorThreshold,
             collisionStrategy: this.collisionStrategy || null
         };
     }
@@ -489,7 +1007,18 @@ class DataStructure {
         this.allowDuplicates = data.allowDuplicates;
         this.count = data.count;
         this.hashMethod = data.hashMethod || 'modulo';
+        this.multiplier = data.multiplier || DataStructure.DEFAULT_MULTIPLIER;
+        this.base = data.base || DataStructure.DEFAULT_BASE;
+        this.keyConversion = data.keyConversion || 'ascii';
+        this.conversionBase = data.conversionBase || DataStructure.DEFAULT_CONVERSION_BASE;
         this.collisionStrategy = data.collisionStrategy || null;
+        this.secondaryHashMethod = data.secondaryHashMethod || DataStructure.getDefaultSecondaryMethod(this.hashMethod);
+        this.altKeys = data.altKeys || (this.collisionStrategy === 'cuckoo' ? new Array(this.size).fill(null) : []);
+        this.cellarSize = data.cellarSize || 0;
+        this.links = data.links || (this.collisionStrategy === 'coalescido' ? new Array(this.getTableLength()).fill(-1) : []);
+        this.deletionMode = DataStructure.getDeletionMode(this.collisionStrategy, data.deletionMode);
+        this.rehashPolicy = DataStructure.getRehashPolicy(this.collisionStrategy, data.rehashPolicy);
+        this.loadFactorThreshold = data.loadFactorThreshold || DataStructure.DEFAULT_LOAD_FACTOR;
         this.created = true;
     }
 
@@ -497,7 +1026,220 @@ class DataStructure {
      * Limpia todas las claves pero mantiene la configuración de la estructura.
      */
     clearKeys() {
-        this.keys = new Array(this.size).fill(null);
+        this.keys = new Array(this.getTableLength()).fill(null);
+        this.altKeys = this.altKeys.length > 0 ? new Array(this.size).fill(null) : [];
+        this.links = this.links.length > 0 ? new Array(this.getTableLength()).fill(-1) : [];
         this.count = 0;
     }
+
+    /**
+     * Constante A sugerida por Knuth para el método de multiplicación: (√5 − 1) / 2.
+     * @returns {number}
+     */
+    static get DEFAULT_MULTIPLIER() {
+        return (Math.sqrt(5) - 1) / 2;
+    }
+
+    /**
+     * Bits de la parte fraccionaria con que se representa A en el método de
+     * multiplicación: floor(k · A · 2^w) mod 2^w da frac(k · A) sin redondeo.
+     * @returns {number}
+     */
+    static get MULTIPLIER_BITS() {
+        return 53;
+    }
+
+    /**
+     * Formatea la constante A para mostrarla en fórmulas y logs.
+     * @param {number} a - Constante A.
+     * @returns {string}
+     */
+    static formatMultiplier(a) {
+        return Number(a.toFixed(6)).toString();
+    }
+
+    /**
+     * Base por defecto del método de conversión de base.
+     * @returns {number}
+     */
+    static get DEFAULT_BASE() {
+        return 11;
+    }
+
+    /**
+     * Base por defecto del hash polinomial de cadenas.
+     * @returns {number}
+     */
+    static get DEFAULT_CONVERSION_BASE() {
+        return 31;
+    }
+
+    /**
+     * Métodos hash que pueden usarse como función h₂ de la segunda tabla Cuckoo.
+     * @returns {Object<string, string>} Método → nombre legible.
+     */
+    static get HASH_METHODS() {
+        return {
+            modulo: 'Módulo',
+            cuadrado: 'Cuadrado',
+            truncamiento: 'Truncamiento',
+            plegamiento: 'Plegamiento',
+            multiplicacion: 'Multiplicación',
+            base: 'Conversión de base'
+        };
+    }
+
+    /**
+     * Función h₂ por defecto para Cuckoo: la primera distinta de la función principal.
+     * @param {string} hashMethod - Método hash de la primera tabla.
+     * @returns {string}
+     */
+    static getDefaultSecondaryMethod(hashMethod) {
+        return hashMethod === 'multiplicacion' ? 'modulo' : 'multiplicacion';
+    }
+
+    /**
+     * Zona de desborde sugerida para Encadenamiento Coalescido: cerca del 14% de
+     * la tabla total (factor de direccionamiento ≈ 0.86), al menos una posición.
+     * @param {number} size - Tamaño del área primaria.
+     * @returns {number}
+     */
+    static getDefaultCellarSize(size) {
+        return Math.max(1, Math.round(size * 0.16));
+    }
+
+    /**
+     * Marca de las posiciones borradas en modo lápida. Las búsquedas la saltan
+     * y las inserciones la reutilizan.
+     * @returns {string}
+     */
+    static get TOMBSTONE() {
+        return '†';
+    }
+
+    /**
+     * Modo de borrado efectivo de una estrategia. Prueba Lineal admite lápida o
+     * corrimiento hacia atrás; Prueba Cuadrática y Doble Hash solo lápida, porque
+     * mover claves puede romper las secuencias de sondeo de otras claves.
+     * @param {string} collisionStrategy - Estrategia de colisión.
+     * @param {string} [requested] - Modo elegido por el usuario.
+     * @returns {string|null} null si la estrategia no es de direccionamiento abierto con lápidas.
+     */
+    static getDeletionMode(collisionStrategy, requested) {
+        if (collisionStrategy === 'prueba-lineal') return requested === 'lapida' ? 'lapida' : 'corrimiento';
+        if (collisionStrategy === 'prueba-cuadratica' || collisionStrategy === 'doble-hash') return 'lapida';
+        return null;
+    }
+
+    /**
+     * Tamaños que prueba un rehash antes de conservar la tabla original.
+     * @returns {number}
+     */
+    static get REHASH_MAX_ATTEMPTS() {
+        return 3;
+    }
+
+    /**
+     * Factor de carga máximo por defecto del rehash automático.
+     * @returns {number}
+     */
+    static get DEFAULT_LOAD_FACTOR() {
+        return 0.75;
+    }
+
+    /**
+     * Políticas de crecimiento del rehash automático.
+     * @returns {Object<string, string>} Política → nombre legible.
+     */
+    static get GROWTH_POLICIES() {
+        return {
+            doble: 'Duplicar',
+            primo: 'Siguiente primo'
+        };
+    }
+
+    /**
+     * Política de rehash efectiva de una estrategia. Cuckoo queda excluido
+     * porque ya amplía sus tablas al detectar un ciclo de expulsiones.
+     * @param {string} collisionStrategy - Estrategia de colisión.
+     * @param {string} [requested] - Política elegida por el usuario.
+     * @returns {string|null} null si el rehash automático está desactivado.
+     */
+    static getRehashPolicy(collisionStrategy, requested) {
+        if (!collisionStrategy || collisionStrategy === 'cuckoo') return null;
+        return DataStructure.GROWTH_POLICIES[requested] ? requested : null;
+    }
+
+    /**
+     * Tamaño de la tabla tras un rehash: el doble, o el primer primo mayor o igual al doble.
+     * @param {number} size - Tamaño actual.
+     * @param {string} policy - 'doble' o 'primo'.
+     * @returns {number}
+     */
+    static getGrowthSize(size, policy) {
+        let next = size * 2;
+        if (policy === 'primo') {
+            while (!DataStructure.isPrime(next)) next++;
+        }
+        return next;
+    }
+
+    /**
+     * Sondeos esperados según el análisis clásico (Knuth) para un factor de carga α.
+     * Robin Hood usa los de Prueba Lineal (mismo promedio exitoso; el fallido es
+     * una cota, porque la búsqueda se detiene antes). Coalescido corresponde a la
+     * versión sin zona de desborde, y Cuckoo al peor caso de dos posiciones.
+     * @param {string} collisionStrategy - Estrategia de colisión.
+     * @param {number} alpha - Factor de carga.
+     * @returns {{successful: number, unsuccessful: number, worstCase?: boolean}|null} null si no hay fórmula (ej: α ≥ 1 en direccionamiento abierto).
+     */
+    static getExpectedProbes(collisionStrategy, alpha) {
+        const a = alpha;
+        const openAddressing = ['prueba-lineal', 'robin-hood', 'prueba-cuadratica', 'doble-hash'];
+        if (openAddressing.includes(collisionStrategy) && a >= 1) return null;
+
+        switch (collisionStrategy) {
+            case 'prueba-lineal':
+            case 'robin-hood':
+                return { successful: (1 + 1 / (1 - a)) / 2, unsuccessful: (1 + 1 / (1 - a) ** 2) / 2 };
+            case 'prueba-cuadratica':
+                return { successful: 1 - Math.log(1 - a) - a / 2, unsuccessful: 1 / (1 - a) - a - Math.log(1 - a) };
+            case 'doble-hash':
+                return { successful: a === 0 ? 1 : Math.log(1 / (1 - a)) / a, unsuccessful: 1 / (1 - a) };
+            case 'arreglos-anidados':
+            case 'encadenamiento':
+                return { successful: 1 + a / 2, unsuccessful: Math.exp(-a) + a };
+            case 'coalescido': {
+                const growth = Math.exp(2 * a) - 1 - 2 * a;
+                return { successful: a === 0 ? 1 : 1 + growth / (8 * a) + a / 4, unsuccessful: 1 + growth / 4 };
+            }
+            case 'cuckoo':
+                return { successful: 2, unsuccessful: 2, worstCase: true };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Indica si un entero es primo.
+     * @param {number} n
+     * @returns {boolean}
+     */
+    static isPrime(n) {
+        if (n < 2) return false;
+        for (let d = 2; d * d <= n; d++) {
+            if (n % d === 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Convierte un entero no negativo a dígitos en superíndice (ej: 12 → ¹²).
+     * @param {number} n
+     * @returns {string}
+     */
+    static toSuperscript(n) {
+        const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+        return n.toString().split('').map(d => digits[parseInt(d, 10)]).join('');
+    }
 }
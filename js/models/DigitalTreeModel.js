@@ -6,9 +6,133 @@
  */
 
 /**
- * Utilidades compartidas para codificación letra → binario.
+ * Utilidades compartidas para codificar claves en binario.
+ * Los árboles digitales y por residuos recorren la codificación bit a bit,
+ * que se elige al crear el árbol (ver {@link TreeUtils.ENCODINGS}).
  */
 const TreeUtils = {
+    /**
+     * Codificaciones de clave disponibles. `bits` es el ancho fijo del código;
+     * en 'binario' es null porque lo elige el usuario.
+     * @type {Object<string, {label: string, bits: number|null, keyName: string, single: string|null, placeholder: string}>}
+     */
+    ENCODINGS: {
+        letras: { label: 'Letras A-Z (5 bits, A=1)', bits: 5, keyName: 'letra', single: 'una sola letra', placeholder: 'A-Z' },
+        ascii7: { label: 'ASCII de 7 bits', bits: 7, keyName: 'carácter', single: 'un solo carácter', placeholder: 'Carácter' },
+        ascii8: { label: 'ASCII de 8 bits', bits: 8, keyName: 'carácter', single: 'un solo carácter', placeholder: 'Carácter' },
+        bcd: { label: 'Dígitos BCD (4 bits)', bits: 4, keyName: 'dígito', single: 'un solo dígito', placeholder: '0-9' },
+        binario: { label: 'Cadena binaria', bits: null, keyName: 'bits', single: null, placeholder: '0101' }
+    },
+
+    /** @type {string} Codificación por defecto (la original de la aplicación) */
+    DEFAULT_ENCODING: 'letras',
+
+    /** @type {number} Ancho por defecto de las cadenas binarias */
+    DEFAULT_BINARY_BITS: 4,
+
+    /** @type {number} Ancho máximo de las cadenas binarias */
+    MAX_BINARY_BITS: 16,
+
+    /**
+     * Normaliza una codificación (o su ausencia, en archivos anteriores) a
+     * `{type, bits}` con el ancho efectivo.
+     * @param {{type: string, bits?: number}|string|null|undefined} encoding
+     * @returns {{type: string, bits: number}}
+     */
+    normalizeEncoding(encoding) {
+        const type = typeof encoding === 'string' ? encoding : (encoding && encoding.type);
+        if (!TreeUtils.ENCODINGS[type]) {
+            return { type: TreeUtils.DEFAULT_ENCODING, bits: TreeUtils.ENCODINGS[TreeUtils.DEFAULT_ENCODING].bits };
+        }
+        if (type !== 'binario') return { type, bits: TreeUtils.ENCODINGS[type].bits };
+
+        const bits = encoding && encoding.bits;
+        const valid = Number.isInteger(bits) && bits >= 1 && bits <= TreeUtils.MAX_BINARY_BITS;
+        return { type, bits: valid ? bits : TreeUtils.DEFAULT_BINARY_BITS };
+    },
+
+    /**
+     * Verifica una codificación leída de un archivo.
+     * @param {*} encoding
+     * @returns {string|null} Mensaje de error o null si es válida.
+     */
+    checkEncoding(encoding) {
+        if (encoding === undefined) return null;
+        if (!encoding || typeof encoding !== 'object' || !TreeUtils.ENCODINGS[encoding.type]) {
+            return `"encoding" debe indicar un tipo válido (${Object.keys(TreeUtils.ENCODINGS).join(', ')}).`;
+        }
+        if (encoding.type === 'binario' && !(Number.isInteger(encoding.bits) && encoding.bits >= 1 && encoding.bits <= TreeUtils.MAX_BINARY_BITS)) {
+            return `"encoding.bits" debe ser un entero entre 1 y ${TreeUtils.MAX_BINARY_BITS} (valor: ${JSON.stringify(encoding.bits)}).`;
+        }
+        return null;
+    },
+
+    /**
+     * Describe una codificación para los mensajes (ej: "Cadena binaria (4 bits)").
+     * @param {{type: string, bits: number}} encoding
+     * @returns {string}
+     */
+    describeEncoding(encoding) {
+        const { type, bits } = TreeUtils.normalizeEncoding(encoding);
+        return type === 'binario' ? `${TreeUtils.ENCODINGS[type].label} (${bits} bits)` : TreeUtils.ENCODINGS[type].label;
+    },
+
+    /**
+     * Valida una clave según la codificación del árbol.
+     * @param {string} input
+     * @param {{type: string, bits: number}} [encoding] - Por defecto, letras de 5 bits.
+     * @returns {{valid: boolean, key: string|null, error: string|null}}
+     */
+    validateKey(input, encoding) {
+        const { type, bits } = TreeUtils.normalizeEncoding(encoding);
+        const trimmed = (input || '').trim();
+
+        if (type === 'letras') {
+            const v = TreeUtils.validateLetter(trimmed);
+            return { valid: v.valid, key: v.letter, error: v.error };
+        }
+
+        const invalid = (error) => ({ valid: false, key: null, error });
+
+        if (type === 'binario') {
+            if (trimmed.length === 0) return invalid('Debe ingresar una cadena de bits.');
+            if (!/^[01]+$/.test(trimmed)) return invalid('Solo se permiten bits (0 y 1).');
+            if (trimmed.length !== bits) return invalid(`La clave debe tener exactamente ${bits} bits (tiene ${trimmed.length}).`);
+            return { valid: true, key: trimmed, error: null };
+        }
+
+        const { keyName } = TreeUtils.ENCODINGS[type];
+        const chars = [...trimmed];
+        if (chars.length === 0) return invalid(`Debe ingresar un ${keyName}.`);
+        if (chars.length > 1) return invalid(`Solo se permite un ${keyName} a la vez.`);
+
+        if (type === 'bcd') {
+            return /^[0-9]$/.test(trimmed) ? { valid: true, key: trimmed, error: null } : invalid('Solo se permiten dígitos (0-9).');
+        }
+
+        const code = trimmed.codePointAt(0);
+        if (code >= Math.pow(2, bits)) {
+            return invalid(`El carácter "${trimmed}" (código ${code}) no cabe en ${bits} bits.`);
+        }
+        return { valid: true, key: trimmed, error: null };
+    },
+
+    /**
+     * Convierte una clave ya validada a su código binario.
+     * @param {string} key
+     * @param {{type: string, bits: number}} [encoding] - Por defecto, letras de 5 bits.
+     * @returns {string} Cadena de '0'/'1' con el ancho de la codificación.
+     */
+    keyToBinary(key, encoding) {
+        const { type, bits } = TreeUtils.normalizeEncoding(encoding);
+        switch (type) {
+            case 'letras': return TreeUtils.letterToBinary(key);
+            case 'bcd': return parseInt(key, 10).toString(2).padStart(bits, '0');
+            case 'binario': return key;
+            default: return key.codePointAt(0).toString(2).padStart(bits, '0');
+        }
+    },
+
     /**
      * Convierte una letra (A-Z) a su código binario de 5 bits.
      * @param {string} letter - Letra mayúscula.
@@ -45,6 +169,40 @@ const TreeUtils = {
             return { valid: false, letter: null, error: 'Solo se permiten letras del abecedario (A-Z).' };
         }
         return { valid: true, letter: trimmed, error: null };
+    },
+
+    /**
+     * Comparaciones de las búsquedas exitosas: se busca cada clave insertada
+     * y se cuentan los nodos visitados (los pasos de la búsqueda).
+     * @param {{insertionOrder: string[], search: Function}} model
+     * @returns {{mean: number, max: number}}
+     */
+    searchStats(model) {
+        const costs = model.insertionOrder.map(key => model.search(key).steps.length);
+        if (costs.length === 0) return { mean: 0, max: 0 };
+        return { mean: costs.reduce((acc, c) => acc + c, 0) / costs.length, max: Math.max(...costs) };
+    },
+
+    /** @type {number} Largo máximo de las palabras de los tries */
+    MAX_WORD_LENGTH: 20,
+
+    /**
+     * Valida una palabra para los tries: solo letras A-Z, en mayúsculas.
+     * @param {string} input
+     * @returns {{valid: boolean, key: string|null, error: string|null}}
+     */
+    validateWord(input) {
+        const trimmed = (input || '').trim().toUpperCase();
+        if (trimmed.length === 0) {
+            return { valid: false, key: null, error: 'Debe ingresar una palabra.' };
+        }
+        if (!/^[A-Z]+$/.test(trimmed)) {
+            return { valid: false, key: null, error: 'La palabra solo puede contener letras del abecedario (A-Z), sin espacios ni tildes.' };
+        }
+        if (trimmed.length > TreeUtils.MAX_WORD_LENGTH) {
+            return { valid: false, key: null, error: `La palabra puede tener como máximo ${TreeUtils.MAX_WORD_LENGTH} letras (tiene ${trimmed.length}).` };
+        }
+        return { valid: true, key: trimmed, error: null };
     }
 };
 
@@ -64,10 +222,16 @@ class DigitalTreeNode {
 // ─── Modelo del Árbol Digital ──────────────────────────────────────────────────
 
 class DigitalTreeModel {
-    constructor() {
+    /**
+     * @param {{type: string, bits?: number}|string} [encoding] - Codificación de las
+     *        claves (ver {@link TreeUtils.ENCODINGS}); por defecto, letras de 5 bits.
+     */
+    constructor(encoding) {
+        /** @type {{type: string, bits: number}} Codificación de las claves */
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
         /** @type {DigitalTreeNode|null} */
         this.root = null;
-        /** @type {Set<string>} Conjunto de letras insertadas */
+        /** @type {Set<string>} Conjunto de claves insertadas */
         this.keys = new Set();
         /** @type {string[]} Orden de inserción */
         this.insertionOrder = [];
@@ -76,7 +240,7 @@ class DigitalTreeModel {
     /** @returns {boolean} */
     get created() { return this.keys.size > 0; }
 
-    /** Reinicia el árbol. */
+    /** Reinicia el árbol (conserva la codificación). */
     reset() {
         this.root = null;
         this.keys = new Set();
@@ -84,20 +248,31 @@ class DigitalTreeModel {
     }
 
     /**
-     * Inserta una letra en el árbol.
-     * @param {string} letter - Letra A-Z.
+     * Cambia la codificación de las claves. Solo con el árbol vacío.
+     * @param {{type: string, bits?: number}|string} encoding
+     * @returns {boolean} true si se cambió.
+     */
+    setEncoding(encoding) {
+        if (this.created) return false;
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
+        return true;
+    }
+
+    /**
+     * Inserta una clave en el árbol.
+     * @param {string} letter - Clave válida para la codificación del árbol.
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     insert(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
 
-        letter = v.letter;
+        letter = v.key;
         if (this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" ya existe en el árbol.` };
         }
 
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const steps = [];
 
         if (!this.root) {
@@ -126,7 +301,7 @@ class DigitalTreeModel {
             steps.push({ node: current, action: 'visit', bitIndex, bit: binary[bitIndex] });
 
             if (bitIndex >= binary.length) {
-                // Bits agotados — no debería pasar con claves únicas de 5 bits y 26 letras
+                // Bits agotados — no debería pasar con claves únicas del mismo ancho
                 return { success: false, steps, error: 'No se pudo insertar: bits agotados.' };
             }
 
@@ -143,16 +318,16 @@ class DigitalTreeModel {
     }
 
     /**
-     * Busca una letra en el árbol.
+     * Busca una clave en el árbol.
      * @param {string} letter
      * @returns {{found: boolean, steps: Array, error: string|null}}
      */
     search(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { found: false, steps: [], error: v.error };
 
-        letter = v.letter;
-        const binary = TreeUtils.letterToBinary(letter);
+        letter = v.key;
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const steps = [];
 
         if (!this.root) {
@@ -185,14 +360,14 @@ class DigitalTreeModel {
     }
 
     /**
-     * Elimina una letra reconstruyendo el árbol sin ella.
+     * Elimina una clave reconstruyendo el árbol sin ella.
      * @param {string} letter
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     delete(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
         if (!this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" no existe en el árbol.` };
@@ -207,6 +382,27 @@ class DigitalTreeModel {
         return { success: true, steps: [], error: null };
     }
 
+    /**
+     * Métricas del árbol. Todos los nodos guardan una clave y tienen dos
+     * punteros (0 y 1); la altura se cuenta en aristas desde la raíz.
+     * @returns {{height: number, linkNodes: number, infoNodes: number, emptySlots: number, totalSlots: number, successful: {mean: number, max: number}}}
+     */
+    getMetrics() {
+        const metrics = { height: 0, linkNodes: 0, infoNodes: 0, emptySlots: 0, totalSlots: 0 };
+        const visit = (node, depth) => {
+            if (!node) return;
+            metrics.height = Math.max(metrics.height, depth);
+            if (node.key === null) metrics.linkNodes++;
+            else metrics.infoNodes++;
+            metrics.totalSlots += 2;
+            metrics.emptySlots += (node.left ? 0 : 1) + (node.right ? 0 : 1);
+            visit(node.left, depth + 1);
+            visit(node.right, depth + 1);
+        };
+        visit(this.root, 0);
+        return { ...metrics, successful: TreeUtils.searchStats(this) };
+    }
+
     // ─── Serialización ─────────────────────────────────────────────────────────
 
     /**
@@ -216,6 +412,7 @@ class DigitalTreeModel {
     toJSON() {
         return {
             type: 'digital-tree',
+            encoding: { ...this.encoding },
             insertionOrder: [...this.insertionOrder]
         };
     }
@@ -226,6 +423,7 @@ class DigitalTreeModel {
      */
     fromJSON(data) {
         this.reset();
+        this.encoding = TreeUtils.normalizeEncoding(data.encoding);
         if (data.insertionOrder) {
             for (const letter of data.insertionOrder) {
                 this.insert(letter);
@@ -34,7 +34,11 @@ const MenuModel = {
                                     { id: 'hash-mod', label: 'Función Hash Mod', action: 'hash-mod', enabled: true },
                                     { id: 'hash-cuadrado', label: 'Función Hash Cuadrado', action: 'hash-cuadrado', enabled: true },
                                     { id: 'hash-truncamiento', label: 'Función Hash Truncamiento', action: 'hash-truncamiento', enabled: true },
-                                    { id: 'hash-plegamiento', label: 'Función Hash Plegamiento', action: 'hash-plegamiento', enabled: true }
+                                    { id: 'hash-plegamiento', label: 'Función Hash Plegamiento', action: 'hash-plegamiento', enabled: true },
+                                    { id: 'hash-multiplicacion', label: 'Función Hash Multiplicación', action: 'hash-multiplicacion', enabled: true },
+                                    { id: 'hash-base', label: 'Función Hash Conversión de Base', action: 'hash-base', enabled: true },
+                                    { id: 'hash-comparacion', label: 'Comparación de Colisiones', action: 'hash-comparacion', enabled: true },
+                                    { id: 'hash-funciones', label: 'Comparación de Funciones Hash', action: 'hash-funciones', enabled: true }
                                 ]
                             },
                             {
@@ -42,8 +46,11 @@ const MenuModel = {
                                 label: 'Búsqueda por Residuos',
                                 children: [
                                     { id: 'arboles-digitales', label: 'Árboles Digitales', action: 'arboles-digitales', enabled: true },
+                                    { id: 'arboles-trie', label: 'Tries (Árboles de Palabras)', action: 'arboles-trie', enabled: true },
+                                    { id: 'arboles-ternarios', label: 'Árboles de Búsqueda Ternarios', action: 'arboles-ternarios', enabled: true },
                                     { id: 'arboles-residuos', label: 'Árboles por Residuos', action: 'arboles-residuos', enabled: true },
                                     { id: 'arboles-residuos-multiples', label: 'Árboles por Residuos Múltiples', action: 'arboles-residuos-multiples', enabled: true },
+                                    { id: 'arboles-patricia', label: 'Árboles Patricia', action: 'arboles-patricia', enabled: true },
                                     { id: 'arboles-huffman', label: 'Árboles de Huffman', action: 'arboles-huffman', enabled: true }
                                 ]
                             }
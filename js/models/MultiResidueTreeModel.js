@@ -31,10 +31,14 @@ class MultiResidueTreeNode {
 class MultiResidueTreeModel {
     /**
      * @param {number} m - Bits por bloque (default 2).
+     * @param {{type: string, bits?: number}|string} [encoding] - Codificación de las
+     *        claves (ver {@link TreeUtils.ENCODINGS}); por defecto, letras de 5 bits.
      */
-    constructor(m = 2) {
+    constructor(m = 2, encoding) {
         /** @type {number} */
         this.m = m;
+        /** @type {{type: string, bits: number}} Codificación de las claves */
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
         /** @type {number} */
         this.branches = Math.pow(2, m);
         /** @type {MultiResidueTreeNode|null} */
@@ -49,7 +53,7 @@ class MultiResidueTreeModel {
 
     /** Total de niveles internos (link levels) en el árbol */
     get _totalDepth() {
-        return Math.ceil(5 / this.m);
+        return Math.ceil(this.encoding.bits / this.m);
     }
 
     reset() {
@@ -58,6 +62,17 @@ class MultiResidueTreeModel {
         this.insertionOrder = [];
     }
 
+    /**
+     * Cambia la codificación de las claves. Solo con el árbol vacío.
+     * @param {{type: string, bits?: number}|string} encoding
+     * @returns {boolean} true si se cambió.
+     */
+    setEncoding(encoding) {
+        if (this.created) return false;
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
+        return true;
+    }
+
     /**
      * Divide el binario en bloques de m bits.
      * El último bloque se rellena con ceros a la derecha si es necesario
@@ -88,21 +103,21 @@ class MultiResidueTreeModel {
     }
 
     /**
-     * Inserta una letra. La clave siempre llega a la profundidad máxima (nodo hoja).
+     * Inserta una clave. La clave siempre llega a la profundidad máxima (nodo hoja).
      * Se crean nodos de enlace intermedios según sea necesario.
      * @param {string} letter
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     insert(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
         if (this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" ya existe en el árbol.` };
         }
 
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const blocks = this._getBlocks(binary);
         const steps = [];
 
@@ -137,7 +152,7 @@ class MultiResidueTreeModel {
                     child.isGhost = false;
                     steps.push({ node: child, action: 'insert', blockIndex });
                 } else {
-                    // Should not happen with valid 5-bit unique keys
+                    // Should not happen with unique keys of the same width
                     return { success: false, steps, error: 'Conflicto en posición hoja.' };
                 }
             } else {
@@ -160,7 +175,7 @@ class MultiResidueTreeModel {
 
                     // Re-insert the existing key from this point down
                     if (existingKey) {
-                        const existingBinary = TreeUtils.letterToBinary(existingKey);
+                        const existingBinary = TreeUtils.keyToBinary(existingKey, this.encoding);
                         const existingBlocks = this._getBlocks(existingBinary);
                         let reinsertNode = child;
                         for (let ri = blockIndex + 1; ri < existingBlocks.length; ri++) {
@@ -194,16 +209,16 @@ class MultiResidueTreeModel {
     }
 
     /**
-     * Busca una letra.
+     * Busca una clave.
      * @param {string} letter
      * @returns {{found: boolean, steps: Array, error: string|null}}
      */
     search(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { found: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const blocks = this._getBlocks(binary);
         const steps = [];
 
@@ -248,14 +263,14 @@ class MultiResidueTreeModel {
     }
 
     /**
-     * Elimina una letra reconstruyendo el árbol sin ella.
+     * Elimina una clave reconstruyendo el árbol sin ella.
      * @param {string} letter
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     delete(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
         if (!this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" no existe en el árbol.` };
@@ -270,12 +285,36 @@ class MultiResidueTreeModel {
         return { success: true, steps: [], error: null };
     }
 
+    /**
+     * Métricas del árbol. Cada nodo de enlace tiene 2^m punteros, así que con
+     * m grande quedan muchos vacíos; la altura se cuenta en aristas.
+     * @returns {{height: number, linkNodes: number, infoNodes: number, emptySlots: number, totalSlots: number, successful: {mean: number, max: number}}}
+     */
+    getMetrics() {
+        const metrics = { height: 0, linkNodes: 0, infoNodes: 0, emptySlots: 0, totalSlots: 0 };
+        const visit = (node, depth) => {
+            if (!node) return;
+            metrics.height = Math.max(metrics.height, depth);
+            if (!node.isLink) {
+                if (node.key !== null) metrics.infoNodes++;
+                return;
+            }
+            metrics.linkNodes++;
+            metrics.totalSlots += node.children.length;
+            metrics.emptySlots += node.children.length - node.childCount;
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+        visit(this.root, 0);
+        return { ...metrics, successful: TreeUtils.searchStats(this) };
+    }
+
     // ─── Serialización ─────────────────────────────────────────────────────────
 
     toJSON() {
         return {
             type: 'multi-residue-tree',
             m: this.m,
+            encoding: { ...this.encoding },
             insertionOrder: [...this.insertionOrder]
         };
     }
@@ -284,6 +323,7 @@ class MultiResidueTreeModel {
         this.reset();
         if (data.m) this.m = data.m;
         this.branches = Math.pow(2, this.m);
+        this.encoding = TreeUtils.normalizeEncoding(data.encoding);
         if (data.insertionOrder) {
             for (const letter of data.insertionOrder) {
                 this.insert(letter);
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Modelo del Árbol Patricia (árbol por residuos comprimido).
+ * Cada nodo de enlace guarda el índice del bit que examina y solo existe
+ * donde las claves se separan, por lo que se omiten las cadenas de enlaces
+ * sin bifurcación del árbol por residuos. Las claves quedan en las hojas.
+ * @module models/PatriciaTreeModel
+ */
+
+class PatriciaTreeNode {
+    constructor() {
+        /** @type {string|null} Clave, solo en hojas */
+        this.key = null;
+        /** @type {boolean} true si es nodo de enlace (interno) */
+        this.isLink = false;
+        /** @type {number|null} Índice (desde 0) del bit que examina el nodo de enlace */
+        this.bitIndex = null;
+        /** @type {PatriciaTreeNode|null} */
+        this.left = null;
+        /** @type {PatriciaTreeNode|null} */
+        this.right = null;
+    }
+
+    /** @returns {boolean} true si es hoja con datos */
+    get isLeaf() { return this.key !== null && !this.isLink; }
+}
+
+class PatriciaTreeModel {
+    /**
+     * @param {{type: string, bits?: number}|string} [encoding] - Codificación de las
+     *        claves (ver {@link TreeUtils.ENCODINGS}); por defecto, letras de 5 bits.
+     */
+    constructor(encoding) {
+        /** @type {{type: string, bits: number}} Codificación de las claves */
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
+        /** @type {PatriciaTreeNode|null} Con una sola clave, la raíz es su hoja */
+        this.root = null;
+        /** @type {Set<string>} */
+        this.keys = new Set();
+        /** @type {string[]} */
+        this.insertionOrder = [];
+    }
+
+    get created() { return this.keys.size > 0; }
+
+    reset() {
+        this.root = null;
+        this.keys = new Set();
+        this.insertionOrder = [];
+    }
+
+    /**
+     * Cambia la codificación de las claves. Solo con el árbol vacío.
+     * @param {{type: string, bits?: number}|string} encoding
+     * @returns {boolean} true si se cambió.
+     */
+    setEncoding(encoding) {
+        if (this.created) return false;
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
+        return true;
+    }
+
+    /**
+     * Inserta una clave. Se baja hasta una hoja siguiendo los bits que
+     * examinan los nodos de enlace, se busca el primer bit en que la clave
+     * difiere de esa hoja y se crea un único nodo de enlace para ese bit.
+     * @param {string} letter
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    insert(letter) {
+        const v = TreeUtils.validateKey(letter, this.encoding);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        letter = v.key;
+
+        if (this.keys.has(letter)) {
+            return { success: false, steps: [], error: `La clave "${letter}" ya existe en el árbol.` };
+        }
+
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
+        const leaf = new PatriciaTreeNode();
+        leaf.key = letter;
+
+        if (!this.root) {
+            this.root = leaf;
+            this._register(letter);
+            return { success: true, steps: [{ node: leaf, action: 'insert' }], error: null };
+        }
+
+        // 1. Bajar hasta la hoja más parecida a la clave
+        const { node: closest, steps } = this._descend(binary);
+        const closestBinary = TreeUtils.keyToBinary(closest.key, this.encoding);
+        let diffBit = 0;
+        while (binary[diffBit] === closestBinary[diffBit]) diffBit++;
+        steps.push({ node: closest, action: 'compare', key: closest.key, bitIndex: diffBit, bit: binary[diffBit] });
+
+        // 2. El nuevo enlace va sobre el primer nodo que examina un bit posterior
+        let parent = null;
+        let current = this.root;
+        while (current.isLink && current.bitIndex < diffBit) {
+            parent = current;
+            current = binary[current.bitIndex] === '0' ? current.left : current.right;
+        }
+
+        const link = new PatriciaTreeNode();
+        link.isLink = true;
+        link.bitIndex = diffBit;
+        if (binary[diffBit] === '0') {
+            link.left = leaf;
+            link.right = current;
+        } else {
+            link.left = current;
+            link.right = leaf;
+        }
+
+        if (!parent) {
+            this.root = link;
+        } else if (binary[parent.bitIndex] === '0') {
+            parent.left = link;
+        } else {
+            parent.right = link;
+        }
+
+        steps.push({ node: link, action: 'create-link', bitIndex: diffBit, bit: binary[diffBit] });
+        steps.push({ node: leaf, action: 'insert', bitIndex: diffBit });
+
+        this._register(letter);
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Busca una clave: se siguen solo los bits examinados y al llegar a la
+     * hoja se compara la clave completa (los bits omitidos pueden diferir).
+     * @param {string} letter
+     * @returns {{found: boolean, steps: Array, error: string|null}}
+     */
+    search(letter) {
+        const v = TreeUtils.validateKey(letter, this.encoding);
+        if (!v.valid) return { found: false, steps: [], error: v.error };
+        letter = v.key;
+
+        if (!this.root) return { found: false, steps: [], error: null };
+
+        const { node, steps } = this._descend(TreeUtils.keyToBinary(letter, this.encoding));
+        const found = node.key === letter;
+        steps.push({ node, action: found ? 'found' : 'not-found' });
+        return { found, steps, error: null };
+    }
+
+    /**
+     * Elimina una clave: se quita su hoja y el nodo de enlace padre, cuyo
+     * otro hijo sube a ocupar su lugar.
+     * @param {string} letter
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    delete(letter) {
+        const v = TreeUtils.validateKey(letter, this.encoding);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        letter = v.key;
+
+        if (!this.keys.has(letter)) {
+            return { success: false, steps: [], error: `La clave "${letter}" no existe en el árbol.` };
+        }
+
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
+        const { node: leaf, steps, path } = this._descend(binary);
+        steps.push({ node: leaf, action: 'delete-leaf' });
+
+        const parent = path[path.length - 1] || null;
+        const grandparent = path[path.length - 2] || null;
+
+        if (!parent) {
+            this.root = null;
+        } else {
+            const sibling = parent.left === leaf ? parent.right : parent.left;
+            steps.push({ node: parent, action: 'simplify', bitIndex: parent.bitIndex });
+
+            if (!grandparent) {
+                this.root = sibling;
+            } else if (grandparent.left === parent) {
+                grandparent.left = sibling;
+            } else {
+                grandparent.right = sibling;
+            }
+        }
+
+        this.keys.delete(letter);
+        this.insertionOrder = this.insertionOrder.filter(l => l !== letter);
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Métricas del árbol. Los nodos de enlace siempre tienen sus dos punteros
+     * ocupados; la altura se cuenta en aristas desde la raíz.
+     * @returns {{height: number, linkNodes: number, infoNodes: number, emptySlots: number, totalSlots: number, successful: {mean: number, max: number}}}
+     */
+    getMetrics() {
+        const metrics = { height: 0, linkNodes: 0, infoNodes: 0, emptySlots: 0, totalSlots: 0 };
+        const visit = (node, depth) => {
+            if (!node) return;
+            metrics.height = Math.max(metrics.height, depth);
+            if (!node.isLink) {
+                metrics.infoNodes++;
+                return;
+            }
+            metrics.linkNodes++;
+            metrics.totalSlots += 2;
+            visit(node.left, depth + 1);
+            visit(node.right, depth + 1);
+        };
+        visit(this.root, 0);
+        return { ...metrics, successful: TreeUtils.searchStats(this) };
+    }
+
+    /**
+     * Baja desde la raíz hasta una hoja siguiendo los bits que examina
+     * cada nodo de enlace.
+     * @private
+     * @param {string} binary - Codificación de la clave.
+     * @returns {{node: PatriciaTreeNode, steps: Array, path: PatriciaTreeNode[]}}
+     *          Hoja alcanzada, pasos y nodos de enlace recorridos.
+     */
+    _descend(binary) {
+        const steps = [];
+        const path = [];
+        let current = this.root;
+
+        while (current.isLink) {
+            const bit = binary[current.bitIndex];
+            steps.push({ node: current, action: 'visit-link', bitIndex: current.bitIndex, bit });
+            path.push(current);
+            current = bit === '0' ? current.left : current.right;
+        }
+        return { node: current, steps, path };
+    }
+
+    /**
+     * @private
+     * @param {string} letter
+     */
+    _register(letter) {
+        this.keys.add(letter);
+        this.insertionOrder.push(letter);
+    }
+
+    // ─── Serialización ─────────────────────────────────────────────────────────
+
+    toJSON() {
+        return {
+            type: 'patricia-tree',
+            encoding: { ...this.encoding },
+            insertionOrder: [...this.insertionOrder]
+        };
+    }
+
+    fromJSON(data) {
+        this.reset();
+        this.encoding = TreeUtils.normalizeEncoding(data.encoding);
+        if (data.insertionOrder) {
+            for (const letter of data.insertionOrder) {
+                this.insert(letter);
+            }
+        }
+    }
+
+    // ─── Layout ────────────────────────────────────────────────────────────────
+
+    getLayoutNodes() {
+        if (!this.root) return [];
+
+        const nodes = [];
+        const hGap = 60;
+        const vGap = 80;
+
+        let slotIndex = 0;
+
+        // Los nodos de enlace siempre tienen dos hijos
+        const assignPositions = (node, depth) => {
+            const y = depth * vGap;
+
+            if (!node.isLink) {
+                const x = slotIndex * hGap;
+                slotIndex++;
+                return { node, x, y };
+            }
+
+            const leftInfo = assignPositions(node.left, depth + 1);
+            const rightInfo = assignPositions(node.right, depth + 1);
+            return { node, x: (leftInfo.x + rightInfo.x) / 2, y, leftChild: leftInfo, rightChild: rightInfo };
+        };
+
+        const tree = assignPositions(this.root, 0);
+
+        const flatten = (info, parentX, parentY, edgeLabel) => {
+            nodes.push({
+                node: info.node,
+                x: info.x,
+                y: info.y,
+                parentX,
+                parentY,
+                edgeLabel
+            });
+            if (info.leftChild) flatten(info.leftChild, info.x, info.y, '0');
+            if (info.rightChild) flatten(info.rightChild, info.x, info.y, '1');
+        };
+
+        flatten(tree, null, null, null);
+
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const centerOffset = (minX + maxX) / 2;
+        for (const n of nodes) {
+            n.x -= centerOffset;
+            if (n.parentX !== null) n.parentX -= centerOffset;
+        }
+
+        return nodes;
+    }
+}
@@ -21,7 +21,13 @@ class ResidueTreeNode {
 }
 
 class ResidueTreeModel {
-    constructor() {
+    /**
+     * @param {{type: string, bits?: number}|string} [encoding] - Codificación de las
+     *        claves (ver {@link TreeUtils.ENCODINGS}); por defecto, letras de 5 bits.
+     */
+    constructor(encoding) {
+        /** @type {{type: string, bits: number}} Codificación de las claves */
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
         /** @type {ResidueTreeNode|null} Raíz siempre es nodo de enlace */
         this.root = null;
         /** @type {Set<string>} */
@@ -39,20 +45,31 @@ class ResidueTreeModel {
     }
 
     /**
-     * Inserta una letra.
+     * Cambia la codificación de las claves. Solo con el árbol vacío.
+     * @param {{type: string, bits?: number}|string} encoding
+     * @returns {boolean} true si se cambió.
+     */
+    setEncoding(encoding) {
+        if (this.created) return false;
+        this.encoding = TreeUtils.normalizeEncoding(encoding);
+        return true;
+    }
+
+    /**
+     * Inserta una clave.
      * @param {string} letter
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     insert(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
         if (this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" ya existe en el árbol.` };
         }
 
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const steps = [];
 
         // Primer nodo: raíz enlace + hoja
@@ -104,7 +121,7 @@ class ResidueTreeModel {
             if (child.isLeaf) {
                 steps.push({ node: child, action: 'collision', bitIndex });
                 const existingKey = child.key;
-                const existingBinary = TreeUtils.letterToBinary(existingKey);
+                const existingBinary = TreeUtils.keyToBinary(existingKey, this.encoding);
 
                 // Transformar hoja en nodo enlace y re-insertar ambas claves
                 child.key = null;
@@ -159,16 +176,16 @@ class ResidueTreeModel {
     }
 
     /**
-     * Busca una letra.
+     * Busca una clave.
      * @param {string} letter
      * @returns {{found: boolean, steps: Array, error: string|null}}
      */
     search(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { found: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = TreeUtils.keyToBinary(letter, this.encoding);
         const steps = [];
 
         if (!this.root) return { found: false, steps, error: null };
@@ -200,14 +217,14 @@ class ResidueTreeModel {
     }
 
     /**
-     * Elimina una letra reconstruyendo el árbol sin ella.
+     * Elimina una clave reconstruyendo el árbol sin ella.
      * @param {string} letter
      * @returns {{success: boolean, steps: Array, error: string|null}}
      */
     delete(letter) {
-        const v = TreeUtils.validateLetter(letter);
+        const v = TreeUtils.validateKey(letter, this.encoding);
         if (!v.valid) return { success: false, steps: [], error: v.error };
-        letter = v.letter;
+        letter = v.key;
 
         if (!this.keys.has(letter)) {
             return { success: false, steps: [], error: `La clave "${letter}" no existe en el árbol.` };
@@ -222,17 +239,43 @@ class ResidueTreeModel {
         return { success: true, steps: [], error: null };
     }
 
+    /**
+     * Métricas del árbol. Solo los nodos de enlace tienen punteros (0 y 1);
+     * la altura se cuenta en aristas desde la raíz.
+     * @returns {{height: number, linkNodes: number, infoNodes: number, emptySlots: number, totalSlots: number, successful: {mean: number, max: number}}}
+     */
+    getMetrics() {
+        const metrics = { height: 0, linkNodes: 0, infoNodes: 0, emptySlots: 0, totalSlots: 0 };
+        const visit = (node, depth) => {
+            if (!node) return;
+            metrics.height = Math.max(metrics.height, depth);
+            if (!node.isLink) {
+                metrics.infoNodes++;
+                return;
+            }
+            metrics.linkNodes++;
+            metrics.totalSlots += 2;
+            metrics.emptySlots += (node.left ? 0 : 1) + (node.right ? 0 : 1);
+            visit(node.left, depth + 1);
+            visit(node.right, depth + 1);
+        };
+        visit(this.root, 0);
+        return { ...metrics, successful: TreeUtils.searchStats(this) };
+    }
+
     // ─── Serialización ─────────────────────────────────────────────────────────
 
     toJSON() {
         return {
             type: 'residue-tree',
+            encoding: { ...this.encoding },
             insertionOrder: [...this.insertionOrder]
         };
     }
 
     fromJSON(data) {
         this.reset();
+        this.encoding = TreeUtils.normalizeEncoding(data.encoding);
         if (data.insertionOrder) {
             for (const letter of data.insertionOrder) {
                 this.insert(letter);
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Modelo del Árbol de Búsqueda Ternario (TST).
+ * Cada nodo guarda una letra y tiene tres hijos: menor (letras anteriores en
+ * la misma posición), igual (siguiente letra de la palabra) y mayor. El nodo
+ * de la última letra lleva la marca de fin de palabra.
+ * @module models/TernarySearchTreeModel
+ */
+
+class TernarySearchTreeNode {
+    /**
+     * @param {string} char - Letra que guarda el nodo.
+     */
+    constructor(char) {
+        /** @type {string} */
+        this.char = char;
+        /** @type {string|null} Palabra que termina en este nodo (marca de fin de palabra) */
+        this.key = null;
+        /** @type {TernarySearchTreeNode|null} Letras menores en la misma posición */
+        this.left = null;
+        /** @type {TernarySearchTreeNode|null} Siguiente letra de la palabra */
+        this.mid = null;
+        /** @type {TernarySearchTreeNode|null} Letras mayores en la misma posición */
+        this.right = null;
+    }
+
+    /** Nodo de enlace: ninguna palabra termina en él */
+    get isLink() { return this.key === null; }
+}
+
+class TernarySearchTreeModel {
+    constructor() {
+        /** @type {TernarySearchTreeNode|null} */
+        this.root = null;
+        /** @type {Set<string>} */
+        this.keys = new Set();
+        /** @type {string[]} */
+        this.insertionOrder = [];
+    }
+
+    get created() { return this.keys.size > 0; }
+
+    reset() {
+        this.root = null;
+        this.keys = new Set();
+        this.insertionOrder = [];
+    }
+
+    /**
+     * Inserta una palabra. En cada nodo se compara la letra actual: si es
+     * menor o mayor se baja por ese lado; si es igual se pasa a la siguiente
+     * letra por el hijo del medio. Los nodos que faltan se crean en el camino.
+     * @param {string} word
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    insert(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        word = v.key;
+
+        if (this.keys.has(word)) {
+            return { success: false, steps: [], error: `La palabra "${word}" ya existe en el árbol.` };
+        }
+
+        const steps = [];
+        if (!this.root) {
+            this.root = new TernarySearchTreeNode(word[0]);
+            steps.push({ node: this.root, action: 'create-link', charIndex: 0, char: word[0] });
+        }
+
+        let current = this.root;
+        let charIndex = 0;
+
+        while (true) {
+            const char = word[charIndex];
+            const direction = this._compare(char, current.char);
+            steps.push({ node: current, action: 'visit-link', charIndex, char, direction });
+
+            if (direction === 'mid' && charIndex === word.length - 1) break;
+
+            // Letra siguiente (si es igual) o la misma letra en un hermano
+            if (direction === 'mid') charIndex++;
+            if (!current[direction]) {
+                current[direction] = new TernarySearchTreeNode(word[charIndex]);
+                steps.push({ node: current[direction], action: 'create-link', charIndex, char: word[charIndex] });
+            }
+            current = current[direction];
+        }
+
+        current.key = word;
+        steps.push({ node: current, action: 'insert' });
+
+        this.keys.add(word);
+        this.insertionOrder.push(word);
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Busca una palabra: el camino debe consumir todas sus letras y el nodo
+     * de la última debe tener la marca de fin de palabra.
+     * @param {string} word
+     * @returns {{found: boolean, steps: Array, error: string|null}}
+     */
+    search(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { found: false, steps: [], error: v.error };
+        word = v.key;
+
+        const { node, steps } = this._walk(word);
+        if (!node) return { found: false, steps, error: null };
+
+        if (node.key === word) {
+            steps.push({ node, action: 'found' });
+            return { found: true, steps, error: null };
+        }
+
+        // El camino existe, pero es solo el prefijo de otras palabras
+        steps.push({ node, action: 'not-found', prefixOnly: true });
+        return { found: false, steps, error: null };
+    }
+
+    /**
+     * Lista, en orden alfabético, las palabras que empiezan con un prefijo:
+     * la del nodo del prefijo (si termina ahí) y las de su subárbol del medio,
+     * recorrido en orden (menor, nodo, igual, mayor).
+     * @param {string} prefix
+     * @returns {{words: string[], node: TernarySearchTreeNode|null, steps: Array, error: string|null}}
+     */
+    searchPrefix(prefix) {
+        const v = TreeUtils.validateWord(prefix);
+        if (!v.valid) return { words: [], node: null, steps: [], error: v.error };
+
+        const { node, steps } = this._walk(v.key);
+        if (!node) return { words: [], node: null, steps, error: null };
+        steps.push({ node, action: 'prefix-end', prefix: v.key });
+
+        const words = [];
+        const found = (current) => {
+            words.push(current.key);
+            steps.push({ node: current, action: 'found' });
+        };
+        const collect = (current) => {
+            if (!current) return;
+            collect(current.left);
+            if (current.key !== null) found(current);
+            collect(current.mid);
+            collect(current.right);
+        };
+
+        if (node.key !== null) found(node);
+        collect(node.mid);
+
+        return { words, node, steps, error: null };
+    }
+
+    /**
+     * Elimina una palabra reconstruyendo el árbol sin ella (la forma del
+     * árbol depende del orden de inserción de las palabras restantes).
+     * @param {string} word
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    delete(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        word = v.key;
+
+        if (!this.keys.has(word)) {
+            return { success: false, steps: [], error: `La palabra "${word}" no existe en el árbol.` };
+        }
+
+        const { node, steps } = this._walk(word);
+        steps.push({ node, action: 'delete-leaf' });
+
+        const newOrder = this.insertionOrder.filter(w => w !== word);
+        this.reset();
+        for (const w of newOrder) this.insert(w);
+
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Compara una letra con la del nodo.
+     * @private
+     * @param {string} char
+     * @param {string} nodeChar
+     * @returns {'left'|'mid'|'right'} Hijo por el que se sigue.
+     */
+    _compare(char, nodeChar) {
+        if (char < nodeChar) return 'left';
+        if (char > nodeChar) return 'right';
+        return 'mid';
+    }
+
+    /**
+     * Recorre desde la raíz las letras de una palabra o prefijo.
+     * @private
+     * @param {string} word - Palabra ya validada.
+     * @returns {{node: TernarySearchTreeNode|null, steps: Array}} Nodo de la última
+     *          letra (null si el camino no existe) y los pasos del recorrido.
+     */
+    _walk(word) {
+        const steps = [];
+        let current = this.root;
+        let charIndex = 0;
+
+        while (current) {
+            const char = word[charIndex];
+            const direction = this._compare(char, current.char);
+            steps.push({ node: current, action: 'visit-link', charIndex, char, direction });
+
+            if (direction === 'mid') {
+                if (charIndex === word.length - 1) return { node: current, steps };
+                charIndex++;
+            }
+            current = current[direction];
+        }
+
+        if (steps.length > 0) steps[steps.length - 1].action = 'not-found';
+        return { node: null, steps };
+    }
+
+    // ─── Serialización ─────────────────────────────────────────────────────────
+
+    toJSON() {
+        return {
+            type: 'ternary-search-tree',
+            insertionOrder: [...this.insertionOrder]
+        };
+    }
+
+    fromJSON(data) {
+        this.reset();
+        if (data.insertionOrder) {
+            for (const word of data.insertionOrder) {
+                this.insert(word);
+            }
+        }
+    }
+
+    // ─── Layout ────────────────────────────────────────────────────────────────
+
+    /**
+     * Posiciona los nodos con tres hijos: el subárbol menor a la izquierda, el
+     * mayor a la derecha y el hijo igual justo debajo del nodo (un nodo sin
+     * hijo igual ocupa su propia columna). Las aristas se etiquetan con
+     * '<', '=' y '>'.
+     */
+    getLayoutNodes() {
+        if (!this.root) return [];
+
+        const nodes = [];
+        const hGap = 50;
+        const vGap = 70;
+
+        let slotIndex = 0;
+
+        const assignPositions = (node, depth) => {
+            const y = depth * vGap;
+            const childInfos = [];
+
+            // Recorrido en orden (menor, igual, mayor) para que las columnas sigan el alfabeto
+            if (node.left) childInfos.push({ info: assignPositions(node.left, depth + 1), label: '<' });
+
+            let x;
+            if (node.mid) {
+                const midInfo = assignPositions(node.mid, depth + 1);
+                childInfos.push({ info: midInfo, label: '=' });
+                x = midInfo.x;
+            } else {
+                x = slotIndex * hGap;
+                slotIndex++;
+            }
+
+            if (node.right) childInfos.push({ info: assignPositions(node.right, depth + 1), label: '>' });
+
+            return { node, x, y, childInfos };
+        };
+
+        const tree = assignPositions(this.root, 0);
+
+        const flatten = (info, parentX, parentY, edgeLabel) => {
+            nodes.push({
+                node: info.node, x: info.x, y: info.y,
+                parentX, parentY, edgeLabel
+            });
+            for (const ci of info.childInfos) flatten(ci.info, info.x, info.y, ci.label);
+        };
+
+        flatten(tree, null, null, null);
+
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const centerOffset = (minX + maxX) / 2;
+        for (const n of nodes) {
+            n.x -= centerOffset;
+            if (n.parentX !== null) n.parentX -= centerOffset;
+        }
+
+        return nodes;
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Modelo del Trie de palabras (árbol de búsqueda por residuos
+ * a nivel de carácter). Cada arista consume una letra de la palabra y el nodo
+ * al que llega la última letra lleva la marca de fin de palabra, de modo que
+ * las palabras que comparten prefijo comparten el camino desde la raíz.
+ * @module models/TrieModel
+ */
+
+class TrieNode {
+    /**
+     * @param {string|null} char - Letra de la arista que llega al nodo (null en la raíz).
+     */
+    constructor(char = null) {
+        /** @type {string|null} */
+        this.char = char;
+        /** @type {string|null} Palabra que termina en este nodo (marca de fin de palabra) */
+        this.key = null;
+        /** @type {Object<string, TrieNode>} Hijos indexados por letra */
+        this.children = {};
+    }
+
+    /** Nodo de enlace: ninguna palabra termina en él */
+    get isLink() { return this.key === null; }
+
+    /** Cuenta cuántos hijos tiene */
+    get childCount() { return Object.keys(this.children).length; }
+
+    /**
+     * Hijos ordenados alfabéticamente.
+     * @returns {Array<[string, TrieNode]>}
+     */
+    sortedChildren() {
+        return Object.entries(this.children).sort(([a], [b]) => a.localeCompare(b));
+    }
+}
+
+class TrieModel {
+    constructor() {
+        /** @type {TrieNode|null} */
+        this.root = null;
+        /** @type {Set<string>} */
+        this.keys = new Set();
+        /** @type {string[]} */
+        this.insertionOrder = [];
+    }
+
+    get created() { return this.keys.size > 0; }
+
+    reset() {
+        this.root = null;
+        this.keys = new Set();
+        this.insertionOrder = [];
+    }
+
+    /**
+     * Inserta una palabra. Recorre las letras desde la raíz creando los nodos
+     * que falten y marca el último como fin de palabra.
+     * @param {string} word
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    insert(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        word = v.key;
+
+        if (this.keys.has(word)) {
+            return { success: false, steps: [], error: `La palabra "${word}" ya existe en el trie.` };
+        }
+
+        if (!this.root) this.root = new TrieNode();
+
+        const steps = [];
+        let current = this.root;
+
+        for (let charIndex = 0; charIndex < word.length; charIndex++) {
+            const char = word[charIndex];
+            steps.push({ node: current, action: 'visit-link', charIndex, char });
+
+            if (!current.children[char]) {
+                const child = new TrieNode(char);
+                current.children[char] = child;
+                steps.push({ node: child, action: 'create-link', charIndex, char });
+            }
+            current = current.children[char];
+        }
+
+        current.key = word;
+        steps.push({ node: current, action: 'insert' });
+
+        this.keys.add(word);
+        this.insertionOrder.push(word);
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Busca una palabra: debe existir el camino de sus letras y el último
+     * nodo debe tener la marca de fin de palabra.
+     * @param {string} word
+     * @returns {{found: boolean, steps: Array, error: string|null}}
+     */
+    search(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { found: false, steps: [], error: v.error };
+        word = v.key;
+
+        const { node, steps } = this._walk(word);
+        if (!node) return { found: false, steps, error: null };
+
+        if (node.key === word) {
+            steps.push({ node, action: 'found' });
+            return { found: true, steps, error: null };
+        }
+
+        // El camino existe, pero es solo el prefijo de otras palabras
+        steps.push({ node, action: 'not-found', prefixOnly: true });
+        return { found: false, steps, error: null };
+    }
+
+    /**
+     * Lista, en orden alfabético, las palabras que empiezan con un prefijo.
+     * @param {string} prefix
+     * @returns {{words: string[], node: TrieNode|null, steps: Array, error: string|null}}
+     */
+    searchPrefix(prefix) {
+        const v = TreeUtils.validateWord(prefix);
+        if (!v.valid) return { words: [], node: null, steps: [], error: v.error };
+
+        const { node, steps } = this._walk(v.key);
+        if (!node) return { words: [], node: null, steps, error: null };
+        steps.push({ node, action: 'prefix-end', prefix: v.key });
+
+        const words = [];
+        const collect = (current) => {
+            if (current.key !== null) {
+                words.push(current.key);
+                steps.push({ node: current, action: 'found' });
+            }
+            for (const [, child] of current.sortedChildren()) collect(child);
+        };
+        collect(node);
+
+        return { words, node, steps, error: null };
+    }
+
+    /**
+     * Elimina una palabra: quita su marca de fin de palabra y poda, de abajo
+     * hacia arriba, los nodos que quedan sin hijos ni marca.
+     * @param {string} word
+     * @returns {{success: boolean, steps: Array, error: string|null}}
+     */
+    delete(word) {
+        const v = TreeUtils.validateWord(word);
+        if (!v.valid) return { success: false, steps: [], error: v.error };
+        word = v.key;
+
+        if (!this.keys.has(word)) {
+            return { success: false, steps: [], error: `La palabra "${word}" no existe en el trie.` };
+        }
+
+        const { node, steps } = this._walk(word);
+        node.key = null;
+        steps.push({ node, action: 'delete-leaf' });
+
+        // Camino raíz → nodo de la palabra, para podar desde el final
+        const path = [this.root];
+        for (const char of word) path.push(path[path.length - 1].children[char]);
+
+        for (let i = path.length - 1; i > 0; i--) {
+            const current = path[i];
+            if (current.key !== null || current.childCount > 0) break;
+            delete path[i - 1].children[current.char];
+            steps.push({ node: current, action: 'remove-link', charIndex: i - 1, char: current.char });
+        }
+
+        this.keys.delete(word);
+        this.insertionOrder = this.insertionOrder.filter(w => w !== word);
+        if (this.keys.size === 0) this.root = null;
+
+        return { success: true, steps, error: null };
+    }
+
+    /**
+     * Recorre desde la raíz las letras de una palabra o prefijo.
+     * @private
+     * @param {string} word - Palabra ya validada.
+     * @returns {{node: TrieNode|null, steps: Array}} Nodo al que llega la última
+     *          letra (null si el camino no existe) y los pasos del recorrido.
+     */
+    _walk(word) {
+        const steps = [];
+        if (!this.root) return { node: null, steps };
+
+        let current = this.root;
+        for (let charIndex = 0; charIndex < word.length; charIndex++) {
+            const char = word[charIndex];
+            steps.push({ node: current, action: 'visit-link', charIndex, char });
+
+            if (!current.children[char]) {
+                steps[steps.length - 1].action = 'not-found';
+                return { node: null, steps };
+            }
+            current = current.children[char];
+        }
+        return { node: current, steps };
+    }
+
+    // ─── Serialización ─────────────────────────────────────────────────────────
+
+    toJSON() {
+        return {
+            type: 'trie',
+            insertionOrder: [...this.insertionOrder]
+        };
+    }
+
+    fromJSON(data) {
+        this.reset();
+        if (data.insertionOrder) {
+            for (const word of data.insertionOrder) {
+                this.insert(word);
+            }
+        }
+    }
+
+    // ─── Layout ────────────────────────────────────────────────────────────────
+
+    /**
+     * Posiciona los nodos: cada hoja ocupa una columna y cada nodo interno se
+     * centra sobre sus hijos, ordenados alfabéticamente. Las aristas se
+     * etiquetan con la letra que consumen.
+     */
+    getLayoutNodes() {
+        if (!this.root) return [];
+
+        const nodes = [];
+        const hGap = 60;
+        const vGap = 80;
+
+        let slotIndex = 0;
+
+        const assignPositions = (node, depth) => {
+            const y = depth * vGap;
+            const children = node.sortedChildren();
+
+            if (children.length === 0) {
+                const x = slotIndex * hGap;
+                slotIndex++;
+                return { node, x, y, childInfos: [] };
+            }
+
+            const childInfos = children.map(([char, child]) => ({
+                info: assignPositions(child, depth + 1),
+                label: char
+            }));
+            const xs = childInfos.map(c => c.info.x);
+            const x = (Math.min(...xs) + Math.max(...xs)) / 2;
+
+            return { node, x, y, childInfos };
+        };
+
+        const tree = assignPositions(this.root, 0);
+
+        const flatten = (info, parentX, parentY, edgeLabel) => {
+            nodes.push({
+                node: info.node, x: info.x, y: info.y,
+                parentX, parentY, edgeLabel
+            });
+            for (const ci of info.childInfos) flatten(ci.info, info.x, info.y, ci.label);
+        };
+
+        flatten(tree, null, null, null);
+
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const centerOffset = (minX + maxX) / 2;
+        for (const n of nodes) {
+            n.x -= centerOffset;
+            if (n.parentX !== null) n.parentX -= centerOffset;
+        }
+
+        return nodes;
+    }
+}
@@ -1,7 +1,9 @@
 /**
  * @fileoverview Defines file compatibility groups.
  * Files saved by algorithms within the same group can be loaded
- * by any other algorithm in that group.
+ * by any other algorithm in that group. Files from a different group can be
+ * converted when a conversion path exists: the stored keys are extracted and
+ * re-validated for the target view, and the user previews which are kept.
  * @module utils/FileCompat
  */
 
@@ -12,11 +14,42 @@ const FileCompat = {
      */
     _groups: {
         linear: ['busqueda-secuencial', 'busqueda-binaria'],
-        hash: ['busqueda-hash-mod', 'busqueda-hash-cuadrado', 'hash-truncamiento', 'hash-plegamiento'],
-        tree: ['arboles-digitales', 'arboles-residuos', 'arboles-residuos-multiples'],
-        huffman: ['arboles-huffman']
+        hash: ['busqueda-hash-mod', 'busqueda-hash-cuadrado', 'hash-truncamiento', 'hash-plegamiento', 'hash-multiplicacion', 'hash-base', 'hash-comparacion', 'hash-funciones'],
+        tree: ['arboles-digitales', 'arboles-residuos', 'arboles-residuos-multiples', 'arboles-patricia'],
+        huffman: ['arboles-huffman'],
+        trie: ['arboles-trie', 'arboles-ternarios']
     },
 
+    /**
+     * Conversion paths between groups (source group → target groups).
+     * Key lists (linear/hash) convert among themselves and into trees by keeping
+     * the single letters; a tree's insertion order becomes a key list or a
+     * Huffman message. Key lists and trees also load into the word trees
+     * (trie and ternary search tree) as one-word keys.
+     */
+    _conversions: {
+        linear: ['hash', 'tree', 'trie'],
+        hash: ['linear', 'tree', 'trie'],
+        tree: ['linear', 'hash', 'huffman', 'trie'],
+        huffman: [],
+        trie: []
+    },
+
+    /**
+     * Table size used when a tree is converted into a linear or hash structure:
+     * one position per letter of the alphabet, so every letter fits (trees with
+     * other encodings get at least one position per key).
+     * @type {number}
+     */
+    TREE_TABLE_SIZE: 26,
+
+    /**
+     * Key type of the table built from a tree, per tree encoding
+     * (see {@link TreeUtils.ENCODINGS}). Bit strings are stored as numeric keys.
+     * @type {Object<string, string>}
+     */
+    TREE_DATA_TYPES: { letras: 'texto', ascii7: 'alfanumerico', ascii8: 'alfanumerico', bcd: 'numerico', binario: 'numerico' },
+
     /**
      * Returns the group name for a given algorithm, or null if not in any group.
      * @param {string} algorithmName
@@ -48,6 +81,192 @@ const FileCompat = {
         return groupA === groupB;
     },
 
+    /**
+     * Checks if a conversion path exists between two different groups.
+     * @param {string} fromGroup
+     * @param {string} toGroup
+     * @returns {boolean}
+     */
+    canConvert(fromGroup, toGroup) {
+        if (!fromGroup || !toGroup || fromGroup === toGroup) return false;
+        return (this._conversions[fromGroup] || []).includes(toGroup);
+    },
+
+    /**
+     * Checks if a file holds a structure of another group than the view's,
+     * so it must be converted before loading it.
+     * @param {Object} data - File envelope already validated by {@link FileSchema}.
+     * @param {string} toAlgo - Algorithm of the current view.
+     * @returns {boolean}
+     */
+    needsConversion(data, toAlgo) {
+        const toGroup = this.getGroup(toAlgo);
+        return toGroup !== null && FileSchema.getStructureType(data) !== toGroup;
+    },
+
+    /**
+     * Returns the keys stored in a file, in table (or insertion) order.
+     * @param {Object} data - File envelope already validated by {@link FileSchema}.
+     * @returns {Array<string>}
+     */
+    getFileKeys(data) {
+        const structure = data.structure;
+        if (Array.isArray(structure.insertionOrder)) return [...structure.insertionOrder];
+        if (typeof structure.message === 'string') return [...structure.message];
+
+        const source = new DataStructure();
+        source.fromJSON(structure);
+        return source.getStoredKeys().map(entry => entry.key);
+    },
+
+    /**
+     * Prepares the conversion of a file for another group: extracts its keys
+     * and validates each one for the target view. Tree views keep the keys that
+     * are valid for their encoding (single letters A-Z by default) and Huffman
+     * keeps the single letters; the word trees keep the keys that are words of
+     * letters A-Z; linear and hash views keep the keys that are
+     * valid for a structure with the file's configuration (a tree becomes a
+     * table of {@link FileCompat.TREE_TABLE_SIZE} positions whose key type
+     * depends on the tree encoding). Repeated keys are dropped in every case.
+     * @param {Object} data - File envelope already validated by {@link FileSchema}.
+     * @param {string} toAlgo - Algorithm of the current view.
+     * @param {{type: string, bits: number}|null} [encoding=null] - Key encoding of the
+     *        target tree (letters by default).
+     * @returns {{success: boolean, fromGroup: string, toGroup: string, kept: Array<string>,
+     *            dropped: Array<{key: string, error: string}>,
+     *            config: {size: number, keyLength: number, dataType: string}|null, error: string|null}}
+     */
+    prepareConversion(data, toAlgo, encoding = null) {
+        const fromGroup = FileSchema.getStructureType(data);
+        const toGroup = this.getGroup(toAlgo);
+        if (!this.canConvert(fromGroup, toGroup)) {
+            return {
+                success: false, fromGroup, toGroup, kept: [], dropped: [], config: null,
+                error: `Los archivos de ${this.getGroupDisplayName(fromGroup)} no se pueden convertir a ${this.getGroupDisplayName(toGroup)}.`
+            };
+        }
+
+        const keys = this.getFileKeys(data);
+        const kept = [];
+        const dropped = [];
+        let config = null;
+        let accept;
+
+        if (toGroup === 'trie') {
+            accept = (key) => {
+                const v = TreeUtils.validateWord(key);
+                if (!v.valid) return v;
+                if (kept.includes(v.key)) {
+                    return { valid: false, key: null, error: `La palabra "${v.key}" está repetida.` };
+                }
+                return v;
+            };
+        } else if (toGroup === 'tree' || toGroup === 'huffman') {
+            // Huffman messages are always made of letters
+            const target = TreeUtils.normalizeEncoding(toGroup === 'tree' ? encoding : null);
+            const { single } = TreeUtils.ENCODINGS[target.type];
+            accept = (key) => {
+                if (single && [...key.trim()].length > 1) {
+                    return { valid: false, key: null, error: `Tiene ${[...key.trim()].length} caracteres y cada nodo guarda ${single}.` };
+                }
+                const v = TreeUtils.validateKey(key, target);
+                if (!v.valid) return { valid: false, key: null, error: v.error };
+                if (toGroup === 'tree' && kept.includes(v.key)) {
+                    return { valid: false, key: null, error: `La clave "${v.key}" está repetida.` };
+                }
+                return { valid: true, key: v.key, error: null };
+            };
+        } else {
+            const structure = data.structure;
+            const treeEncoding = TreeUtils.normalizeEncoding(structure.encoding);
+            config = fromGroup === 'tree'
+                ? {
+                    size: Math.max(this.TREE_TABLE_SIZE, keys.length),
+                    keyLength: treeEncoding.type === 'binario' ? treeEncoding.bits : 1,
+                    dataType: this.TREE_DATA_TYPES[treeEncoding.type]
+                }
+                // Buckets and the second Cuckoo table can hold more keys than positions
+                : { size: Math.max(structure.size, keys.length), keyLength: structure.keyLength, dataType: structure.dataType };
+
+            const probe = new DataStructure();
+            probe.create(config.size, config.keyLength, config.dataType, false);
+            accept = (key) => {
+                const result = probe.insert(key);
+                return { valid: result.success, key: result.success ? probe.keys[result.position] : null, error: result.error };
+            };
+        }
+
+        for (const key of keys) {
+            const result = accept(key);
+            if (result.valid) {
+                kept.push(result.key);
+            } else {
+                dropped.push({ key, error: result.error });
+            }
+        }
+
+        return { success: true, fromGroup, toGroup, kept, dropped, config, error: null };
+    },
+
+    /**
+     * Prepares the conversion of a file and shows its preview. Reports the
+     * error if there is no conversion path.
+     * @param {Object} data - File envelope already validated by {@link FileSchema}.
+     * @param {string} toAlgo - Algorithm of the current view.
+     * @param {{type: string, bits: number}|null} [encoding=null] - Key encoding of the target tree.
+     * @returns {Promise<Object|null>} The accepted conversion (see {@link FileCompat.prepareConversion}), or null.
+     */
+    async convert(data, toAlgo, encoding = null) {
+        const conversion = this.prepareConversion(data, toAlgo, encoding);
+        if (!conversion.success) {
+            Validation.showError(conversion.error);
+            return null;
+        }
+        return (await this.confirmConversion(conversion)) ? conversion : null;
+    },
+
+    /**
+     * Shows the conversion preview (kept and dropped keys) and asks the user
+     * to confirm it. If no key can be kept, shows an error instead.
+     * @param {Object} conversion - Result of {@link FileCompat.prepareConversion}.
+     * @returns {Promise<boolean>} true if the user accepted the conversion.
+     */
+    async confirmConversion(conversion) {
+        const fromName = this.getGroupDisplayName(conversion.fromGroup);
+        const toName = this.getGroupDisplayName(conversion.toGroup);
+        const { kept, dropped } = conversion;
+
+        if (kept.length === 0) {
+            Validation.showError(`Ninguna clave del archivo de ${fromName} es válida para ${toName}.`);
+            return false;
+        }
+
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const keptList = kept.map(key => `<span class="conversion-key">${escape(key)}</span>`).join('');
+        const droppedList = dropped
+            .map(({ key, error }) => `<li><span class="conversion-key dropped">${escape(key)}</span> ${escape(error)}</li>`)
+            .join('');
+
+        const result = await Swal.fire({
+            icon: 'question',
+            title: 'Convertir archivo',
+            html: `
+                <p>El archivo pertenece a <strong>${escape(fromName)}</strong> y se convertirá a <strong>${escape(toName)}</strong>.</p>
+                <div class="conversion-preview">
+                    <h4>Se conservan ${kept.length} clave(s)</h4>
+                    <div class="conversion-keys">${keptList}</div>
+                    ${dropped.length > 0 ? `<h4>Se descartan ${dropped.length} clave(s)</h4><ul class="conversion-dropped">${droppedList}</ul>` : ''}
+                </div>
+            `,
+            showCancelButton: true,
+            confirmButtonColor: '#2B579A',
+            cancelButtonColor: '#D83B01',
+            confirmButtonText: 'Convertir',
+            cancelButtonText: 'Cancelar'
+        });
+        return result.isConfirmed;
+    },
+
     /**
      * Returns a user-friendly name for the group.
      * @param {string} groupName
@@ -57,7 +276,9 @@ const FileCompat = {
         const names = {
             linear: 'Búsquedas Lineales (Secuencial/Binaria)',
             hash: 'Funciones Hash',
-            tree: 'Árboles por Residuos'
+            tree: 'Árboles Digitales y por Residuos',
+            huffman: 'Árboles de Huffman',
+            trie: 'Tries y Árboles Ternarios'
         };
         return names[groupName] || groupName;
     }
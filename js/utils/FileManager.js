@@ -1,7 +1,8 @@
 /**
  * @fileoverview Gestor de archivos para guardar, cargar e imprimir.
- * Permite descargar la estructura como JSON, cargar un archivo JSON
- * previamente guardado e invocar la funcionalidad de impresión del navegador.
+ * Permite descargar la estructura como JSON (con el sobre versionado de
+ * {@link FileSchema}), cargar un archivo JSON previamente guardado e
+ * invocar la funcionalidad de impresión del navegador.
  * @module utils/FileManager
  */
 
@@ -22,11 +23,7 @@ const FileManager = {
             return;
         }
 
-        const data = {
-            algorithm: algorithmName,
-            timestamp: new Date().toISOString(),
-            structure: dataStructure.toJSON()
-        };
+        const data = FileSchema.createEnvelope(algorithmName, dataStructure.toJSON());
 
         const jsonString = JSON.stringify(data, null, 2);
         const defaultName = `${algorithmName}_${Date.now()}.json`;
@@ -37,25 +34,40 @@ const FileManager = {
     /**
      * Guarda un string JSON en un archivo, permitiendo al usuario
      * elegir la ubicación y el nombre del archivo.
-     * Usa showSaveFilePicker (File System Access API) si está disponible;
-     * si no, pide el nombre con SweetAlert2 y descarga normalmente.
      * @param {string} jsonString - Contenido JSON a guardar.
      * @param {string} defaultFileName - Nombre de archivo por defecto.
      */
     async saveJSON(jsonString, defaultFileName) {
+        await FileManager.saveText(jsonString, defaultFileName, {
+            description: 'Archivo JSON',
+            mimeType: 'application/json',
+            extension: '.json'
+        });
+    },
+
+    /**
+     * Guarda un texto en un archivo, permitiendo al usuario
+     * elegir la ubicación y el nombre del archivo.
+     * Usa showSaveFilePicker (File System Access API) si está disponible;
+     * si no, descarga normalmente con el nombre por defecto.
+     * @param {string} content - Contenido a guardar.
+     * @param {string} defaultFileName - Nombre de archivo por defecto.
+     * @param {{description: string, mimeType: string, extension: string}} fileType - Tipo de archivo.
+     */
+    async saveText(content, defaultFileName, fileType) {
         // Intentar usar la File System Access API (Chrome, Edge, Opera)
         if (window.showSaveFilePicker) {
             try {
                 const handle = await window.showSaveFilePicker({
                     suggestedName: defaultFileName,
                     types: [{
-                        description: 'Archivo JSON',
-                        accept: { 'application/json': ['.json'] }
+                        description: fileType.description,
+                        accept: { [fileType.mimeType]: [fileType.extension] }
                     }]
                 });
 
                 const writable = await handle.createWritable();
-                await writable.write(jsonString);
+                await writable.write(content);
                 await writable.close();
 
                 Validation.showSuccess('Archivo guardado correctamente.');
@@ -73,7 +85,7 @@ const FileManager = {
         // activado, abrirá el explorador nativo para elegir nombre y ubicación.
         // Nota: no se muestra mensaje de éxito porque no es posible saber
         // si el usuario realmente guardó el archivo o canceló el diálogo.
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        const blob = new Blob([content], { type: fileType.mimeType });
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
@@ -87,10 +99,14 @@ const FileManager = {
 
     /**
      * Carga un archivo JSON previamente guardado mediante un selector de archivos.
-     * Valida que el archivo tenga el formato esperado (estructura con claves).
-     * @returns {Promise<Object|null>} Objeto parseado del archivo JSON, o null si falla.
+     * Actualiza los archivos de versiones anteriores y valida la estructura
+     * según su tipo con {@link FileSchema.prepare}.
+     * @param {Array<string>|null} [types=null] - Tipos de estructura que acepta la vista
+     *        ('linear', 'hash', 'tree', 'huffman', 'trie'); null acepta cualquiera.
+     * @returns {Promise<Object|null>} Sobre del archivo ya migrado (con `migratedFrom`
+     *          si se actualizó desde una versión anterior), o null si falla.
      */
-    load() {
+    load(types = null) {
         return new Promise((resolve) => {
             const input = document.createElement('input');
             input.type = 'file';
@@ -106,13 +122,13 @@ const FileManager = {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     try {
-                        const data = JSON.parse(event.target.result);
-                        if (!data.structure || !data.structure.keys) {
-                            Validation.showError('El archivo no tiene un formato válido.');
+                        const result = FileSchema.prepare(JSON.parse(event.target.result), types);
+                        if (!result.valid) {
+                            Validation.showError(`El archivo no tiene un formato válido. ${result.error}`);
                             resolve(null);
                             return;
                         }
-                        resolve(data);
+                        resolve(result.migratedFrom ? { ...result.data, migratedFrom: result.migratedFrom } : result.data);
                     } catch (err) {
                         Validation.showError('Error al leer el archivo. Asegúrese de que sea un archivo JSON válido.');
                         resolve(null);
@@ -125,6 +141,37 @@ const FileManager = {
         });
     },
 
+    /**
+     * Lee un archivo de texto (CSV, TXT...) elegido con un selector de archivos.
+     * @param {string} accept - Extensiones aceptadas por el selector (ej: '.csv,.txt').
+     * @returns {Promise<{name: string, text: string}|null>} Nombre y contenido del archivo, o null si se cancela o falla.
+     */
+    loadText(accept) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = (event) => resolve({ name: file.name, text: event.target.result });
+                reader.onerror = () => {
+                    Validation.showError('Error al leer el archivo.');
+                    resolve(null);
+                };
+                reader.readAsText(file);
+            };
+
+            input.click();
+        });
+    },
+
     /**
      * Invoca la funcionalidad de impresión nativa del navegador.
      */
@@ -0,0 +1,439 @@
+/**
+ * @fileoverview Esquema versionado de los archivos guardados.
+ * Todo archivo lleva el sobre {schemaVersion, algorithm, timestamp, structure}.
+ * Al cargar, los archivos de versiones anteriores se actualizan con funciones
+ * de migración encadenadas y luego se valida la estructura según su tipo
+ * (lineal, hash, árbol, trie o Huffman), con mensajes que indican el campo o la
+ * posición exacta del problema.
+ * @module utils/FileSchema
+ */
+
+/**
+ * Módulo de versionado, migración y validación de archivos.
+ * @namespace
+ */
+const FileSchema = {
+    /**
+     * Versión actual del formato. Los archivos sin `schemaVersion` son la versión 1.
+     * @type {number}
+     */
+    CURRENT_VERSION: 2,
+
+    /**
+     * Método hash de cada vista hash, para archivos antiguos que no lo guardaban.
+     * @type {Object<string, string>}
+     */
+    LEGACY_HASH_METHODS: {
+        'busqueda-hash-mod': 'modulo',
+        'busqueda-hash-cuadrado': 'cuadrado',
+        'hash-truncamiento': 'truncamiento',
+        'hash-plegamiento': 'plegamiento',
+        'hash-multiplicacion': 'multiplicacion',
+        'hash-base': 'base'
+    },
+
+    /**
+     * Tipo de modelo guardado por cada vista de árboles.
+     * @type {Object<string, string>}
+     */
+    TREE_TYPES: {
+        'arboles-digitales': 'digital-tree',
+        'arboles-residuos': 'residue-tree',
+        'arboles-residuos-multiples': 'multi-residue-tree',
+        'arboles-patricia': 'patricia-tree'
+    },
+
+    /**
+     * Tipo de modelo guardado por cada vista de árboles de palabras.
+     * @type {Object<string, string>}
+     */
+    WORD_TREE_TYPES: {
+        'arboles-trie': 'trie',
+        'arboles-ternarios': 'ternary-search-tree'
+    },
+
+    /**
+     * Nombres legibles de los tipos de estructura, para los mensajes de error.
+     * @type {Object<string, string>}
+     */
+    TYPE_NAMES: {
+        linear: 'una estructura lineal',
+        hash: 'una tabla hash',
+        tree: 'un árbol',
+        huffman: 'un árbol de Huffman',
+        trie: 'un árbol de palabras (trie o ternario)'
+    },
+
+    /**
+     * Migraciones: la función en la clave n convierte un archivo de la
+     * versión n a la versión n + 1.
+     * @type {Object<number, function(Object): Object>}
+     */
+    MIGRATIONS: {
+        1: (data) => {
+            if (!data.structure || typeof data.structure !== 'object') return { ...data, schemaVersion: 2 };
+
+            const structure = { ...data.structure };
+            const type = FileSchema.getStructureType(data);
+
+            if (type === 'linear' || type === 'hash') {
+                if (structure.allowDuplicates === undefined) structure.allowDuplicates = false;
+                if (type === 'hash' && !structure.hashMethod) {
+                    structure.hashMethod = FileSchema.LEGACY_HASH_METHODS[data.algorithm] || 'modulo';
+                }
+                if (!Number.isInteger(structure.count) && Array.isArray(structure.keys)) {
+                    structure.count = FileSchema._collectKeys(structure).length;
+                }
+            } else if (type === 'tree') {
+                if (!structure.type) structure.type = FileSchema.TREE_TYPES[data.algorithm] || 'digital-tree';
+                if (structure.type === 'multi-residue-tree' && structure.m === undefined) structure.m = 2;
+            } else if (type === 'huffman') {
+                if (!structure.type) structure.type = 'huffman-tree';
+            } else if (type === 'trie') {
+                if (!structure.type) structure.type = FileSchema.WORD_TREE_TYPES[data.algorithm] || 'trie';
+            }
+
+            return { ...data, schemaVersion: 2, structure };
+        }
+    },
+
+    /**
+     * Crea el sobre de un archivo guardado con la versión actual del formato.
+     * @param {string} algorithm - Nombre del algoritmo que guarda el archivo.
+     * @param {Object} structure - Estructura serializada (toJSON del modelo).
+     * @param {Object} [extra={}] - Campos adicionales de la vista (ej: strategies).
+     * @returns {Object}
+     */
+    createEnvelope(algorithm, structure, extra = {}) {
+        return {
+            schemaVersion: FileSchema.CURRENT_VERSION,
+            algorithm,
+            timestamp: new Date().toISOString(),
+            structure,
+            ...extra
+        };
+    },
+
+    /**
+     * Tipo de estructura de un archivo: el grupo de su algoritmo o, si no lo
+     * indica, el que se deduce de los campos de la estructura.
+     * @param {Object} data - Sobre del archivo.
+     * @returns {string|null} 'linear', 'hash', 'tree', 'huffman', 'trie' o null.
+     */
+    getStructureType(data) {
+        const group = data.algorithm ? FileCompat.getGroup(data.algorithm) : null;
+        if (group) return group;
+
+        const structure = data.structure || {};
+        if (typeof structure.message === 'string') return 'huffman';
+        if (Object.values(FileSchema.WORD_TREE_TYPES).includes(structure.type)) return 'trie';
+        if (Array.isArray(structure.insertionOrder)) return 'tree';
+        if (Array.isArray(structure.keys)) return structure.collisionStrategy || structure.hashMethod ? 'hash' : 'linear';
+        return null;
+    },
+
+    /**
+     * Actualiza un archivo a la versión actual aplicando las migraciones en orden.
+     * @param {Object} data - Sobre del archivo.
+     * @returns {{success: boolean, data: Object|null, migratedFrom: number|null, error: string|null}}
+     */
+    migrate(data) {
+        const version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+
+        if (!Number.isInteger(version) || version < 1) {
+            return { success: false, data: null, migratedFrom: null, error: `"schemaVersion" debe ser un entero positivo (valor: ${JSON.stringify(data.schemaVersion)}).` };
+        }
+        if (version > FileSchema.CURRENT_VERSION) {
+            return { success: false, data: null, migratedFrom: null, error: `El archivo usa el formato v${version}, más reciente que el soportado (v${FileSchema.CURRENT_VERSION}).` };
+        }
+
+        let current = data;
+        for (let v = version; v < FileSchema.CURRENT_VERSION; v++) {
+            current = FileSchema.MIGRATIONS[v](current);
+        }
+        return { success: true, data: current, migratedFrom: version < FileSchema.CURRENT_VERSION ? version : null, error: null };
+    },
+
+    /**
+     * Valida un archivo ya migrado según su tipo de estructura.
+     * @param {Object} data - Sobre del archivo.
+     * @returns {{valid: boolean, error: string|null}}
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, error: 'El archivo no contiene un objeto JSON.' };
+        }
+        if (data.algorithm !== undefined && typeof data.algorithm !== 'string') {
+            return { valid: false, error: '"algorithm" debe ser un texto.' };
+        }
+        if (!data.structure || typeof data.structure !== 'object') {
+            return { valid: false, error: 'El archivo no contiene la sección "structure".' };
+        }
+
+        const validators = {
+            linear: FileSchema._validateLinear,
+            hash: FileSchema._validateHash,
+            tree: FileSchema._validateTree,
+            huffman: FileSchema._validateHuffman,
+            trie: FileSchema._validateTrie
+        };
+        const type = FileSchema.getStructureType(data);
+        if (!type) {
+            return { valid: false, error: 'No se reconoce el tipo de estructura del archivo (lineal, hash, árbol, trie o Huffman).' };
+        }
+
+        const error = validators[type](data.structure);
+        return { valid: error === null, error };
+    },
+
+    /**
+     * Migra y valida un archivo recién leído.
+     * @param {Object} data - Contenido JSON del archivo.
+     * @param {Array<string>|null} [types=null] - Tipos de estructura que acepta la vista.
+     * @returns {{valid: boolean, data: Object|null, migratedFrom: number|null, error: string|null}}
+     */
+    prepare(data, types = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, data: null, migratedFrom: null, error: 'El archivo no contiene un objeto JSON.' };
+        }
+
+        const migration = FileSchema.migrate(data);
+        if (!migration.success) {
+            return { valid: false, data: null, migratedFrom: null, error: migration.error };
+        }
+
+        const { valid, error } = FileSchema.validate(migration.data);
+        if (!valid) {
+            return { valid: false, data: null, migratedFrom: null, error };
+        }
+
+        const type = FileSchema.getStructureType(migration.data);
+        if (types && !types.includes(type)) {
+            const expected = types.map(t => FileSchema.TYPE_NAMES[t]).join(' o ');
+            return { valid: false, data: null, migratedFrom: null, error: `El archivo contiene ${FileSchema.TYPE_NAMES[type]} y esta vista espera ${expected}.` };
+        }
+        return { valid: true, data: migration.data, migratedFrom: migration.migratedFrom, error: null };
+    },
+
+    // ─── Validadores por tipo ──────────────────────────────────────────────────
+
+    /**
+     * Valida la configuración común a estructuras lineales y hash.
+     * @private
+     * @param {Object} s - Estructura serializada.
+     * @returns {string|null} Mensaje de error o null si es válida.
+     */
+    _validateConfig(s) {
+        if (!Number.isInteger(s.size) || s.size < 1) return `"size" debe ser un entero positivo (valor: ${JSON.stringify(s.size)}).`;
+        if (!Number.isInteger(s.keyLength) || s.keyLength < 1) return `"keyLength" debe ser un entero positivo (valor: ${JSON.stringify(s.keyLength)}).`;
+        if (!['numerico', 'texto', 'alfanumerico'].includes(s.dataType)) return `"dataType" debe ser numerico, texto o alfanumerico (valor: ${JSON.stringify(s.dataType)}).`;
+        if (typeof s.allowDuplicates !== 'boolean') return '"allowDuplicates" debe ser true o false.';
+        if (!Array.isArray(s.keys)) return '"keys" debe ser un arreglo.';
+        return null;
+    },
+
+    /**
+     * Valida el formato de las claves almacenadas con {@link DataStructure#validateKey},
+     * los duplicados y el contador de claves.
+     * @private
+     * @param {Object} s - Estructura serializada.
+     * @returns {string|null}
+     */
+    _validateKeys(s) {
+        const probe = new DataStructure();
+        probe.keyLength = s.keyLength;
+        probe.dataType = s.dataType;
+        probe.allowDuplicates = true;
+
+        const entries = FileSchema._collectKeys(s);
+        const seen = new Map();
+        for (const { key, label } of entries) {
+            if (typeof key !== 'string') return `La clave en ${label} no es un texto (valor: ${JSON.stringify(key)}).`;
+            const { valid, error } = probe.validateKey(key);
+            if (!valid) return `Clave "${key}" en ${label}: ${error}`;
+            if (!s.allowDuplicates && seen.has(key)) {
+                return `La clave "${key}" está repetida (${seen.get(key)} y ${label}) y la estructura no permite claves repetidas.`;
+            }
+            seen.set(key, label);
+        }
+
+        if (!Number.isInteger(s.count) || s.count !== entries.length) {
+            return `"count" (${JSON.stringify(s.count)}) no coincide con las ${entries.length} clave(s) almacenadas.`;
+        }
+        return null;
+    },
+
+    /**
+     * @private
+     * @param {Object} s
+     * @returns {string|null}
+     */
+    _validateLinear(s) {
+        const configError = FileSchema._validateConfig(s);
+        if (configError) return configError;
+        if (s.keys.length !== s.size) return `"keys" tiene ${s.keys.length} posiciones, pero "size" indica ${s.size}.`;
+
+        const index = s.keys.findIndex(k => k !== null && typeof k !== 'string');
+        if (index !== -1) return `La posición ${index + 1} debe contener una clave o null.`;
+        return FileSchema._validateKeys(s);
+    },
+
+    /**
+     * @private
+     * @param {Object} s
+     * @returns {string|null}
+     */
+    _validateHash(s) {
+        const configError = FileSchema._validateConfig(s);
+        if (configError) return configError;
+
+        const strategies = CollisionStrategyFactory.getAvailableStrategies().map(o => o.value);
+        if (s.collisionStrategy && !strategies.includes(s.collisionStrategy)) {
+            return `Estrategia de colisión desconocida: "${s.collisionStrategy}".`;
+        }
+        if (!DataStructure.HASH_METHODS[s.hashMethod]) return `Método hash desconocido: "${s.hashMethod}".`;
+        if (s.secondaryHashMethod && !DataStructure.HASH_METHODS[s.secondaryHashMethod]) {
+            return `Función h₂ desconocida: "${s.secondaryHashMethod}".`;
+        }
+        if (s.rehashPolicy && !DataStructure.GROWTH_POLICIES[s.rehashPolicy]) {
+            return `Política de rehash desconocida: "${s.rehashPolicy}".`;
+        }
+        if (s.loadFactorThreshold !== undefined && !(s.loadFactorThreshold > 0 && s.loadFactorThreshold <= 1)) {
+            return `"loadFactorThreshold" debe estar entre 0 y 1 (valor: ${JSON.stringify(s.loadFactorThreshold)}).`;
+        }
+
+        const cellarSize = s.cellarSize || 0;
+        if (!Number.isInteger(cellarSize) || cellarSize < 0) return `"cellarSize" debe ser un entero no negativo (valor: ${JSON.stringify(s.cellarSize)}).`;
+        const tableLength = s.size + cellarSize;
+        if (s.keys.length !== tableLength) {
+            return `"keys" tiene ${s.keys.length} posiciones, pero la tabla debe tener ${tableLength} (size${cellarSize > 0 ? ' + cellarSize' : ''}).`;
+        }
+
+        for (let i = 0; i < s.keys.length; i++) {
+            const slotError = FileSchema._validateSlot(s.keys[i]);
+            if (slotError) return `Posición ${i + 1}: ${slotError}`;
+        }
+
+        if (s.collisionStrategy === 'cuckoo') {
+            if (!Array.isArray(s.altKeys) || s.altKeys.length !== s.size) {
+                return `Cuckoo requiere "altKeys" con ${s.size} posiciones (la segunda tabla).`;
+            }
+        }
+        if (s.collisionStrategy === 'coalescido') {
+            if (!Array.isArray(s.links) || s.links.length !== tableLength) {
+                return `Encadenamiento Coalescido requiere "links" con ${tableLength} posiciones.`;
+            }
+            const bad = s.links.findIndex(l => !Number.isInteger(l) || l < -1 || l >= tableLength);
+            if (bad !== -1) return `Enlace inválido en la posición ${bad + 1}: ${JSON.stringify(s.links[bad])}.`;
+        }
+
+        return FileSchema._validateKeys(s);
+    },
+
+    /**
+     * Valida una posición de la tabla hash: vacía, una clave, una lápida,
+     * un arreglo de claves (Arreglos Anidados) o una lista enlazada (Encadenamiento).
+     * @private
+     * @param {*} slot
+     * @returns {string|null}
+     */
+    _validateSlot(slot) {
+        if (slot === null || typeof slot === 'string') return null;
+        if (Array.isArray(slot)) {
+            return slot.every(k => typeof k === 'string') ? null : 'la cubeta contiene valores que no son claves.';
+        }
+        if (typeof slot === 'object') {
+            for (let node = slot; node !== null; node = node.next) {
+                if (typeof node !== 'object' || typeof node.value !== 'string' || node.next === undefined) {
+                    return 'la lista enlazada tiene un nodo sin "value" o "next".';
+                }
+            }
+            return null;
+        }
+        return `valor inesperado ${JSON.stringify(slot)}.`;
+    },
+
+    /**
+     * @private
+     * @param {Object} s
+     * @returns {string|null}
+     */
+    _validateTree(s) {
+        if (!Object.values(FileSchema.TREE_TYPES).includes(s.type)) return `Tipo de árbol desconocido: "${s.type}".`;
+        if (!Array.isArray(s.insertionOrder)) return '"insertionOrder" debe ser un arreglo de claves.';
+        if (s.type === 'multi-residue-tree' && !(Number.isInteger(s.m) && s.m >= 2 && s.m <= 5)) {
+            return `"m" debe ser un entero entre 2 y 5 (valor: ${JSON.stringify(s.m)}).`;
+        }
+
+        // Sin "encoding" (archivos anteriores) las claves son letras de 5 bits
+        const encodingError = TreeUtils.checkEncoding(s.encoding);
+        if (encodingError) return encodingError;
+        const encoding = TreeUtils.normalizeEncoding(s.encoding);
+
+        const seen = new Set();
+        for (let i = 0; i < s.insertionOrder.length; i++) {
+            const item = s.insertionOrder[i];
+            const { valid, key, error } = TreeUtils.validateKey(typeof item === 'string' ? item : '', encoding);
+            if (!valid) return `Elemento ${i + 1} de "insertionOrder" (${JSON.stringify(item)}): ${error}`;
+            if (seen.has(key)) return `La clave "${key}" está repetida en "insertionOrder" (elemento ${i + 1}).`;
+            seen.add(key);
+        }
+        return null;
+    },
+
+    /**
+     * @private
+     * @param {Object} s
+     * @returns {string|null}
+     */
+    _validateTrie(s) {
+        if (!Object.values(FileSchema.WORD_TREE_TYPES).includes(s.type)) return `Tipo de trie desconocido: "${s.type}".`;
+        if (!Array.isArray(s.insertionOrder)) return '"insertionOrder" debe ser un arreglo de palabras.';
+
+        const seen = new Set();
+        for (let i = 0; i < s.insertionOrder.length; i++) {
+            const item = s.insertionOrder[i];
+            const { valid, key, error } = TreeUtils.validateWord(typeof item === 'string' ? item : '');
+            if (!valid) return `Elemento ${i + 1} de "insertionOrder" (${JSON.stringify(item)}): ${error}`;
+            if (seen.has(key)) return `La palabra "${key}" está repetida en "insertionOrder" (elemento ${i + 1}).`;
+            seen.add(key);
+        }
+        return null;
+    },
+
+    /**
+     * @private
+     * @param {Object} s
+     * @returns {string|null}
+     */
+    _validateHuffman(s) {
+        if (typeof s.message !== 'string' || s.message.length === 0) return '"message" debe ser un texto no vacío.';
+        return null;
+    },
+
+    /**
+     * Recorre las claves de una estructura serializada (tabla principal, cubetas,
+     * listas enlazadas y segunda tabla Cuckoo), omitiendo vacíos y lápidas.
+     * @private
+     * @param {Object} s - Estructura serializada.
+     * @returns {Array<{key: *, label: string}>}
+     */
+    _collectKeys(s) {
+        const entries = [];
+        (s.keys || []).forEach((slot, i) => {
+            const label = `la posición ${i + 1}`;
+            if (slot === null || slot === DataStructure.TOMBSTONE) return;
+            if (Array.isArray(slot)) {
+                slot.forEach(key => entries.push({ key, label }));
+            } else if (slot !== null && typeof slot === 'object') {
+                for (let node = slot; node && typeof node === 'object'; node = node.next) entries.push({ key: node.value, label });
+            } else {
+                entries.push({ key: slot, label });
+            }
+        });
+        (s.altKeys || []).forEach((key, i) => {
+            if (key !== null) entries.push({ key, label: `la posición ${i + 1} de la tabla 2` });
+        });
+        return entries;
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Carga masiva de claves: separación de listas pegadas por el
+ * usuario y generador pseudoaleatorio con semilla, para que una misma semilla
+ * produzca siempre las mismas claves (útil al preparar ejercicios de clase).
+ * @module utils/KeyGenerator
+ */
+
+/**
+ * Módulo de generación y lectura de listas de claves.
+ * @namespace
+ */
+const KeyGenerator = {
+    /**
+     * Caracteres usados para generar claves según el tipo de dato.
+     * @type {Object<string, string>}
+     */
+    ALPHABETS: {
+        numerico: '0123456789',
+        texto: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        alfanumerico: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+    },
+
+    /**
+     * Tamaño máximo del espacio de claves que se enumera completo para
+     * garantizar claves distintas; por encima se usa muestreo con rechazo.
+     * @type {number}
+     */
+    MAX_ENUMERATION: 100000,
+
+    /**
+     * Genera el HTML del panel de carga masiva (lista de claves, generador e importación).
+     * Los controles inician deshabilitados hasta que exista una estructura.
+     * @returns {string}
+     */
+    getPanelHTML() {
+        return `
+            <div class="bulk-panel">
+                <div class="bulk-list">
+                    <label for="bulk-keys">Lista de Claves</label>
+                    <textarea id="bulk-keys" rows="3" placeholder="Pegue las claves separadas por comas, espacios o saltos de línea..." disabled></textarea>
+                </div>
+                <div class="bulk-generator">
+                    <div class="config-group config-group-narrow">
+                        <label for="bulk-count">Cantidad</label>
+                        <input type="number" id="bulk-count" min="1" placeholder="Libres" disabled>
+                    </div>
+                    <div class="config-group config-group-narrow">
+                        <label for="bulk-seed">Semilla</label>
+                        <input type="number" id="bulk-seed" min="0" placeholder="Azar" disabled>
+                    </div>
+                    <div class="insert-buttons">
+                        <button class="btn btn-info" id="btn-generate" title="Generar claves aleatorias con la semilla indicada" disabled>Generar</button>
+                        <button class="btn btn-primary" id="btn-bulk-insert" disabled>Insertar Lista</button>
+                        <button class="btn btn-secondary" id="btn-import" title="Importar claves desde un archivo CSV o TXT" disabled>Importar</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Crea un generador pseudoaleatorio determinista (mulberry32).
+     * @param {number} seed - Semilla entera.
+     * @returns {function(): number} Función que retorna números en [0, 1).
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Genera una semilla aleatoria para cuando el usuario no indica ninguna.
+     * @returns {number}
+     */
+    randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    },
+
+    /**
+     * Separa un texto en claves: por comas, punto y coma, espacios o saltos
+     * de línea (en claves de texto los espacios forman parte de la clave).
+     * @param {string} text - Lista pegada por el usuario.
+     * @param {string} dataType - Tipo de dato de la estructura.
+     * @returns {Array<string>}
+     */
+    parseList(text, dataType) {
+        const separator = dataType === 'texto' ? /[,;\n]+/ : /[\s,;]+/;
+        return String(text || '').split(separator).map(k => k.trim()).filter(k => k !== '');
+    },
+
+    /**
+     * Genera claves aleatorias del tipo y tamaño de la estructura.
+     * Sin claves repetidas, no repite claves entre sí ni con las de `exclude`
+     * y retorna menos de `count` si el espacio de claves no alcanza.
+     * @param {number} count - Cantidad de claves a generar.
+     * @param {Object} options
+     * @param {string} options.dataType - 'numerico', 'texto' o 'alfanumerico'.
+     * @param {number} options.keyLength - Cantidad de caracteres por clave.
+     * @param {boolean} [options.allowDuplicates=false] - Si se permiten claves repetidas.
+     * @param {Array<string>} [options.exclude=[]] - Claves ya almacenadas.
+     * @param {number} [options.seed] - Semilla; si se omite se elige una al azar.
+     * @returns {{keys: Array<string>, seed: number, available: number}}
+     */
+    generate(count, { dataType, keyLength, allowDuplicates = false, exclude = [], seed } = {}) {
+        const alphabet = KeyGenerator.ALPHABETS[dataType] || KeyGenerator.ALPHABETS.alfanumerico;
+        const usedSeed = Number.isInteger(seed) ? seed : KeyGenerator.randomSeed();
+        const random = KeyGenerator.createRandom(usedSeed);
+        const space = Math.pow(alphabet.length, keyLength);
+
+        const randomKey = () => {
+            let key = '';
+            for (let i = 0; i < keyLength; i++) {
+                key += alphabet[Math.floor(random() * alphabet.length)];
+            }
+            return key;
+        };
+
+        if (allowDuplicates) {
+            const keys = [];
+            for (let i = 0; i < count; i++) keys.push(randomKey());
+            return { keys, seed: usedSeed, available: Infinity };
+        }
+
+        const used = new Set(exclude);
+
+        // Espacio pequeño: enumerar las claves libres y barajarlas (Fisher-Yates)
+        if (space <= KeyGenerator.MAX_ENUMERATION) {
+            const free = [];
+            for (let n = 0; n < space; n++) {
+                let key = '';
+                for (let i = 0, rest = n; i < keyLength; i++, rest = Math.floor(rest / alphabet.length)) {
+                    key = alphabet[rest % alphabet.length] + key;
+                }
+                if (!used.has(key)) free.push(key);
+            }
+            for (let i = free.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [free[i], free[j]] = [free[j], free[i]];
+            }
+            return { keys: free.slice(0, count), seed: usedSeed, available: free.length };
+        }
+
+        // Espacio grande: muestreo con rechazo de las claves ya usadas
+        const available = Math.max(0, space - used.size);
+        const target = Math.min(count, available);
+        const keys = [];
+        while (keys.length < target) {
+            const key = randomKey();
+            if (used.has(key)) continue;
+            used.add(key);
+            keys.push(key);
+        }
+        return { keys, seed: usedSeed, available };
+    }
+};
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Controlador de reproducción paso a paso para las animaciones.
+ * Consume los arreglos de pasos que retornan los modelos y permite pausar,
+ * retroceder, avanzar y cambiar la velocidad de la animación.
+ * @module utils/PlaybackController
+ */
+
+/**
+ * Controlador de reproducción compartido por las vistas.
+ * Cada vista crea una instancia, enlaza sus controles una sola vez y llama a
+ * {@link PlaybackController#run} por cada animación. La vista provee una
+ * función que dibuja el estado de un paso cualquiera, de modo que la
+ * animación puede mostrarse desde cualquier punto de la secuencia.
+ */
+class PlaybackController {
+    /** Inicializa el controlador sin animación activa. */
+    constructor() {
+        /** @type {Array} Pasos de la animación activa */
+        this.steps = [];
+        /** @type {number} Índice del paso mostrado (-1 = ninguno) */
+        this.index = -1;
+        /** @type {number} Multiplicador de velocidad (1 = normal) */
+        this.speed = 1;
+        /** @type {boolean} Indica si la animación avanza automáticamente */
+        this.isPlaying = false;
+        /** @type {boolean} Indica si hay una animación cargada */
+        this.isActive = false;
+        /** @type {Object} Referencias a los controles DOM */
+        this.elements = {};
+
+        /** @type {number|null} Temporizador del siguiente paso */
+        this._timer = null;
+        /** @type {number} Mayor índice mostrado (para no repetir logs) */
+        this._maxVisited = -1;
+        /** @type {number} Retardo base entre pasos en milisegundos */
+        this._delay = 500;
+        /** @type {Function|null} */
+        this._renderStep = null;
+        /** @type {Function|null} */
+        this._onComplete = null;
+        /** @type {Function|null} */
+        this._resolve = null;
+        /** @type {boolean} Si la animación permanece cargada al terminar */
+        this._persist = false;
+    }
+
+    /**
+     * Retorna el HTML de la barra de reproducción.
+     * @param {string} prefix - Prefijo para los ids de los controles.
+     * @param {Object} [options]
+     * @param {boolean} [options.scrubber=false] - Incluir una barra deslizante para recorrer los pasos.
+     * @returns {string}
+     */
+    static getControlsHTML(prefix, options = {}) {
+        const scrubber = options.scrubber
+            ? `<input type="range" class="playback-scrubber" id="${prefix}-scrubber" min="0" max="0" value="0" title="Recorrer los pasos" disabled>`
+            : '';
+
+        return `
+            <div class="playback-bar" id="${prefix}-bar">
+                <button class="playback-btn" id="${prefix}-back" title="Paso anterior" disabled>⏮</button>
+                <button class="playback-btn" id="${prefix}-toggle" title="Pausar" disabled>⏸</button>
+                <button class="playback-btn" id="${prefix}-forward" title="Paso siguiente" disabled>⏭</button>
+                ${scrubber}
+                <span class="playback-counter" id="${prefix}-counter">Paso – / –</span>
+                <select class="playback-speed" id="${prefix}-speed" title="Velocidad de la animación">
+                    <option value="0.25">0.25×</option>
+                    <option value="0.5">0.5×</option>
+                    <option value="1" selected>1×</option>
+                    <option value="2">2×</option>
+                    <option value="4">4×</option>
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Cachea y enlaza los controles generados por {@link PlaybackController.getControlsHTML}.
+     * @param {string} prefix - Prefijo usado al generar los controles.
+     */
+    bindControls(prefix) {
+        this.elements = {
+            back: document.getElementById(`${prefix}-back`),
+            toggle: document.getElementById(`${prefix}-toggle`),
+            forward: document.getElementById(`${prefix}-forward`),
+            counter: document.getElementById(`${prefix}-counter`),
+            speed: document.getElementById(`${prefix}-speed`),
+            scrubber: document.getElementById(`${prefix}-scrubber`)
+        };
+
+        const el = this.elements;
+        if (!el.toggle) return;
+
+        el.speed.value = this.speed.toString();
+        el.back.addEventListener('click', () => this.stepBack());
+        el.toggle.addEventListener('click', () => this.togglePlay());
+        el.forward.addEventListener('click', () => this.stepForward());
+        el.speed.addEventListener('change', () => this.setSpeed(parseFloat(el.speed.value)));
+        if (el.scrubber) {
+            el.scrubber.addEventListener('input', () => this.seek(parseInt(el.scrubber.value)));
+        }
+
+        this._updateControls();
+    }
+
+    /**
+     * Inicia la reproducción de una secuencia de pasos.
+     * @param {Array} steps - Pasos retornados por el modelo.
+     * @param {function(number, boolean): void} renderStep - Dibuja el paso indicado;
+     *        el segundo argumento es true la primera vez que se muestra ese paso.
+     * @param {Object} [options]
+     * @param {number} [options.delay=500] - Retardo base entre pasos (ms) a velocidad 1×.
+     * @param {Function} [options.onComplete] - Se ejecuta al avanzar más allá del último paso.
+     * @param {boolean} [options.persist=false] - Mantener la animación cargada al terminar,
+     *        para poder recorrerla o repetirla hasta que se inicie otra. En este modo
+     *        onComplete se ejecuta cada vez que se avanza más allá del último paso.
+     * @returns {Promise<void>} Se resuelve la primera vez que la animación termina.
+     */
+    run(steps, renderStep, options = {}) {
+        this.stop();
+
+        this.steps = steps;
+        this.index = -1;
+        this._maxVisited = -1;
+        this._delay = options.delay || 500;
+        this._renderStep = renderStep;
+        this._onComplete = options.onComplete || null;
+        this._persist = options.persist === true;
+        this.isActive = true;
+        this.isPlaying = true;
+
+        return new Promise((resolve) => {
+            this._resolve = resolve;
+            this._advance();
+        });
+    }
+
+    /**
+     * Reanuda la reproducción automática desde el paso actual.
+     * Si la animación ya terminó (modo persistente), la repite desde el inicio.
+     */
+    play() {
+        if (!this.isActive || this.isPlaying) return;
+        if (this.index >= this.steps.length - 1) this.index = -1;
+        this.isPlaying = true;
+        this._advance();
+    }
+
+    /** Pausa la reproducción en el paso actual. */
+    pause() {
+        if (!this.isActive) return;
+        this.isPlaying = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._updateControls();
+    }
+
+    /** Alterna entre reproducir y pausar. */
+    togglePlay() {
+        if (this.isPlaying) this.pause();
+        else this.play();
+    }
+
+    /** Pausa y muestra el siguiente paso (o finaliza si era el último). */
+    stepForward() {
+        if (!this.isActive) return;
+        this.pause();
+        this._advance();
+    }
+
+    /** Pausa y vuelve a mostrar el paso anterior. */
+    stepBack() {
+        if (!this.isActive) return;
+        this.pause();
+        if (this.index > 0) this._goTo(this.index - 1);
+    }
+
+    /**
+     * Pausa y muestra el paso indicado.
+     * @param {number} index - Índice del paso (se ajusta al rango válido).
+     */
+    seek(index) {
+        if (!this.isActive || isNaN(index)) return;
+        this.pause();
+        const target = Math.max(0, Math.min(this.steps.length - 1, index));
+        if (target !== this.index) this._goTo(target);
+    }
+
+    /**
+     * Cambia el multiplicador de velocidad. Aplica también a la animación en curso.
+     * @param {number} speed - Multiplicador (ej: 0.5, 1, 2).
+     */
+    setSpeed(speed) {
+        if (!speed || speed <= 0) return;
+        this.speed = speed;
+        if (this.elements.speed) this.elements.speed.value = speed.toString();
+        if (this.isActive && this.isPlaying && this._timer !== null) {
+            this._schedule();
+        }
+    }
+
+    /**
+     * Detiene y descarta la animación activa sin ejecutar onComplete.
+     * La promesa de {@link PlaybackController#run} queda sin resolver.
+     */
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._clear();
+        this._updateControls();
+    }
+
+    // ─── Internos ──────────────────────────────────────────────────────────────
+
+    /**
+     * Muestra el siguiente paso o finaliza la animación.
+     * @private
+     */
+    _advance() {
+        if (this.index + 1 >= this.steps.length) {
+            this._complete();
+            return;
+        }
+        this._goTo(this.index + 1);
+        if (this.isPlaying) this._schedule();
+    }
+
+    /**
+     * Programa el siguiente avance según el retardo y la velocidad.
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            if (this.isPlaying) this._advance();
+        }, this._delay / this.speed);
+    }
+
+    /**
+     * Dibuja el paso indicado.
+     * @private
+     * @param {number} index
+     */
+    _goTo(index) {
+        this.index = index;
+        const firstVisit = index > this._maxVisited;
+        if (firstVisit) this._maxVisited = index;
+        this._renderStep(index, firstVisit);
+        this._updateControls();
+    }
+
+    /**
+     * Finaliza la animación activa y resuelve su promesa.
+     * @private
+     */
+    _complete() {
+        const onComplete = this._onComplete;
+        const resolve = this._resolve;
+
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        if (this._persist && this.steps.length > 0) {
+            // Conservar los pasos para recorrerlos o repetirlos
+            this.isPlaying = false;
+            this._resolve = null;
+        } else {
+            this._clear();
+        }
+        this._updateControls();
+
+        if (onComplete) onComplete();
+        if (resolve) resolve();
+    }
+
+    /**
+     * Descarta el estado de la animación activa.
+     * @private
+     */
+    _clear() {
+        this.steps = [];
+        this.index = -1;
+        this._maxVisited = -1;
+        this._renderStep = null;
+        this._onComplete = null;
+        this._resolve = null;
+        this._persist = false;
+        this.isActive = false;
+        this.isPlaying = false;
+    }
+
+    /**
+     * Sincroniza el estado visual de los controles.
+     * @private
+     */
+    _updateControls() {
+        const el = this.elements;
+        if (!el.toggle) return;
+
+        el.back.disabled = !this.isActive || this.index <= 0;
+        el.forward.disabled = !this.isActive;
+        el.toggle.disabled = !this.isActive;
+        el.toggle.textContent = this.isPlaying ? '⏸' : '▶';
+        el.toggle.title = this.isPlaying ? 'Pausar' : 'Reproducir';
+        el.counter.textContent = this.isActive
+            ? `Paso ${this.index + 1} / ${this.steps.length}`
+            : 'Paso – / –';
+
+        if (el.scrubber) {
+            el.scrubber.disabled = !this.isActive || this.steps.length < 2;
+            el.scrubber.max = Math.max(0, this.steps.length - 1);
+            el.scrubber.value = Math.max(0, this.index);
+        }
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Persistencia de sesiones en localStorage. Cada vista guarda
+ * automáticamente su estructura, el log y sus ajustes (zoom, desplazamiento,
+ * claves ordenadas...) usando el mismo sobre versionado de {@link FileSchema}
+ * que los archivos JSON, de modo que al recargar la página se puede retomar
+ * el trabajo donde se dejó.
+ * @module utils/SessionStore
+ */
+
+/**
+ * Módulo de sesiones guardadas en el navegador.
+ * @namespace
+ */
+const SessionStore = {
+    /**
+     * Prefijo de las claves de localStorage usadas por las sesiones.
+     * @type {string}
+     */
+    PREFIX: 'ciencias2.session.',
+
+    /**
+     * Clave de localStorage con la última vista abierta.
+     * @type {string}
+     */
+    LAST_VIEW_KEY: 'ciencias2.lastView',
+
+    /**
+     * Máximo de entradas del log que se guardan (las más recientes).
+     * @type {number}
+     */
+    MAX_LOG_ENTRIES: 500,
+
+    /**
+     * Espera (ms) antes de guardar, para agrupar varios cambios seguidos.
+     * @type {number}
+     */
+    SAVE_DELAY: 400,
+
+    /**
+     * Guardados pendientes por algoritmo.
+     * @private
+     * @type {Object<string, {timer: number, collect: Function}>}
+     */
+    _pending: {},
+
+    /**
+     * Evita repetir el aviso cuando no se puede guardar la sesión.
+     * @private
+     * @type {boolean}
+     */
+    _saveWarned: false,
+
+    /**
+     * Programa el guardado de la sesión de una vista. Si llegan varios cambios
+     * seguidos solo se guarda el último estado.
+     * @param {string} algorithm - Nombre del algoritmo de la vista.
+     * @param {Function} collect - Retorna el sobre de la sesión, o null si no hay
+     *        nada que guardar (en ese caso se borra la sesión).
+     */
+    scheduleSave(algorithm, collect) {
+        const pending = SessionStore._pending[algorithm];
+        if (pending) clearTimeout(pending.timer);
+
+        SessionStore._pending[algorithm] = {
+            collect,
+            timer: setTimeout(() => SessionStore._flushOne(algorithm), SessionStore.SAVE_DELAY)
+        };
+    },
+
+    /**
+     * Guarda de inmediato las sesiones pendientes (ej: antes de cerrar la página).
+     */
+    flush() {
+        Object.keys(SessionStore._pending).forEach(algorithm => {
+            clearTimeout(SessionStore._pending[algorithm].timer);
+            SessionStore._flushOne(algorithm);
+        });
+    },
+
+    /**
+     * Guarda la sesión de una vista.
+     * @param {string} algorithm - Nombre del algoritmo de la vista.
+     * @param {Object|null} data - Sobre de {@link FileSchema.createEnvelope} con
+     *        `log` y `settings`; null borra la sesión.
+     * @returns {boolean} true si se guardó.
+     */
+    save(algorithm, data) {
+        if (!data) {
+            SessionStore.remove(algorithm);
+            return false;
+        }
+
+        const session = {
+            ...data,
+            savedAt: new Date().toISOString(),
+            log: SessionStore._serializeLog(data.log || [])
+        };
+
+        try {
+            localStorage.setItem(SessionStore.PREFIX + algorithm, JSON.stringify(session));
+            return true;
+        } catch (err) {
+            if (!SessionStore._saveWarned) {
+                SessionStore._saveWarned = true;
+                Validation.showWarning(err && err.name === 'QuotaExceededError'
+                    ? 'La estructura es demasiado grande para guardar la sesión en el navegador. Use "Guardar" para conservarla en un archivo.'
+                    : 'El navegador no permite guardar la sesión (almacenamiento local no disponible). Use "Guardar" para conservarla en un archivo.');
+            }
+            return false;
+        }
+    },
+
+    /**
+     * Lee la sesión guardada de una vista. La actualiza y valida con
+     * {@link FileSchema.prepare}; si está dañada se borra.
+     * @param {string} algorithm - Nombre del algoritmo de la vista.
+     * @returns {Object|null} Sobre de la sesión (con `log` listo para la vista,
+     *          `settings` y `savedAt`), o null si no hay una sesión válida.
+     */
+    load(algorithm) {
+        let raw = null;
+        try {
+            raw = localStorage.getItem(SessionStore.PREFIX + algorithm);
+        } catch (err) {
+            // Almacenamiento local no disponible: no hay sesión que restaurar
+            return null;
+        }
+        if (!raw) return null;
+
+        try {
+            const result = FileSchema.prepare(JSON.parse(raw));
+            if (!result.valid) throw new Error(result.error);
+
+            const data = result.data;
+            return {
+                ...data,
+                settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+                log: SessionStore._deserializeLog(data.log)
+            };
+        } catch (err) {
+            // Sesión dañada o inválida: se descarta
+            SessionStore.remove(algorithm);
+            return null;
+        }
+    },
+
+    /**
+     * Borra la sesión guardada de una vista.
+     * @param {string} algorithm - Nombre del algoritmo de la vista.
+     */
+    remove(algorithm) {
+        const pending = SessionStore._pending[algorithm];
+        if (pending) {
+            clearTimeout(pending.timer);
+            delete SessionStore._pending[algorithm];
+        }
+
+        try {
+            localStorage.removeItem(SessionStore.PREFIX + algorithm);
+        } catch (err) {
+            // Almacenamiento local no disponible: no hay nada que borrar
+        }
+    },
+
+    /**
+     * Lista las sesiones guardadas.
+     * @returns {Array<{algorithm: string, savedAt: string|null}>}
+     */
+    list() {
+        const sessions = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(SessionStore.PREFIX)) continue;
+
+                let savedAt = null;
+                try {
+                    savedAt = JSON.parse(localStorage.getItem(key)).savedAt || null;
+                } catch (err) {
+                    // Sesión dañada: se lista igual para poder borrarla
+                }
+                sessions.push({ algorithm: key.slice(SessionStore.PREFIX.length), savedAt });
+            }
+        } catch (err) {
+            // Almacenamiento local no disponible: no hay sesiones
+        }
+        return sessions;
+    },
+
+    /**
+     * Borra todas las sesiones guardadas y la última vista abierta.
+     * @returns {number} Cantidad de sesiones borradas.
+     */
+    clearAll() {
+        const sessions = SessionStore.list();
+        sessions.forEach(({ algorithm }) => SessionStore.remove(algorithm));
+        Object.keys(SessionStore._pending).forEach(algorithm => SessionStore.remove(algorithm));
+        SessionStore.setLastView(null);
+        return sessions.length;
+    },
+
+    /**
+     * Recuerda la última vista abierta para volver a ella al recargar.
+     * @param {string|null} actionId - Identificador de la vista en el menú; null lo olvida.
+     */
+    setLastView(actionId) {
+        try {
+            if (actionId) {
+                localStorage.setItem(SessionStore.LAST_VIEW_KEY, actionId);
+            } else {
+                localStorage.removeItem(SessionStore.LAST_VIEW_KEY);
+            }
+        } catch (err) {
+            // Sin almacenamiento local la aplicación abre la vista inicial
+        }
+    },
+
+    /**
+     * Retorna la última vista abierta.
+     * @returns {string|null}
+     */
+    getLastView() {
+        try {
+            return localStorage.getItem(SessionStore.LAST_VIEW_KEY);
+        } catch (err) {
+            return null;
+        }
+    },
+
+    /**
+     * Pregunta si se restaura una sesión guardada.
+     * "Descartar" borra la sesión; "Ahora no" la conserva.
+     * @param {string} algorithm - Nombre del algoritmo de la vista.
+     * @param {Object} session - Sesión leída con {@link SessionStore.load}.
+     * @returns {Promise<boolean>} true si se eligió restaurar.
+     */
+    async promptRestore(algorithm, session) {
+        const savedAt = new Date(session.savedAt);
+        const when = isNaN(savedAt) ? '' : ` del ${savedAt.toLocaleString()}`;
+
+        const result = await Swal.fire({
+            icon: 'question',
+            title: 'Restaurar última sesión',
+            text: `Hay una sesión guardada${when} en esta vista. ¿Desea restaurarla?`,
+            showDenyButton: true,
+            showCancelButton: true,
+            confirmButtonColor: '#2B579A',
+            denyButtonColor: '#D83B01',
+            confirmButtonText: 'Restaurar',
+            denyButtonText: 'Descartar',
+            cancelButtonText: 'Ahora no'
+        });
+
+        if (result.isDenied) SessionStore.remove(algorithm);
+        return result.isConfirmed;
+    },
+
+    /**
+     * Ejecuta un guardado pendiente.
+     * @private
+     * @param {string} algorithm
+     */
+    _flushOne(algorithm) {
+        const pending = SessionStore._pending[algorithm];
+        if (!pending) return;
+        delete SessionStore._pending[algorithm];
+        SessionStore.save(algorithm, pending.collect());
+    },
+
+    /**
+     * Prepara las entradas más recientes del log para guardarlas.
+     * @private
+     * @param {Array<Object>} logMessages
+     * @returns {Array<Object>}
+     */
+    _serializeLog(logMessages) {
+        return logMessages.slice(-SessionStore.MAX_LOG_ENTRIES).map(entry => ({
+            ...entry,
+            time: entry.time instanceof Date ? entry.time.toISOString() : entry.time
+        }));
+    },
+
+    /**
+     * Reconstruye el log guardado (las horas vuelven a ser Date).
+     * @private
+     * @param {*} log
+     * @returns {Array<Object>}
+     */
+    _deserializeLog(log) {
+        if (!Array.isArray(log)) return [];
+        return log
+            .filter(entry => entry && typeof entry.message === 'string')
+            .map(entry => ({ ...entry, type: entry.type || 'info', time: new Date(entry.time) }));
+    }
+};
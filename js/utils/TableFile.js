@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Intercambio de claves con hojas de cálculo: lectura de claves
+ * desde archivos CSV o de texto plano (TXT) y exportación del contenido de la
+ * tabla a CSV, incluyendo las cadenas de las cubetas.
+ * @module utils/TableFile
+ */
+
+/**
+ * Módulo de importación y exportación de tablas en CSV/TXT.
+ * @namespace
+ */
+const TableFile = {
+    /**
+     * Tipo de archivo usado al exportar la tabla.
+     * @type {{description: string, mimeType: string, extension: string}}
+     */
+    CSV_TYPE: { description: 'Archivo CSV', mimeType: 'text/csv', extension: '.csv' },
+
+    /**
+     * Extensiones aceptadas al importar claves.
+     * @type {string}
+     */
+    IMPORT_ACCEPT: '.csv,.txt',
+
+    /**
+     * Encabezados (normalizados) de las columnas que contienen claves. Incluye
+     * los que genera {@link TableFile.toCSV}, para poder reimportar lo exportado.
+     * @type {Array<string>}
+     */
+    KEY_HEADERS: ['clave', 'claves', 'key', 'keys', 'cadena', 'tabla 1', 'tabla 2'],
+
+    /**
+     * Extrae las claves de un archivo CSV o TXT, con el número de línea de cada una.
+     * En TXT cada línea puede traer una o varias claves (separadas como en la
+     * carga masiva). En CSV, si la primera fila tiene encabezados reconocidos
+     * (Clave, Cadena, Tabla 1...) solo se leen esas columnas; si no, se lee
+     * cada celda no vacía. Las lápidas (†) exportadas se omiten.
+     * @param {string} text - Contenido del archivo.
+     * @param {string} fileName - Nombre del archivo (define el formato por su extensión).
+     * @param {string} dataType - Tipo de dato de la estructura.
+     * @returns {Array<{line: number, key: string}>}
+     */
+    parse(text, fileName, dataType) {
+        const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+        const entries = [];
+        const push = (line, key) => {
+            const value = key.trim();
+            if (value !== '' && value !== DataStructure.TOMBSTONE) entries.push({ line, key: value });
+        };
+
+        if (!/\.csv$/i.test(fileName)) {
+            lines.forEach((line, i) => {
+                KeyGenerator.parseList(line, dataType).forEach(key => push(i + 1, key));
+            });
+            return entries;
+        }
+
+        const firstLine = lines.find(line => line.trim() !== '') || '';
+        const delimiter = TableFile.detectDelimiter(firstLine);
+        const rows = lines.map(line => TableFile.parseCSVLine(line, delimiter));
+
+        // Detectar la fila de encabezados y las columnas con claves
+        const headerIndex = lines.indexOf(firstLine);
+        const headers = headerIndex >= 0 ? rows[headerIndex].map(TableFile._normalizeHeader) : [];
+        const keyColumns = headers
+            .map((header, col) => (TableFile.KEY_HEADERS.includes(header) ? col : -1))
+            .filter(col => col !== -1);
+
+        rows.forEach((cells, i) => {
+            if (keyColumns.length > 0) {
+                if (i <= headerIndex) return;
+                keyColumns.forEach((col) => {
+                    const value = cells[col] || '';
+                    // La columna "Cadena" agrupa varias claves separadas por |
+                    const keys = headers[col] === 'cadena' ? value.split('|') : [value];
+                    keys.forEach(key => push(i + 1, key));
+                });
+            } else {
+                cells.forEach(cell => push(i + 1, cell));
+            }
+        });
+
+        return entries;
+    },
+
+    /**
+     * Elige el separador de un CSV: coma, punto y coma (Excel en español) o tabulación.
+     * @param {string} line - Primera línea no vacía del archivo.
+     * @returns {string}
+     */
+    detectDelimiter(line) {
+        let best = ',';
+        let bestCount = 0;
+        for (const delimiter of [',', ';', '\t']) {
+            const count = TableFile.parseCSVLine(line, delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Separa una línea CSV en celdas, respetando los valores entre comillas
+     * y las comillas escapadas ("").
+     * @param {string} line
+     * @param {string} [delimiter=',']
+     * @returns {Array<string>}
+     */
+    parseCSVLine(line, delimiter = ',') {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    current += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                cells.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current);
+        return cells;
+    },
+
+    /**
+     * Genera el CSV (UTF-8 con BOM) con el contenido de la tabla.
+     * @param {DataStructure} dataStructure
+     * @returns {string}
+     */
+    toCSV(dataStructure) {
+        const { columns, rows } = dataStructure.getTableRows();
+
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(escape).join(',')];
+        for (const row of rows) {
+            lines.push(row.map(escape).join(','));
+        }
+
+        return '\uFEFF' + lines.join('\r\n');
+    },
+
+    /**
+     * Exporta la tabla a un archivo CSV.
+     * @param {DataStructure} dataStructure
+     * @param {string} [algorithmName='estructura'] - Nombre del algoritmo para el nombre del archivo.
+     */
+    async exportCSV(dataStructure, algorithmName = 'estructura') {
+        if (!dataStructure.created) {
+            Validation.showError('No hay estructura creada para exportar.');
+            return;
+        }
+
+        const defaultName = `${algorithmName}_tabla_${Date.now()}${TableFile.CSV_TYPE.extension}`;
+        await FileManager.saveText(TableFile.toCSV(dataStructure), defaultName, TableFile.CSV_TYPE);
+    },
+
+    /**
+     * Normaliza un encabezado para compararlo: minúsculas, sin tildes ni espacios extremos.
+     * @private
+     * @param {string} header
+     * @returns {string}
+     */
+    _normalizeHeader(header) {
+        return header.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Exportación de la traza de operaciones registrada en el log.
+ * Convierte el historial completo (logMessages) de una vista a JSON, CSV o
+ * un reporte Markdown, incluyendo los detalles por paso (posiciones,
+ * fórmulas hash y colisiones) cuando la vista los registra.
+ * @module utils/TraceExporter
+ */
+
+/**
+ * Módulo de exportación de trazas.
+ * @namespace
+ */
+const TraceExporter = {
+    /**
+     * Formatos disponibles para la exportación.
+     * @type {Object<string, {label: string, description: string, mimeType: string, extension: string}>}
+     */
+    FORMATS: {
+        json: { label: 'JSON', description: 'Archivo JSON', mimeType: 'application/json', extension: '.json' },
+        csv: { label: 'CSV (hoja de cálculo)', description: 'Archivo CSV', mimeType: 'text/csv', extension: '.csv' },
+        md: { label: 'Markdown (reporte)', description: 'Reporte Markdown', mimeType: 'text/markdown', extension: '.md' }
+    },
+
+    /**
+     * Nombres legibles de las operaciones registradas en el log.
+     * @type {Object<string, string>}
+     */
+    OPERATION_LABELS: {
+        create: 'Creación',
+        insert: 'Inserción',
+        delete: 'Eliminación',
+        search: 'Búsqueda',
+        prefix: 'Búsqueda por prefijo',
+        compact: 'Compactación',
+        load: 'Carga',
+        generate: 'Generación',
+        config: 'Configuración',
+        history: 'Deshacer/Rehacer',
+        session: 'Sesión restaurada'
+    },
+
+    /**
+     * Pregunta el formato al usuario y guarda la traza en un archivo.
+     * @param {Array<{message: string, type: string, time: Date, operation: string, details?: Object}>} logMessages - Historial completo del log.
+     * @param {{algorithm: string, title: string, config: Object}} meta - Datos de la vista y su configuración.
+     */
+    async export(logMessages, meta) {
+        if (!logMessages || logMessages.length === 0) {
+            Validation.showWarning('No hay mensajes en el log para exportar.');
+            return;
+        }
+
+        const inputOptions = {};
+        for (const [value, format] of Object.entries(TraceExporter.FORMATS)) {
+            inputOptions[value] = format.label;
+        }
+
+        const { value: formatKey } = await Swal.fire({
+            icon: 'question',
+            title: 'Exportar traza',
+            text: `Se exportarán ${logMessages.length} mensaje(s) del historial.`,
+            input: 'select',
+            inputOptions,
+            inputValue: 'json',
+            showCancelButton: true,
+            confirmButtonColor: '#2B579A',
+            cancelButtonColor: '#D83B01',
+            confirmButtonText: 'Exportar',
+            cancelButtonText: 'Cancelar'
+        });
+
+        if (!formatKey) return;
+
+        const format = TraceExporter.FORMATS[formatKey];
+        let content;
+        if (formatKey === 'csv') {
+            content = TraceExporter.toCSV(logMessages);
+        } else if (formatKey === 'md') {
+            content = TraceExporter.toMarkdown(logMessages, meta);
+        } else {
+            content = TraceExporter.toJSON(logMessages, meta);
+        }
+
+        const defaultName = `${meta.algorithm || 'traza'}_traza_${Date.now()}${format.extension}`;
+        await FileManager.saveText(content, defaultName, format);
+    },
+
+    /**
+     * Normaliza las entradas del log en registros planos numerados.
+     * @param {Array} logMessages
+     * @returns {Array<Object>}
+     */
+    toRecords(logMessages) {
+        return logMessages.map((entry, i) => ({
+            index: i + 1,
+            time: entry.time instanceof Date ? entry.time.toISOString() : String(entry.time),
+            operation: entry.operation || null,
+            type: entry.type,
+            message: entry.message,
+            ...(entry.details || {})
+        }));
+    },
+
+    /**
+     * Genera la traza en formato JSON.
+     * @param {Array} logMessages
+     * @param {Object} meta
+     * @returns {string}
+     */
+    toJSON(logMessages, meta) {
+        return JSON.stringify({
+            algorithm: meta.algorithm,
+            title: meta.title,
+            exportedAt: new Date().toISOString(),
+            config: meta.config || {},
+            entries: TraceExporter.toRecords(logMessages)
+        }, null, 2);
+    },
+
+    /**
+     * Genera la traza en formato CSV (separado por comas, UTF-8 con BOM).
+     * @param {Array} logMessages
+     * @returns {string}
+     */
+    toCSV(logMessages) {
+        const columns = ['index', 'time', 'operation', 'type', 'action', 'strategy', 'method', 'table', 'position', 'subIndex', 'key', 'formula', 'collisions', 'probes', 'message'];
+        const headers = ['N°', 'Hora', 'Operación', 'Tipo', 'Acción', 'Estrategia', 'Función', 'Tabla', 'Posición', 'Sub-índice', 'Clave', 'Fórmula', 'Colisiones', 'Sondeos', 'Mensaje'];
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [headers.map(escape).join(',')];
+        for (const record of TraceExporter.toRecords(logMessages)) {
+            lines.push(columns.map(c => escape(record[c])).join(','));
+        }
+
+        return '\uFEFF' + lines.join('\r\n');
+    },
+
+    /**
+     * Genera un reporte Markdown con una tabla por cada operación registrada.
+     * @param {Array} logMessages
+     * @param {Object} meta
+     * @returns {string}
+     */
+    toMarkdown(logMessages, meta) {
+        const cell = (value) => {
+            if (value === null || value === undefined || value === '') return '';
+            return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        };
+
+        const lines = [
+            `# Traza de operaciones — ${meta.title || meta.algorithm}`,
+            '',
+            `- **Algoritmo:** ${meta.algorithm}`,
+            `- **Exportado:** ${new Date().toLocaleString()}`
+        ];
+
+        for (const [name, value] of Object.entries(meta.config || {})) {
+            if (value === null || value === undefined || value === '') continue;
+            const text = Array.isArray(value) ? value.join(', ') : value;
+            lines.push(`- **${name}:** ${text}`);
+        }
+
+        // Agrupar entradas consecutivas de la misma operación
+        const groups = [];
+        for (const record of TraceExporter.toRecords(logMessages)) {
+            const last = groups[groups.length - 1];
+            if (last && last.operation === record.operation) {
+                last.records.push(record);
+            } else {
+                groups.push({ operation: record.operation, records: [record] });
+            }
+        }
+
+        groups.forEach((group, i) => {
+            const label = TraceExporter.OPERATION_LABELS[group.operation] || group.operation || 'General';
+            lines.push('', `## ${i + 1}. ${label}`, '');
+            lines.push('| N° | Hora | Tipo | Posición | Fórmula | Mensaje |');
+            lines.push('|---:|------|------|---------:|---------|---------|');
+            for (const r of group.records) {
+                const time = new Date(r.time);
+                let position = r.position !== undefined && r.subIndex !== undefined
+                    ? `${r.position}.${r.subIndex}`
+                    : r.position;
+                if (r.table !== undefined && position !== undefined) position = `T${r.table}:${position}`;
+                lines.push(`| ${r.index} | ${cell(isNaN(time) ? r.time : time.toLocaleTimeString())} | ${cell(r.type)} | ${cell(position)} | ${cell(r.formula)} | ${cell(r.message)} |`);
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Historial para deshacer y rehacer las modificaciones de una
+ * estructura. Guarda instantáneas del estado (obtenidas con `toJSON`) antes
+ * de cada operación y las restaura con `fromJSON`, de modo que funciona igual
+ * para las estructuras lineales, hash, árboles y Huffman.
+ * @module utils/UndoHistory
+ */
+
+/**
+ * Historial de deshacer/rehacer compartido por las vistas.
+ * Cada vista crea una instancia, la enlaza con {@link UndoHistory#bind}
+ * indicando cómo capturar y restaurar su estado, y envuelve las operaciones
+ * que modifican la estructura con {@link UndoHistory#track}.
+ */
+class UndoHistory {
+    /**
+     * @param {number} [limit=50] - Máximo de operaciones que se pueden deshacer.
+     */
+    constructor(limit = 50) {
+        /** @type {Array<{label: string, state: string}>} Estados anteriores (el último es el más reciente) */
+        this.past = [];
+        /** @type {Array<{label: string, state: string}>} Estados deshechos que se pueden rehacer */
+        this.future = [];
+        /** @type {number} */
+        this.limit = limit;
+        /** @type {Object} Referencias a los botones DOM */
+        this.elements = {};
+
+        /** @type {Function|null} */
+        this._capture = null;
+        /** @type {Function|null} */
+        this._restore = null;
+        /** @type {Function|null} */
+        this._isBusy = null;
+        /**
+         * Cambia al vaciar el historial o al deshacer/rehacer: una operación que
+         * seguía pendiente (ej: esperando un archivo) ya no parte del estado actual
+         * y no se registra.
+         * @type {number}
+         */
+        this._generation = 0;
+    }
+
+    /**
+     * Retorna el HTML de los botones Deshacer/Rehacer.
+     * @param {string} prefix - Prefijo para los ids de los botones.
+     * @returns {string}
+     */
+    static getControlsHTML(prefix) {
+        return `
+            <button class="btn btn-secondary" id="${prefix}-undo" title="Deshacer (Ctrl+Z)" disabled>↶ Deshacer</button>
+            <button class="btn btn-secondary" id="${prefix}-redo" title="Rehacer (Ctrl+Y)" disabled>↷ Rehacer</button>
+        `;
+    }
+
+    /**
+     * Cachea y enlaza los botones generados por {@link UndoHistory.getControlsHTML}.
+     * @param {string} prefix - Prefijo usado al generar los botones.
+     * @param {Object} options
+     * @param {Function} options.capture - Retorna el estado serializable actual (o null si no hay estructura).
+     * @param {Function} options.restore - Recibe un estado capturado y la descripción
+     *        ("Deshecho: ..." / "Rehecho: ...") y actualiza la vista.
+     * @param {Function} [options.isBusy] - Retorna true si hay una animación en curso.
+     */
+    bind(prefix, { capture, restore, isBusy = () => false }) {
+        this._capture = capture;
+        this._restore = restore;
+        this._isBusy = isBusy;
+
+        this.elements = {
+            undo: document.getElementById(`${prefix}-undo`),
+            redo: document.getElementById(`${prefix}-redo`)
+        };
+        this.elements.undo.addEventListener('click', () => this.undo());
+        this.elements.redo.addEventListener('click', () => this.redo());
+        this._updateButtons();
+    }
+
+    /**
+     * Ejecuta una operación y, si cambió el estado, la registra para poder
+     * deshacerla.
+     * @param {string} label - Descripción de la operación (ej: 'insertar "12"').
+     * @param {Function} action - Operación a ejecutar (puede ser asíncrona).
+     * @returns {Promise<void>}
+     */
+    async track(label, action) {
+        const generation = this._generation;
+        const before = this._serialize();
+        await action();
+
+        if (generation === this._generation && this._serialize() !== before) {
+            this.past.push({ label, state: before });
+            if (this.past.length > this.limit) this.past.shift();
+            this.future = [];
+            this._updateButtons();
+        }
+    }
+
+    /**
+     * Restaura el estado anterior a la última operación registrada.
+     * @returns {boolean} true si se deshizo una operación.
+     */
+    undo() {
+        return this._move(this.past, this.future, 'Deshecho');
+    }
+
+    /**
+     * Vuelve a aplicar la última operación deshecha.
+     * @returns {boolean} true si se rehízo una operación.
+     */
+    redo() {
+        return this._move(this.future, this.past, 'Rehecho');
+    }
+
+    /**
+     * Vacía el historial (al limpiar, crear o cargar otra estructura).
+     */
+    clear() {
+        this._generation++;
+        this.past = [];
+        this.future = [];
+        this._updateButtons();
+    }
+
+    /**
+     * Atiende los atajos Ctrl+Z (deshacer) y Ctrl+Y / Ctrl+Shift+Z (rehacer).
+     * En un campo de texto con contenido se respeta el deshacer nativo del navegador.
+     * @param {KeyboardEvent} e
+     * @returns {boolean} true si el atajo fue atendido.
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+
+        const key = e.key.toLowerCase();
+        const isUndo = key === 'z' && !e.shiftKey;
+        const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+        if (!isUndo && !isRedo) return false;
+
+        const target = e.target;
+        const isTextField = target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text'));
+        if (isTextField && target.value !== '') return false;
+
+        e.preventDefault();
+        if (isUndo) {
+            this.undo();
+        } else {
+            this.redo();
+        }
+        return true;
+    }
+
+    /**
+     * Pasa una entrada de una pila a la otra y restaura su estado.
+     * @private
+     * @param {Array} from - Pila de donde se toma el estado a restaurar.
+     * @param {Array} to - Pila donde se guarda el estado actual.
+     * @param {string} verb - 'Deshecho' o 'Rehecho', para la descripción.
+     * @returns {boolean}
+     */
+    _move(from, to, verb) {
+        if (from.length === 0 || !this._capture) return false;
+        if (this._isBusy()) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return false;
+        }
+
+        this._generation++;
+        const entry = from.pop();
+        to.push({ label: entry.label, state: this._serialize() });
+        this._restore(JSON.parse(entry.state), `${verb}: ${entry.label}.`);
+        this._updateButtons();
+        return true;
+    }
+
+    /**
+     * Captura el estado actual como texto JSON (copia independiente y comparable).
+     * @private
+     * @returns {string}
+     */
+    _serialize() {
+        return JSON.stringify(this._capture ? this._capture() : null);
+    }
+
+    /**
+     * Habilita los botones según haya operaciones para deshacer o rehacer.
+     * @private
+     */
+    _updateButtons() {
+        const { undo, redo } = this.elements;
+        if (undo) {
+            undo.disabled = this.past.length === 0;
+            undo.title = this.past.length > 0 ? `Deshacer ${this.past[this.past.length - 1].label} (Ctrl+Z)` : 'Deshacer (Ctrl+Z)';
+        }
+        if (redo) {
+            redo.disabled = this.future.length === 0;
+            redo.title = this.future.length > 0 ? `Rehacer ${this.future[this.future.length - 1].label} (Ctrl+Y)` : 'Rehacer (Ctrl+Y)';
+        }
+    }
+}
@@ -28,6 +28,12 @@ class AlgorithmView {
         /** @type {boolean} Indica si hay una animación de búsqueda en curso */
         this.isSearchAnimating = false;
 
+        /** @type {PlaybackController} Controlador de reproducción de las animaciones */
+        this.playback = new PlaybackController();
+
+        /** @type {UndoHistory} Historial para deshacer/rehacer inserciones y borrados */
+        this.history = new UndoHistory();
+
         /** @type {Object} Referencias a los elementos DOM de la vista */
         this.elements = {};
 
@@ -109,6 +115,12 @@ class AlgorithmView {
                 </div>
             </div>
 
+            <!-- Sección: Carga Masiva de Claves -->
+            <div class="section-block">
+                <div class="section-title">Carga Masiva de Claves</div>
+                ${KeyGenerator.getPanelHTML()}
+            </div>
+
             <!-- Área de contenido: Tabla + Log -->
             <div class="content-area">
                 <div class="table-container" id="table-container" style="display:none;">
@@ -124,9 +136,11 @@ class AlgorithmView {
                             <tbody id="table-body"></tbody>
                         </table>
                     </div>
+                    ${PlaybackController.getControlsHTML('playback')}
                 </div>
                 <div class="log-container" id="log-container" style="display:none;">
                     <div class="log-header">
+                        <button class="log-history-toggle log-export-toggle" id="log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
                         Mensajes y Resultados
                         <button class="log-history-toggle" id="log-history-toggle" title="Ver historial completo">📋 Historial</button>
                     </div>
@@ -136,7 +150,9 @@ class AlgorithmView {
 
             <!-- Botones de pie de página -->
             <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('history')}
                 <button class="btn btn-success" id="btn-save" disabled>Guardar</button>
+                <button class="btn btn-info" id="btn-export-csv" title="Exportar la tabla como CSV" disabled>Exportar CSV</button>
                 <button class="btn btn-primary" id="btn-print" disabled>Imprimir</button>
             </div>
         `;
@@ -164,11 +180,19 @@ class AlgorithmView {
             btnInsert: document.getElementById('btn-insert'),
             btnDelete: document.getElementById('btn-delete'),
             btnSearch: document.getElementById('btn-search'),
+            bulkKeys: document.getElementById('bulk-keys'),
+            bulkCount: document.getElementById('bulk-count'),
+            bulkSeed: document.getElementById('bulk-seed'),
+            btnGenerate: document.getElementById('btn-generate'),
+            btnBulkInsert: document.getElementById('btn-bulk-insert'),
+            btnImport: document.getElementById('btn-import'),
+            btnExportCsv: document.getElementById('btn-export-csv'),
             tableContainer: document.getElementById('table-container'),
             tableBody: document.getElementById('table-body'),
             logContainer: document.getElementById('log-container'),
             logContent: document.getElementById('log-content'),
             logHistoryToggle: document.getElementById('log-history-toggle'),
+            logExport: document.getElementById('log-export'),
             btnSave: document.getElementById('btn-save'),
             btnPrint: document.getElementById('btn-print')
         };
@@ -202,14 +226,25 @@ class AlgorithmView {
         el.btnLoad.addEventListener('click', () => this._onLoad());
 
         // Botón Insertar
-        el.btnInsert.addEventListener('click', () => this._onInsert());
+        el.btnInsert.addEventListener('click', () => this.history.track(`insertar "${el.inputKey.value.trim()}"`, () => this._onInsert()));
 
         // Botón Borrar
-        el.btnDelete.addEventListener('click', () => this._onDelete());
+        el.btnDelete.addEventListener('click', () => this.history.track(`borrar "${el.inputKey.value.trim()}"`, () => this._onDelete()));
 
         // Botón Buscar — sobrescrito por subclases
         el.btnSearch.addEventListener('click', () => this._onSearch());
 
+        // Carga masiva: generar claves aleatorias, insertar la lista o importar un archivo
+        el.btnGenerate.addEventListener('click', () => this._onGenerateKeys());
+        el.btnBulkInsert.addEventListener('click', () => this.history.track('inserción masiva', () => this._onBulkInsert()));
+        el.btnImport.addEventListener('click', () => this.history.track('importación de claves', () => this._onImportKeys()));
+
+        // Deshacer / Rehacer
+        this._bindHistory();
+
+        // Botón Exportar CSV
+        el.btnExportCsv.addEventListener('click', () => this._onExportCSV());
+
         // Botón Guardar
         el.btnSave.addEventListener('click', () => this._onSave());
 
@@ -230,6 +265,12 @@ class AlgorithmView {
         // Toggle historial del log
         el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
 
+        // Exportar traza del log
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+
+        // Controles de reproducción de la animación
+        this.playback.bindControls('playback');
+
         // Resize listener — recalcular tabla al cambiar tamaño de ventana
         this._resizeTimer = null;
         this._onResizeBound = () => {
@@ -287,6 +328,7 @@ class AlgorithmView {
         el.btnSearch.disabled = false;
         el.btnSave.disabled = false;
         el.btnPrint.disabled = false;
+        this._setBulkEnabled(true);
 
         // Deshabilitar configuración para evitar cambios con estructura activa
         el.dataType.disabled = true;
@@ -318,7 +360,13 @@ class AlgorithmView {
             if (!confirmed) return;
         }
 
+        // Descartar cualquier animación en curso o en pausa
+        this.playback.stop();
+        this.isSearchAnimating = false;
+
         this.dataStructure.reset();
+        this.history.clear();
+        SessionStore.remove(this._algorithmName);
         this.logMessages = [];
         this._allowDuplicates = false;
         this._lastOperation = null;
@@ -357,6 +405,7 @@ class AlgorithmView {
         el.btnSearch.disabled = true;
         el.btnSave.disabled = true;
         el.btnPrint.disabled = true;
+        this._setBulkEnabled(false);
 
         // Ocultar tabla y log
         el.tableContainer.style.display = 'none';
@@ -365,22 +414,123 @@ class AlgorithmView {
         el.logContent.innerHTML = '';
     }
 
+    /**
+     * Enlaza los botones Deshacer/Rehacer con las instantáneas de la estructura.
+     * @protected
+     */
+    _bindHistory() {
+        this.history.bind('history', {
+            capture: () => this._captureState(),
+            restore: (state, description) => this._restoreState(state, description),
+            isBusy: () => this.isSearchAnimating
+        });
+    }
+
+    /**
+     * Instantánea de la estructura para el historial de deshacer/rehacer.
+     * @protected
+     * @returns {Object|null} Estado serializable, o null si no hay estructura.
+     */
+    _captureState() {
+        return this.dataStructure.created ? this.dataStructure.toJSON() : null;
+    }
+
+    /**
+     * Restaura un estado del historial de deshacer/rehacer y lo registra en el log.
+     * @protected
+     * @param {Object} state - Estado capturado con {@link AlgorithmView#_captureState}.
+     * @param {string} description - Operación deshecha o rehecha.
+     */
+    _restoreState(state, description) {
+        this.playback.stop();
+        this.dataStructure.fromJSON(state);
+        this._renderTable();
+        this._setOperation('history');
+        this._addLog(description, 'info');
+    }
+
+    /**
+     * Ofrece restaurar la sesión guardada de esta vista (estructura, log y
+     * ajustes). Se llama al abrir la vista.
+     * @async
+     * @param {boolean} [ask=true] - Si es false se restaura sin preguntar.
+     */
+    async restoreSession(ask = true) {
+        const session = SessionStore.load(this._algorithmName);
+        if (!session || this.dataStructure.created) return;
+        if (ask && !(await SessionStore.promptRestore(this._algorithmName, session))) return;
+
+        await this._onLoad(session);
+        if (!this.dataStructure.created) return;
+
+        this._applySessionSettings(session.settings);
+        this.logMessages = session.log;
+        this._setOperation('session');
+        this._addLog(`Sesión restaurada: ${this.dataStructure.count} clave(s).`, 'success');
+    }
+
+    /**
+     * Programa el guardado automático de la sesión en localStorage.
+     * @protected
+     */
+    _scheduleSessionSave() {
+        SessionStore.scheduleSave(this._algorithmName, () => this._getSessionData());
+    }
+
+    /**
+     * Sobre de la sesión actual para {@link SessionStore}.
+     * @protected
+     * @returns {Object|null} null si no hay estructura creada.
+     */
+    _getSessionData() {
+        if (!this.dataStructure.created) return null;
+        return FileSchema.createEnvelope(this._algorithmName, this.dataStructure.toJSON(), {
+            settings: this._getSessionSettings(),
+            log: this.logMessages
+        });
+    }
+
+    /**
+     * Ajustes de la vista que no forman parte de la estructura.
+     * @protected
+     * @returns {Object}
+     */
+    _getSessionSettings() {
+        return {};
+    }
+
+    /**
+     * Aplica los ajustes guardados con {@link AlgorithmView#_getSessionSettings}.
+     * @protected
+     * @param {Object} settings
+     */
+    _applySessionSettings(settings) {
+    }
+
     /**
      * Maneja el evento de cargar una estructura desde un archivo JSON.
      * Utiliza {@link FileManager.load} para seleccionar y leer el archivo.
      * @private
      * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión
+     *        guardada); si es null se pide el archivo.
      */
-    async _onLoad() {
+    async _onLoad(preloaded = null) {
         // Impedir cargar si ya existe una estructura activa
         if (this.dataStructure.created) {
             Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de cargar otra.');
             return;
         }
 
-        const data = await FileManager.load();
+        const data = preloaded || await FileManager.load(['linear', 'hash', 'tree']);
         if (!data) return;
 
+        // Archivo de otro grupo (hash, árbol...): convertir sus claves
+        if (FileCompat.needsConversion(data, this._algorithmName)) {
+            await this._loadConverted(data);
+            return;
+        }
+
         // Validar que el archivo corresponda a un algoritmo compatible
         if (data.algorithm && this._algorithmName && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
             Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con la vista actual ("${this._algorithmName}").`);
@@ -416,6 +566,7 @@ class AlgorithmView {
         el.btnSearch.disabled = false;
         el.btnSave.disabled = false;
         el.btnPrint.disabled = false;
+        this._setBulkEnabled(true);
 
         // Mostrar tabla y log
         el.tableContainer.style.display = '';
@@ -424,6 +575,39 @@ class AlgorithmView {
         this._renderTable();
         this._setOperation('load');
         this._addLog('Estructura cargada desde archivo.', 'success');
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+    }
+
+    /**
+     * Carga un archivo de otro grupo convirtiendo sus claves. Tras la vista
+     * previa de {@link FileCompat.convert}, la estructura se crea con
+     * {@link AlgorithmView#_onCreate} usando la configuración propuesta por la
+     * conversión (el resto, como el método de colisión, se toma de la vista)
+     * y se insertan las claves conservadas.
+     * @protected
+     * @async
+     * @param {Object} data - Sobre del archivo.
+     */
+    async _loadConverted(data) {
+        const conversion = await FileCompat.convert(data, this._algorithmName);
+        if (!conversion) return;
+
+        const el = this.elements;
+        el.dataType.value = conversion.config.dataType;
+        el.keyLength.value = conversion.config.keyLength;
+        el.range.value = conversion.config.size;
+
+        this._onCreate();
+        if (!this.dataStructure.created) return;
+
+        this._setOperation('load');
+        this._addLog(`Archivo de ${FileCompat.getGroupDisplayName(conversion.fromGroup)} convertido a ${FileCompat.getGroupDisplayName(conversion.toGroup)}: ${conversion.kept.length} clave(s) conservada(s), ${conversion.dropped.length} descartada(s).`, 'info');
+        conversion.dropped.forEach(({ key, error }) => {
+            this._addLog(`✘ "${key}" descartada: ${error}`, 'warning', { action: 'descartada', key });
+        });
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+
+        this._insertKeyList(conversion.kept.map(key => ({ key })), 'Conversión');
     }
 
     /**
@@ -447,6 +631,195 @@ class AlgorithmView {
         el.inputKey.focus();
     }
 
+    /**
+     * Habilita o deshabilita el panel de carga masiva (lista, generador e
+     * importación) y la exportación a CSV. Al deshabilitarlo también vacía
+     * la lista, la cantidad y la semilla.
+     * @protected
+     * @param {boolean} enabled
+     */
+    _setBulkEnabled(enabled) {
+        const el = this.elements;
+        if (!el.bulkKeys) return;
+
+        el.bulkKeys.disabled = !enabled;
+        el.bulkCount.disabled = !enabled;
+        el.bulkSeed.disabled = !enabled;
+        el.btnGenerate.disabled = !enabled;
+        el.btnBulkInsert.disabled = !enabled;
+        el.btnImport.disabled = !enabled;
+        el.btnExportCsv.disabled = !enabled;
+
+        if (!enabled) {
+            el.bulkKeys.value = '';
+            el.bulkCount.value = '';
+            el.bulkSeed.value = '';
+        }
+    }
+
+    /**
+     * Genera claves aleatorias con {@link KeyGenerator.generate} respetando el
+     * tipo de dato, el tamaño de clave y la opción de claves repetidas, y las
+     * deja en la lista para revisarlas antes de insertarlas. Sin cantidad se
+     * generan tantas como posiciones libres; sin semilla se elige una al azar
+     * y se muestra en el campo para poder repetir la generación.
+     * @private
+     */
+    _onGenerateKeys() {
+        const el = this.elements;
+        const ds = this.dataStructure;
+
+        const freeSlots = Math.max(0, ds.getCapacity() - ds.count - ds.getTombstoneCount());
+        const count = el.bulkCount.value.trim() === '' ? freeSlots : Number(el.bulkCount.value);
+        if (!Number.isInteger(count) || count < 1 || count > 10000) {
+            Validation.showError('La cantidad de claves a generar debe ser un entero entre 1 y 10,000.', el.bulkCount);
+            return;
+        }
+
+        const seed = el.bulkSeed.value.trim() === '' ? undefined : Number(el.bulkSeed.value);
+        if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+            Validation.showError('La semilla debe ser un entero no negativo.', el.bulkSeed);
+            return;
+        }
+
+        const result = KeyGenerator.generate(count, {
+            dataType: ds.dataType,
+            keyLength: ds.keyLength,
+            allowDuplicates: ds.allowDuplicates,
+            exclude: ds.getStoredKeys().map(entry => entry.key),
+            seed
+        });
+
+        el.bulkSeed.value = result.seed;
+        el.bulkKeys.value = result.keys.join(', ');
+
+        this._setOperation('generate');
+        this._addLog(`${result.keys.length} clave(s) aleatoria(s) generada(s) con semilla ${result.seed}. Revise la lista y presione "Insertar Lista".`, 'info', {
+            action: 'generadas',
+            key: result.keys.join(' ')
+        });
+        if (result.keys.length < count) {
+            this._addLog(`Solo quedan ${result.available} clave(s) distintas de ${ds.keyLength} carácter(es) sin usar; se pidieron ${count}.`, 'warning');
+        }
+    }
+
+    /**
+     * Inserta las claves de la lista de carga masiva. Las claves rechazadas
+     * quedan en la lista para corregirlas.
+     * @private
+     */
+    _onBulkInsert() {
+        const el = this.elements;
+
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const keys = KeyGenerator.parseList(el.bulkKeys.value, this.dataStructure.dataType);
+        if (keys.length === 0) {
+            Validation.showError('Debe ingresar o generar al menos una clave.', el.bulkKeys);
+            return;
+        }
+
+        this._setOperation('insert');
+        this._addLog(`Inserción masiva de ${keys.length} clave(s)...`, 'info');
+
+        const rejected = this._insertKeyList(keys.map(key => ({ key })), 'Inserción masiva');
+        if (rejected.length > 0) {
+            this._addLog('Las claves rechazadas quedan en la lista para corregirlas.', 'info');
+        }
+        el.bulkKeys.value = rejected.map(entry => entry.key).join(', ');
+    }
+
+    /**
+     * Importa claves desde un archivo CSV o TXT (ver {@link TableFile.parse})
+     * y las inserta como en la carga masiva, informando las líneas inválidas.
+     * @private
+     * @async
+     */
+    async _onImportKeys() {
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const file = await FileManager.loadText(TableFile.IMPORT_ACCEPT);
+        if (!file) return;
+
+        const entries = TableFile.parse(file.text, file.name, this.dataStructure.dataType);
+        if (entries.length === 0) {
+            Validation.showError(`El archivo "${file.name}" no contiene claves.`);
+            return;
+        }
+
+        this._setOperation('load');
+        this._addLog(`Importando ${entries.length} clave(s) desde "${file.name}"...`, 'info');
+
+        const rejected = this._insertKeyList(entries, 'Importación');
+        if (rejected.length > 0) {
+            const lines = [...new Set(rejected.map(entry => entry.line))];
+            Validation.showWarning(`${rejected.length} clave(s) no se importaron (línea(s) ${lines.join(', ')}). Revise el log para ver el motivo.`);
+        }
+    }
+
+    /**
+     * Exporta el contenido actual de la tabla a un archivo CSV.
+     * @private
+     */
+    _onExportCSV() {
+        TableFile.exportCSV(this.dataStructure, this._algorithmName);
+    }
+
+    /**
+     * Inserta una lista de claves una por una. Cada clave pasa por la misma
+     * validación que la inserción individual y se registra en el log si fue
+     * insertada o rechazada (con el motivo y, si viene de un archivo, la línea).
+     * La tabla se renderiza una sola vez al final.
+     * @protected
+     * @param {Array<{key: string, line?: number}>} entries - Claves a insertar.
+     * @param {string} label - Nombre de la operación para el resumen del log.
+     * @returns {Array<{key: string, line?: number}>} Claves rechazadas.
+     */
+    _insertKeyList(entries, label) {
+        const rejected = [];
+        entries.forEach((entry) => {
+            const result = this._insertBulkKey(entry.key);
+            if (result.success) {
+                this._addLog(result.message, 'success', result.details);
+                return;
+            }
+            rejected.push(entry);
+            const where = entry.line !== undefined ? `Línea ${entry.line}, ` : '';
+            this._addLog(`✘ ${where}"${entry.key}": ${result.error}`, 'error', { action: 'rechazada', key: entry.key });
+        });
+
+        this._renderTable();
+
+        const inserted = entries.length - rejected.length;
+        this._addLog(`${label} finalizada: ${inserted} insertada(s), ${rejected.length} rechazada(s).`, rejected.length > 0 ? 'warning' : 'success');
+        return rejected;
+    }
+
+    /**
+     * Inserta una clave de la carga masiva usando la misma operación del
+     * modelo que {@link AlgorithmView#_onInsert}, sin renderizar la tabla.
+     * @protected
+     * @param {string} rawKey - Clave tal como aparece en la lista.
+     * @returns {{success: boolean, error: string|null, message?: string, details?: Object}}
+     */
+    _insertBulkKey(rawKey) {
+        const result = this.dataStructure.insert(rawKey);
+        if (!result.success) return result;
+
+        const key = this.dataStructure.keys[result.position];
+        return {
+            ...result,
+            message: `Clave "${key}" insertada en la posición ${result.position + 1}.`,
+            details: { action: 'insertada', position: result.position + 1, key }
+        };
+    }
+
     /**
      * Maneja el evento de eliminación de una clave de la estructura.
      * Primero anima la búsqueda correspondiente y luego realiza la eliminación.
@@ -741,9 +1114,14 @@ class AlgorithmView {
      * @private
      * @param {string} message - Texto del mensaje a mostrar.
      * @param {string} [type='info'] - Tipo del mensaje: 'info', 'success', 'error', 'warning'.
+     * @param {Object|null} [details=null] - Datos del paso para la traza exportada
+     *        (ej: action, position, subIndex, key, formula, collisions).
      */
-    _addLog(message, type = 'info') {
-        this.logMessages.push({ message, type, time: new Date(), operation: this._lastOperation });
+    _addLog(message, type = 'info', details = null) {
+        const record = { message, type, time: new Date(), operation: this._lastOperation };
+        if (details) record.details = details;
+        this.logMessages.push(record);
+        this._scheduleSessionSave();
 
         const logContent = this.elements.logContent;
         const entry = document.createElement('div');
@@ -796,6 +1174,35 @@ class AlgorithmView {
         this._renderLogView();
     }
 
+    /**
+     * Exporta el historial completo del log como traza (JSON, CSV o Markdown).
+     * @private
+     */
+    _onExportTrace() {
+        TraceExporter.export(this.logMessages, this._getTraceMeta());
+    }
+
+    /**
+     * Datos de la vista y de la configuración de la estructura para la traza.
+     * @protected
+     * @returns {{algorithm: string, title: string, config: Object}}
+     */
+    _getTraceMeta() {
+        const ds = this.dataStructure;
+        const titleEl = this.container.querySelector('.algo-title');
+        return {
+            algorithm: this._algorithmName || 'estructura',
+            title: titleEl ? titleEl.textContent : '',
+            config: ds.created ? {
+                size: ds.size,
+                keyLength: ds.keyLength,
+                dataType: ds.dataType,
+                allowDuplicates: ds.allowDuplicates,
+                count: ds.count
+            } : {}
+        };
+    }
+
     /**
      * Elimina todos los resaltados de búsqueda de las filas de la tabla.
      * @private
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Vista de Árboles Patricia.
+ * Cada nodo de enlace muestra el bit que examina y el panel de métricas las
+ * compara con las del árbol por residuos construido con las mismas claves.
+ * @extends TreeView
+ * @module views/ArbolesPatriciaView
+ */
+
+class ArbolesPatriciaView extends TreeView {
+    constructor(containerEl) {
+        super(containerEl);
+        this._algorithmName = 'arboles-patricia';
+    }
+
+    show() {
+        this.model = new PatriciaTreeModel();
+        this.render('Árboles Patricia');
+    }
+
+    /**
+     * Muestra las métricas junto a las del árbol por residuos construido con
+     * las mismas claves y codificación, y el ahorro de nodos de Patricia.
+     * @override
+     */
+    _renderMetrics(metrics) {
+        const residue = new ResidueTreeModel(this.model.encoding);
+        this.model.insertionOrder.forEach(key => residue.insert(key));
+        const residual = residue.getMetrics();
+
+        const format = v => Number(v.toFixed(2)).toString();
+        const patriciaTotal = metrics.linkNodes + metrics.infoNodes;
+        const residualTotal = residual.linkNodes + residual.infoNodes;
+        const saved = residualTotal - patriciaTotal;
+        const percent = residualTotal > 0 ? (saved / residualTotal * 100).toFixed(1) : '0.0';
+        const row = (label, a, b) => `<tr><td>${label}</td><td>${a}</td><td>${b}</td></tr>`;
+
+        return `
+            <table class="stats-table">
+                <tr><th>Métrica</th><th>Patricia</th><th>Residuos</th></tr>
+                ${row('Altura', metrics.height, residual.height)}
+                ${row('Nodos de enlace', metrics.linkNodes, residual.linkNodes)}
+                ${row('Nodos de información', metrics.infoNodes, residual.infoNodes)}
+                ${row('<strong>Total de nodos</strong>', `<strong>${patriciaTotal}</strong>`, `<strong>${residualTotal}</strong>`)}
+                ${row('Punteros vacíos', `${metrics.emptySlots} de ${metrics.totalSlots}`, `${residual.emptySlots} de ${residual.totalSlots}`)}
+                ${row('Comparaciones promedio', format(metrics.successful.mean), format(residual.successful.mean))}
+                ${row('Comparaciones máximas', metrics.successful.max, residual.successful.max)}
+            </table>
+            <div class="stats-note tree-stats-summary">Patricia usa ${saved} nodo(s) menos (${percent} % de ahorro): omite los enlaces sin bifurcación.</div>
+        `;
+    }
+
+    /**
+     * Dibuja el nodo y, en los nodos de enlace, el número del bit que examinan.
+     * @override
+     */
+    _drawNode(ctx, layoutNode) {
+        super._drawNode(ctx, layoutNode);
+
+        const { node, x, y } = layoutNode;
+        if (!node.isLink) return;
+
+        ctx.font = 'bold 12px "Segoe UI", sans-serif';
+        ctx.fillStyle = this._highlights.get(node) ? '#FFFFFF' : '#5A6880';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`b${node.bitIndex + 1}`, x, y);
+    }
+
+    /**
+     * @override
+     */
+    _describeStep(step) {
+        if (step.action === 'compare') {
+            return `Hoja "${step.key}": la clave difiere desde el bit ${step.bitIndex + 1} — se crea un enlace que examina ese bit`;
+        }
+        if (step.action === 'simplify') {
+            return `Se quita el enlace del bit ${step.bitIndex + 1}: su otro hijo sube un nivel`;
+        }
+        return super._describeStep(step);
+    }
+}
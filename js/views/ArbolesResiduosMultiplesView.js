@@ -47,7 +47,9 @@ class ArbolesResiduosMultiplesView extends TreeView {
 
         // Cachear y enlazar evento
         this.elements.mSelect = document.getElementById('tree-m-select');
-        this.elements.mSelect.addEventListener('change', () => this._onMChange());
+        this.elements.mSelect.addEventListener('change', () => {
+            this.history.track(`cambiar m a ${this.elements.mSelect.value}`, () => this._onMChange());
+        });
     }
 
     /**
@@ -56,10 +58,13 @@ class ArbolesResiduosMultiplesView extends TreeView {
     _onMChange() {
         const newM = parseInt(this.elements.mSelect.value);
 
+        // El timeline cargado pertenece al árbol anterior
+        this._resetTimeline();
+
         if (this.model && this.model.created) {
             // Rebuild the tree with the same keys but new m
             const savedOrder = [...this.model.insertionOrder];
-            this.model = new MultiResidueTreeModel(newM);
+            this.model = new MultiResidueTreeModel(newM, this.model.encoding);
             for (const letter of savedOrder) {
                 this.model.insert(letter);
             }
@@ -67,7 +72,7 @@ class ArbolesResiduosMultiplesView extends TreeView {
             this._addLog(`Valor de m cambiado a ${newM}. Árbol reconstruido con ${savedOrder.length} clave(s).`, 'info');
             this._fitToView();
         } else {
-            this.model = new MultiResidueTreeModel(newM);
+            this.model = new MultiResidueTreeModel(newM, this.model.encoding);
             this._drawTree();
         }
     }
@@ -75,15 +80,27 @@ class ArbolesResiduosMultiplesView extends TreeView {
     /**
      * Al cargar desde archivo, sincronizar el selector de m.
      * @override
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
      */
-    async _onLoad() {
-        await super._onLoad();
+    async _onLoad(preloaded = null) {
+        await super._onLoad(preloaded);
         // Sync the m selector with the loaded model
         if (this.model && this.model.created && this.elements.mSelect) {
             this.elements.mSelect.value = this.model.m.toString();
         }
     }
 
+    /**
+     * Al deshacer/rehacer, sincronizar el selector de m con el árbol restaurado.
+     * @override
+     */
+    _restoreState(state, description) {
+        super._restoreState(state, description);
+        if (this.elements.mSelect) {
+            this.elements.mSelect.value = this.model.m.toString();
+        }
+    }
+
     /**
      * Al limpiar, resetear el selector de m a su valor por defecto.
      * @override
@@ -93,6 +110,6 @@ class ArbolesResiduosMultiplesView extends TreeView {
         if (this.elements.mSelect) {
             this.elements.mSelect.value = '2';
         }
-        this.model = new MultiResidueTreeModel(2);
+        this.model = new MultiResidueTreeModel(2, this.model.encoding);
     }
 }
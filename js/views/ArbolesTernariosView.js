@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Vista de Árboles de Búsqueda Ternarios.
+ * Comparte con el trie la entrada de palabras y la búsqueda por prefijo;
+ * cada nodo muestra su letra y las palabras se escriben bajo el nodo donde
+ * terminan.
+ * @extends TrieView
+ * @module views/ArbolesTernariosView
+ */
+
+class ArbolesTernariosView extends TrieView {
+    constructor(containerEl) {
+        super(containerEl);
+        this._algorithmName = 'arboles-ternarios';
+    }
+
+    show() {
+        this.model = new TernarySearchTreeModel();
+        this.render('Árboles de Búsqueda Ternarios');
+        this._injectPrefixButton();
+    }
+
+    /**
+     * Cada nodo muestra la letra que compara.
+     * @override
+     */
+    _nodeText(node) {
+        return node.char;
+    }
+
+    /**
+     * Dibuja el nodo y, si en él termina una palabra, la escribe debajo.
+     * @override
+     */
+    _drawNode(ctx, layoutNode) {
+        super._drawNode(ctx, layoutNode);
+
+        const { node, x, y } = layoutNode;
+        if (node.key === null) return;
+
+        ctx.font = 'bold 11px "Segoe UI", sans-serif';
+        ctx.fillStyle = '#2B579A';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(node.key, x, y + this._nodeRadius + 10);
+    }
+
+    /**
+     * @override
+     */
+    _describeStep(step) {
+        if (step.direction && step.action === 'visit-link') {
+            const comparison = {
+                left: `"${step.char}" < "${step.node.char}" → menor (izquierda)`,
+                mid: `"${step.char}" = "${step.node.char}" → igual (centro), siguiente letra`,
+                right: `"${step.char}" > "${step.node.char}" → mayor (derecha)`
+            };
+            return `Nodo "${step.node.char}", letra ${step.charIndex + 1}: ${comparison[step.direction]}`;
+        }
+        if (step.action === 'not-found' && step.direction) {
+            return `Nodo "${step.node.char}", letra ${step.charIndex + 1} = "${step.char}": no hay hijo por ese lado — palabra no encontrada`;
+        }
+        return super._describeStep(step);
+    }
+}
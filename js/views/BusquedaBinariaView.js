@@ -35,9 +35,10 @@ class BusquedaBinariaView extends AlgorithmView {
      * @override
      * @private
      * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
      */
-    async _onLoad() {
-        await super._onLoad();
+    async _onLoad(preloaded = null) {
+        await super._onLoad(preloaded);
 
         // Si se cargó correctamente, ordenar las claves existentes
         if (this.dataStructure.created && this.dataStructure.count > 0) {
@@ -77,6 +78,25 @@ class BusquedaBinariaView extends AlgorithmView {
         el.inputKey.focus();
     }
 
+    /**
+     * Sobrescribe la inserción de la carga masiva para mantener el arreglo ordenado.
+     * @override
+     * @protected
+     * @param {string} rawKey
+     * @returns {{success: boolean, error: string|null, message?: string, details?: Object}}
+     */
+    _insertBulkKey(rawKey) {
+        const result = this.dataStructure.sortedInsert(rawKey);
+        if (!result.success) return result;
+
+        const key = this.dataStructure.keys[result.position];
+        return {
+            ...result,
+            message: `Clave "${key}" insertada en la posición ${result.position + 1} (ordenada).`,
+            details: { action: 'insertada', position: result.position + 1, key }
+        };
+    }
+
     /**
      * Sobrescribe la eliminación para animar la búsqueda binaria antes de borrar.
      * @override
@@ -218,102 +238,99 @@ class BusquedaBinariaView extends AlgorithmView {
     }
 
     /**
-     * Anima la búsqueda binaria paso a paso, mostrando visualmente
-     * el punto medio y la mitad descartada en cada iteración.
+     * Anima la búsqueda binaria paso a paso mediante el {@link PlaybackController},
+     * mostrando visualmente el punto medio y la mitad descartada en cada iteración.
      * @private
      * @param {Object} result - Resultado de {@link DataStructure#binarySearch}.
      * @param {string} displayKey - Clave normalizada para mostrar en logs.
      * @returns {Promise<void>} Promesa que se resuelve al finalizar la animación.
      */
     _animateSearch(result, displayKey) {
-        return new Promise((resolve) => {
-            const steps = result.steps;
-            const tbody = this.elements.tableBody;
-            let stepIndex = 0;
-
-            /**
-             * Ejecuta un paso de la animación.
-             * @private
-             */
-            const animateStep = () => {
-                // Limpiar resaltados anteriores
-                this._clearHighlights();
-
-                if (stepIndex >= steps.length) {
-                    // Sin pasos (estructura vacía o error)
-                    this._addLog(`✘ Clave "${displayKey}" no encontrada.`, 'error');
-                    resolve();
-                    return;
-                }
+        const steps = result.steps;
+        const tbody = this.elements.tableBody;
 
-                const step = steps[stepIndex];
+        /**
+         * Obtiene la fila del punto medio, insertándola si no está en el render compacto.
+         * @param {number} mid
+         * @returns {HTMLTableRowElement|null}
+         */
+        const getMidRow = (mid) => tbody.querySelector(`tr[data-index="${mid}"]`) || this._insertDynamicRow(mid);
+
+        /**
+         * Dibuja el estado del paso indicado.
+         * @param {number} i - Índice del paso.
+         * @param {boolean} firstVisit - Si es la primera vez que se muestra (para el log).
+         */
+        const renderStep = (i, firstVisit) => {
+            const step = steps[i];
+
+            // Limpiar resaltados anteriores
+            this._clearHighlights();
 
-                // Resaltar el rango activo [low..high] y las filas descartadas
-                for (let i = 0; i < this.dataStructure.count; i++) {
-                    const row = tbody.querySelector(`tr[data-index="${i}"]`);
-                    if (!row) continue;
+            // Resaltar el rango activo [low..high] y las filas descartadas
+            for (let r = 0; r < this.dataStructure.count; r++) {
+                const row = tbody.querySelector(`tr[data-index="${r}"]`);
+                if (!row) continue;
 
-                    if (i < step.low || i > step.high) {
-                        row.classList.add('highlight-discarded');
-                    }
+                if (r < step.low || r > step.high) {
+                    row.classList.add('highlight-discarded');
                 }
+            }
 
-                // Resaltar el punto medio (insertar fila si no está en el render compacto)
-                let midRow = tbody.querySelector(`tr[data-index="${step.mid}"]`);
-                if (!midRow) {
-                    midRow = this._insertDynamicRow(step.mid);
-                }
-                if (midRow) {
-                    midRow.classList.add('highlight-mid');
-                    const scrollContainer = document.getElementById('table-scroll');
-                    if (scrollContainer) {
-                        const midRowTop = midRow.offsetTop;
-                        const midRowHeight = midRow.offsetHeight;
-                        const containerHeight = scrollContainer.clientHeight;
-                        scrollContainer.scrollTop = midRowTop - (containerHeight / 2) + (midRowHeight / 2);
-                    }
+            // Resaltar el punto medio
+            const midRow = getMidRow(step.mid);
+            if (midRow) {
+                midRow.classList.add('highlight-mid');
+                const scrollContainer = document.getElementById('table-scroll');
+                if (scrollContainer) {
+                    const midRowTop = midRow.offsetTop;
+                    const midRowHeight = midRow.offsetHeight;
+                    const containerHeight = scrollContainer.clientHeight;
+                    scrollContainer.scrollTop = midRowTop - (containerHeight / 2) + (midRowHeight / 2);
                 }
+            }
 
-                // Log del paso actual
-                if (step.action === 'encontrada') {
-                    this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → ¡Encontrada!`, 'success');
-                } else if (step.action === 'no-encontrada') {
-                    this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → No coincide`, 'error');
-                } else if (step.action === 'descarta-derecha') {
-                    this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → Descarta mitad derecha`, 'info');
-                } else if (step.action === 'descarta-izquierda') {
-                    this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → Descarta mitad izquierda`, 'info');
-                }
+            // Log del paso (solo la primera vez que se muestra)
+            if (!firstVisit) return;
+            const details = {
+                action: step.action,
+                position: step.mid + 1,
+                key: step.midKey,
+                formula: `medio = ⌊(${step.low + 1} + ${step.high + 1}) / 2⌋ = ${step.mid + 1}`
+            };
+            if (step.action === 'encontrada') {
+                this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → ¡Encontrada!`, 'success', details);
+            } else if (step.action === 'no-encontrada') {
+                this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → No coincide`, 'error', details);
+            } else if (step.action === 'descarta-derecha') {
+                this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → Descarta mitad derecha`, 'info', details);
+            } else if (step.action === 'descarta-izquierda') {
+                this._addLog(`  Rango [${step.low + 1}..${step.high + 1}] → Medio: pos ${step.mid + 1} (clave "${step.midKey}") → Descarta mitad izquierda`, 'info', details);
+            }
+        };
 
-                stepIndex++;
-
-                // Si fue el paso final
-                if (step.action === 'encontrada') {
-                    setTimeout(() => {
-                        this._clearHighlights();
-                        if (midRow) midRow.classList.add('highlight-found');
-                        this._addLog(`✔ Clave "${displayKey}" encontrada en la posición ${step.mid + 1}. Pasos: ${steps.length}.`, 'success');
-                        resolve();
-                    }, 600);
-                    return;
-                }
+        /** Muestra el resultado final de la búsqueda. */
+        const onComplete = () => {
+            this._clearHighlights();
+            const last = steps[steps.length - 1];
 
-                if (step.action === 'no-encontrada') {
-                    setTimeout(() => {
-                        this._clearHighlights();
-                        if (midRow) midRow.classList.add('highlight-not-found');
-                        this._addLog(`✘ Clave "${displayKey}" no encontrada. Pasos: ${steps.length}.`, 'error');
-                        resolve();
-                    }, 600);
-                    return;
-                }
+            if (!last) {
+                // Sin pasos (estructura vacía o error)
+                this._addLog(`✘ Clave "${displayKey}" no encontrada.`, 'error');
+                return;
+            }
 
-                // Continuar al siguiente paso con retardo
-                const delay = Math.max(400, Math.min(800, 5000 / steps.length));
-                setTimeout(animateStep, delay);
-            };
+            const midRow = getMidRow(last.mid);
+            if (last.action === 'encontrada') {
+                if (midRow) midRow.classList.add('highlight-found');
+                this._addLog(`✔ Clave "${displayKey}" encontrada en la posición ${last.mid + 1}. Pasos: ${steps.length}.`, 'success', { action: 'encontrada', position: last.mid + 1, key: displayKey });
+            } else {
+                if (midRow) midRow.classList.add('highlight-not-found');
+                this._addLog(`✘ Clave "${displayKey}" no encontrada. Pasos: ${steps.length}.`, 'error');
+            }
+        };
 
-            animateStep();
-        });
+        const delay = Math.max(400, Math.min(800, 5000 / steps.length));
+        return this.playback.run(steps, renderStep, { delay, onComplete });
     }
 }
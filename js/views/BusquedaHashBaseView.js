@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Vista de Búsqueda Hash - Método de Conversión de Base.
+ * Extiende {@link HashView} para implementar la búsqueda hash leyendo los
+ * dígitos de la clave en una base b elegida por el usuario:
+ * h(k) = (Σ dᵢ · bⁱ) mod n + 1.
+ * @module views/BusquedaHashBaseView
+ */
+
+/**
+ * Vista del algoritmo de Búsqueda Hash con Método de Conversión de Base.
+ * @extends HashView
+ */
+class BusquedaHashBaseView extends HashView {
+    /**
+     * Crea una instancia de BusquedaHashBaseView.
+     * @param {HTMLElement} containerEl - Elemento contenedor de la vista.
+     */
+    constructor(containerEl) {
+        super(containerEl);
+        /** @type {string} Identificador interno del algoritmo */
+        this._algorithmName = 'hash-base';
+    }
+
+    /** @override */
+    _getHashMethod() { return 'base'; }
+
+    /**
+     * Retorna la base ingresada en la configuración.
+     * @override
+     * @protected
+     * @returns {{base: number}}
+     */
+    _getHashOptions() {
+        const base = this._parseBase();
+        return { ...super._getHashOptions(), base: base !== null ? base : DataStructure.DEFAULT_BASE };
+    }
+
+    /**
+     * Muestra la vista de búsqueda hash por conversión de base.
+     */
+    show() {
+        this.render('Búsqueda Hash - Método de Conversión de Base');
+        this._injectBaseField();
+    }
+
+    /**
+     * Inyecta el campo de la base al final de los campos de configuración.
+     * @private
+     */
+    _injectBaseField() {
+        const fields = this.container.querySelector('.config-fields');
+        if (!fields) return;
+
+        const group = document.createElement('div');
+        group.classList.add('config-group');
+        group.innerHTML = `
+            <label for="cfg-base">Base</label>
+            <input type="number" id="cfg-base" min="11" max="36" step="1"
+                value="${DataStructure.DEFAULT_BASE}"
+                title="Base en la que se leen los dígitos de la clave (11 a 36)">
+        `;
+        fields.appendChild(group);
+
+        this.elements.base = document.getElementById('cfg-base');
+    }
+
+    /**
+     * Lee y valida la base del campo de configuración.
+     * @private
+     * @returns {number|null} La base, o null si no es válida.
+     */
+    _parseBase() {
+        const input = this.elements.base;
+        if (!input) return null;
+        const value = input.value.toString().trim();
+        if (!/^\d+$/.test(value)) return null;
+        const base = parseInt(value, 10);
+        if (base < 11 || base > 36) return null;
+        return base;
+    }
+
+    /**
+     * Valida la base antes de crear la estructura.
+     * @override
+     * @private
+     */
+    _onCreate() {
+        if (!this.dataStructure.created && this._parseBase() === null) {
+            Validation.showError('La base debe ser un número entero entre 11 y 36.');
+            return;
+        }
+
+        super._onCreate();
+
+        if (this.dataStructure.created) {
+            this.elements.base.disabled = true;
+        }
+    }
+
+    /**
+     * Al cargar desde archivo, sincronizar el campo de la base.
+     * @override
+     * @private
+     * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
+     */
+    async _onLoad(preloaded = null) {
+        await super._onLoad(preloaded);
+        if (this.dataStructure.created && this.elements.base) {
+            this.elements.base.value = this.dataStructure.base;
+            this.elements.base.disabled = true;
+        }
+    }
+
+    /**
+     * Al limpiar, restablecer la base a su valor por defecto.
+     * @override
+     * @private
+     * @async
+     */
+    async _onClear() {
+        await super._onClear();
+        if (!this.dataStructure.created && this.elements.base) {
+            this.elements.base.value = DataStructure.DEFAULT_BASE;
+            this.elements.base.disabled = false;
+        }
+    }
+
+    /**
+     * Agrega la base a los datos de la traza.
+     * @override
+     * @protected
+     * @returns {{algorithm: string, title: string, config: Object}}
+     */
+    _getTraceMeta() {
+        const meta = super._getTraceMeta();
+        if (this.dataStructure.created) {
+            meta.config.base = this.dataStructure.base;
+        }
+        return meta;
+    }
+
+    /**
+     * Gancho para personalizar el log de creación con la función hash específica.
+     * @override
+     * @protected
+     */
+    _onCreationSuccess(size, keyLength, dataType, strategyName) {
+        this._setOperation('create');
+        const b = this.dataStructure.base;
+        const h1Text = `h(k) = (dígitos de k leídos en base ${b}) mod ${size} + 1`;
+        let baseMsg = `Estructura hash creada: ${size} posiciones, clave de ${keyLength} carácter(es), tipo: ${dataType}, función: ${h1Text}, estrategia: ${strategyName}.`;
+
+        if (this._collisionStrategy === 'doble-hash') {
+            baseMsg += ` Lógica: H'(D) = (base${b}(D + 1) mod ${size}) + 1.`;
+        } else if (this._collisionStrategy === 'prueba-cuadratica') {
+            baseMsg += `\nLógica: H(pos, i) = (h(k) + i²) mod ${size} + 1.`;
+        } else if (this._collisionStrategy === 'prueba-lineal') {
+            baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1.`;
+        } else if (this._collisionStrategy === 'robin-hood') {
+            baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1; la clave con mayor distancia de sondeo d toma la posición.`;
+        } else if (this._collisionStrategy === 'arreglos-anidados') {
+            baseMsg += `\nLógica: Las colisiones se almacenan en arreglos en la misma posición.`;
+        } else if (this._collisionStrategy === 'encadenamiento') {
+            baseMsg += `\nLógica: Las colisiones se almacenan en una lista enlazada vertical.`;
+        } else if (this._collisionStrategy === 'coalescido') {
+            baseMsg += `\nLógica: Las colisiones se enlazan dentro de la tabla, ocupando la posición libre más alta (zona de desborde de ${this.dataStructure.cellarSize} posiciones, luego el área primaria).`;
+        } else if (this._collisionStrategy === 'cuckoo') {
+            const h2Name = DataStructure.HASH_METHODS[this.dataStructure.secondaryHashMethod];
+            baseMsg += `\nLógica: Tabla 1 con h(k) y tabla 2 con h₂(k) = ${h2Name}; la clave nueva expulsa a la existente hacia su posición en la otra tabla.`;
+        }
+
+        this._addLog(baseMsg, 'info');
+    }
+
+    /**
+     * Sobrescribe la inserción para usar la función hash por conversión de base con estrategia.
+     * @override
+     * @private
+     */
+    _onInsert() {
+        const el = this.elements;
+        const rawValue = el.inputKey.value;
+        const result = this.dataStructure.hashInsert(rawValue, this._collisionStrategy);
+
+        if (!result.success) {
+            Validation.showError(result.error, el.inputKey);
+            return;
+        }
+
+        this._setOperation('insert');
+        this._renderTable();
+
+        this._logRehash(result.rehash);
+
+        // Mostrar pasos de colisión y fórmulas
+        this._logInsertSteps(result.steps);
+
+        // Mensaje final de inserción
+        const finalStep = result.steps[result.steps.length - 1];
+        let message = `Clave "${this._getDisplayKey(result.position, result.table)}" insertada en ${this._describePosition(result.position, result.table)}`;
+        const usedFormula = result.collisions === 0 ? result.formula : (finalStep && finalStep.formula);
+
+        if (usedFormula) {
+            message += ` usando ${usedFormula}`;
+        }
+
+        if (result.collisions > 0) {
+            message += ` (${result.collisions} colisión${result.collisions > 1 ? 'es' : ''})`;
+        }
+        message += '.';
+
+        // Mostrar la conversión clave → entero si no es numérico
+        if (this.dataStructure.dataType !== 'numerico') {
+            this._addLog(this.dataStructure.getConversionFormula(rawValue.trim()), 'info');
+        }
+
+        this._addLog(message, 'success', {
+            action: 'insertada',
+            position: result.position + 1,
+            table: result.table,
+            key: this._getDisplayKey(result.position, result.table),
+            formula: usedFormula || null,
+            collisions: result.collisions
+        });
+        this._logProbeStats();
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Sobrescribe el método de búsqueda con la búsqueda hash animada.
+     * @override
+     * @private
+     */
+    _onSearch() {
+        const el = this.elements;
+        const key = el.inputKey.value.trim();
+
+        if (key === '') {
+            Validation.showError('Debe ingresar la clave que desea buscar.', el.inputKey);
+            return;
+        }
+
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la búsqueda actual termine.');
+            return;
+        }
+
+        if (this.dataStructure.count === 0) {
+            Validation.showWarning('La estructura está vacía. Inserte claves antes de buscar.');
+            return;
+        }
+
+        this._setOperation('search');
+        const result = this.dataStructure.hashSearch(key, this._collisionStrategy);
+
+        // Normalizar la clave para mostrar en los mensajes
+        let displayKey = key;
+        if (this.dataStructure.dataType === 'numerico' && /^\d+$/.test(key) && key.length < this.dataStructure.keyLength) {
+            displayKey = key.padStart(this.dataStructure.keyLength, '0');
+        }
+
+        this._clearHighlights();
+        this.isSearchAnimating = true;
+
+        // Deshabilitar botones durante la animación
+        el.btnSearch.disabled = true;
+        el.btnInsert.disabled = true;
+        el.btnDelete.disabled = true;
+
+        const k = this.dataStructure.getNumericValue(displayKey);
+        const n = this.dataStructure.size;
+        const { hash: hashValue, terms, converted } = this.dataStructure._getHashValue(k);
+
+        if (this.dataStructure.dataType !== 'numerico') {
+            this._addLog(this.dataStructure.getConversionFormula(displayKey), 'info');
+        }
+
+        const formula = `h(${k}) = (${terms}) mod ${n} + 1 = (${converted} mod ${n}) + 1 = ${hashValue}`;
+        this._addLog(`Buscando clave "${displayKey}" usando ${formula}...`, 'info', { action: 'hash', key: displayKey, position: hashValue, formula });
+
+        this._animateSearch(result, displayKey).then(() => {
+            this.isSearchAnimating = false;
+            el.btnSearch.disabled = false;
+            el.btnInsert.disabled = false;
+            el.btnDelete.disabled = false;
+            el.inputKey.value = '';
+            el.inputKey.focus();
+        });
+    }
+}
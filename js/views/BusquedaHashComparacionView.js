@@ -0,0 +1,799 @@
+/**
+ * @fileoverview Vista de comparación de estrategias de colisión.
+ * Crea una tabla hash por cada estrategia seleccionada, todas con la misma
+ * función hash y configuración, y repite en cada una las inserciones,
+ * búsquedas y borrados para comparar colisiones y sondeos lado a lado.
+ * @module views/BusquedaHashComparacionView
+ */
+
+/**
+ * Vista de comparación de estrategias de colisión.
+ * @extends AlgorithmView
+ */
+class BusquedaHashComparacionView extends AlgorithmView {
+    /**
+     * Crea una instancia de BusquedaHashComparacionView.
+     * @param {HTMLElement} containerEl - Elemento contenedor de la vista.
+     */
+    constructor(containerEl) {
+        super(containerEl);
+        /** @type {string} Identificador interno del algoritmo */
+        this._algorithmName = 'hash-comparacion';
+
+        /**
+         * Una estructura por estrategia, con sus contadores acumulados.
+         * @type {Array<{strategy: string, name: string, ds: DataStructure, collisions: number, probes: number, searches: number}>}
+         */
+        this.structures = [];
+    }
+
+    /**
+     * Muestra la vista de comparación.
+     */
+    show() {
+        this.render('Búsqueda Hash - Comparación de Estrategias de Colisión');
+    }
+
+    /**
+     * Renderiza la interfaz: configuración con la función hash y la lista de
+     * estrategias, panel de modificación, una tabla por estrategia y el log.
+     * @override
+     * @param {string} title - Título de la vista.
+     */
+    render(title) {
+        this.container.innerHTML = '';
+        this.container.classList.remove('hidden');
+
+        const welcome = document.getElementById('welcome-screen');
+        if (welcome) welcome.classList.add('hidden');
+
+        this.container.innerHTML = `
+            <div class="algo-title">${title}</div>
+
+            <!-- Sección: Creación de la Estructura -->
+            <div class="section-block">
+                <div class="section-title">Creación de la Estructura</div>
+                <div class="config-panel">
+                    <div class="config-fields">
+                        <div class="config-group">
+                            <label for="cfg-datatype">Tipo de Dato</label>
+                            <select id="cfg-datatype">
+                                <option value="">-- Seleccione --</option>
+                                <option value="numerico">Numérico</option>
+                                <option value="texto">Cadena de Texto</option>
+                                <option value="alfanumerico">Alfanumérico</option>
+                            </select>
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-hash-method">Función Hash</label>
+                            <select id="cfg-hash-method">
+                                ${this._getHashMethodOptions()}
+                            </select>
+                        </div>
+                        <div class="config-group">
+                            <label>Estrategias a comparar</label>
+                            <div class="strategy-checks" id="cfg-strategies">
+                                ${this._getStrategyChecks()}
+                            </div>
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-keylength">Tamaño Clave</label>
+                            <input type="number" id="cfg-keylength" min="1" max="100" placeholder="Ej: 3">
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-range">Rango Estructura</label>
+                            <input type="number" id="cfg-range" min="1" placeholder="Ej: 10">
+                        </div>
+                    </div>
+                    <div class="config-buttons">
+                        <button class="btn btn-primary" id="btn-create">Crear</button>
+                        <button class="btn btn-info" id="btn-load">Cargar</button>
+                        <button class="btn btn-secondary" id="btn-clear">Limpiar</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Sección: Modificación de la Estructura -->
+            <div class="section-block">
+                <div class="section-title">Modificación de la Estructura</div>
+                <div class="insert-panel">
+                    <label for="input-key">Digite la Clave</label>
+                    <input type="text" id="input-key" placeholder="Ingrese la clave..." disabled>
+                    <div class="insert-buttons">
+                        <button class="btn btn-primary" id="btn-insert" disabled>Insertar</button>
+                        <button class="btn btn-danger" id="btn-delete" disabled>Borrar</button>
+                        <button class="btn btn-success" id="btn-search" disabled>Buscar</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Área de contenido: Tablas + Log -->
+            <div class="content-area">
+                <div class="table-container compare-container" id="table-container" style="display:none;">
+                    <div class="table-header-label">Estructuras por Estrategia</div>
+                    <div class="compare-grid" id="compare-grid"></div>
+                    ${PlaybackController.getControlsHTML('playback')}
+                </div>
+                <div class="log-container" id="log-container" style="display:none;">
+                    <div class="log-header">
+                        <button class="log-history-toggle log-export-toggle" id="log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
+                        Mensajes y Resultados
+                        <button class="log-history-toggle" id="log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                    </div>
+                    <div class="log-content" id="log-content"></div>
+                </div>
+            </div>
+
+            <!-- Botones de pie de página -->
+            <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('history')}
+                <button class="btn btn-success" id="btn-save" disabled>Guardar</button>
+                <button class="btn btn-primary" id="btn-print" disabled>Imprimir</button>
+            </div>
+        `;
+
+        this._cacheElements();
+        this._bindEvents();
+    }
+
+    /**
+     * Opciones HTML de la función hash común a todas las tablas.
+     * @private
+     * @returns {string}
+     */
+    _getHashMethodOptions() {
+        return Object.entries(DataStructure.HASH_METHODS)
+            .map(([method, label]) => `<option value="${method}">${label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Casillas de las estrategias disponibles; por defecto se comparan
+     * Prueba Lineal y Doble Función Hash.
+     * @private
+     * @returns {string}
+     */
+    _getStrategyChecks() {
+        const defaults = ['prueba-lineal', 'doble-hash'];
+        return CollisionStrategyFactory.getAvailableStrategies()
+            .map(({ value, label }) => `
+                <label class="strategy-check">
+                    <input type="checkbox" value="${value}"${defaults.includes(value) ? ' checked' : ''}> ${label}
+                </label>
+            `)
+            .join('');
+    }
+
+    /**
+     * Almacena las referencias a los elementos DOM. La grilla de tablas ocupa
+     * el lugar del cuerpo de la tabla única de la vista base.
+     * @override
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.hashMethod = document.getElementById('cfg-hash-method');
+        this.elements.strategies = document.getElementById('cfg-strategies');
+        this.elements.compareGrid = document.getElementById('compare-grid');
+        this.elements.tableBody = this.elements.compareGrid;
+    }
+
+    /**
+     * Asigna los eventos de los botones y controles de la vista.
+     * @override
+     * @private
+     */
+    _bindEvents() {
+        const el = this.elements;
+
+        el.btnCreate.addEventListener('click', () => this._onCreate());
+        el.btnClear.addEventListener('click', () => this._onClear());
+        el.btnLoad.addEventListener('click', () => this._onLoad());
+        el.btnInsert.addEventListener('click', () => this.history.track(`insertar "${el.inputKey.value.trim()}"`, () => this._onInsert()));
+        el.btnDelete.addEventListener('click', () => this.history.track(`borrar "${el.inputKey.value.trim()}"`, () => this._onDelete()));
+        el.btnSearch.addEventListener('click', () => this._onSearch());
+        el.btnSave.addEventListener('click', () => this._onSave());
+        el.btnPrint.addEventListener('click', () => FileManager.print());
+
+        // Retraso para que el Enter no cierre de inmediato un aviso SweetAlert2
+        el.inputKey.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                setTimeout(() => el.btnInsert.click(), 10);
+            }
+        });
+
+        el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+        this.playback.bindControls('playback');
+        this._bindHistory();
+    }
+
+    /**
+     * Estrategias marcadas en la configuración.
+     * @private
+     * @returns {Array<string>}
+     */
+    _getSelectedStrategies() {
+        return Array.from(this.elements.strategies.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    /**
+     * Crea una estructura vacía por estrategia con la misma configuración.
+     * @private
+     * @param {number} size - Rango de la estructura.
+     * @param {number} keyLength - Longitud de la clave.
+     * @param {string} dataType - Tipo de dato.
+     * @param {string} hashMethod - Función hash común.
+     * @param {Array<string>} strategies - Estrategias a comparar.
+     */
+    _createStructures(size, keyLength, dataType, hashMethod, strategies) {
+        this.structures = strategies.map((strategy) => {
+            const ds = new DataStructure();
+            ds.create(size, keyLength, dataType, false, strategy, hashMethod);
+            const name = CollisionStrategyFactory.create(strategy, ds).getName();
+            return { strategy, name, ds, collisions: 0, probes: 0, searches: 0 };
+        });
+
+        // La primera estructura es la referencia para la vista base (estado, guardado)
+        this.dataStructure = this.structures[0].ds;
+    }
+
+    /**
+     * Instantánea de todas las estructuras con sus colisiones acumuladas. Los
+     * contadores de búsqueda no se incluyen: deshacer no borra las búsquedas hechas.
+     * @override
+     * @protected
+     * @returns {Array<{ds: Object, collisions: number}>|null}
+     */
+    _captureState() {
+        if (!this.dataStructure.created) return null;
+        return this.structures.map(s => ({ ds: s.ds.toJSON(), collisions: s.collisions }));
+    }
+
+    /**
+     * Restaura cada estructura de la comparación.
+     * @override
+     * @protected
+     * @param {Array<{ds: Object, collisions: number}>} state
+     * @param {string} description
+     */
+    _restoreState(state, description) {
+        this.playback.stop();
+        state.forEach((saved, i) => {
+            this.structures[i].ds.fromJSON(saved.ds);
+            this.structures[i].collisions = saved.collisions;
+        });
+        this._renderTable();
+        this._setOperation('history');
+        this._addLog(description, 'info');
+        this._logTotals();
+    }
+
+    /**
+     * Bloquea la configuración y habilita los controles de modificación.
+     * @private
+     */
+    _lockConfig() {
+        const el = this.elements;
+        el.dataType.disabled = true;
+        el.keyLength.disabled = true;
+        el.range.disabled = true;
+        el.hashMethod.disabled = true;
+        el.strategies.querySelectorAll('input').forEach(input => { input.disabled = true; });
+        el.btnCreate.disabled = true;
+        el.btnLoad.disabled = true;
+
+        el.inputKey.disabled = false;
+        el.btnInsert.disabled = false;
+        el.btnDelete.disabled = false;
+        el.btnSearch.disabled = false;
+        el.btnSave.disabled = false;
+        el.btnPrint.disabled = false;
+
+        el.tableContainer.style.display = '';
+        el.logContainer.style.display = '';
+    }
+
+    /**
+     * Registra en el log la configuración común de la comparación.
+     * @private
+     */
+    _logCreation() {
+        const ds = this.dataStructure;
+        const names = this.structures.map(s => s.name).join(', ');
+        this._addLog(`Comparación creada: ${ds.size} posiciones, clave de ${ds.keyLength} carácter(es), tipo: ${ds.dataType}, función: ${DataStructure.HASH_METHODS[ds.hashMethod]}. Estrategias: ${names}.`, 'info');
+        if (ds.dataType !== 'numerico') {
+            this._addLog(`Conversión de clave a entero: ${ds.getConversionName()}.`, 'info');
+        }
+    }
+
+    /**
+     * Valida la configuración y crea una estructura por estrategia.
+     * @override
+     * @private
+     */
+    _onCreate() {
+        const el = this.elements;
+
+        if (this.dataStructure.created) {
+            Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de crear una nueva.');
+            return;
+        }
+
+        const validation = Validation.validateCreateParams(el.range.value, el.keyLength.value, el.dataType.value);
+        if (!validation.valid) {
+            Validation.showError(validation.error);
+            return;
+        }
+
+        const strategies = this._getSelectedStrategies();
+        if (strategies.length < 2) {
+            Validation.showError('Debe seleccionar al menos dos estrategias de colisión para comparar.');
+            return;
+        }
+
+        this._createStructures(parseInt(el.range.value), parseInt(el.keyLength.value), el.dataType.value, el.hashMethod.value, strategies);
+        this._lockConfig();
+        this._renderTable();
+        this._setOperation('create');
+        this._logCreation();
+    }
+
+    /**
+     * Limpia todas las estructuras y restablece la configuración.
+     * @override
+     * @private
+     * @async
+     */
+    async _onClear() {
+        await super._onClear();
+        if (this.dataStructure.created) return;
+
+        const el = this.elements;
+        this.structures = [];
+        el.hashMethod.disabled = false;
+        el.strategies.querySelectorAll('input').forEach(input => { input.disabled = false; });
+    }
+
+    /**
+     * Carga las claves de un archivo de cualquier vista hash y las inserta en
+     * una estructura por estrategia: las guardadas por esta vista o, si el
+     * archivo no las incluye, las marcadas en la configuración.
+     * @override
+     * @private
+     * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
+     */
+    async _onLoad(preloaded = null) {
+        if (this.dataStructure.created) {
+            Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de cargar otra.');
+            return;
+        }
+
+        const data = preloaded || await FileManager.load(['linear', 'hash', 'tree']);
+        if (!data) return;
+
+        // Un archivo lineal o de árbol se convierte con la función hash elegida en la vista
+        let source;
+        let keys;
+        if (FileCompat.needsConversion(data, this._algorithmName)) {
+            const conversion = await FileCompat.convert(data, this._algorithmName);
+            if (!conversion) return;
+            source = { ...conversion.config, hashMethod: this.elements.hashMethod.value };
+            keys = conversion.kept;
+        } else {
+            if (data.algorithm && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
+                Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con la vista actual ("${this._algorithmName}").`);
+                return;
+            }
+            source = new DataStructure();
+            source.fromJSON(data.structure);
+            keys = source.getStoredKeys().map(entry => entry.key);
+        }
+
+        const strategies = Array.isArray(data.strategies) ? data.strategies : this._getSelectedStrategies();
+        if (strategies.length < 2) {
+            Validation.showError('Debe seleccionar al menos dos estrategias de colisión para comparar.');
+            return;
+        }
+
+        const el = this.elements;
+        el.dataType.value = source.dataType;
+        el.keyLength.value = source.keyLength;
+        el.range.value = source.size;
+        el.hashMethod.value = source.hashMethod;
+        el.strategies.querySelectorAll('input').forEach(input => { input.checked = strategies.includes(input.value); });
+
+        this._createStructures(source.size, source.keyLength, source.dataType, source.hashMethod, strategies);
+        for (const s of this.structures) {
+            for (const key of keys) {
+                const result = s.ds.hashInsert(key, s.strategy);
+                if (result.success) s.collisions += result.collisions;
+            }
+        }
+
+        this._lockConfig();
+        this._renderTable();
+        this._setOperation('load');
+        this._addLog(`Archivo de "${data.algorithm}" cargado: ${keys.length} clave(s) insertadas en cada estrategia.`, 'success');
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+        this._logCreation();
+        this._logTotals();
+    }
+
+    /**
+     * Guarda las claves (con la primera estructura) y la lista de estrategias comparadas.
+     * @override
+     * @private
+     */
+    _onSave() {
+        if (!this.dataStructure.created) {
+            Validation.showError('No hay estructura creada para guardar.');
+            return;
+        }
+
+        const data = FileSchema.createEnvelope(this._algorithmName, this.dataStructure.toJSON(), {
+            strategies: this.structures.map(s => s.strategy)
+        });
+        FileManager.saveJSON(JSON.stringify(data, null, 2), `${this._algorithmName}_${Date.now()}.json`);
+    }
+
+    /**
+     * Agrega a la sesión la lista de estrategias comparadas.
+     * @override
+     * @protected
+     * @returns {Object|null}
+     */
+    _getSessionData() {
+        const data = super._getSessionData();
+        return data && { ...data, strategies: this.structures.map(s => s.strategy) };
+    }
+
+    /**
+     * Guarda el estado exacto de cada estructura (posiciones y colisiones),
+     * que no se recupera igual al reinsertar las claves.
+     * @override
+     * @protected
+     * @returns {Object}
+     */
+    _getSessionSettings() {
+        return { structures: this._captureState() };
+    }
+
+    /**
+     * Restaura cada estructura de la comparación guardada en la sesión.
+     * @override
+     * @protected
+     * @param {Object} settings
+     */
+    _applySessionSettings(settings) {
+        const saved = settings.structures;
+        if (!Array.isArray(saved) || saved.length !== this.structures.length) return;
+        saved.forEach((state, i) => {
+            this.structures[i].ds.fromJSON(state.ds);
+            this.structures[i].collisions = state.collisions;
+        });
+        this._renderTable();
+    }
+
+    /**
+     * Normaliza la clave para los mensajes (zero-padding en claves numéricas).
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    _getDisplayKey(key) {
+        const ds = this.dataStructure;
+        return (ds.dataType === 'numerico' && /^\d+$/.test(key) && key.length < ds.keyLength)
+            ? key.padStart(ds.keyLength, '0') : key;
+    }
+
+    /**
+     * Describe una posición para el log, indicando la tabla en Cuckoo.
+     * @private
+     * @param {number} position - Posición (0-indexed).
+     * @param {number} [table] - Tabla (1 o 2), solo para Cuckoo.
+     * @returns {string}
+     */
+    _describePosition(position, table) {
+        return table !== undefined ? `tabla ${table}, pos ${position + 1}` : `pos ${position + 1}`;
+    }
+
+    /**
+     * Inserta la clave en todas las estructuras y registra, por estrategia,
+     * la posición final, las colisiones y los pasos de sondeo.
+     * @override
+     * @private
+     */
+    _onInsert() {
+        const el = this.elements;
+        const rawValue = el.inputKey.value;
+
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const { valid, key, error } = this.dataStructure.validateKey(rawValue);
+        if (!valid) {
+            Validation.showError(error, el.inputKey);
+            return;
+        }
+
+        this._setOperation('insert');
+        this._clearHighlights();
+
+        const k = this.dataStructure.getNumericValue(key);
+        if (this.dataStructure.dataType !== 'numerico') {
+            this._addLog(this.dataStructure.getConversionFormula(key), 'info');
+        }
+        this._addLog(`Insertando "${key}": ${this.dataStructure.getHashFormula(k)}.`, 'info', { action: 'hash', key });
+
+        for (const s of this.structures) {
+            const result = s.ds.hashInsert(key, s.strategy);
+            if (!result.success) {
+                this._addLog(`${s.name}: ✘ ${result.error}`, 'error', { action: 'error', strategy: s.strategy, key });
+                continue;
+            }
+
+            s.collisions += result.collisions;
+            const collText = `${result.collisions} ${result.collisions === 1 ? 'colisión' : 'colisiones'}`;
+            this._addLog(`${s.name}: ${this._describePosition(result.position, result.table)} (${collText}, ${result.steps.length} paso(s)).`, result.collisions > 0 ? 'warning' : 'success', {
+                action: 'insertada',
+                strategy: s.strategy,
+                position: result.position + 1,
+                table: result.table,
+                key,
+                collisions: result.collisions
+            });
+        }
+
+        this._renderTable();
+        this._logTotals();
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Busca la clave en todas las estructuras a la vez: registra los sondeos de
+     * cada estrategia y anima en paralelo los pasos sobre todas las tablas.
+     * @override
+     * @private
+     */
+    _onSearch() {
+        const el = this.elements;
+        const key = el.inputKey.value.trim();
+
+        if (key === '') {
+            Validation.showError('Debe ingresar la clave que desea buscar.', el.inputKey);
+            return;
+        }
+
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la búsqueda actual termine.');
+            return;
+        }
+
+        const displayKey = this._getDisplayKey(key);
+        this._setOperation('search');
+        this._addLog(`Buscando clave "${displayKey}" en ${this.structures.length} estructuras...`, 'info');
+
+        const results = this.structures.map((s) => {
+            const result = s.ds.hashSearch(displayKey, s.strategy);
+            s.probes += result.steps.length;
+            s.searches++;
+            const where = result.found ? `encontrada en ${this._describePosition(result.position, result.table)}` : 'no encontrada';
+            this._addLog(`${s.name}: ${where} con ${result.steps.length} sondeo(s).`, result.found ? 'success' : 'error', {
+                action: result.found ? 'encontrada' : 'no-encontrada',
+                strategy: s.strategy,
+                position: result.found ? result.position + 1 : null,
+                table: result.table,
+                key: displayKey,
+                probes: result.steps.length
+            });
+            return result;
+        });
+
+        this._clearHighlights();
+        this.isSearchAnimating = true;
+        el.btnSearch.disabled = true;
+        el.btnInsert.disabled = true;
+        el.btnDelete.disabled = true;
+
+        const longest = Math.max(...results.map(r => r.steps.length));
+        const frames = Array.from({ length: longest }, (_, i) => i);
+
+        const renderStep = (i) => {
+            this._clearHighlights();
+            results.forEach((result, t) => {
+                // Las tablas con menos pasos conservan su último paso
+                const last = Math.min(i, result.steps.length - 1);
+                const step = result.steps[last];
+                if (!step) return;
+                const done = last === result.steps.length - 1;
+                const cls = !done ? 'highlight-checking' : (result.found ? 'highlight-found' : 'highlight-not-found');
+                const target = this._getStepElement(t, step);
+                if (target) target.classList.add(cls);
+            });
+        };
+
+        this.playback.run(frames, renderStep, { delay: this.animationSpeed || 500 }).then(() => {
+            this.isSearchAnimating = false;
+            el.btnSearch.disabled = false;
+            el.btnInsert.disabled = false;
+            el.btnDelete.disabled = false;
+            el.inputKey.value = '';
+            el.inputKey.focus();
+            this._logTotals();
+        });
+    }
+
+    /**
+     * Borra la clave de todas las estructuras y registra el resultado de cada una.
+     * @override
+     * @private
+     * @async
+     */
+    async _onDelete() {
+        const el = this.elements;
+        const key = el.inputKey.value.trim();
+
+        if (key === '') {
+            Validation.showError('Debe ingresar la clave que desea borrar.', el.inputKey);
+            return;
+        }
+
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const displayKey = this._getDisplayKey(key);
+        this._setOperation('delete');
+        this._clearHighlights();
+
+        for (const s of this.structures) {
+            const result = s.ds.hashDelete(displayKey, s.strategy);
+            if (result.success) {
+                const note = result.tombstone ? ' (marcada como lápida)' : '';
+                this._addLog(`${s.name}: clave "${displayKey}" borrada de ${this._describePosition(result.position, result.table)}${note}.`, 'success', {
+                    action: 'borrada',
+                    strategy: s.strategy,
+                    position: result.position + 1,
+                    table: result.table,
+                    key: displayKey
+                });
+            } else {
+                this._addLog(`${s.name}: ✘ ${result.error}`, 'error', { action: 'error', strategy: s.strategy, key: displayKey });
+            }
+        }
+
+        this._renderTable();
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Registra los contadores acumulados de cada estrategia.
+     * @private
+     */
+    _logTotals() {
+        const totals = this.structures.map((s) => {
+            const probes = s.searches > 0 ? `, ${(s.probes / s.searches).toFixed(2)} sondeos/búsqueda` : '';
+            return `${s.name}: ${s.collisions} colisión(es)${probes}`;
+        });
+        this._addLog(`Acumulado — ${totals.join(' · ')}.`, 'info');
+    }
+
+    /**
+     * Elemento a resaltar para un paso de búsqueda: la celda de la tabla
+     * indicada en Cuckoo, o la fila de la posición en las demás estrategias.
+     * @private
+     * @param {number} t - Índice de la estructura.
+     * @param {{index: number, table?: number}} step - Paso de búsqueda.
+     * @returns {HTMLElement|null}
+     */
+    _getStepElement(t, step) {
+        const card = this.elements.compareGrid.querySelector(`.compare-card[data-structure="${t}"]`);
+        if (!card) return null;
+        const row = card.querySelector(`tr[data-index="${step.index}"]`);
+        if (!row || step.table === undefined) return row;
+        return row.querySelector(`td[data-table="${step.table}"]`);
+    }
+
+    /**
+     * Texto de una posición de la tabla: arreglos anidados y listas enlazadas
+     * muestran todas sus claves; las lápidas se marcan con †.
+     * @private
+     * @param {*} slot - Contenido de la posición.
+     * @returns {string}
+     */
+    _formatSlot(slot) {
+        if (slot === null || slot === undefined) return '';
+        if (Array.isArray(slot)) return slot.join(', ');
+        if (typeof slot === 'object') {
+            const values = [];
+            for (let node = slot; node !== null; node = node.next) values.push(node.value);
+            return values.join(' → ');
+        }
+        return slot;
+    }
+
+    /**
+     * Renderiza una tarjeta por estrategia con su tabla y sus contadores.
+     * @override
+     * @private
+     */
+    _renderTable() {
+        const grid = this.elements.compareGrid;
+        grid.innerHTML = '';
+
+        this.structures.forEach((s, t) => {
+            const ds = s.ds;
+            const isCuckoo = s.strategy === 'cuckoo';
+            const isCoalesced = s.strategy === 'coalescido';
+
+            const card = document.createElement('div');
+            card.classList.add('compare-card');
+            card.dataset.structure = t;
+
+            let header = '<th>Pos.</th>';
+            header += isCuckoo ? '<th>Tabla 1</th><th>Tabla 2</th>' : '<th>Clave</th>';
+            if (isCoalesced) header += '<th>Sig.</th>';
+
+            let rows = '';
+            for (let i = 0; i < ds.getTableLength(); i++) {
+                const slot = ds.keys[i];
+                const isTombstone = slot === DataStructure.TOMBSTONE;
+                const cellarClass = i >= ds.size ? ' class="cellar-row"' : '';
+                rows += `<tr data-index="${i}"${cellarClass}><td>${i + 1}</td>`;
+                rows += `<td${isCuckoo ? ' data-table="1"' : ''}${isTombstone ? ' class="tombstone-cell"' : ''}>${this._formatSlot(slot)}</td>`;
+                if (isCuckoo) rows += `<td data-table="2">${this._formatSlot(ds.altKeys[i])}</td>`;
+                if (isCoalesced) rows += `<td class="link-cell">${ds.links[i] >= 0 ? ds.links[i] + 1 : ''}</td>`;
+                rows += '</tr>';
+            }
+
+            const probes = s.searches > 0 ? ` · ${(s.probes / s.searches).toFixed(2)} sondeos/búsq.` : '';
+            card.innerHTML = `
+                <div class="compare-card-title">${s.name}</div>
+                <div class="compare-card-stats">${ds.count} clave(s) · ${s.collisions} colisión(es)${probes}</div>
+                <div class="compare-card-scroll">
+                    <table class="data-table">
+                        <thead><tr>${header}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+            grid.appendChild(card);
+        });
+    }
+
+    /**
+     * Agrega la función hash y las estrategias comparadas a los datos de la traza.
+     * @override
+     * @protected
+     * @returns {{algorithm: string, title: string, config: Object}}
+     */
+    _getTraceMeta() {
+        const meta = super._getTraceMeta();
+        if (this.dataStructure.created) {
+            delete meta.config.allowDuplicates;
+            meta.config.hashMethod = this.dataStructure.hashMethod;
+            meta.config.strategies = this.structures.map(s => s.strategy);
+            meta.config.collisions = this.structures.map(s => `${s.strategy}: ${s.collisions}`);
+        }
+        return meta;
+    }
+
+    /**
+     * Elimina los resaltados de todas las tablas.
+     * @override
+     * @private
+     */
+    _clearHighlights() {
+        this.elements.compareGrid.querySelectorAll('.highlight-checking, .highlight-found, .highlight-not-found').forEach((node) => {
+            node.classList.remove('highlight-checking', 'highlight-found', 'highlight-not-found');
+        });
+    }
+}
@@ -40,10 +40,13 @@ class BusquedaHashCuadradoView extends HashView {
         return `
             <option value="">-- Seleccione --</option>
             <option value="prueba-lineal">P. Lineal</option>
+            <option value="robin-hood">Robin Hood</option>
             <option value="prueba-cuadratica">P. Cuadrática</option>
             <option value="doble-hash">D. F. Hash</option>
             <option value="arreglos-anidados">A. Anidados</option>
             <option value="encadenamiento">Encadenamiento</option>
+            <option value="coalescido">E. Coalescido</option>
+            <option value="cuckoo">Cuckoo</option>
         `;
     }
 
@@ -83,7 +86,7 @@ class BusquedaHashCuadradoView extends HashView {
 
         this._collisionStrategy = collisionStrategy;
         // Crear con método hash 'cuadrado'
-        this.dataStructure.create(size, keyLength, dataType, false, collisionStrategy, 'cuadrado');
+        this.dataStructure.create(size, keyLength, dataType, false, collisionStrategy, 'cuadrado', this._getHashOptions());
 
         // Habilitar controles
         el.inputKey.disabled = false;
@@ -92,12 +95,15 @@ class BusquedaHashCuadradoView extends HashView {
         el.btnSearch.disabled = false;
         el.btnSave.disabled = false;
         el.btnPrint.disabled = false;
+        this._setBulkEnabled(true);
 
         // Deshabilitar configuración
         el.dataType.disabled = true;
         el.keyLength.disabled = true;
         el.range.disabled = true;
         el.collisionStrategy.disabled = true;
+        this._syncConversionControls();
+        this._syncStrategyControls();
         el.btnCreate.disabled = true;
         el.btnLoad.disabled = true;
 
@@ -108,6 +114,9 @@ class BusquedaHashCuadradoView extends HashView {
 
         const strategyName = CollisionStrategyFactory.create(collisionStrategy, this.dataStructure).getName();
         this._onCreationSuccess(size, keyLength, dataType, strategyName);
+        this._logKeyConversion();
+        this._logDeletionMode();
+        this._logRehashPolicy();
     }
 
     /**
@@ -126,10 +135,17 @@ class BusquedaHashCuadradoView extends HashView {
             baseMsg += `\nLógica: H(pos, i) = (h(k) + i²) mod ${size} + 1.`;
         } else if (this._collisionStrategy === 'prueba-lineal') {
             baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1.`;
+        } else if (this._collisionStrategy === 'robin-hood') {
+            baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1; la clave con mayor distancia de sondeo d toma la posición.`;
         } else if (this._collisionStrategy === 'arreglos-anidados') {
             baseMsg += `\nLógica: Las colisiones se almacenan en arreglos en la misma posición.`;
         } else if (this._collisionStrategy === 'encadenamiento') {
             baseMsg += `\nLógica: Las colisiones se almacenan en una lista enlazada vertical.`;
+        } else if (this._collisionStrategy === 'coalescido') {
+            baseMsg += `\nLógica: Las colisiones se enlazan dentro de la tabla, ocupando la posición libre más alta (zona de desborde de ${this.dataStructure.cellarSize} posiciones, luego el área primaria).`;
+        } else if (this._collisionStrategy === 'cuckoo') {
+            const h2Name = DataStructure.HASH_METHODS[this.dataStructure.secondaryHashMethod];
+            baseMsg += `\nLógica: Tabla 1 con h(k) y tabla 2 con h₂(k) = ${h2Name}; la clave nueva expulsa a la existente hacia su posición en la otra tabla.`;
         }
 
         this._addLog(baseMsg, 'info');
@@ -153,24 +169,18 @@ class BusquedaHashCuadradoView extends HashView {
         this._setOperation('insert');
         this._renderTable();
 
+        this._logRehash(result.rehash);
+
         // Mostrar pasos de colisión y fórmulas
-        if (result.steps) {
-            result.steps.forEach((step, i) => {
-                if (step.action === 'collision') {
-                    let collMsg = `Colisión en pos ${step.position + 1}: ${step.formula}`;
-                    this._addLog(collMsg, 'warning');
-                }
-            });
-        }
+        this._logInsertSteps(result.steps);
 
         // Mensaje final de inserción
         const finalStep = result.steps[result.steps.length - 1];
-        let message = `Clave "${this._getDisplayKey(result.position)}" insertada en pos ${result.position + 1}`;
+        let message = `Clave "${this._getDisplayKey(result.position, result.table)}" insertada en ${this._describePosition(result.position, result.table)}`;
+        const usedFormula = result.collisions === 0 ? result.formula : (finalStep && finalStep.formula);
 
-        if (result.collisions === 0) {
-            message += ` usando ${result.formula}`;
-        } else if (finalStep && finalStep.formula) {
-            message += ` usando ${finalStep.formula}`;
+        if (usedFormula) {
+            message += ` usando ${usedFormula}`;
         }
 
         if (result.collisions > 0) {
@@ -178,13 +188,20 @@ class BusquedaHashCuadradoView extends HashView {
         }
         message += '.';
 
-        // Mostrar conversión ASCII si no es numérico
+        // Mostrar la conversión clave → entero si no es numérico
         if (this.dataStructure.dataType !== 'numerico') {
-            const k = this.dataStructure.getNumericValue(rawValue);
-            this._addLog(`Conversión ASCII: "${rawValue}" → k = ${k}`, 'info');
+            this._addLog(this.dataStructure.getConversionFormula(rawValue.trim()), 'info');
         }
 
-        this._addLog(message, 'success');
+        this._addLog(message, 'success', {
+            action: 'insertada',
+            position: result.position + 1,
+            table: result.table,
+            key: this._getDisplayKey(result.position, result.table),
+            formula: usedFormula || null,
+            collisions: result.collisions
+        });
+        this._logProbeStats();
         el.inputKey.value = '';
         el.inputKey.focus();
     }
@@ -234,10 +251,11 @@ class BusquedaHashCuadradoView extends HashView {
         const { hash: hashValue, k2 } = this.dataStructure._getHashValue(k);
 
         if (this.dataStructure.dataType !== 'numerico') {
-            this._addLog(`Conversión ASCII: "${displayKey}" → k = ${k}`, 'info');
+            this._addLog(this.dataStructure.getConversionFormula(displayKey), 'info');
         }
 
-        this._addLog(`Buscando clave "${displayKey}" usando h(${k}) = digCent(${k}²) = digCent(${k2}) + 1 = ${hashValue}...`, 'info');
+        const formula = `h(${k}) = digCent(${k}²) = digCent(${k2}) + 1 = ${hashValue}`;
+        this._addLog(`Buscando clave "${displayKey}" usando ${formula}...`, 'info', { action: 'hash', key: displayKey, position: hashValue, formula });
 
         this._animateSearch(result, displayKey).then(() => {
             this.isSearchAnimating = false;
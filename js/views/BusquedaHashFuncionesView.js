@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Vista de comparación de funciones hash.
+ * Aplica todos los métodos de {@link DataStructure.HASH_METHODS} a la misma
+ * lista de claves y dibuja, por método, un histograma de la distribución de
+ * direcciones junto con sus colisiones y su uniformidad (χ²).
+ * @module views/BusquedaHashFuncionesView
+ */
+
+/**
+ * Vista de comparación de funciones hash sobre un mismo conjunto de claves.
+ * @extends AlgorithmView
+ */
+class BusquedaHashFuncionesView extends AlgorithmView {
+    /**
+     * Crea una instancia de BusquedaHashFuncionesView.
+     * @param {HTMLElement} containerEl - Elemento contenedor de la vista.
+     */
+    constructor(containerEl) {
+        super(containerEl);
+        /** @type {string} Identificador interno del algoritmo */
+        this._algorithmName = 'hash-funciones';
+    }
+
+    /**
+     * Muestra la vista de comparación de funciones hash.
+     */
+    show() {
+        this.render('Búsqueda Hash - Comparación de Funciones Hash');
+    }
+
+    /**
+     * Renderiza la interfaz: configuración común, panel de claves, un
+     * histograma por función hash y el log.
+     * @override
+     * @param {string} title - Título de la vista.
+     */
+    render(title) {
+        this.container.innerHTML = '';
+        this.container.classList.remove('hidden');
+
+        const welcome = document.getElementById('welcome-screen');
+        if (welcome) welcome.classList.add('hidden');
+
+        this.container.innerHTML = `
+            <div class="algo-title">${title}</div>
+
+            <!-- Sección: Creación de la Estructura -->
+            <div class="section-block">
+                <div class="section-title">Creación de la Estructura</div>
+                <div class="config-panel">
+                    <div class="config-fields">
+                        <div class="config-group">
+                            <label for="cfg-datatype">Tipo de Dato</label>
+                            <select id="cfg-datatype">
+                                <option value="">-- Seleccione --</option>
+                                <option value="numerico">Numérico</option>
+                                <option value="texto">Cadena de Texto</option>
+                                <option value="alfanumerico">Alfanumérico</option>
+                            </select>
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-keylength">Tamaño Clave</label>
+                            <input type="number" id="cfg-keylength" min="1" max="100" placeholder="Ej: 3">
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-range">Rango Estructura</label>
+                            <input type="number" id="cfg-range" min="1" placeholder="Ej: 10">
+                        </div>
+                    </div>
+                    <div class="config-buttons">
+                        <button class="btn btn-primary" id="btn-create">Crear</button>
+                        <button class="btn btn-info" id="btn-load">Cargar</button>
+                        <button class="btn btn-secondary" id="btn-clear">Limpiar</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Sección: Modificación de la Estructura -->
+            <div class="section-block">
+                <div class="section-title">Modificación de la Estructura</div>
+                <div class="insert-panel">
+                    <label for="input-key">Digite las Claves</label>
+                    <input type="text" id="input-key" placeholder="Una o varias claves separadas por comas..." disabled>
+                    <div class="insert-buttons">
+                        <button class="btn btn-primary" id="btn-insert" disabled>Insertar</button>
+                        <button class="btn btn-danger" id="btn-delete" disabled>Borrar</button>
+                        <button class="btn btn-success" id="btn-search" disabled>Buscar</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Área de contenido: Histogramas + Log -->
+            <div class="content-area">
+                <div class="table-container compare-container" id="table-container" style="display:none;">
+                    <div class="table-header-label">Distribución de Direcciones por Función</div>
+                    <div class="compare-grid histogram-grid" id="histogram-grid"></div>
+                </div>
+                <div class="log-container" id="log-container" style="display:none;">
+                    <div class="log-header">
+                        <button class="log-history-toggle log-export-toggle" id="log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
+                        Mensajes y Resultados
+                        <button class="log-history-toggle" id="log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                    </div>
+                    <div class="log-content" id="log-content"></div>
+                </div>
+            </div>
+
+            <!-- Botones de pie de página -->
+            <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('history')}
+                <button class="btn btn-success" id="btn-save" disabled>Guardar</button>
+                <button class="btn btn-primary" id="btn-print" disabled>Imprimir</button>
+            </div>
+        `;
+
+        this._cacheElements();
+        this._bindEvents();
+    }
+
+    /**
+     * Almacena las referencias a los elementos DOM. La grilla de histogramas
+     * ocupa el lugar del cuerpo de la tabla única de la vista base.
+     * @override
+     * @private
+     */
+    _cacheElements() {
+        super._cacheElements();
+        this.elements.histogramGrid = document.getElementById('histogram-grid');
+        this.elements.tableBody = this.elements.histogramGrid;
+    }
+
+    /**
+     * Asigna los eventos de los botones y controles de la vista.
+     * @override
+     * @private
+     */
+    _bindEvents() {
+        const el = this.elements;
+
+        el.btnCreate.addEventListener('click', () => this._onCreate());
+        el.btnClear.addEventListener('click', () => this._onClear());
+        el.btnLoad.addEventListener('click', () => this._onLoad());
+        el.btnInsert.addEventListener('click', () => this.history.track(`insertar "${el.inputKey.value.trim()}"`, () => this._onInsert()));
+        el.btnDelete.addEventListener('click', () => this.history.track(`borrar "${el.inputKey.value.trim()}"`, () => this._onDelete()));
+        el.btnSearch.addEventListener('click', () => this._onSearch());
+        el.btnSave.addEventListener('click', () => this._onSave());
+        el.btnPrint.addEventListener('click', () => FileManager.print());
+
+        // Retraso para que el Enter no cierre de inmediato un aviso SweetAlert2
+        el.inputKey.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                setTimeout(() => el.btnInsert.click(), 10);
+            }
+        });
+
+        el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+        this._bindHistory();
+    }
+
+    /**
+     * Bloquea la configuración y habilita los controles de modificación.
+     * @private
+     */
+    _lockConfig() {
+        const el = this.elements;
+        el.dataType.disabled = true;
+        el.keyLength.disabled = true;
+        el.range.disabled = true;
+        el.btnCreate.disabled = true;
+        el.btnLoad.disabled = true;
+
+        el.inputKey.disabled = false;
+        el.btnInsert.disabled = false;
+        el.btnDelete.disabled = false;
+        el.btnSearch.disabled = false;
+        el.btnSave.disabled = false;
+        el.btnPrint.disabled = false;
+
+        el.tableContainer.style.display = '';
+        el.logContainer.style.display = '';
+    }
+
+    /**
+     * Valida la configuración y crea la lista de claves vacía.
+     * @override
+     * @private
+     */
+    _onCreate() {
+        const el = this.elements;
+
+        if (this.dataStructure.created) {
+            Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de crear una nueva.');
+            return;
+        }
+
+        const validation = Validation.validateCreateParams(el.range.value, el.keyLength.value, el.dataType.value);
+        if (!validation.valid) {
+            Validation.showError(validation.error);
+            return;
+        }
+
+        const size = parseInt(el.range.value);
+        const keyLength = parseInt(el.keyLength.value);
+        const dataType = el.dataType.value;
+        this.dataStructure.create(size, keyLength, dataType, false);
+
+        this._lockConfig();
+        this._renderTable();
+        this._setOperation('create');
+        this._addLog(`Comparación creada: ${size} direcciones, clave de ${keyLength} carácter(es), tipo: ${dataType}. Funciones: ${Object.values(DataStructure.HASH_METHODS).join(', ')}.`, 'info');
+        if (dataType !== 'numerico') {
+            this._addLog(`Conversión de clave a entero: ${this.dataStructure.getConversionName()}.`, 'info');
+        }
+    }
+
+    /**
+     * Carga las claves de un archivo de cualquier vista hash (o de esta misma)
+     * y las agrega a la lista, en el orden en que aparecen en la tabla. Los
+     * archivos lineales o de árbol se convierten con {@link FileCompat.convert}.
+     * @override
+     * @private
+     * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
+     */
+    async _onLoad(preloaded = null) {
+        if (this.dataStructure.created) {
+            Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de cargar otra.');
+            return;
+        }
+
+        const data = preloaded || await FileManager.load(['linear', 'hash', 'tree']);
+        if (!data) return;
+
+        // Un archivo lineal o de árbol se convierte quedándose con las claves válidas
+        let source;
+        let keys;
+        if (FileCompat.needsConversion(data, this._algorithmName)) {
+            const conversion = await FileCompat.convert(data, this._algorithmName);
+            if (!conversion) return;
+            source = conversion.config;
+            keys = conversion.kept;
+        } else {
+            if (data.algorithm && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
+                Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con la vista actual ("${this._algorithmName}").`);
+                return;
+            }
+            source = new DataStructure();
+            source.fromJSON(data.structure);
+            keys = source.getStoredKeys().map(entry => entry.key);
+        }
+
+        this.dataStructure.create(source.size, source.keyLength, source.dataType, false);
+        let inserted = 0;
+        for (const key of keys) {
+            if (this.dataStructure.insert(key).success) inserted++;
+        }
+
+        const el = this.elements;
+        el.dataType.value = source.dataType;
+        el.keyLength.value = source.keyLength;
+        el.range.value = source.size;
+
+        this._lockConfig();
+        this._renderTable();
+        this._setOperation('load');
+        this._addLog(`Archivo de "${data.algorithm}" cargado: ${inserted} clave(s) en la lista.`, 'success');
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+        this._logSummary();
+    }
+
+    /**
+     * Agrega una o varias claves a la lista y registra, por función hash,
+     * la dirección de cada una y si colisiona con una clave anterior.
+     * @override
+     * @private
+     */
+    _onInsert() {
+        const el = this.elements;
+        const keys = KeyGenerator.parseList(el.inputKey.value, this.dataStructure.dataType);
+
+        if (keys.length === 0) {
+            Validation.showError('Debe ingresar al menos una clave.', el.inputKey);
+            return;
+        }
+
+        // Validar todas antes de insertar, para no dejar la lista a medias
+        const pending = [];
+        for (const raw of keys) {
+            const { valid, key, error } = this.dataStructure.validateKey(raw);
+            if (!valid) {
+                Validation.showError(error, el.inputKey);
+                return;
+            }
+            if (pending.includes(key)) {
+                Validation.showError(`La clave "${key}" está repetida en la lista ingresada.`, el.inputKey);
+                return;
+            }
+            pending.push(key);
+        }
+
+        if (this.dataStructure.count + pending.length > this.dataStructure.size) {
+            Validation.showError(`Solo caben ${this.dataStructure.size - this.dataStructure.count} clave(s) más en la estructura.`, el.inputKey);
+            return;
+        }
+
+        this._setOperation('insert');
+        for (const key of pending) {
+            // Direcciones previas, para detectar colisiones con las claves anteriores
+            const before = this._getDistributions();
+            this.dataStructure.insert(key);
+            this._logKeyAddresses(key, before);
+        }
+
+        this._renderTable();
+        this._logSummary();
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Registra la dirección de una clave con cada función hash.
+     * @private
+     * @param {string} key - Clave ya normalizada.
+     * @param {Object<string, Object>} [before] - Distribuciones antes de insertarla;
+     *        si se indican, se marca como colisión la dirección ya ocupada.
+     */
+    _logKeyAddresses(key, before = null) {
+        const ds = this.dataStructure;
+        const k = ds.getNumericValue(key);
+        if (ds.dataType !== 'numerico') {
+            this._addLog(ds.getConversionFormula(key), 'info');
+        }
+
+        for (const [method, label] of Object.entries(DataStructure.HASH_METHODS)) {
+            const { hash } = ds._getHashValue(k, method);
+            const formula = ds.getHashFormula(k, method);
+            const previous = before ? before[method].counts[hash - 1] : 0;
+            const collText = previous > 0 ? ` — colisión con ${previous} clave(s)` : '';
+            this._addLog(`${label}: ${formula}${collText}.`, previous > 0 ? 'warning' : 'info', {
+                action: previous > 0 ? 'colision' : 'hash',
+                method,
+                position: hash,
+                key,
+                formula
+            });
+        }
+    }
+
+    /**
+     * Quita una clave de la lista.
+     * @override
+     * @private
+     * @async
+     */
+    async _onDelete() {
+        const el = this.elements;
+        const key = el.inputKey.value.trim();
+
+        if (key === '') {
+            Validation.showError('Debe ingresar la clave que desea borrar.', el.inputKey);
+            return;
+        }
+
+        const result = this.dataStructure.delete(key);
+        if (!result.success) {
+            Validation.showError(result.error, el.inputKey);
+            return;
+        }
+
+        this._setOperation('delete');
+        this._renderTable();
+        this._addLog(`Clave "${this._getDisplayKey(key)}" quitada de la lista.`, 'success', { action: 'borrada', key: this._getDisplayKey(key) });
+        this._logSummary();
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Muestra la dirección de la clave con cada función y resalta su barra
+     * en los histogramas.
+     * @override
+     * @private
+     */
+    _onSearch() {
+        const el = this.elements;
+        const key = el.inputKey.value.trim();
+
+        if (key === '') {
+            Validation.showError('Debe ingresar la clave que desea buscar.', el.inputKey);
+            return;
+        }
+
+        const displayKey = this._getDisplayKey(key);
+        this._setOperation('search');
+        this._clearHighlights();
+
+        const found = this.dataStructure.keys.includes(displayKey);
+        this._addLog(`Clave "${displayKey}" ${found ? 'está' : 'no está'} en la lista. Direcciones por función:`, found ? 'success' : 'info');
+        this._logKeyAddresses(displayKey);
+
+        const k = this.dataStructure.getNumericValue(displayKey);
+        for (const method of Object.keys(DataStructure.HASH_METHODS)) {
+            const { hash } = this.dataStructure._getHashValue(k, method);
+            const bar = this.elements.histogramGrid.querySelector(`.compare-card[data-method="${method}"] .histogram-bar[data-address="${hash}"]`);
+            if (bar) bar.classList.add(found ? 'highlight-found' : 'highlight-checking');
+        }
+
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * Normaliza la clave para los mensajes (zero-padding en claves numéricas).
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    _getDisplayKey(key) {
+        const ds = this.dataStructure;
+        return (ds.dataType === 'numerico' && /^\d+$/.test(key) && key.length < ds.keyLength)
+            ? key.padStart(ds.keyLength, '0') : key;
+    }
+
+    /**
+     * Distribución de la lista actual con cada función hash.
+     * @private
+     * @returns {Object<string, Object>} Método → resultado de getHashDistribution.
+     */
+    _getDistributions() {
+        const distributions = {};
+        for (const method of Object.keys(DataStructure.HASH_METHODS)) {
+            distributions[method] = this.dataStructure.getHashDistribution(method);
+        }
+        return distributions;
+    }
+
+    /**
+     * Registra las colisiones y la uniformidad de cada función, ordenadas de
+     * mejor a peor reparto.
+     * @private
+     */
+    _logSummary() {
+        if (this.dataStructure.count === 0) return;
+
+        const distributions = this._getDistributions();
+        const ranking = Object.entries(distributions)
+            .sort(([, a], [, b]) => a.collisions - b.collisions || a.chiSquare - b.chiSquare)
+            .map(([method, d]) => `${DataStructure.HASH_METHODS[method]}: ${d.collisions} colisión(es), χ² = ${d.chiSquare.toFixed(2)}`);
+        this._addLog(`Resumen (${this.dataStructure.count} claves, de mejor a peor reparto) — ${ranking.join(' · ')}.`, 'info');
+    }
+
+    /**
+     * Dibuja un histograma por función hash: una barra por dirección, con
+     * altura proporcional a la cantidad de claves; las direcciones con más de
+     * una clave se marcan como colisión.
+     * @override
+     * @private
+     */
+    _renderTable() {
+        const grid = this.elements.histogramGrid;
+        grid.innerHTML = '';
+        if (!this.dataStructure.created) return;
+
+        const distributions = this._getDistributions();
+        const bestCollisions = Math.min(...Object.values(distributions).map(d => d.collisions));
+        // Misma escala en todos los histogramas para poder compararlos
+        const scale = Math.max(1, ...Object.values(distributions).map(d => d.maxLoad));
+
+        for (const [method, d] of Object.entries(distributions)) {
+            const card = document.createElement('div');
+            card.classList.add('compare-card', 'histogram-card');
+            card.dataset.method = method;
+            if (this.dataStructure.count > 0 && d.collisions === bestCollisions) card.classList.add('best');
+
+            let bars = '';
+            d.counts.forEach((count, i) => {
+                const keys = d.addresses.filter(a => a.hash === i + 1).map(a => a.key);
+                const height = Math.round(count / scale * 100);
+                const title = `Dirección ${i + 1}: ${count} clave(s)${keys.length > 0 ? ` (${keys.join(', ')})` : ''}`;
+                bars += `<div class="histogram-bar${count > 1 ? ' collision' : ''}" data-address="${i + 1}" title="${title}"><span style="height:${height}%"></span></div>`;
+            });
+
+            card.innerHTML = `
+                <div class="compare-card-title">${DataStructure.HASH_METHODS[method]}</div>
+                <div class="compare-card-stats">${d.collisions} colisión(es) · ${d.occupied}/${this.dataStructure.size} direcciones · máx. ${d.maxLoad} · χ² ${d.chiSquare.toFixed(2)}</div>
+                <div class="histogram">${bars}</div>
+                <div class="histogram-axis"><span>1</span><span>${this.dataStructure.size}</span></div>
+            `;
+            grid.appendChild(card);
+        }
+    }
+
+    /**
+     * Agrega la lista de claves a los datos de la traza.
+     * @override
+     * @protected
+     * @returns {{algorithm: string, title: string, config: Object}}
+     */
+    _getTraceMeta() {
+        const meta = super._getTraceMeta();
+        if (this.dataStructure.created) {
+            delete meta.config.allowDuplicates;
+            meta.config.keys = this.dataStructure.keys.filter(k => k !== null);
+        }
+        return meta;
+    }
+
+    /**
+     * Elimina los resaltados de las barras de los histogramas.
+     * @override
+     * @private
+     */
+    _clearHighlights() {
+        this.elements.histogramGrid.querySelectorAll('.highlight-found, .highlight-checking').forEach((node) => {
+            node.classList.remove('highlight-found', 'highlight-checking');
+        });
+    }
+}
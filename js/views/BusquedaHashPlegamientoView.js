@@ -39,10 +39,13 @@ class BusquedaHashPlegamientoView extends HashView {
         return `
             <option value="">-- Seleccione --</option>
             <option value="prueba-lineal">P. Lineal</option>
+            <option value="robin-hood">Robin Hood</option>
             <option value="prueba-cuadratica">P. Cuadrática</option>
             <option value="doble-hash">D. F. Hash</option>
             <option value="arreglos-anidados">A. Anidados</option>
             <option value="encadenamiento">Encadenamiento</option>
+            <option value="coalescido">E. Coalescido</option>
+            <option value="cuckoo">Cuckoo</option>
         `;
     }
 
@@ -81,12 +84,15 @@ class BusquedaHashPlegamientoView extends HashView {
         const dataType = el.dataType.value;
 
         // Crear con método hash 'plegamiento'
-        this.dataStructure.create(range, keyLength, dataType, false, collision, 'plegamiento');
+        this.dataStructure.create(range, keyLength, dataType, false, collision, 'plegamiento', this._getHashOptions());
 
         this._collisionStrategy = collision;
 
         const strategyName = CollisionStrategyFactory.create(collision, this.dataStructure).getName();
         this._onCreationSuccess(range, keyLength, dataType, strategyName);
+        this._logKeyConversion();
+        this._logDeletionMode();
+        this._logRehashPolicy();
         this._renderTable();
 
         // Habilitar controles
@@ -96,12 +102,15 @@ class BusquedaHashPlegamientoView extends HashView {
         el.btnSearch.disabled = false;
         el.btnSave.disabled = false;
         el.btnPrint.disabled = false;
+        this._setBulkEnabled(true);
 
         // Deshabilitar configuración
         el.dataType.disabled = true;
         el.keyLength.disabled = true;
         el.range.disabled = true;
         el.collisionStrategy.disabled = true;
+        this._syncConversionControls();
+        this._syncStrategyControls();
         el.btnCreate.disabled = true;
         el.btnLoad.disabled = true;
 
@@ -124,10 +133,17 @@ class BusquedaHashPlegamientoView extends HashView {
             baseMsg += `\nLógica: H(D) = (h(k) + i²) mod ${size} + 1.`;
         } else if (this._collisionStrategy === 'prueba-lineal') {
             baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1.`;
+        } else if (this._collisionStrategy === 'robin-hood') {
+            baseMsg += `\nLógica: H(pos, i) = (h(k) + i) mod ${size} + 1; la clave con mayor distancia de sondeo d toma la posición.`;
         } else if (this._collisionStrategy === 'arreglos-anidados') {
             baseMsg += `\nLógica: Las colisiones se almacenan en arreglos en la misma posición.`;
         } else if (this._collisionStrategy === 'encadenamiento') {
             baseMsg += `\nLógica: Las colisiones se almacenan en una lista enlazada vertical.`;
+        } else if (this._collisionStrategy === 'coalescido') {
+            baseMsg += `\nLógica: Las colisiones se enlazan dentro de la tabla, ocupando la posición libre más alta (zona de desborde de ${this.dataStructure.cellarSize} posiciones, luego el área primaria).`;
+        } else if (this._collisionStrategy === 'cuckoo') {
+            const h2Name = DataStructure.HASH_METHODS[this.dataStructure.secondaryHashMethod];
+            baseMsg += `\nLógica: Tabla 1 con h(k) y tabla 2 con h₂(k) = ${h2Name}; la clave nueva expulsa a la existente hacia su posición en la otra tabla.`;
         }
 
         this._addLog(baseMsg, 'info');
@@ -151,24 +167,18 @@ class BusquedaHashPlegamientoView extends HashView {
         this._setOperation('insert');
         this._renderTable();
 
+        this._logRehash(result.rehash);
+
         // Mostrar pasos de colisión y fórmulas
-        if (result.steps) {
-            result.steps.forEach((step, i) => {
-                if (step.action === 'collision') {
-                    let collMsg = `Colisión en pos ${step.position + 1}: ${step.formula}`;
-                    this._addLog(collMsg, 'warning');
-                }
-            });
-        }
+        this._logInsertSteps(result.steps);
 
         // Mensaje final de inserción
         const finalStep = result.steps[result.steps.length - 1];
-        let message = `Clave "${this._getDisplayKey(result.position)}" insertada en pos ${result.position + 1}`;
+        let message = `Clave "${this._getDisplayKey(result.position, result.table)}" insertada en ${this._describePosition(result.position, result.table)}`;
+        const usedFormula = result.collisions === 0 ? result.formula : (finalStep && finalStep.formula);
 
-        if (result.collisions === 0) {
-            message += ` usando ${result.formula}`;
-        } else if (finalStep && finalStep.formula) {
-            message += ` usando ${finalStep.formula}`;
+        if (usedFormula) {
+            message += ` usando ${usedFormula}`;
         }
 
         if (result.collisions > 0) {
@@ -176,7 +186,15 @@ class BusquedaHashPlegamientoView extends HashView {
         }
         message += '.';
 
-        this._addLog(message, 'success');
+        this._addLog(message, 'success', {
+            action: 'insertada',
+            position: result.position + 1,
+            table: result.table,
+            key: this._getDisplayKey(result.position, result.table),
+            formula: usedFormula || null,
+            collisions: result.collisions
+        });
+        this._logProbeStats();
         el.inputKey.value = '';
         el.inputKey.focus();
     }
@@ -226,10 +244,11 @@ class BusquedaHashPlegamientoView extends HashView {
         const { hash: hashValue, blocks, sum, lastDigits } = this.dataStructure._getHashValue(k);
 
         if (this.dataStructure.dataType !== 'numerico') {
-            this._addLog(`Conversión ASCII: "${displayKey}" → k = ${k}`, 'info');
+            this._addLog(this.dataStructure.getConversionFormula(displayKey), 'info');
         }
 
-        this._addLog(`Buscando clave "${displayKey}" usando h(${k}) = digmensig(${blocks}) = digmensig(${sum}) = ${lastDigits} + 1 = ${hashValue}...`, 'info');
+        const formula = `h(${k}) = digmensig(${blocks}) = digmensig(${sum}) = ${lastDigits} + 1 = ${hashValue}`;
+        this._addLog(`Buscando clave "${displayKey}" usando ${formula}...`, 'info', { action: 'hash', key: displayKey, position: hashValue, formula });
 
         this._animateSearch(result, displayKey).then(() => {
             this.isSearchAnimating = false;
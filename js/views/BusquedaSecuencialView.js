@@ -78,6 +78,34 @@ class BusquedaSecuencialView extends AlgorithmView {
         }
     }
 
+    /**
+     * Guarda en la sesión si las claves se insertan ordenadas.
+     * @override
+     * @protected
+     * @returns {Object}
+     */
+    _getSessionSettings() {
+        return { orderedKeys: this._orderedKeys };
+    }
+
+    /**
+     * Restaura el toggle de claves ordenadas de la sesión y lo bloquea.
+     * @override
+     * @protected
+     * @param {Object} settings
+     */
+    _applySessionSettings(settings) {
+        const el = this.elements;
+        this._orderedKeys = settings.orderedKeys === true;
+        if (!el.toggleOrdered) return;
+
+        el.toggleOrdered.classList.toggle('off', !this._orderedKeys);
+        el.toggleOrderedYes.classList.toggle('active', this._orderedKeys);
+        el.toggleOrderedNo.classList.toggle('active', !this._orderedKeys);
+        el.toggleOrdered.style.pointerEvents = 'none';
+        el.toggleOrdered.style.opacity = '0.5';
+    }
+
     /**
      * Sobrescribe la inserción para usar sortedInsert si está habilitado.
      * @override
@@ -103,6 +131,27 @@ class BusquedaSecuencialView extends AlgorithmView {
         }
     }
 
+    /**
+     * Sobrescribe la inserción de la carga masiva para usar sortedInsert si está habilitado.
+     * @override
+     * @protected
+     * @param {string} rawKey
+     * @returns {{success: boolean, error: string|null, message?: string, details?: Object}}
+     */
+    _insertBulkKey(rawKey) {
+        if (!this._orderedKeys) return super._insertBulkKey(rawKey);
+
+        const result = this.dataStructure.sortedInsert(rawKey);
+        if (!result.success) return result;
+
+        const key = this.dataStructure.keys[result.position];
+        return {
+            ...result,
+            message: `Clave "${key}" insertada en la posición ${result.position + 1} (ordenada).`,
+            details: { action: 'insertada', position: result.position + 1, key }
+        };
+    }
+
     /**
      * Sobrescribe la limpieza para resetear el toggle de claves ordenadas.
      * @override
@@ -256,7 +305,7 @@ class BusquedaSecuencialView extends AlgorithmView {
     }
 
     /**
-     * Anima la búsqueda secuencial paso a paso.
+     * Anima la búsqueda secuencial paso a paso mediante el {@link PlaybackController}.
      * Resalta cada fila con color amarillo (revisando), verde (encontrada) o rojo (no encontrada).
      * Si las claves están ordenadas y se encuentra una mayor, se detiene y muestra el motivo.
      * @private
@@ -265,82 +314,78 @@ class BusquedaSecuencialView extends AlgorithmView {
      * @returns {Promise<void>} Promesa que se resuelve al finalizar la animación.
      */
     _animateSearch(result, displayKey) {
-        return new Promise((resolve) => {
-            const steps = result.steps;
-            const tbody = this.elements.tableBody;
-            let stepIndex = 0;
-
-            const animateStep = () => {
-                if (stepIndex >= steps.length) {
-                    if (result.stoppedEarly) {
-                        this._addLog(`✘ Clave "${displayKey}" no encontrada. Búsqueda detenida en posición ${steps[steps.length - 1].index + 1} (clave "${steps[steps.length - 1].key}" es mayor). Se revisaron ${steps.length} posición(es).`, 'error');
-                    } else {
-                        this._addLog(`✘ Clave "${displayKey}" no encontrada. Se revisaron ${steps.length} posición(es).`, 'error');
-                    }
-                    resolve();
-                    return;
-                }
-
-                const step = steps[stepIndex];
-                let row = tbody.querySelector(`tr[data-index="${step.index}"]`);
-
-                // Si la fila no está en el renderizado compacto, insertarla dinámicamente
-                if (!row) {
-                    row = this._insertDynamicRow(step.index);
-                }
-
-                if (row) {
-                    row.classList.add('highlight-checking');
-                    const scrollContainer = document.getElementById('table-scroll');
-                    if (scrollContainer) {
-                        const rowTop = row.offsetTop;
-                        const rowHeight = row.offsetHeight;
-                        const containerHeight = scrollContainer.clientHeight;
-                        scrollContainer.scrollTop = rowTop - (containerHeight / 2) + (rowHeight / 2);
-                    }
-
-                    if (step.match) {
-                        this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → ¡Coincidencia!`, 'success');
-                    } else if (step.greater) {
-                        this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → es mayor que "${displayKey}" → Búsqueda detenida`, 'warning');
-                    } else {
-                        this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → no coincide`, 'info');
-                    }
-                }
-
-                stepIndex++;
-
-                // Si se encontró la clave, terminar con resaltado verde
-                if (step.match) {
-                    setTimeout(() => {
-                        if (row) {
-                            row.classList.remove('highlight-checking');
-                            row.classList.add('highlight-found');
-                        }
-                        this._addLog(`✔ Clave "${displayKey}" encontrada en la posición ${step.index + 1}.`, 'success');
-                        resolve();
-                    }, 400);
-                    return;
-                }
-
-                // Si la clave es mayor (búsqueda ordenada), marcar en rojo y terminar
-                if (step.greater) {
-                    setTimeout(() => {
-                        if (row) {
-                            row.classList.remove('highlight-checking');
-                            row.classList.add('highlight-not-found');
-                        }
-                        resolve();
-                    }, 400);
-                    return;
-                }
-
-                // Continuar al siguiente paso con retardo adaptativo
-                const delay = Math.max(100, Math.min(500, 3000 / steps.length));
-                setTimeout(animateStep, delay);
-            };
-
-            animateStep();
-        });
+        const steps = result.steps;
+        const tbody = this.elements.tableBody;
+
+        /**
+         * Obtiene la fila de un índice, insertándola si no está en el renderizado compacto.
+         * @param {number} index
+         * @returns {HTMLTableRowElement|null}
+         */
+        const getRow = (index) => tbody.querySelector(`tr[data-index="${index}"]`) || this._insertDynamicRow(index);
+
+        /**
+         * Dibuja el estado del paso indicado.
+         * @param {number} i - Índice del paso.
+         * @param {boolean} firstVisit - Si es la primera vez que se muestra (para el log).
+         */
+        const renderStep = (i, firstVisit) => {
+            const step = steps[i];
+            this._clearHighlights();
+
+            const row = getRow(step.index);
+            if (!row) return;
+
+            row.classList.add('highlight-checking');
+            const scrollContainer = document.getElementById('table-scroll');
+            if (scrollContainer) {
+                const rowTop = row.offsetTop;
+                const rowHeight = row.offsetHeight;
+                const containerHeight = scrollContainer.clientHeight;
+                scrollContainer.scrollTop = rowTop - (containerHeight / 2) + (rowHeight / 2);
+            }
+
+            if (!firstVisit) return;
+            const details = { position: step.index + 1, key: step.key };
+            if (step.match) {
+                this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → ¡Coincidencia!`, 'success', { action: 'coincide', ...details });
+            } else if (step.greater) {
+                this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → es mayor que "${displayKey}" → Búsqueda detenida`, 'warning', { action: 'mayor', ...details });
+            } else {
+                this._addLog(`  Posición ${step.index + 1}: clave "${step.key}" → no coincide`, 'info', { action: 'no-coincide', ...details });
+            }
+        };
+
+        /** Muestra el resultado final de la búsqueda. */
+        const onComplete = () => {
+            const last = steps[steps.length - 1];
+
+            if (last && last.match) {
+                const row = getRow(last.index);
+                this._clearHighlights();
+                if (row) row.classList.add('highlight-found');
+                this._addLog(`✔ Clave "${displayKey}" encontrada en la posición ${last.index + 1}.`, 'success', { action: 'encontrada', position: last.index + 1, key: displayKey });
+                return;
+            }
+
+            if (last && last.greater) {
+                // Clave mayor (búsqueda ordenada): marcar en rojo
+                const row = getRow(last.index);
+                this._clearHighlights();
+                if (row) row.classList.add('highlight-not-found');
+            } else {
+                this._clearHighlights();
+            }
+
+            if (result.stoppedEarly && last) {
+                this._addLog(`✘ Clave "${displayKey}" no encontrada. Búsqueda detenida en posición ${last.index + 1} (clave "${last.key}" es mayor). Se revisaron ${steps.length} posición(es).`, 'error');
+            } else {
+                this._addLog(`✘ Clave "${displayKey}" no encontrada. Se revisaron ${steps.length} posición(es).`, 'error');
+            }
+        };
+
+        // Retardo adaptativo según la cantidad de pasos
+        const delay = Math.max(100, Math.min(500, 3000 / steps.length));
+        return this.playback.run(steps, renderStep, { delay, onComplete });
     }
 }
@@ -23,6 +23,8 @@ class HashView extends AlgorithmView {
         this._allowDuplicates = false;
         /** @type {string} Identificador interno del algoritmo para guardado */
         this._algorithmName = 'hash';
+        /** @type {{signature: string, stats: Object}|null} Estadísticas de la última tabla medida */
+        this._statsCache = null;
     }
 
     /**
@@ -35,13 +37,41 @@ class HashView extends AlgorithmView {
         return `
             <option value="">-- Seleccione --</option>
             <option value="prueba-lineal">P. Lineal</option>
+            <option value="robin-hood">Robin Hood</option>
             <option value="prueba-cuadratica">P. Cuadrática</option>
             <option value="doble-hash">D. F. Hash</option>
             <option value="arreglos-anidados">A. Anidados</option>
             <option value="encadenamiento">Encadenamiento</option>
+            <option value="coalescido">E. Coalescido</option>
+            <option value="cuckoo">Cuckoo</option>
         `;
     }
 
+    /**
+     * Retorna las opciones HTML para la función h₂ de la segunda tabla Cuckoo.
+     * Excluye la función hash de la vista, que es la h₁ de la primera tabla.
+     * @protected
+     * @returns {string}
+     */
+    _getSecondaryHashOptions() {
+        const defaultMethod = DataStructure.getDefaultSecondaryMethod(this._getHashMethod());
+        return Object.entries(DataStructure.HASH_METHODS)
+            .filter(([method]) => method !== this._getHashMethod())
+            .map(([method, label]) => `<option value="${method}"${method === defaultMethod ? ' selected' : ''}>${label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Retorna las opciones HTML para la política de crecimiento del rehash automático.
+     * @protected
+     * @returns {string}
+     */
+    _getGrowthPolicyOptions() {
+        return '<option value="">Desactivado</option>' + Object.entries(DataStructure.GROWTH_POLICIES)
+            .map(([policy, label]) => `<option value="${policy}">${label}</option>`)
+            .join('');
+    }
+
     /**
      * Renderiza la interfaz común para algoritmos hash.
      * Reemplaza el toggle de duplicados por el selector de colisiones.
@@ -74,12 +104,51 @@ class HashView extends AlgorithmView {
                                 <option value="alfanumerico">Alfanumérico</option>
                             </select>
                         </div>
+                        <div class="config-group">
+                            <label for="cfg-conversion">Conversión de Clave</label>
+                            <select id="cfg-conversion" title="Cómo convertir claves de texto a un entero">
+                                <option value="ascii">Suma ASCII</option>
+                                <option value="polinomial">Polinomial</option>
+                                <option value="concatenacion">Concatenación</option>
+                            </select>
+                        </div>
+                        <div class="config-group config-group-narrow">
+                            <label for="cfg-conversion-base">Base p</label>
+                            <input type="number" id="cfg-conversion-base" min="2" step="1" value="${DataStructure.DEFAULT_CONVERSION_BASE}" title="Base del hash polinomial" disabled>
+                        </div>
                         <div class="config-group">
                             <label for="cfg-collision">Método de Colisión</label>
                             <select id="cfg-collision">
                                 ${this._getCollisionStrategiesOptions()}
                             </select>
                         </div>
+                        <div class="config-group">
+                            <label for="cfg-secondary-hash">Función h₂</label>
+                            <select id="cfg-secondary-hash" title="Función hash de la segunda tabla (solo Cuckoo)" disabled>
+                                ${this._getSecondaryHashOptions()}
+                            </select>
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-deletion">Borrado</label>
+                            <select id="cfg-deletion" title="Modo de borrado en direccionamiento abierto" disabled>
+                                <option value="corrimiento">Corrimiento</option>
+                                <option value="lapida">Lápida</option>
+                            </select>
+                        </div>
+                        <div class="config-group config-group-narrow">
+                            <label for="cfg-cellar">Desborde</label>
+                            <input type="number" id="cfg-cellar" min="1" step="1" placeholder="Auto" title="Posiciones de la zona de desborde (solo E. Coalescido)" disabled>
+                        </div>
+                        <div class="config-group">
+                            <label for="cfg-rehash">Rehash</label>
+                            <select id="cfg-rehash" title="Ampliar la tabla al superar el factor de carga">
+                                ${this._getGrowthPolicyOptions()}
+                            </select>
+                        </div>
+                        <div class="config-group config-group-narrow">
+                            <label for="cfg-load-factor">α máx.</label>
+                            <input type="number" id="cfg-load-factor" min="0.1" max="1" step="0.05" value="${DataStructure.DEFAULT_LOAD_FACTOR}" title="Factor de carga que dispara el rehash" disabled>
+                        </div>
                         <div class="config-group">
                             <label for="cfg-keylength">Tamaño Clave</label>
                             <input type="number" id="cfg-keylength" min="1" max="100" placeholder="Ej: 3">
@@ -107,10 +176,17 @@ class HashView extends AlgorithmView {
                         <button class="btn btn-primary" id="btn-insert" disabled>Insertar</button>
                         <button class="btn btn-danger" id="btn-delete" disabled>Borrar</button>
                         <button class="btn btn-success" id="btn-search" disabled>Buscar</button>
+                        <button class="btn btn-secondary" id="btn-compact" title="Reconstruir la tabla sin lápidas" disabled>Compactar</button>
                     </div>
                 </div>
             </div>
 
+            <!-- Sección: Carga Masiva de Claves -->
+            <div class="section-block">
+                <div class="section-title">Carga Masiva de Claves</div>
+                ${KeyGenerator.getPanelHTML()}
+            </div>
+
             <!-- Área de contenido: Tabla + Log -->
             <div class="content-area">
                 <div class="table-container" id="table-container" style="display:none;">
@@ -126,9 +202,15 @@ class HashView extends AlgorithmView {
                             <tbody id="table-body"></tbody>
                         </table>
                     </div>
+                    ${PlaybackController.getControlsHTML('playback')}
+                </div>
+                <div class="stats-container" id="hash-stats" style="display:none;">
+                    <div class="table-header-label">Estadísticas</div>
+                    <div class="stats-content" id="hash-stats-content"></div>
                 </div>
                 <div class="log-container" id="log-container" style="display:none;">
                     <div class="log-header">
+                        <button class="log-history-toggle log-export-toggle" id="log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
                         Mensajes y Resultados
                         <button class="log-history-toggle" id="log-history-toggle" title="Ver historial completo">📋 Historial</button>
                     </div>
@@ -138,7 +220,9 @@ class HashView extends AlgorithmView {
 
             <!-- Botones de pie de página -->
             <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('history')}
                 <button class="btn btn-success" id="btn-save" disabled>Guardar</button>
+                <button class="btn btn-info" id="btn-export-csv" title="Exportar la tabla como CSV" disabled>Exportar CSV</button>
                 <button class="btn btn-primary" id="btn-print" disabled>Imprimir</button>
             </div>
         `;
@@ -155,7 +239,17 @@ class HashView extends AlgorithmView {
     _cacheElements() {
         super._cacheElements();
         this.elements.collisionStrategy = document.getElementById('cfg-collision');
+        this.elements.secondaryHash = document.getElementById('cfg-secondary-hash');
+        this.elements.cellarSize = document.getElementById('cfg-cellar');
+        this.elements.deletionMode = document.getElementById('cfg-deletion');
+        this.elements.rehashPolicy = document.getElementById('cfg-rehash');
+        this.elements.loadFactor = document.getElementById('cfg-load-factor');
+        this.elements.btnCompact = document.getElementById('btn-compact');
+        this.elements.keyConversion = document.getElementById('cfg-conversion');
+        this.elements.conversionBase = document.getElementById('cfg-conversion-base');
         this.elements.tableScroll = document.getElementById('table-scroll');
+        this.elements.statsPanel = document.getElementById('hash-stats');
+        this.elements.statsContent = document.getElementById('hash-stats-content');
 
         // El toggle de duplicados no existe en esta vista
         delete this.elements.toggleDuplicates;
@@ -190,20 +284,44 @@ class HashView extends AlgorithmView {
         el.btnLoad.addEventListener('click', () => this._onLoad());
 
         // Botón Insertar
-        el.btnInsert.addEventListener('click', () => this._onInsert());
+        el.btnInsert.addEventListener('click', () => this.history.track(`insertar "${el.inputKey.value.trim()}"`, () => this._onInsert()));
 
         // Botón Borrar
-        el.btnDelete.addEventListener('click', () => this._onDelete());
+        el.btnDelete.addEventListener('click', () => this.history.track(`borrar "${el.inputKey.value.trim()}"`, () => this._onDelete()));
 
         // Botón Buscar
         el.btnSearch.addEventListener('click', () => this._onSearch());
 
+        // Botón Compactar (elimina lápidas)
+        el.btnCompact.addEventListener('click', () => this.history.track('compactar la tabla', () => this._onCompact()));
+
+        // Carga masiva: generar claves aleatorias, insertar la lista o importar un archivo
+        el.btnGenerate.addEventListener('click', () => this._onGenerateKeys());
+        el.btnBulkInsert.addEventListener('click', () => this.history.track('inserción masiva', () => this._onBulkInsert()));
+        el.btnImport.addEventListener('click', () => this.history.track('importación de claves', () => this._onImportKeys()));
+
+        // Deshacer / Rehacer
+        this._bindHistory();
+
         // Botón Guardar
         el.btnSave.addEventListener('click', () => this._onSave());
 
+        // Botón Exportar CSV
+        el.btnExportCsv.addEventListener('click', () => this._onExportCSV());
+
         // Botón Imprimir
         el.btnPrint.addEventListener('click', () => FileManager.print());
 
+        // Conversión clave → entero (solo aplica a claves no numéricas)
+        el.dataType.addEventListener('change', () => this._syncConversionControls());
+        el.keyConversion.addEventListener('change', () => this._syncConversionControls());
+        this._syncConversionControls();
+
+        // Función h₂ (Cuckoo), zona de desborde (Coalescido) y modo de borrado según la estrategia
+        el.collisionStrategy.addEventListener('change', () => this._syncStrategyControls());
+        el.rehashPolicy.addEventListener('change', () => this._syncStrategyControls());
+        this._syncStrategyControls();
+
         // Tecla Enter en el input de clave
         // Se usa un pequeño retraso para que el keyup de Enter se procese
         // antes de que aparezca cualquier diálogo SweetAlert2, evitando
@@ -218,6 +336,12 @@ class HashView extends AlgorithmView {
         // Toggle historial del log
         el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
 
+        // Exportar traza del log
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+
+        // Controles de reproducción de la animación
+        this.playback.bindControls('playback');
+
         // Resize listener — recalcular tabla al cambiar tamaño de ventana
         this._resizeTimer = null;
         this._onResizeBound = () => {
@@ -270,7 +394,7 @@ class HashView extends AlgorithmView {
         }
 
         this._collisionStrategy = collisionStrategy;
-        this.dataStructure.create(size, keyLength, dataType, false, collisionStrategy, this._getHashMethod());
+        this.dataStructure.create(size, keyLength, dataType, false, collisionStrategy, this._getHashMethod(), this._getHashOptions());
 
         // Habilitar controles
         el.inputKey.disabled = false;
@@ -279,12 +403,15 @@ class HashView extends AlgorithmView {
         el.btnSearch.disabled = false;
         el.btnSave.disabled = false;
         el.btnPrint.disabled = false;
+        this._setBulkEnabled(true);
 
         // Deshabilitar configuración
         el.dataType.disabled = true;
         el.keyLength.disabled = true;
         el.range.disabled = true;
         el.collisionStrategy.disabled = true;
+        this._syncConversionControls();
+        this._syncStrategyControls();
         el.btnCreate.disabled = true;
         el.btnLoad.disabled = true;
 
@@ -295,6 +422,9 @@ class HashView extends AlgorithmView {
 
         const strategyName = CollisionStrategyFactory.create(collisionStrategy, this.dataStructure).getName();
         this._onCreationSuccess(size, keyLength, dataType, strategyName);
+        this._logKeyConversion();
+        this._logDeletionMode();
+        this._logRehashPolicy();
     }
 
     /**
@@ -302,16 +432,23 @@ class HashView extends AlgorithmView {
      * @override
      * @private
      * @async
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión guardada).
      */
-    async _onLoad() {
+    async _onLoad(preloaded = null) {
         if (this.dataStructure.created) {
             Validation.showWarning('Ya existe una estructura activa. Debe limpiarla antes de cargar otra.');
             return;
         }
 
-        const data = await FileManager.load();
+        const data = preloaded || await FileManager.load(['linear', 'hash', 'tree']);
         if (!data) return;
 
+        // Archivo lineal o de árbol: convertir sus claves a esta tabla hash
+        if (FileCompat.needsConversion(data, this._algorithmName)) {
+            await this._loadConverted(data);
+            return;
+        }
+
         // Validar que el archivo corresponda a un algoritmo compatible
         if (data.algorithm && this._algorithmName && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
             Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con la vista actual ("${this._algorithmName}").`);
@@ -325,13 +462,8 @@ class HashView extends AlgorithmView {
         const isDifferentAlgo = data.algorithm && data.algorithm !== this._algorithmName;
 
         if (isDifferentAlgo) {
-            // Cross-hash loading: extract keys and re-insert with this algorithm
-            const originalKeys = [];
-            if (structure.keys) {
-                for (const k of structure.keys) {
-                    if (k !== null && k !== undefined) originalKeys.push(k);
-                }
-            }
+            // Cross-hash loading: extract keys (including buckets and chains) and re-insert with this algorithm
+            const originalKeys = FileCompat.getFileKeys(data);
 
             if (originalKeys.length === 0) {
                 Validation.showWarning('El archivo no contiene claves para cargar.');
@@ -355,7 +487,17 @@ class HashView extends AlgorithmView {
                 structure.dataType,
                 false,
                 collisionStrategy,
-                hashMethod
+                hashMethod,
+                {
+                    ...this._getHashOptions(),
+                    keyConversion: structure.keyConversion || 'ascii',
+                    conversionBase: structure.conversionBase,
+                    secondaryHashMethod: structure.secondaryHashMethod !== hashMethod ? structure.secondaryHashMethod : null,
+                    cellarSize: structure.cellarSize,
+                    deletionMode: structure.deletionMode,
+                    rehashPolicy: structure.rehashPolicy,
+                    loadFactorThreshold: structure.loadFactorThreshold
+                }
             );
 
             // Re-insert all keys silently
@@ -368,11 +510,13 @@ class HashView extends AlgorithmView {
             // UI setup
             el.dataType.value = structure.dataType;
             el.keyLength.value = structure.keyLength;
-            el.range.value = structure.size;
+            el.range.value = this.dataStructure.size;
             if (el.collisionStrategy) {
                 el.collisionStrategy.value = collisionStrategy;
                 el.collisionStrategy.disabled = true;
             }
+            this._syncConversionControls();
+            this._syncStrategyControls();
             el.dataType.disabled = true;
             el.keyLength.disabled = true;
             el.range.disabled = true;
@@ -384,6 +528,7 @@ class HashView extends AlgorithmView {
             el.btnSearch.disabled = false;
             el.btnSave.disabled = false;
             el.btnPrint.disabled = false;
+            this._setBulkEnabled(true);
             el.tableContainer.style.display = '';
             el.logContainer.style.display = '';
 
@@ -407,6 +552,8 @@ class HashView extends AlgorithmView {
                 el.collisionStrategy.value = this._collisionStrategy;
                 el.collisionStrategy.disabled = true;
             }
+            this._syncConversionControls();
+            this._syncStrategyControls();
 
             el.dataType.disabled = true;
             el.keyLength.disabled = true;
@@ -419,6 +566,7 @@ class HashView extends AlgorithmView {
             el.btnSearch.disabled = false;
             el.btnSave.disabled = false;
             el.btnPrint.disabled = false;
+            this._setBulkEnabled(true);
             el.tableContainer.style.display = '';
             el.logContainer.style.display = '';
 
@@ -431,6 +579,69 @@ class HashView extends AlgorithmView {
                 this._addLog(`Método de colisión recuperado: ${strategyName}.`, 'info');
             }
         }
+
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+    }
+
+    /**
+     * Exige elegir el método de colisión antes de mostrar la vista previa de
+     * la conversión: los archivos lineales o de árbol no lo incluyen.
+     * @override
+     * @protected
+     * @async
+     * @param {Object} data - Sobre del archivo.
+     */
+    async _loadConverted(data) {
+        if (!this.elements.collisionStrategy.value) {
+            Validation.showError('Seleccione el método de resolución de colisiones con el que se insertarán las claves del archivo antes de cargarlo.');
+            return;
+        }
+        await super._loadConverted(data);
+    }
+
+    /**
+     * Restaura la tabla y refleja su tamaño (un rehash deshecho lo reduce)
+     * en el campo de rango.
+     * @override
+     * @protected
+     * @param {Object} state
+     * @param {string} description
+     */
+    _restoreState(state, description) {
+        super._restoreState(state, description);
+        this.elements.range.value = this.dataStructure.size;
+    }
+
+    /**
+     * Agrega la función hash y la estrategia de colisión a los datos de la traza.
+     * @override
+     * @protected
+     * @returns {{algorithm: string, title: string, config: Object}}
+     */
+    _getTraceMeta() {
+        const meta = super._getTraceMeta();
+        if (this.dataStructure.created) {
+            delete meta.config.allowDuplicates;
+            meta.config.hashMethod = this.dataStructure.hashMethod;
+            meta.config.collisionStrategy = this._collisionStrategy;
+            if (this.dataStructure.dataType !== 'numerico') {
+                meta.config.keyConversion = this.dataStructure.getConversionName();
+            }
+            if (this._collisionStrategy === 'cuckoo') {
+                meta.config.secondaryHashMethod = this.dataStructure.secondaryHashMethod;
+            }
+            if (this._collisionStrategy === 'coalescido') {
+                meta.config.cellarSize = this.dataStructure.cellarSize;
+            }
+            if (this.dataStructure.deletionMode) {
+                meta.config.deletionMode = this.dataStructure.deletionMode;
+            }
+            if (this.dataStructure.rehashPolicy) {
+                meta.config.rehashPolicy = this.dataStructure.rehashPolicy;
+                meta.config.loadFactorThreshold = this.dataStructure.loadFactorThreshold;
+            }
+        }
+        return meta;
     }
 
     /**
@@ -442,6 +653,417 @@ class HashView extends AlgorithmView {
         return 'modulo'; // Default for HashModView
     }
 
+    /**
+     * Parámetros adicionales de la función hash (ej: constante A). Override in subclasses.
+     * @protected
+     * @returns {Object}
+     */
+    _getHashOptions() {
+        const cellarSize = parseInt(this.elements.cellarSize.value, 10);
+        const loadFactor = parseFloat(this.elements.loadFactor.value.toString().replace(',', '.'));
+        return {
+            ...this._getConversionOptions(),
+            secondaryHashMethod: this.elements.secondaryHash.value,
+            cellarSize: cellarSize >= 1 ? cellarSize : null,
+            deletionMode: this.elements.deletionMode.value,
+            rehashPolicy: this.elements.rehashPolicy.value || null,
+            loadFactorThreshold: loadFactor > 0 && loadFactor <= 1 ? loadFactor : DataStructure.DEFAULT_LOAD_FACTOR
+        };
+    }
+
+    /**
+     * Lee la conversión clave → entero seleccionada en la configuración.
+     * @protected
+     * @returns {{keyConversion: string, conversionBase: number}}
+     */
+    _getConversionOptions() {
+        const el = this.elements;
+        const conversionBase = parseInt(el.conversionBase.value, 10);
+        return {
+            keyConversion: el.keyConversion.value || 'ascii',
+            conversionBase: conversionBase >= 2 ? conversionBase : DataStructure.DEFAULT_CONVERSION_BASE
+        };
+    }
+
+    /**
+     * Sincroniza los controles de conversión con el tipo de dato y el estado de la estructura.
+     * Con una estructura activa muestran la conversión usada y quedan bloqueados.
+     * @protected
+     */
+    _syncConversionControls() {
+        const el = this.elements;
+        if (!el.keyConversion) return;
+
+        const ds = this.dataStructure;
+        if (ds.created) {
+            el.keyConversion.value = ds.keyConversion;
+            el.conversionBase.value = ds.conversionBase;
+            el.keyConversion.disabled = true;
+            el.conversionBase.disabled = true;
+            return;
+        }
+
+        const isNumeric = el.dataType.value === 'numerico';
+        el.keyConversion.disabled = isNumeric;
+        el.conversionBase.disabled = isNumeric || el.keyConversion.value !== 'polinomial';
+    }
+
+    /**
+     * Habilita los parámetros propios de cada estrategia: la función h₂ para
+     * Cuckoo, la zona de desborde para Encadenamiento Coalescido y el modo de
+     * borrado para Prueba Lineal (Cuadrática y Doble Hash solo usan lápidas).
+     * El rehash automático aplica a todas salvo Cuckoo, y el factor de carga
+     * máximo solo se edita con una política de crecimiento elegida.
+     * Con una estructura activa muestran los valores usados y quedan bloqueados;
+     * el botón Compactar solo se habilita si la estructura usa lápidas.
+     * @protected
+     */
+    _syncStrategyControls() {
+        const el = this.elements;
+        if (!el.secondaryHash) return;
+
+        const ds = this.dataStructure;
+        if (ds.created) {
+            el.secondaryHash.value = ds.secondaryHashMethod;
+            el.cellarSize.value = ds.cellarSize > 0 ? ds.cellarSize : '';
+            el.deletionMode.value = ds.deletionMode || 'corrimiento';
+            el.rehashPolicy.value = ds.rehashPolicy || '';
+            el.loadFactor.value = ds.loadFactorThreshold;
+            el.secondaryHash.disabled = true;
+            el.cellarSize.disabled = true;
+            el.deletionMode.disabled = true;
+            el.rehashPolicy.disabled = true;
+            el.loadFactor.disabled = true;
+            el.btnCompact.disabled = ds.deletionMode !== 'lapida';
+            return;
+        }
+
+        const strategy = el.collisionStrategy.value;
+        const deletionMode = DataStructure.getDeletionMode(strategy, el.deletionMode.value);
+        if (deletionMode) el.deletionMode.value = deletionMode;
+        el.secondaryHash.disabled = strategy !== 'cuckoo';
+        el.cellarSize.disabled = strategy !== 'coalescido';
+        el.deletionMode.disabled = strategy !== 'prueba-lineal';
+        if (strategy === 'cuckoo') el.rehashPolicy.value = '';
+        el.rehashPolicy.disabled = strategy === 'cuckoo';
+        el.loadFactor.disabled = !DataStructure.getRehashPolicy(strategy, el.rehashPolicy.value);
+        el.btnCompact.disabled = true;
+    }
+
+    /**
+     * Actualiza el panel de estadísticas: factor de carga, sondeos medidos y
+     * teóricos de las búsquedas exitosas y fallidas, el mapa de grupos
+     * primarios (Prueba Lineal y Robin Hood) y la ocupación de cubetas
+     * (Arreglos Anidados y Encadenamiento). Se oculta sin estructura activa.
+     * @protected
+     */
+    _renderStats() {
+        const panel = this.elements.statsPanel;
+        if (!panel) return;
+
+        const ds = this.dataStructure;
+        if (!ds.created || !this._collisionStrategy) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = '';
+
+        const maxMeasured = 1000; // Por encima, medir cada búsqueda en cada redibujo congela la vista
+        const measureProbes = ds.getTableLength() <= maxMeasured;
+        const stats = this._getHashStats(measureProbes);
+        const expected = stats.expected;
+        const format = (value) => Number(value.toFixed(2)).toString();
+        const expectedCell = (value) => expected ? `${expected.worstCase ? '≤ ' : ''}${format(value)}` : '—';
+        const meanCell = (probes) => probes ? format(probes.mean) : '—';
+        const maxCell = (probes) => probes ? probes.max : '—';
+
+        let html = `
+            <div class="stats-row"><span>Factor de carga α</span><strong>${format(stats.loadFactor)}</strong></div>
+            <div class="stats-note">n = ${ds.count}, m = ${ds.getCapacity()}${ds.getTombstoneCount() > 0 ? `, ${ds.getTombstoneCount()} lápida(s)` : ''}</div>
+            <table class="stats-table">
+                <thead>
+                    <tr><th>Sondeos</th><th>Media</th><th>Máx.</th><th>Teórico</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>Exitosa</td><td>${meanCell(stats.successful)}</td><td>${maxCell(stats.successful)}</td><td>${expectedCell(expected && expected.successful)}</td></tr>
+                    <tr><td>Fallida</td><td>${meanCell(stats.unsuccessful)}</td><td>${maxCell(stats.unsuccessful)}</td><td>${expectedCell(expected && expected.unsuccessful)}</td></tr>
+                </tbody>
+            </table>
+            ${measureProbes ? '' : `<div class="stats-note">Sondeos medidos omitidos (más de ${maxMeasured} posiciones).</div>`}
+        `;
+
+        if (stats.clusters) {
+            const longest = stats.clusters.length > 0 ? Math.max(...stats.clusters) : 0;
+            const mean = stats.clusters.length > 0 ? stats.clusters.reduce((acc, c) => acc + c, 0) / stats.clusters.length : 0;
+            html += `
+                <div class="stats-subtitle">Grupos primarios</div>
+                <div class="stats-row"><span>Cantidad</span><strong>${stats.clusters.length}</strong></div>
+                <div class="stats-row"><span>Longitud media / máx.</span><strong>${format(mean)} / ${longest}</strong></div>
+                ${this._getClusterMapHTML()}
+            `;
+        }
+
+        if (stats.buckets) {
+            const maxBuckets = Math.max(...stats.buckets);
+            html += '<div class="stats-subtitle">Ocupación de cubetas</div>';
+            stats.buckets.forEach((buckets, keys) => {
+                const width = maxBuckets > 0 ? Math.round(buckets / maxBuckets * 100) : 0;
+                html += `
+                    <div class="stats-bar-row" title="${buckets} cubeta(s) con ${keys} clave(s)">
+                        <span class="stats-bar-label">${keys}</span>
+                        <span class="stats-bar"><span style="width:${width}%"></span></span>
+                        <span class="stats-bar-value">${buckets}</span>
+                    </div>
+                `;
+            });
+        }
+
+        this.elements.statsContent.innerHTML = html;
+    }
+
+    /**
+     * Obtiene las estadísticas de la tabla, recalculándolas solo si la tabla
+     * cambió desde la última medición: el panel también se redibuja en cada
+     * cuadro de la animación y al cambiar el tamaño de la ventana.
+     * @private
+     * @param {boolean} measureProbes - Medir los sondeos de cada búsqueda.
+     * @returns {Object} Resultado de {@link DataStructure#getHashStats}.
+     */
+    _getHashStats(measureProbes) {
+        const ds = this.dataStructure;
+        const signature = JSON.stringify([this._collisionStrategy, measureProbes, ds.hashMethod, ds.size, ds.count, ds.keys, ds.altKeys, ds.links]);
+        if (!this._statsCache || this._statsCache.signature !== signature) {
+            this._statsCache = { signature, stats: ds.getHashStats(this._collisionStrategy, measureProbes) };
+        }
+        return this._statsCache.stats;
+    }
+
+    /**
+     * Genera el mapa de grupos primarios: una celda por posición del área
+     * primaria, marcada como ocupada, lápida o vacía. Se omite en tablas grandes.
+     * @private
+     * @returns {string}
+     */
+    _getClusterMapHTML() {
+        const ds = this.dataStructure;
+        const maxCells = 400; // Por encima, las celdas serían demasiado pequeñas para leerse
+        if (ds.size > maxCells) {
+            return `<div class="stats-note">Mapa omitido (más de ${maxCells} posiciones).</div>`;
+        }
+
+        let cells = '';
+        for (let i = 0; i < ds.size; i++) {
+            const key = ds.keys[i];
+            const state = key === null ? 'empty' : (key === DataStructure.TOMBSTONE ? 'tombstone' : 'occupied');
+            cells += `<span class="cluster-cell ${state}" title="pos ${i + 1}${key !== null ? `: ${key}` : ''}"></span>`;
+        }
+        return `<div class="cluster-map">${cells}</div>`;
+    }
+
+    /**
+     * Registra en el log la conversión clave → entero usada por la estructura.
+     * @protected
+     */
+    _logKeyConversion() {
+        if (this.dataStructure.dataType === 'numerico') return;
+        this._addLog(`Conversión de clave a entero: ${this.dataStructure.getConversionName()}.`, 'info');
+    }
+
+    /**
+     * Registra en el log el modo de borrado, en las estrategias que lo usan.
+     * @protected
+     */
+    _logDeletionMode() {
+        const mode = this.dataStructure.deletionMode;
+        if (mode === 'lapida') {
+            this._addLog('Modo de borrado: lápida. Las posiciones borradas se marcan con †; la búsqueda las salta y la inserción las reutiliza. Use "Compactar" para eliminarlas.', 'info');
+        } else if (mode === 'corrimiento') {
+            this._addLog('Modo de borrado: corrimiento. Las claves siguientes del grupo retroceden para ocupar la posición liberada.', 'info');
+        }
+    }
+
+    /**
+     * Registra en el log la política de rehash automático, si está activa.
+     * @protected
+     */
+    _logRehashPolicy() {
+        const ds = this.dataStructure;
+        if (!ds.rehashPolicy) return;
+        const policy = ds.rehashPolicy === 'primo' ? 'siguiente primo ≥ 2m' : 'duplicar (2m)';
+        this._addLog(`Rehash automático: cuando α = n / m supere ${ds.loadFactorThreshold}, la tabla crece (${policy}) y se reinsertan todas las claves.`, 'info');
+    }
+
+    /**
+     * Registra en el log un rehash automático ocurrido durante una inserción:
+     * el factor de carga que lo disparó, el nuevo tamaño y la reinserción de
+     * cada clave. Luego anima, clave por clave, su posición en la tabla ampliada.
+     * @protected
+     * @param {Object|null} rehash - Resultado de hashRehash, o null si no hubo rehash.
+     */
+    _logRehash(rehash) {
+        if (!rehash) return;
+        const ds = this.dataStructure;
+        const policy = DataStructure.GROWTH_POLICIES[ds.rehashPolicy];
+        this.elements.range.value = ds.size;
+
+        if (!rehash.success) {
+            this._addLog(`Factor de carga α = ${rehash.loadFactor.toFixed(2)} > ${ds.loadFactorThreshold}: ${rehash.error}`, 'error', { action: 'rehash' });
+            return;
+        }
+
+        const retried = rehash.failedSizes.length > 0 ? `; con m = ${rehash.failedSizes.join(', ')} alguna clave no encontraba posición libre` : '';
+        this._addLog(`Factor de carga α = ${rehash.loadFactor.toFixed(2)} > ${ds.loadFactorThreshold}: rehash de m = ${rehash.oldSize} a m = ${rehash.newSize} (${policy}${retried}). Se reinsertan ${rehash.moves.length} clave(s).`, 'warning', { action: 'rehash' });
+
+        let totalCollisions = 0;
+        rehash.moves.forEach((move) => {
+            totalCollisions += move.collisions;
+            const collText = move.collisions > 0 ? `, ${move.collisions} colisión${move.collisions > 1 ? 'es' : ''}` : '';
+            this._addLog(`Clave "${move.key}": pos ${move.from + 1} → pos ${move.to + 1} (${move.formula}${collText}).`, 'info', {
+                action: 'reinsertada', position: move.to + 1, key: move.key, formula: move.formula, collisions: move.collisions
+            });
+        });
+        this._addLog(`Costo del rehash: ${rehash.moves.length} reinserción(es) y ${totalCollisions} colisión(es).`, 'info');
+
+        const renderStep = (i) => {
+            this._clearHighlights();
+            const row = this.elements.tableBody.querySelector(`tr[data-index="${rehash.moves[i].to}"]`);
+            if (!row) return;
+            row.classList.add('highlight-found');
+            this._scrollToRow(row);
+        };
+
+        this.playback.run(rehash.moves, renderStep, {
+            delay: this.animationSpeed || 500,
+            onComplete: () => this._clearHighlights()
+        });
+    }
+
+    /**
+     * Registra en el log los pasos intermedios de una inserción: colisiones,
+     * intercambios y reubicaciones de Robin Hood, y expulsiones y rehash de Cuckoo.
+     * En Cuckoo además anima la cadena de expulsiones sobre ambas tablas.
+     * @protected
+     * @param {Array} steps - Pasos retornados por la estrategia de colisión.
+     */
+    _logInsertSteps(steps) {
+        if (!steps) return;
+        steps.forEach((step) => {
+            if (step.action === 'collision') {
+                const collMsg = `Colisión en pos ${step.position + 1}: ${step.formula}`;
+                this._addLog(collMsg, 'warning', { action: 'colision', position: step.position + 1, key: step.key, formula: step.formula });
+            } else if (step.action === 'swap') {
+                const swapMsg = `Intercambio en pos ${step.position + 1}: ${step.formula}. Se continúa insertando "${step.key}".`;
+                this._addLog(swapMsg, 'warning', { action: 'intercambio', position: step.position + 1, key: step.key, formula: step.formula });
+            } else if (step.action === 'inserted' && step.reused) {
+                this._addLog(`Se reutiliza la lápida de la pos ${step.position + 1}.`, 'info', { action: 'lapida-reutilizada', position: step.position + 1 });
+            } else if (step.action === 'relocated') {
+                this._addLog(`Clave ${step.formula}.`, 'info', { action: 'reubicada', position: step.position + 1, key: step.key, formula: step.formula });
+            } else if (step.action === 'evict') {
+                const evictMsg = `Expulsión en ${this._describePosition(step.position, step.table)}: ${step.formula}.`;
+                this._addLog(evictMsg, 'warning', { action: 'expulsion', position: step.position + 1, table: step.table, key: step.key, formula: step.formula });
+            } else if (step.action === 'rehash') {
+                this._addLog(`Rehash: ${step.formula}.`, 'warning', { action: 'rehash', key: step.key, formula: step.formula });
+                this.elements.range.value = this.dataStructure.size;
+            }
+        });
+
+        if (this._collisionStrategy === 'cuckoo') {
+            this._animateEvictionChain(steps);
+        }
+    }
+
+    /**
+     * Anima la cadena de expulsiones de una inserción Cuckoo: resalta, celda por
+     * celda, cada posición ocupada en la tabla 1 o 2 hasta la posición libre final.
+     * Si hubo rehash, solo se anima la reinserción sobre las tablas ampliadas.
+     * @private
+     * @param {Array} steps - Pasos retornados por la inserción Cuckoo.
+     */
+    _animateEvictionChain(steps) {
+        const rehashIndex = steps.map(s => s.action).lastIndexOf('rehash');
+        const chain = steps.slice(rehashIndex + 1).filter(s => s.action === 'evict' || s.action === 'relocated');
+        if (chain.length === 0) return;
+
+        const renderStep = (i) => {
+            const step = chain[i];
+            this._clearHighlights();
+            const cell = this._getKeyCell(step.position, step.table);
+            if (!cell) return;
+            cell.classList.add(step.action === 'evict' ? 'highlight-checking' : 'highlight-found');
+            this._scrollToRow(cell.parentElement);
+        };
+
+        this.playback.run(chain, renderStep, {
+            delay: this.animationSpeed || 500,
+            onComplete: () => this._clearHighlights()
+        });
+    }
+
+    /**
+     * Registra la media y la varianza de las distancias de sondeo
+     * (solo para Prueba Lineal y Robin Hood).
+     * @protected
+     */
+    _logProbeStats() {
+        if (!this._showsProbeDistance()) return;
+        const stats = this.dataStructure.getProbeStats();
+        this._addLog(`Distancias de sondeo: media ${stats.mean.toFixed(2)}, varianza ${stats.variance.toFixed(2)}, máxima ${stats.max}.`, 'info');
+    }
+
+    /**
+     * Sobrescribe la inserción de listas para registrar al final las distancias de sondeo.
+     * @override
+     * @protected
+     * @param {Array<{key: string, line?: number}>} entries
+     * @param {string} label
+     * @returns {Array<{key: string, line?: number}>} Claves rechazadas.
+     */
+    _insertKeyList(entries, label) {
+        const rejected = super._insertKeyList(entries, label);
+        if (rejected.length < entries.length) this._logProbeStats();
+        return rejected;
+    }
+
+    /**
+     * Inserta una clave de la carga masiva con la función hash y la estrategia
+     * de colisión de la vista. Si la inserción dispara un rehash automático
+     * solo se resume en el mensaje, sin animar cada reubicación.
+     * @override
+     * @protected
+     * @param {string} rawKey
+     * @returns {{success: boolean, error: string|null, message?: string, details?: Object}}
+     */
+    _insertBulkKey(rawKey) {
+        const result = this.dataStructure.hashInsert(rawKey, this._collisionStrategy);
+        if (!result.success) return result;
+
+        this.elements.range.value = this.dataStructure.size;
+
+        const key = this._getDisplayKey(result.position, result.table);
+        const finalStep = result.steps[result.steps.length - 1];
+        const usedFormula = result.collisions === 0 ? result.formula : (finalStep && finalStep.formula);
+
+        let message = `Clave "${key}" insertada en ${this._describePosition(result.position, result.table)}`;
+        if (usedFormula) message += ` usando ${usedFormula}`;
+        if (result.collisions > 0) message += ` (${result.collisions} ${result.collisions > 1 ? 'colisiones' : 'colisión'})`;
+        if (result.rehash && result.rehash.success) message += ` tras rehash de m = ${result.rehash.oldSize} a m = ${result.rehash.newSize}`;
+        message += '.';
+        if (result.rehash && !result.rehash.success) message += ` ${result.rehash.error}`;
+
+        return {
+            ...result,
+            message,
+            details: {
+                action: 'insertada',
+                position: result.position + 1,
+                table: result.table,
+                key,
+                formula: usedFormula || null,
+                collisions: result.collisions
+            }
+        };
+    }
+
     /**
      * Gancho para personalizar el log de creación en subclases.
      * @protected
@@ -464,6 +1086,19 @@ class HashView extends AlgorithmView {
             el.collisionStrategy.value = '';
             el.collisionStrategy.disabled = false;
         }
+        if (el.keyConversion && !this.dataStructure.created) {
+            el.keyConversion.value = 'ascii';
+            el.conversionBase.value = DataStructure.DEFAULT_CONVERSION_BASE;
+            this._syncConversionControls();
+        }
+        this._renderStats();
+        if (el.secondaryHash && !this.dataStructure.created) {
+            el.secondaryHash.value = DataStructure.getDefaultSecondaryMethod(this._getHashMethod());
+            el.cellarSize.value = '';
+            el.rehashPolicy.value = '';
+            el.loadFactor.value = DataStructure.DEFAULT_LOAD_FACTOR;
+            this._syncStrategyControls();
+        }
     }
 
     /**
@@ -528,7 +1163,7 @@ class HashView extends AlgorithmView {
 
         if (row) {
             this._clearHighlights();
-            const logMsg = `Clave "${displayKey}" encontrada en posición ${deleteResult.position + 1}. Eliminando...`;
+            const logMsg = `Clave "${displayKey}" encontrada en ${this._describePosition(deleteResult.position, deleteResult.table, 'posición')}. Eliminando...`;
             this._addLog(logMsg, 'warning');
 
             // Determinar si es una eliminación granular (específica de un nodo/columna)
@@ -550,10 +1185,11 @@ class HashView extends AlgorithmView {
                     await new Promise(r => setTimeout(r, 500));
                 }
             } else {
-                // Comportamiento estándar para prueba lineal/cuadrática/doble hash
-                row.classList.add('highlight-deleting');
+                // Comportamiento estándar para prueba lineal/cuadrática/doble hash (en Cuckoo, solo la celda)
+                const target = this._getKeyCell(deleteResult.position, deleteResult.table) || row;
+                target.classList.add('highlight-deleting');
                 await new Promise(r => setTimeout(r, 800));
-                row.classList.add('fade-out');
+                target.classList.add('fade-out');
                 await new Promise(r => setTimeout(r, 500));
             }
         }
@@ -564,19 +1200,63 @@ class HashView extends AlgorithmView {
         el.btnSearch.disabled = false;
         el.btnInsert.disabled = false;
         el.btnDelete.disabled = false;
-        this._addLog(`Clave "${displayKey}" borrada de la posición ${deleteResult.position + 1}.`, 'success');
+        const tombstoneNote = deleteResult.tombstone ? ' La posición queda marcada como lápida (†).' : '';
+        this._addLog(`Clave "${displayKey}" borrada de la ${this._describePosition(deleteResult.position, deleteResult.table, 'posición')}.${tombstoneNote}`, 'success');
         el.inputKey.value = '';
         el.inputKey.focus();
     }
 
+    /**
+     * Compacta la tabla: elimina las lápidas reinsertando las claves vigentes
+     * y registra en el log el movimiento de cada clave.
+     * @private
+     */
+    _onCompact() {
+        if (this.isSearchAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const tombstones = this.dataStructure.getTombstoneCount();
+        if (tombstones === 0) {
+            Validation.showWarning('La tabla no tiene lápidas para eliminar.');
+            return;
+        }
+
+        const result = this.dataStructure.hashCompact(this._collisionStrategy);
+        if (!result.success) {
+            Validation.showError(result.error);
+            return;
+        }
+
+        this._setOperation('compact');
+        this._clearHighlights();
+        this._renderTable();
+        this._addLog(`Compactación: ${result.removed} lápida(s) eliminada(s); se reinsertan ${result.moves.length} clave(s) en el orden de la tabla.`, 'info');
+
+        result.moves.forEach((move) => {
+            const details = { action: 'reinsertada', position: move.to + 1, key: move.key, formula: move.formula, collisions: move.collisions };
+            if (move.from === move.to) {
+                this._addLog(`Clave "${move.key}" permanece en pos ${move.to + 1} (${move.formula}).`, 'info', details);
+            } else {
+                const collText = move.collisions > 0 ? `, ${move.collisions} colisión${move.collisions > 1 ? 'es' : ''}` : '';
+                this._addLog(`Clave "${move.key}": pos ${move.from + 1} → pos ${move.to + 1} (${move.formula}${collText}).`, 'warning', details);
+            }
+        });
+
+        this._addLog('Tabla compactada sin lápidas.', 'success');
+        this._logProbeStats();
+    }
+
     /**
      * Obtiene la clave a mostrar en una posición (maneja arreglos y listas).
      * @protected
      * @param {number} position - Posición en la tabla.
+     * @param {number} [table] - Tabla (1 o 2), solo para Cuckoo.
      * @returns {string}
      */
-    _getDisplayKey(position) {
-        const item = this.dataStructure.keys[position];
+    _getDisplayKey(position, table) {
+        const item = (table === 2 ? this.dataStructure.altKeys : this.dataStructure.keys)[position];
         if (item === null || item === undefined) return '-';
         if (typeof item === 'object' && item.value !== undefined) {
             // Para Encadenamiento (retornar valor del primer nodo para el log base, o el que se acaba de insertar)
@@ -593,52 +1273,56 @@ class HashView extends AlgorithmView {
     }
 
     /**
-     * Anima la búsqueda hash paso a paso según la estrategia.
-     * Inserta dinámicamente filas faltantes si la tabla compacta no las tiene.
+     * Anima la búsqueda hash paso a paso según la estrategia, mediante el
+     * {@link PlaybackController}. Inserta dinámicamente filas faltantes si la
+     * tabla compacta no las tiene.
      * @protected
      * @param {Object} result - Resultado de hashSearch.
      * @param {string} displayKey - Clave normalizada para mostrar en los logs.
      * @returns {Promise<void>}
      */
     _animateSearch(result, displayKey) {
-        return new Promise((resolve) => {
-            const steps = result.steps;
-            const tbody = this.elements.tableBody;
-            let stepIndex = 0;
-
-            const animateStep = () => {
-                if (stepIndex >= steps.length) {
-                    this._addLog(`✘ Clave "${displayKey}" no encontrada. Se revisaron ${steps.length} posición(es).`, 'error');
-                    resolve();
-                    return;
-                }
-
-                const step = steps[stepIndex];
-                let row = tbody.querySelector(`tr[data-index="${step.index}"]`);
-
-                // Si la fila no existe en la tabla compacta, insertarla dinámicamente
-                if (!row) {
-                    row = this._insertDynamicRow(step.index);
-                }
+        const steps = result.steps;
+        const tbody = this.elements.tableBody;
+        const typeLabel = this._collisionStrategy === 'encadenamiento' ? 'nodo' : 'índice';
+
+        /**
+         * Dibuja el estado del paso indicado.
+         * @param {number} i - Índice del paso.
+         * @param {boolean} firstVisit - Si es la primera vez que se muestra (para el log).
+         */
+        const renderStep = (i, firstVisit) => {
+            const step = steps[i];
+            this._clearHighlights();
 
-                if (row) {
-                    row.classList.add('highlight-checking');
-                    const scrollContainer = this.elements.tableScroll; // Use this.elements.tableScroll
-                    if (scrollContainer) {
-                        const rowTop = row.offsetTop;
-                        const rowHeight = row.offsetHeight;
-                        const containerHeight = scrollContainer.clientHeight;
-                        scrollContainer.scrollTop = rowTop - (containerHeight / 2) + (rowHeight / 2);
-                    }
+            let row = tbody.querySelector(`tr[data-index="${step.index}"]`);
 
-                    // Resaltar sub-elemento si existe (para Arreglos Anidados o Encadenamiento)
-                    if (step.subIndex !== undefined) {
-                        const subElement = row.querySelector(`.nested-column[data-sub-index="${step.subIndex}"], .node-item[data-sub-index="${step.subIndex}"]`);
-                        const arrow = row.querySelector(`.link-arrow[data-sub-index="${step.subIndex}"]`);
+            // Si la fila no existe en la tabla compacta, insertarla dinámicamente
+            if (!row) {
+                row = this._insertDynamicRow(step.index);
+            }
 
-                        if (subElement) {
-                            subElement.classList.add('highlight-checking');
-                            // Scroll horizontal del contenedor principal si el elemento está fuera de vista
+            // Color según la acción: encontrada (verde), vacío o detenida (rojo), colisión (amarillo)
+            const stateClass = step.action === 'encontrada'
+                ? 'highlight-found'
+                : (step.action === 'vacio' || step.action === 'detenida') ? 'highlight-not-found' : 'highlight-checking';
+
+            if (row) {
+                // En Cuckoo se resalta solo la celda de la tabla consultada
+                const target = step.table !== undefined ? this._getKeyCell(step.index, step.table) : row;
+                (target || row).classList.add(stateClass);
+                this._scrollToRow(row);
+                const scrollContainer = this.elements.tableScroll;
+
+                // Resaltar sub-elemento si existe (para Arreglos Anidados o Encadenamiento)
+                if (step.subIndex !== undefined) {
+                    const subElement = row.querySelector(`.nested-column[data-sub-index="${step.subIndex}"], .node-item[data-sub-index="${step.subIndex}"]`);
+                    const arrow = row.querySelector(`.link-arrow[data-sub-index="${step.subIndex}"]`);
+
+                    if (subElement) {
+                        subElement.classList.add(step.action === 'encontrada' ? 'highlight-found' : 'highlight-checking');
+                        // Scroll horizontal del contenedor principal si el elemento está fuera de vista
+                        if (scrollContainer) {
                             const subRect = subElement.getBoundingClientRect();
                             const scrollRect = scrollContainer.getBoundingClientRect();
 
@@ -651,72 +1335,60 @@ class HashView extends AlgorithmView {
                                 scrollContainer.scrollLeft = scrollOffset - (scrollRect.width / 2) + (subRect.width / 2);
                             }
                         }
-                        if (arrow) arrow.classList.add('highlight-checking');
                     }
+                    if (arrow && step.action !== 'encontrada') arrow.classList.add('highlight-checking');
                 }
+            }
 
-                if (step.action === 'encontrada') {
-                    if (row) {
-                        row.classList.remove('highlight-checking');
-                        row.classList.add('highlight-found');
-                        if (step.subIndex !== undefined) {
-                            const subElement = row.querySelector(`.nested-column[data-sub-index="${step.subIndex}"], .node-item[data-sub-index="${step.subIndex}"]`);
-                            if (subElement) {
-                                subElement.classList.remove('highlight-checking');
-                                subElement.classList.add('highlight-found');
-                                // Contrast is handled by CSS, but we ensure it's applied
-                            }
-                        }
-                    }
-                    let foundMsg = `✔ Posición ${step.index + 1}: ¡Clave encontrada!`;
-                    if (step.subIndex !== undefined) {
-                        const typeLabel = this._collisionStrategy === 'encadenamiento' ? 'nodo' : 'índice';
-                        foundMsg = `✔ Posición ${step.index + 1}, ${typeLabel} ${step.subIndex + 1}: ¡Clave encontrada!`;
-                    }
-                    if (step.formula) foundMsg += ` (${step.formula})`;
-                    this._addLog(foundMsg, 'success');
-                    resolve();
-                } else if (step.action === 'vacio') {
-                    if (row) {
-                        row.classList.remove('highlight-checking');
-                        row.classList.add('highlight-not-found');
-                    }
-                    let emptyMsg = `✘ Posición ${step.index + 1}: Vacío.`;
-                    if (step.formula) emptyMsg += ` (${step.formula})`;
-                    this._addLog(emptyMsg, 'error');
-
-                    stepIndex++;
-                    setTimeout(() => {
-                        if (row) row.classList.remove('highlight-not-found');
-                        animateStep();
-                    }, this.animationSpeed || 500);
-                } else {
-                    let collMsg = `ℹ Posición ${step.index + 1}: Colisión con clave "${step.key}".`;
-                    if (step.subIndex !== undefined) {
-                        const typeLabel = this._collisionStrategy === 'encadenamiento' ? 'nodo' : 'índice';
-                        collMsg = `ℹ Posición ${step.index + 1}, ${typeLabel} ${step.subIndex + 1}: Colisión con clave "${step.key}".`;
-                    }
-                    if (step.formula) collMsg += ` (${step.formula})`;
-                    this._addLog(collMsg, 'info');
-
-                    stepIndex++;
-                    setTimeout(() => {
-                        if (row) {
-                            row.classList.remove('highlight-checking');
-                            if (step.subIndex !== undefined) {
-                                const subElement = row.querySelector(`.nested-column[data-sub-index="${step.subIndex}"], .node-item[data-sub-index="${step.subIndex}"]`);
-                                const arrow = row.querySelector(`.link-arrow[data-sub-index="${step.subIndex}"]`);
-                                if (subElement) subElement.classList.remove('highlight-checking');
-                                if (arrow) arrow.classList.remove('highlight-checking');
-                            }
-                        }
-                        animateStep();
-                    }, this.animationSpeed || 500);
-                }
+            // Log del paso (solo la primera vez que se muestra)
+            if (!firstVisit) return;
+            const details = {
+                action: step.action,
+                position: step.index + 1,
+                subIndex: step.subIndex !== undefined ? step.subIndex + 1 : undefined,
+                table: step.table,
+                key: step.key,
+                formula: step.formula || null
             };
+            const place = step.table !== undefined ? `Tabla ${step.table}, posición` : 'Posición';
+            if (step.action === 'encontrada') {
+                let foundMsg = `✔ ${place} ${step.index + 1}: ¡Clave encontrada!`;
+                if (step.subIndex !== undefined) {
+                    foundMsg = `✔ Posición ${step.index + 1}, ${typeLabel} ${step.subIndex + 1}: ¡Clave encontrada!`;
+                }
+                if (step.formula) foundMsg += ` (${step.formula})`;
+                this._addLog(foundMsg, 'success', details);
+            } else if (step.action === 'vacio') {
+                let emptyMsg = `✘ ${place} ${step.index + 1}: Vacío.`;
+                if (step.formula) emptyMsg += ` (${step.formula})`;
+                this._addLog(emptyMsg, 'error', details);
+            } else if (step.action === 'lapida') {
+                let tombMsg = `ℹ ${place} ${step.index + 1}: Lápida (clave borrada), se continúa la búsqueda.`;
+                if (step.formula) tombMsg += ` (${step.formula})`;
+                this._addLog(tombMsg, 'info', details);
+            } else if (step.action === 'detenida') {
+                const stopMsg = `✘ Posición ${step.index + 1}: clave "${step.key}" más cerca de su posición base (${step.formula}) → Búsqueda detenida.`;
+                this._addLog(stopMsg, 'error', details);
+            } else {
+                let collMsg = `ℹ ${place} ${step.index + 1}: Colisión con clave "${step.key}".`;
+                if (step.subIndex !== undefined) {
+                    collMsg = `ℹ Posición ${step.index + 1}, ${typeLabel} ${step.subIndex + 1}: Colisión con clave "${step.key}".`;
+                }
+                if (step.formula) collMsg += ` (${step.formula})`;
+                this._addLog(collMsg, 'info', details);
+            }
+        };
 
-            animateStep();
-        });
+        /** Muestra el resultado final de la búsqueda. */
+        const onComplete = () => {
+            const last = steps[steps.length - 1];
+            if (last && last.action === 'encontrada') return; // El resaltado verde se mantiene
+
+            this._clearHighlights();
+            this._addLog(`✘ Clave "${displayKey}" no encontrada. Se revisaron ${steps.length} posición(es).`, 'error');
+        };
+
+        return this.playback.run(steps, renderStep, { delay: this.animationSpeed || 500, onComplete });
     }
 
     /**
@@ -732,15 +1404,13 @@ class HashView extends AlgorithmView {
 
         const tr = document.createElement('tr');
         tr.dataset.index = index;
+        this._markCellarRow(tr, index);
 
         const tdPos = document.createElement('td');
         tdPos.textContent = index + 1;
 
-        const value = this.dataStructure.keys[index];
-        const tdKey = this._renderKeyCell(value);
-
         tr.appendChild(tdPos);
-        tr.appendChild(tdKey);
+        this._appendKeyCells(tr, index);
 
         // Encontrar la posición correcta para insertar la fila
         let insertBefore = null;
@@ -773,7 +1443,10 @@ class HashView extends AlgorithmView {
         const tbody = this.elements.tableBody;
         tbody.innerHTML = '';
 
-        const size = this.dataStructure.size;
+        // Incluye la zona de desborde (Encadenamiento Coalescido), si existe
+        const size = this.dataStructure.getTableLength();
+        this._renderTableHeader();
+        this._renderStats();
         if (size === 0) return;
 
         // Determinar modo dinámico
@@ -784,15 +1457,13 @@ class HashView extends AlgorithmView {
             for (let i = 0; i < size; i++) {
                 const tr = document.createElement('tr');
                 tr.dataset.index = i;
+                this._markCellarRow(tr, i);
 
                 const tdPos = document.createElement('td');
                 tdPos.textContent = i + 1;
 
-                const value = this.dataStructure.keys[i];
-                const tdKey = this._renderKeyCell(value);
-
                 tr.appendChild(tdPos);
-                tr.appendChild(tdKey);
+                this._appendKeyCells(tr, i);
                 tbody.appendChild(tr);
             }
         } else {
@@ -801,10 +1472,14 @@ class HashView extends AlgorithmView {
             visiblePositions.add(0);           // primera
             visiblePositions.add(size - 1);    // última
 
+            const altKeys = this.dataStructure.altKeys;
             for (let i = 0; i < size; i++) {
                 if (this.dataStructure.keys[i] !== null && this.dataStructure.keys[i] !== undefined) {
                     visiblePositions.add(i);
                 }
+                if (altKeys[i] !== null && altKeys[i] !== undefined) {
+                    visiblePositions.add(i);
+                }
             }
 
             const sorted = Array.from(visiblePositions).sort((a, b) => a - b);
@@ -816,7 +1491,7 @@ class HashView extends AlgorithmView {
                     const ellipsisTr = document.createElement('tr');
                     ellipsisTr.classList.add('ellipsis-row');
                     const ellipsisTd = document.createElement('td');
-                    ellipsisTd.colSpan = 2;
+                    ellipsisTd.colSpan = this._getColumnCount();
                     ellipsisTd.textContent = '…';
                     ellipsisTr.appendChild(ellipsisTd);
                     tbody.appendChild(ellipsisTr);
@@ -824,15 +1499,13 @@ class HashView extends AlgorithmView {
 
                 const tr = document.createElement('tr');
                 tr.dataset.index = pos;
+                this._markCellarRow(tr, pos);
 
                 const tdPos = document.createElement('td');
                 tdPos.textContent = pos + 1;
 
-                const value = this.dataStructure.keys[pos];
-                const tdKey = this._renderKeyCell(value);
-
                 tr.appendChild(tdPos);
-                tr.appendChild(tdKey);
+                this._appendKeyCells(tr, pos);
                 tbody.appendChild(tr);
 
                 lastRendered = pos;
@@ -855,6 +1528,111 @@ class HashView extends AlgorithmView {
         });
     }
 
+    /**
+     * Ajusta el encabezado de la tabla: en Cuckoo muestra una columna por tabla.
+     * @private
+     */
+    _renderTableHeader() {
+        const headRow = document.querySelector('#data-table thead tr');
+        if (!headRow) return;
+
+        if (this._collisionStrategy === 'cuckoo') {
+            headRow.innerHTML = '<th>Posición</th><th>Tabla 1 (h₁)</th><th>Tabla 2 (h₂)</th>';
+        } else if (this._collisionStrategy === 'coalescido') {
+            headRow.innerHTML = '<th>Posición</th><th>Clave</th><th>Siguiente</th>';
+        } else {
+            headRow.innerHTML = '<th>Posición</th><th>Clave</th>';
+        }
+    }
+
+    /**
+     * Cantidad de columnas de la tabla según la estrategia.
+     * @private
+     * @returns {number}
+     */
+    _getColumnCount() {
+        return this._collisionStrategy === 'cuckoo' || this._collisionStrategy === 'coalescido' ? 3 : 2;
+    }
+
+    /**
+     * Marca la fila si la posición pertenece a la zona de desborde.
+     * @private
+     * @param {HTMLTableRowElement} tr - Fila de la posición.
+     * @param {number} position - Posición (0-indexed).
+     */
+    _markCellarRow(tr, position) {
+        if (position < this.dataStructure.size) return;
+        tr.classList.add('cellar-row');
+        tr.title = 'Zona de desborde';
+    }
+
+    /**
+     * Agrega a la fila las celdas de clave de una posición: una sola celda,
+     * en Cuckoo una por cada tabla (marcadas con data-table) y en
+     * Encadenamiento Coalescido la clave más el enlace a la siguiente posición.
+     * @private
+     * @param {HTMLTableRowElement} tr - Fila de la posición.
+     * @param {number} position - Posición (0-indexed).
+     */
+    _appendKeyCells(tr, position) {
+        if (this._collisionStrategy !== 'cuckoo') {
+            tr.appendChild(this._renderKeyCell(this.dataStructure.keys[position], position));
+            if (this._collisionStrategy === 'coalescido') {
+                const next = this.dataStructure.links[position];
+                const tdNext = document.createElement('td');
+                tdNext.classList.add('link-cell');
+                tdNext.textContent = next >= 0 ? `→ ${next + 1}` : '-';
+                if (next < 0) tdNext.classList.add('empty-cell');
+                tr.appendChild(tdNext);
+            }
+            return;
+        }
+
+        [this.dataStructure.keys, this.dataStructure.altKeys].forEach((slots, i) => {
+            const td = this._renderKeyCell(slots[position], position);
+            td.classList.add('cuckoo-cell');
+            td.dataset.table = i + 1;
+            tr.appendChild(td);
+        });
+    }
+
+    /**
+     * Obtiene la celda de clave de una posición; en Cuckoo, la de la tabla indicada.
+     * @private
+     * @param {number} position - Posición (0-indexed).
+     * @param {number} [table] - Tabla (1 o 2), solo para Cuckoo.
+     * @returns {HTMLTableCellElement|null}
+     */
+    _getKeyCell(position, table) {
+        const row = this.elements.tableBody.querySelector(`tr[data-index="${position}"]`);
+        if (!row || table === undefined) return null;
+        return row.querySelector(`td[data-table="${table}"]`);
+    }
+
+    /**
+     * Centra verticalmente una fila en el contenedor de la tabla.
+     * @private
+     * @param {HTMLTableRowElement} row
+     */
+    _scrollToRow(row) {
+        const scrollContainer = this.elements.tableScroll;
+        if (!scrollContainer || !row) return;
+        scrollContainer.scrollTop = row.offsetTop - (scrollContainer.clientHeight / 2) + (row.offsetHeight / 2);
+    }
+
+    /**
+     * Describe una posición para los mensajes del log, indicando la tabla en Cuckoo.
+     * @protected
+     * @param {number} position - Posición (0-indexed).
+     * @param {number} [table] - Tabla (1 o 2), solo para Cuckoo.
+     * @param {string} [label='pos'] - Palabra que precede al número.
+     * @returns {string} Ej: 'pos 4' o 'tabla 2, pos 4'.
+     */
+    _describePosition(position, table, label = 'pos') {
+        const text = `${label} ${position + 1}`;
+        return table !== undefined ? `tabla ${table}, ${text}` : text;
+    }
+
     /**
      * Elimina todos los resaltados de búsqueda de las filas de la tabla.
      * También elimina filas dinámicas insertadas durante la animación de búsqueda.
@@ -873,10 +1651,10 @@ class HashView extends AlgorithmView {
                 'highlight-discarded',
                 'highlight-mid'
             );
-            // También limpiar sub-elementos (para arreglos y listas)
-            const subItems = row.querySelectorAll('.nested-column, .node-item, .link-arrow');
+            // También limpiar sub-elementos (para arreglos y listas) y celdas de Cuckoo
+            const subItems = row.querySelectorAll('.nested-column, .node-item, .link-arrow, .cuckoo-cell');
             subItems.forEach(item => {
-                item.classList.remove('highlight-checking', 'highlight-found');
+                item.classList.remove('highlight-checking', 'highlight-found', 'highlight-not-found');
             });
         });
 
@@ -888,10 +1666,11 @@ class HashView extends AlgorithmView {
      * Obtiene la clave a mostrar en una posición (maneja arreglos y listas).
      * @protected
      * @param {number} position - Posición en la tabla.
+     * @param {number} [table] - Tabla (1 o 2), solo para Cuckoo.
      * @returns {string}
      */
-    _getDisplayKey(position) {
-        const item = this.dataStructure.keys[position];
+    _getDisplayKey(position, table) {
+        const item = (table === 2 ? this.dataStructure.altKeys : this.dataStructure.keys)[position];
         if (item === null || item === undefined) return '-';
         if (typeof item === 'object' && item.value !== undefined) {
             // Para Encadenamiento (retornar valor del último nodo insertado)
@@ -911,9 +1690,10 @@ class HashView extends AlgorithmView {
      * Renderiza el contenido de la celda de la clave, manejando colisiones.
      * @private
      * @param {any} value - Valor(es) a renderizar.
+     * @param {number} position - Posición (0-indexed) de la celda.
      * @returns {HTMLTableCellElement} Celda renderizada.
      */
-    _renderKeyCell(value) {
+    _renderKeyCell(value, position) {
         const tdKey = document.createElement('td');
 
         if (this._collisionStrategy === 'arreglos-anidados') {
@@ -972,11 +1752,31 @@ class HashView extends AlgorithmView {
             if (value === null || value === undefined) {
                 tdKey.textContent = '-';
                 tdKey.classList.add('empty-cell');
+            } else if (value === DataStructure.TOMBSTONE) {
+                tdKey.textContent = `${DataStructure.TOMBSTONE} borrada`;
+                tdKey.classList.add('tombstone-cell');
+                tdKey.title = 'Lápida: la búsqueda continúa y la inserción puede reutilizarla';
             } else {
                 tdKey.textContent = value;
+                if (this._showsProbeDistance()) {
+                    const badge = document.createElement('span');
+                    badge.classList.add('probe-distance');
+                    badge.textContent = `d=${this.dataStructure.getProbeDistance(position)}`;
+                    badge.title = 'Distancia de sondeo desde h(k)';
+                    tdKey.appendChild(badge);
+                }
             }
         }
 
         return tdKey;
     }
+
+    /**
+     * Indica si la estrategia activa muestra la distancia de sondeo de cada clave.
+     * @private
+     * @returns {boolean}
+     */
+    _showsProbeDistance() {
+        return this._collisionStrategy === 'prueba-lineal' || this._collisionStrategy === 'robin-hood';
+    }
 }
@@ -27,6 +27,9 @@ class HuffmanView {
         this._highlights = new Map();
         this._nodeRadius = 22;
         this._algorithmName = 'arboles-huffman';
+
+        // Undo/redo history for generated and loaded trees
+        this.history = new UndoHistory();
     }
 
     show() {
@@ -72,7 +75,10 @@ class HuffmanView {
                     <div class="section-block tree-log-section">
                         <div class="section-title">
                             Mensajes y Resultados
-                            <button class="log-history-toggle" id="huffman-log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                            <span class="log-header-actions">
+                                <button class="log-history-toggle" id="huffman-log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
+                                <button class="log-history-toggle" id="huffman-log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                            </span>
                         </div>
                         <div class="tree-log-content" id="huffman-log-content"></div>
                     </div>
@@ -104,6 +110,7 @@ class HuffmanView {
             </div>
 
             <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('huffman-history')}
                 <button class="btn btn-success" id="huffman-btn-save">Guardar</button>
                 <button class="btn btn-primary" id="huffman-btn-print">Imprimir</button>
             </div>
@@ -131,6 +138,7 @@ class HuffmanView {
             canvas: document.getElementById('huffman-canvas'),
             logContent: document.getElementById('huffman-log-content'),
             logHistoryToggle: document.getElementById('huffman-log-history-toggle'),
+            logExport: document.getElementById('huffman-log-export'),
             encodingBody: document.getElementById('huffman-encoding-body'),
             constructionScroll: document.getElementById('huffman-construction-scroll'),
             modSection: this.container.querySelector('.tree-mod-section'),
@@ -141,9 +149,9 @@ class HuffmanView {
     _bindEvents() {
         const el = this.elements;
 
-        el.btnGenerate.addEventListener('click', () => this._onGenerate());
+        el.btnGenerate.addEventListener('click', () => this.history.track('generar el árbol', () => this._onGenerate()));
         el.btnSearch.addEventListener('click', () => this._onSearch());
-        el.btnLoad.addEventListener('click', () => this._onLoad());
+        el.btnLoad.addEventListener('click', () => this.history.track('cargar archivo', () => this._onLoad()));
         el.btnClear.addEventListener('click', () => this._onClear());
         el.btnSave.addEventListener('click', () => this._onSave());
         el.btnPrint.addEventListener('click', () => this._onPrint());
@@ -159,6 +167,14 @@ class HuffmanView {
 
         // Toggle history
         el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+
+        // Undo / redo
+        this.history.bind('huffman-history', {
+            capture: () => this.model.toJSON(),
+            restore: (state, description) => this._restoreState(state, description),
+            isBusy: () => this.isAnimating
+        });
 
         // Canvas pan & zoom
         const canvas = el.canvas;
@@ -209,6 +225,7 @@ class HuffmanView {
     }
 
     _onMouseUp() {
+        if (this._isPanning) this._scheduleSessionSave();
         this._isPanning = false;
         this.elements.canvas.style.cursor = 'grab';
     }
@@ -228,6 +245,7 @@ class HuffmanView {
         this._scale = newScale;
 
         this._drawTree();
+        this._scheduleSessionSave();
     }
 
     _resizeCanvas() {
@@ -519,6 +537,8 @@ class HuffmanView {
         }
 
         this.model.reset();
+        this.history.clear();
+        SessionStore.remove(this._algorithmName);
         this.logMessages = [];
         this._lastOperation = null;
         this._showFullHistory = false;
@@ -528,8 +548,7 @@ class HuffmanView {
         this._scale = 1;
 
         // Clear right panel
-        this.elements.encodingBody.innerHTML = '<div class="huffman-empty-msg">Genere un árbol para ver la codificación.</div>';
-        this.elements.constructionScroll.innerHTML = '<div class="huffman-empty-msg">Genere un árbol para ver las tablas.</div>';
+        this._renderEmptyPanels();
 
         const toggleBtn = this.elements.logHistoryToggle;
         if (toggleBtn) {
@@ -543,52 +562,35 @@ class HuffmanView {
         this._addLog('Árbol limpiado.', 'info');
     }
 
-    async _onLoad() {
+    /**
+     * Carga un árbol de Huffman desde un archivo JSON (o convierte uno de árbol).
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión
+     *        guardada); si es null se pide el archivo.
+     */
+    async _onLoad(preloaded = null) {
         if (this.model && this.model.created) {
             Validation.showWarning('Debe limpiar el árbol actual antes de cargar otro.');
             return;
         }
 
-        const data = await new Promise((resolve) => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
-            input.onchange = (e) => {
-                const file = e.target.files[0];
-                if (!file) { resolve(null); return; }
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    try {
-                        resolve(JSON.parse(event.target.result));
-                    } catch (err) {
-                        Validation.showError('Error al leer el archivo JSON.');
-                        resolve(null);
-                    }
-                };
-                reader.readAsText(file);
-            };
-            input.click();
-        });
+        const data = preloaded || await FileManager.load(['huffman', 'tree']);
 
         if (!data) return;
 
-        // Determine if the file comes from a tree-group algorithm (digital, residuos, residuos múltiples)
-        const isTreeGroup = data.algorithm && FileCompat.getGroup(data.algorithm) === 'tree';
-        const isHuffman = !data.algorithm || data.algorithm === this._algorithmName;
+        // Files from the tree group (digital, residuos, residuos múltiples) are converted into a message
+        const isTreeGroup = FileCompat.needsConversion(data, this._algorithmName);
 
-        if (!isHuffman && !isTreeGroup) {
+        if (!isTreeGroup && data.algorithm && data.algorithm !== this._algorithmName) {
             Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con Árboles de Huffman.`);
             return;
         }
 
         if (isTreeGroup) {
             // Convert tree insertionOrder (array of letters) into a Huffman message
-            if (!data.structure || !data.structure.insertionOrder || data.structure.insertionOrder.length === 0) {
-                Validation.showError('El archivo de árbol no contiene datos válidos para convertir.');
-                return;
-            }
+            const conversion = await FileCompat.convert(data, this._algorithmName);
+            if (!conversion) return;
 
-            const message = data.structure.insertionOrder.join('');
+            const message = conversion.kept.join('');
             const result = this.model.buildTree(message);
 
             if (!result.success) {
@@ -609,11 +611,6 @@ class HuffmanView {
             this._addLog(`Mensaje codificado: ${encoded}`, 'info');
         } else {
             // Native Huffman file
-            if (!data.structure || !data.structure.message) {
-                Validation.showError('El archivo no tiene un formato válido para Árboles de Huffman.');
-                return;
-            }
-
             this.model.fromJSON(data.structure);
 
             // Update right panel
@@ -624,6 +621,62 @@ class HuffmanView {
             this._setOperation('load');
             this._addLog('Árbol cargado desde archivo.', 'success');
         }
+
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+    }
+
+    // ─── Session ────────────────────────────────────────────────────────────────
+
+    /**
+     * Ofrece restaurar la sesión guardada de esta vista (mensaje, log, zoom y
+     * desplazamiento). Se llama al abrir la vista.
+     * @param {boolean} [ask=true] - Si es false se restaura sin preguntar.
+     */
+    async restoreSession(ask = true) {
+        const session = SessionStore.load(this._algorithmName);
+        if (!session || this.model.created) return;
+        if (ask && !(await SessionStore.promptRestore(this._algorithmName, session))) return;
+
+        await this._onLoad(session);
+        if (!this.model.created) return;
+
+        this._applySessionSettings(session.settings);
+        this.logMessages = session.log;
+        this._setOperation('session');
+        this._addLog(`Sesión restaurada: mensaje "${this.model.message}".`, 'success');
+    }
+
+    /**
+     * Programa el guardado automático de la sesión en localStorage.
+     */
+    _scheduleSessionSave() {
+        SessionStore.scheduleSave(this._algorithmName, () => this._getSessionData());
+    }
+
+    /**
+     * Sobre de la sesión actual para {@link SessionStore}, o null si no hay árbol.
+     * @returns {Object|null}
+     */
+    _getSessionData() {
+        if (!this.model.created) return null;
+        return FileSchema.createEnvelope(this._algorithmName, this.model.toJSON(), {
+            settings: { offsetX: this._offsetX, offsetY: this._offsetY, scale: this._scale },
+            log: this.logMessages
+        });
+    }
+
+    /**
+     * Aplica el zoom y el desplazamiento guardados en la sesión.
+     * @param {Object} settings
+     */
+    _applySessionSettings(settings) {
+        const { offsetX, offsetY, scale } = settings;
+        if (![offsetX, offsetY, scale].every(Number.isFinite) || scale <= 0) return;
+
+        this._offsetX = offsetX;
+        this._offsetY = offsetY;
+        this._scale = Math.max(0.1, Math.min(5, scale));
+        this._drawTree();
     }
 
     async _onSave() {
@@ -632,11 +685,7 @@ class HuffmanView {
             return;
         }
 
-        const data = {
-            algorithm: this._algorithmName,
-            timestamp: new Date().toISOString(),
-            structure: this.model.toJSON()
-        };
+        const data = FileSchema.createEnvelope(this._algorithmName, this.model.toJSON());
 
         const jsonString = JSON.stringify(data, null, 2);
         const defaultName = `${this._algorithmName}_${Date.now()}.json`;
@@ -644,8 +693,36 @@ class HuffmanView {
         await FileManager.saveJSON(jsonString, defaultName);
     }
 
+    /**
+     * Restaura un estado del historial de deshacer/rehacer (el árbol de un
+     * mensaje, o el árbol vacío) y actualiza el panel derecho.
+     * @param {Object} state - Árbol capturado con toJSON.
+     * @param {string} description - Operación deshecha o rehecha.
+     */
+    _restoreState(state, description) {
+        this._highlights.clear();
+        this.model.fromJSON(state);
+
+        if (this.model.created) {
+            this._renderEncodingTable();
+            this._renderConstructionTables();
+        } else {
+            this._renderEmptyPanels();
+        }
+
+        this._fitToView();
+        this._setOperation('history');
+        this._addLog(description, 'info');
+    }
+
     // ─── Right Panel Rendering ──────────────────────────────────────────────────
 
+    /** Shows the placeholder messages of the right panel when there is no tree */
+    _renderEmptyPanels() {
+        this.elements.encodingBody.innerHTML = '<div class="huffman-empty-msg">Genere un árbol para ver la codificación.</div>';
+        this.elements.constructionScroll.innerHTML = '<div class="huffman-empty-msg">Genere un árbol para ver las tablas.</div>';
+    }
+
     /** Escapes HTML special characters for safe display */
     _escapeHtml(str) {
         const div = document.createElement('div');
@@ -793,8 +870,11 @@ class HuffmanView {
         this._lastOperation = operation;
     }
 
-    _addLog(message, type = 'info') {
-        this.logMessages.push({ message, type, time: new Date(), operation: this._lastOperation });
+    _addLog(message, type = 'info', details = null) {
+        const record = { message, type, time: new Date(), operation: this._lastOperation };
+        if (details) record.details = details;
+        this.logMessages.push(record);
+        this._scheduleSessionSave();
 
         const logContent = this.elements.logContent;
         const entry = document.createElement('div');
@@ -839,6 +919,22 @@ class HuffmanView {
         this._renderLogView();
     }
 
+    /**
+     * Exporta el historial completo del log como traza (JSON, CSV o Markdown).
+     * @private
+     */
+    _onExportTrace() {
+        const titleEl = this.container.querySelector('.algo-title');
+        const config = this.model && this.model.created ? { ...this.model.toJSON() } : {};
+        delete config.type;
+
+        TraceExporter.export(this.logMessages, {
+            algorithm: this._algorithmName || 'huffman',
+            title: titleEl ? titleEl.textContent : '',
+            config
+        });
+    }
+
     // ─── Print ──────────────────────────────────────────────────────────────────
 
     _onPrint() {
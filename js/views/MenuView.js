@@ -104,6 +104,7 @@ class MenuView {
                 });
             } else if (node.action && node.enabled !== false) {
                 // Nodo hoja con acción habilitada
+                itemDiv.dataset.action = node.action;
                 itemDiv.addEventListener('click', (e) => {
                     e.stopPropagation();
                     this._setActive(itemDiv, node.action);
@@ -123,6 +124,31 @@ class MenuView {
         return ul;
     }
 
+    /**
+     * Selecciona un algoritmo como si se hubiera hecho clic en él: expande
+     * sus menús padre, lo marca como activo y navega a su vista.
+     * @param {string} actionId - Identificador de la acción.
+     * @returns {boolean} true si el ítem existe y está habilitado.
+     */
+    select(actionId) {
+        const itemEl = Array.from(this.container.querySelectorAll('.menu-item[data-action]'))
+            .find(item => item.dataset.action === actionId);
+        if (!itemEl) return false;
+
+        // Expandir los submenús que contienen el ítem
+        let parent = itemEl.closest('.menu-children');
+        while (parent) {
+            parent.classList.add('expanded');
+            const icon = parent.parentElement.querySelector(':scope > .menu-item .expand-icon');
+            if (icon) icon.classList.add('expanded');
+            parent = parent.parentElement.closest('.menu-children');
+        }
+
+        this._setActive(itemEl, actionId);
+        if (this.onNavigate) this.onNavigate(actionId);
+        return true;
+    }
+
     /**
      * Marca un ítem como activo y actualiza el breadcrumb.
      * @private
@@ -29,11 +29,25 @@ class TreeView {
         // Animation highlights — nodeId → color
         this._highlights = new Map();
 
+        // Timeline: controlador de reproducción y modelo mostrado por el cuadro actual
+        // (p. ej. el árbol "antes" de un borrado). null = se dibuja this.model.
+        this.playback = new PlaybackController();
+        this._displayModel = null;
+
+        // Historial para deshacer/rehacer inserciones, borrados y cargas
+        this.history = new UndoHistory();
+
         // Node radius
         this._nodeRadius = 20;
 
         // Algorithm name for save/load
         this._algorithmName = 'arbol';
+
+        // Tipos de archivo que acepta "Cargar" (los lineales y hash se convierten)
+        this._fileTypes = ['tree', 'linear', 'hash'];
+
+        // Árbol (firma JSON) con el que se calculó el panel de métricas
+        this._metricsFor = null;
     }
 
     /**
@@ -57,7 +71,16 @@ class TreeView {
                     <div class="section-block tree-mod-section">
                         <div class="section-title">Modificación de la Estructura</div>
                         <div class="tree-mod-panel">
-                            <label for="tree-input-key">Ingrese la Clave (letra)</label>
+                            <div class="tree-encoding-row">
+                                <label for="tree-encoding">Codificación de la Clave</label>
+                                <div class="tree-encoding-controls">
+                                    <select id="tree-encoding">
+                                        ${Object.entries(TreeUtils.ENCODINGS).map(([type, enc]) => `<option value="${type}">${enc.label}</option>`).join('')}
+                                    </select>
+                                    <input type="number" id="tree-encoding-bits" min="1" max="${TreeUtils.MAX_BINARY_BITS}" value="${TreeUtils.DEFAULT_BINARY_BITS}" title="Bits por clave">
+                                </div>
+                            </div>
+                            <label for="tree-input-key" id="tree-input-label">Ingrese la Clave (letra)</label>
                             <div class="tree-input-row">
                                 <input type="text" id="tree-input-key" placeholder="A-Z" maxlength="1">
                                 <button class="btn btn-info" id="tree-btn-load">Cargar</button>
@@ -70,31 +93,49 @@ class TreeView {
                             </div>
                         </div>
                     </div>
+                    ${typeof this.model.getMetrics === 'function' ? `
+                    <!-- Metrics -->
+                    <div class="section-block tree-stats-section">
+                        <div class="section-title">Métricas del Árbol</div>
+                        <div class="tree-stats-panel" id="tree-metrics-content"></div>
+                    </div>` : ''}
                     <!-- Log -->
                     <div class="section-block tree-log-section">
                         <div class="section-title">
                             Mensajes y Resultados
-                            <button class="log-history-toggle" id="tree-log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                            <span class="log-header-actions">
+                                <button class="log-history-toggle" id="tree-log-export" title="Exportar traza (JSON, CSV o Markdown)">⬇ Exportar</button>
+                                <button class="log-history-toggle" id="tree-log-history-toggle" title="Ver historial completo">📋 Historial</button>
+                            </span>
                         </div>
                         <div class="tree-log-content" id="tree-log-content"></div>
                     </div>
                 </div>
 
-                <!-- Canvas -->
-                <div class="tree-canvas-wrapper">
-                    <canvas id="tree-canvas"></canvas>
-                    <button class="tree-fit-btn" id="tree-btn-fit" title="Ajustar vista">⊞</button>
+                <!-- Canvas + Timeline -->
+                <div class="tree-canvas-column">
+                    <div class="tree-canvas-wrapper">
+                        <canvas id="tree-canvas"></canvas>
+                        <button class="tree-fit-btn" id="tree-btn-fit" title="Ajustar vista">⊞</button>
+                    </div>
+                    <div class="tree-timeline">
+                        ${PlaybackController.getControlsHTML('tree-playback', { scrubber: true })}
+                        <div class="tree-timeline-caption" id="tree-timeline-caption"></div>
+                    </div>
                 </div>
             </div>
 
             <div class="footer-buttons">
+                ${UndoHistory.getControlsHTML('tree-history')}
                 <button class="btn btn-success" id="tree-btn-save">Guardar</button>
                 <button class="btn btn-primary" id="tree-btn-print">Imprimir</button>
             </div>
         `;
 
+        this._metricsFor = null;
         this._cacheElements();
         this._bindEvents();
+        this._syncEncodingControls();
         this._resizeCanvas();
         this._drawTree();
     }
@@ -108,6 +149,9 @@ class TreeView {
     _cacheElements() {
         this.elements = {
             inputKey: document.getElementById('tree-input-key'),
+            inputLabel: document.getElementById('tree-input-label'),
+            encoding: document.getElementById('tree-encoding'),
+            encodingBits: document.getElementById('tree-encoding-bits'),
             btnInsert: document.getElementById('tree-btn-insert'),
             btnDelete: document.getElementById('tree-btn-delete'),
             btnSearch: document.getElementById('tree-btn-search'),
@@ -118,21 +162,26 @@ class TreeView {
             btnFit: document.getElementById('tree-btn-fit'),
             canvas: document.getElementById('tree-canvas'),
             logContent: document.getElementById('tree-log-content'),
-            logHistoryToggle: document.getElementById('tree-log-history-toggle')
+            metricsContent: document.getElementById('tree-metrics-content'),
+            logHistoryToggle: document.getElementById('tree-log-history-toggle'),
+            logExport: document.getElementById('tree-log-export'),
+            timelineCaption: document.getElementById('tree-timeline-caption')
         };
     }
 
     _bindEvents() {
         const el = this.elements;
 
-        el.btnInsert.addEventListener('click', () => this._onInsert());
-        el.btnDelete.addEventListener('click', () => this._onDelete());
+        el.btnInsert.addEventListener('click', () => this.history.track(`insertar "${this._readKey()}"`, () => this._onInsert()));
+        el.btnDelete.addEventListener('click', () => this.history.track(`borrar "${this._readKey()}"`, () => this._onDelete()));
         el.btnSearch.addEventListener('click', () => this._onSearch());
-        el.btnLoad.addEventListener('click', () => this._onLoad());
+        el.btnLoad.addEventListener('click', () => this.history.track('cargar archivo', () => this._onLoad()));
         el.btnClear.addEventListener('click', () => this._onClear());
         el.btnSave.addEventListener('click', () => this._onSave());
         el.btnPrint.addEventListener('click', () => this._onPrint());
         el.btnFit.addEventListener('click', () => this._fitToView());
+        el.encoding.addEventListener('change', () => this._onEncodingChange());
+        el.encodingBits.addEventListener('change', () => this._onEncodingChange());
 
         // Tecla Enter en el input de clave
         // Se usa un pequeño retraso para que el keyup de Enter se procese
@@ -145,6 +194,17 @@ class TreeView {
         });
 
         el.logHistoryToggle.addEventListener('click', () => this._toggleLogHistory());
+        el.logExport.addEventListener('click', () => this._onExportTrace());
+
+        // Timeline de la animación
+        this.playback.bindControls('tree-playback');
+
+        // Deshacer / Rehacer
+        this.history.bind('tree-history', {
+            capture: () => this.model.toJSON(),
+            restore: (state, description) => this._restoreState(state, description),
+            isBusy: () => this.isAnimating
+        });
 
         // Canvas pan & zoom
         const canvas = el.canvas;
@@ -179,6 +239,7 @@ class TreeView {
     }
 
     _onMouseUp() {
+        if (this._isPanning) this._scheduleSessionSave();
         this._isPanning = false;
         this.elements.canvas.style.cursor = 'grab';
     }
@@ -199,6 +260,7 @@ class TreeView {
         this._scale = newScale;
 
         this._drawTree();
+        this._scheduleSessionSave();
     }
 
     _resizeCanvas() {
@@ -212,7 +274,8 @@ class TreeView {
      * Ajusta zoom y offset para que el árbol completo sea visible.
      */
     _fitToView() {
-        const layoutNodes = this.model ? this.model.getLayoutNodes() : [];
+        const model = this._displayModel || this.model;
+        const layoutNodes = model ? model.getLayoutNodes() : [];
         if (layoutNodes.length === 0) {
             this._offsetX = 0;
             this._offsetY = 0;
@@ -254,6 +317,8 @@ class TreeView {
      * Dibuja el árbol completo en el canvas.
      */
     _drawTree() {
+        this._updateMetrics();
+
         const canvas = this.elements.canvas;
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -277,8 +342,11 @@ class TreeView {
             }
         }
 
+        // Modelo a dibujar: el del cuadro actual del timeline o el árbol vigente
+        const model = this._displayModel || this.model;
+
         // Empty state message
-        if (!this.model || !this.model.root) {
+        if (!model || !model.root) {
             ctx.fillStyle = '#A0A8B8';
             ctx.font = '16px "Segoe UI", sans-serif';
             ctx.textAlign = 'center';
@@ -287,7 +355,7 @@ class TreeView {
             return;
         }
 
-        const layoutNodes = this.model.getLayoutNodes();
+        const layoutNodes = model.getLayoutNodes();
 
         ctx.save();
         ctx.translate(this._offsetX, this._offsetY);
@@ -308,6 +376,44 @@ class TreeView {
         ctx.restore();
     }
 
+    /**
+     * Actualiza el panel de métricas si el árbol vigente cambió (las métricas
+     * repiten la búsqueda de cada clave, así que no se recalculan al mover o
+     * hacer zoom en el canvas).
+     */
+    _updateMetrics() {
+        const content = this.elements.metricsContent;
+        if (!content || !this.model) return;
+
+        const signature = JSON.stringify(this.model.toJSON());
+        if (signature === this._metricsFor) return;
+        this._metricsFor = signature;
+
+        if (!this.model.created) {
+            content.innerHTML = '<div class="stats-note">Inserte claves para ver las métricas del árbol.</div>';
+            return;
+        }
+        content.innerHTML = this._renderMetrics(this.model.getMetrics());
+    }
+
+    /**
+     * HTML del panel de métricas.
+     * @param {{height: number, linkNodes: number, infoNodes: number, emptySlots: number, totalSlots: number, successful: {mean: number, max: number}}} metrics
+     * @returns {string}
+     */
+    _renderMetrics(metrics) {
+        const format = v => Number(v.toFixed(2)).toString();
+        return `
+            <div class="stats-row"><span>Altura</span><strong>${metrics.height}</strong></div>
+            <div class="stats-row"><span>Nodos de enlace</span><strong>${metrics.linkNodes}</strong></div>
+            <div class="stats-row"><span>Nodos de información</span><strong>${metrics.infoNodes}</strong></div>
+            <div class="stats-row"><span>Punteros vacíos</span><strong>${metrics.emptySlots} de ${metrics.totalSlots}</strong></div>
+            <div class="stats-row"><span>Comparaciones promedio (búsqueda exitosa)</span><strong>${format(metrics.successful.mean)}</strong></div>
+            <div class="stats-row"><span>Comparaciones máximas</span><strong>${metrics.successful.max}</strong></div>
+            <div class="stats-note tree-stats-summary">Altura en aristas desde la raíz; comparaciones = nodos visitados al buscar cada clave insertada.</div>
+        `;
+    }
+
     /**
      * Dibuja una arista entre dos nodos.
      */
@@ -408,15 +514,47 @@ class TreeView {
         }
         ctx.stroke();
 
-        if (hasKey) {
-            ctx.font = `bold 14px "Segoe UI", sans-serif`;
-            ctx.fillStyle = highlight ? '#FFFFFF' : '#2B579A';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(node.key, x, y);
+        const label = this._nodeText(node);
+        if (label !== null && label !== undefined) {
+            this._drawNodeLabel(ctx, label, x, y, highlight ? '#FFFFFF' : '#2B579A');
         }
     }
 
+    /**
+     * Texto que se escribe dentro de un nodo: su clave (los nodos de enlace
+     * van vacíos). Subclases pueden sobrescribir para mostrar otro dato.
+     * @param {Object} node
+     * @returns {string|null}
+     */
+    _nodeText(node) {
+        return node.key;
+    }
+
+    /**
+     * Escribe la clave de un nodo. Si no cabe en el círculo se reduce la
+     * letra y, si aun así no cabe (palabras, cadenas binarias largas), se
+     * escribe debajo del nodo.
+     */
+    _drawNodeLabel(ctx, text, x, y, color) {
+        const r = this._nodeRadius;
+        const maxWidth = r * 2 - 6;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const size of [14, 12, 10]) {
+            ctx.font = `bold ${size}px "Segoe UI", sans-serif`;
+            if (ctx.measureText(text).width <= maxWidth) {
+                ctx.fillStyle = color;
+                ctx.fillText(text, x, y);
+                return;
+            }
+        }
+
+        ctx.font = 'bold 12px "Segoe UI", sans-serif';
+        ctx.fillStyle = '#2B579A';
+        ctx.fillText(text, x, y + r + 10);
+    }
+
     /**
      * Oscurece un color hex para el borde.
      */
@@ -431,6 +569,85 @@ class TreeView {
         return hex;
     }
 
+    // ─── Key Encoding ──────────────────────────────────────────────────────────
+
+    /**
+     * Cambia la codificación de las claves elegida en el panel. Solo se
+     * permite con el árbol vacío (el selector se bloquea al insertar).
+     */
+    _onEncodingChange() {
+        const el = this.elements;
+        const encoding = TreeUtils.normalizeEncoding({
+            type: el.encoding.value,
+            bits: parseInt(el.encodingBits.value, 10)
+        });
+
+        if (!this.model.setEncoding(encoding)) {
+            Validation.showWarning('Debe limpiar el árbol para cambiar la codificación de las claves.');
+            this._syncEncodingControls();
+            return;
+        }
+
+        this._syncEncodingControls();
+        this._setOperation('config');
+        this._addLog(`Codificación de las claves: ${TreeUtils.describeEncoding(encoding)}.`, 'info');
+    }
+
+    /**
+     * Refleja la codificación del modelo en el panel: selector, ancho de las
+     * cadenas binarias y formato del campo de la clave. El selector queda
+     * bloqueado mientras el árbol tenga claves.
+     */
+    _syncEncodingControls() {
+        const el = this.elements;
+        if (!el.encoding || !this.model) return;
+
+        const { type, bits } = this.model.encoding;
+        const info = TreeUtils.ENCODINGS[type];
+        const locked = this.model.created;
+
+        el.encoding.value = type;
+        el.encoding.disabled = locked;
+        el.encodingBits.value = bits;
+        el.encodingBits.disabled = locked;
+        el.encodingBits.classList.toggle('hidden', type !== 'binario');
+
+        el.inputLabel.textContent = `Ingrese la Clave (${info.keyName})`;
+        el.inputKey.placeholder = type === 'binario' ? '0'.repeat(bits) : info.placeholder;
+        el.inputKey.maxLength = type === 'binario' ? bits : 1;
+        // Las letras se escriben en mayúsculas; en ASCII 'a' y 'A' son claves distintas
+        el.inputKey.classList.toggle('case-sensitive', type !== 'letras');
+    }
+
+    /**
+     * Lee la clave del campo de entrada, normalizada según la codificación
+     * (ej: letras en mayúsculas). Si no es válida se retorna tal como se escribió.
+     * @returns {string}
+     */
+    _readKey() {
+        const raw = this.elements.inputKey.value;
+        const v = this._validateInput(raw);
+        return v.valid ? v.key : raw.trim();
+    }
+
+    /**
+     * Valida una clave escrita por el usuario según el árbol de la vista.
+     * @param {string} raw
+     * @returns {{valid: boolean, key: string|null, error: string|null}}
+     */
+    _validateInput(raw) {
+        return TreeUtils.validateKey(raw, this.model.encoding);
+    }
+
+    /**
+     * Camino que recorre una clave en el árbol, para el log (su codificación binaria).
+     * @param {string} key - Clave ya validada.
+     * @returns {string}
+     */
+    _keyPath(key) {
+        return TreeUtils.keyToBinary(key, this.model.encoding);
+    }
+
     // ─── Operations ────────────────────────────────────────────────────────────
 
     _onInsert() {
@@ -447,12 +664,13 @@ class TreeView {
             return;
         }
 
-        const letter = el.inputKey.value.trim().toUpperCase();
-        const binary = TreeUtils.letterToBinary(letter);
+        const letter = this._readKey();
+        const binary = this._keyPath(letter);
         this._setOperation('insert');
-        this._addLog(`Insertada "${letter}" (${binary}).`, 'success');
+        this._addLog(`Insertada "${letter}" (${binary}).`, 'success', { action: 'insertada', key: letter, formula: binary });
 
         // Fit view BEFORE animating so the user sees the animation properly
+        this._syncEncodingControls();
         this._fitToView();
         this._animateSteps(result.steps, 'insert');
 
@@ -467,7 +685,7 @@ class TreeView {
         }
 
         const el = this.elements;
-        const key = el.inputKey.value.trim().toUpperCase();
+        const key = this._readKey();
 
         if (!key) {
             Validation.showError('Debe ingresar la clave que desea borrar.');
@@ -483,27 +701,34 @@ class TreeView {
         }
 
         const letter = key;
-        const binary = TreeUtils.letterToBinary(letter);
+        const binary = this._keyPath(letter);
 
         this._setOperation('delete');
         this._addLog(`Iniciando borrado de "${letter}" (${binary})...`, 'info');
 
-        // Step 1: Search animation (tree still intact)
-        const searchResult = this.model.search(key);
-        this._fitToView();
-        await this._animateSteps(searchResult.steps, 'search');
-
-        // Step 2: Highlight found node in red and hold
+        // Step 1: Copia del árbol antes del borrado; la búsqueda se anima sobre ella
+        // para que el timeline pueda repetir el árbol "antes" al terminar.
+        const before = this._cloneModel();
+        const searchResult = before.search(key);
         const foundStep = searchResult.steps.find(s => s.action === 'found');
+
+        // Step 2: Actually delete (modifies the tree)
+        const deleteResult = this.model.delete(key);
+
+        // Step 3: Cuadros — búsqueda, nodo en rojo y árbol resultante
+        const frames = this._buildFrames(searchResult.steps, before, false);
         if (foundStep) {
-            this._highlights.clear();
-            this._highlights.set(foundStep.node, '#DC3545');
-            this._drawTree();
-            await new Promise(r => setTimeout(r, 800));
+            frames.push({
+                model: before,
+                highlights: [[foundStep.node, '#DC3545']],
+                caption: `Borrando "${letter}" — árbol antes del borrado`
+            });
         }
+        frames.push({ model: this.model, highlights: [], caption: 'Árbol después del borrado' });
 
-        // Step 3: Actually delete (modifies the tree)
-        const deleteResult = this.model.delete(key);
+        this._displayModel = before;
+        this._fitToView();
+        await this._playFrames(frames);
 
         // Step 4: Clear and redraw
         this._highlights.clear();
@@ -518,6 +743,7 @@ class TreeView {
 
         this.isAnimating = false;
         this._disableButtons(false);
+        this._syncEncodingControls();
         el.inputKey.value = '';
         el.inputKey.focus();
     }
@@ -529,16 +755,22 @@ class TreeView {
         }
 
         const el = this.elements;
-        const key = el.inputKey.value.trim().toUpperCase();
+        const key = this._readKey();
 
         if (!key) {
             Validation.showError('Debe ingresar la clave que desea buscar.');
             return;
         }
 
-        const binary = TreeUtils.letterToBinary(key);
+        const validation = this._validateInput(key);
+        if (!validation.valid) {
+            Validation.showError(validation.error);
+            return;
+        }
+
+        const binary = this._keyPath(key);
         this._setOperation('search');
-        this._addLog(`Buscando "${key}" (${binary})...`, 'info');
+        this._addLog(`Buscando "${key}" (${binary})...`, 'info', { action: 'buscar', key, formula: binary });
 
         const result = this.model.search(key);
 
@@ -566,7 +798,11 @@ class TreeView {
             if (!confirmed) return;
         }
 
+        this._resetTimeline();
+
         this.model.reset();
+        this.history.clear();
+        SessionStore.remove(this._algorithmName);
         this.logMessages = [];
         this._lastOperation = null;
         this._showFullHistory = false;
@@ -583,54 +819,109 @@ class TreeView {
             toggleBtn.classList.remove('active');
         }
 
+        this._syncEncodingControls();
         this._drawTree();
         this._addLog('Árbol limpiado.', 'info');
     }
 
-    async _onLoad() {
+    /**
+     * Carga un árbol desde un archivo JSON (o convierte uno lineal o hash).
+     * @param {Object|null} [preloaded=null] - Sobre ya leído (ej: una sesión
+     *        guardada); si es null se pide el archivo.
+     */
+    async _onLoad(preloaded = null) {
         if (this.model && this.model.created) {
             Validation.showWarning('Debe limpiar el árbol actual antes de cargar otro.');
             return;
         }
 
-        // Own file loading logic (FileManager.load checks for keys array which trees don't have)
-        const data = await new Promise((resolve) => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
-            input.onchange = (e) => {
-                const file = e.target.files[0];
-                if (!file) { resolve(null); return; }
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    try {
-                        resolve(JSON.parse(event.target.result));
-                    } catch (err) {
-                        Validation.showError('Error al leer el archivo JSON.');
-                        resolve(null);
-                    }
-                };
-                reader.readAsText(file);
-            };
-            input.click();
-        });
+        const data = preloaded || await FileManager.load(this._fileTypes);
 
         if (!data) return;
 
-        if (data.algorithm && this._algorithmName && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
-            Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con esta vista.`);
+        // Archivo de otro grupo: conservar solo las claves válidas para este árbol
+        if (FileCompat.needsConversion(data, this._algorithmName)) {
+            const conversion = await FileCompat.convert(data, this._algorithmName, this.model.encoding);
+            if (!conversion) return;
+
+            this._resetTimeline();
+            this.model.fromJSON({ ...this.model.toJSON(), insertionOrder: conversion.kept });
+            this._syncEncodingControls();
+            this._fitToView();
+            this._setOperation('load');
+            this._addLog(`Archivo de ${FileCompat.getGroupDisplayName(conversion.fromGroup)} convertido: ${conversion.kept.length} clave(s) insertada(s), ${conversion.dropped.length} clave(s) descartada(s).`, 'success');
+            conversion.dropped.forEach(({ key, error }) => this._addLog(`✘ "${key}" descartada: ${error}`, 'warning'));
+            if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
             return;
         }
 
-        if (!data.structure || !data.structure.insertionOrder) {
-            Validation.showError('El archivo no tiene un formato válido para árboles.');
+        if (data.algorithm && this._algorithmName && !FileCompat.areCompatible(data.algorithm, this._algorithmName)) {
+            Validation.showError(`Este archivo fue creado para "${data.algorithm}" y no es compatible con esta vista.`);
             return;
         }
 
+        this._resetTimeline();
         this.model.fromJSON(data.structure);
+        this._syncEncodingControls();
         this._fitToView();
         this._setOperation('load');
-        this._addLog('Árbol cargado desde archivo.', 'success');
+        const encoding = this.model.encoding ? ` (codificación: ${TreeUtils.describeEncoding(this.model.encoding)})` : '';
+        this._addLog(`Árbol cargado desde archivo${encoding}.`, 'success');
+        if (data.migratedFrom) this._addLog(`Archivo en formato v${data.migratedFrom} actualizado al formato v${FileSchema.CURRENT_VERSION}.`, 'info');
+    }
+
+    // ─── Session ───────────────────────────────────────────────────────────────
+
+    /**
+     * Ofrece restaurar la sesión guardada de esta vista (árbol, log, zoom y
+     * desplazamiento). Se llama al abrir la vista.
+     * @param {boolean} [ask=true] - Si es false se restaura sin preguntar.
+     */
+    async restoreSession(ask = true) {
+        const session = SessionStore.load(this._algorithmName);
+        if (!session || this.model.created) return;
+        if (ask && !(await SessionStore.promptRestore(this._algorithmName, session))) return;
+
+        await this._onLoad(session);
+        if (!this.model.created) return;
+
+        this._applySessionSettings(session.settings);
+        this.logMessages = session.log;
+        this._setOperation('session');
+        this._addLog(`Sesión restaurada: ${this.model.insertionOrder.length} clave(s).`, 'success');
+    }
+
+    /**
+     * Programa el guardado automático de la sesión en localStorage.
+     */
+    _scheduleSessionSave() {
+        SessionStore.scheduleSave(this._algorithmName, () => this._getSessionData());
+    }
+
+    /**
+     * Sobre de la sesión actual para {@link SessionStore}, o null si no hay árbol.
+     * @returns {Object|null}
+     */
+    _getSessionData() {
+        if (!this.model.created) return null;
+        return FileSchema.createEnvelope(this._algorithmName, this.model.toJSON(), {
+            settings: { offsetX: this._offsetX, offsetY: this._offsetY, scale: this._scale },
+            log: this.logMessages
+        });
+    }
+
+    /**
+     * Aplica el zoom y el desplazamiento guardados en la sesión.
+     * @param {Object} settings
+     */
+    _applySessionSettings(settings) {
+        const { offsetX, offsetY, scale } = settings;
+        if (![offsetX, offsetY, scale].every(Number.isFinite) || scale <= 0) return;
+
+        this._offsetX = offsetX;
+        this._offsetY = offsetY;
+        this._scale = Math.max(0.1, Math.min(5, scale));
+        this._drawTree();
     }
 
     async _onSave() {
@@ -639,11 +930,7 @@ class TreeView {
             return;
         }
 
-        const data = {
-            algorithm: this._algorithmName,
-            timestamp: new Date().toISOString(),
-            structure: this.model.toJSON()
-        };
+        const data = FileSchema.createEnvelope(this._algorithmName, this.model.toJSON());
 
         const jsonString = JSON.stringify(data, null, 2);
         const defaultName = `${this._algorithmName}_${Date.now()}.json`;
@@ -654,91 +941,171 @@ class TreeView {
     // ─── Animation ─────────────────────────────────────────────────────────────
 
     /**
-     * Anima los pasos de una operación con colores.
+     * Anima los pasos de una operación con colores en el timeline.
      * @param {Array} steps - Pasos animables del modelo.
      * @param {string} operation - 'insert' | 'search' | 'delete'
      * @returns {Promise<void>}
      */
     async _animateSteps(steps, operation) {
-        this.isAnimating = true;
-        this._disableButtons(true);
+        await this._playFrames(this._buildFrames(steps, this.model, true));
+    }
 
-        const DELAY = 500;
+    /**
+     * Convierte los pasos del modelo en cuadros del timeline.
+     * Cada cuadro guarda el modelo a dibujar, los resaltados y una descripción.
+     * @param {Array} steps - Pasos animables del modelo.
+     * @param {Object} model - Modelo al que pertenecen los nodos de los pasos.
+     * @param {boolean} withResult - Agregar un cuadro final con el nodo principal.
+     * @returns {Array<{model: Object, highlights: Array, caption: string}>}
+     */
+    _buildFrames(steps, model, withResult) {
+        const frames = [];
 
         // Track the primary node for the final lingering highlight
         let primaryNode = null;
         let primaryColor = null;
 
-        let i = 0;
-        while (i < steps.length) {
-            const step = steps[i];
-
+        for (const step of steps) {
             // Skip reinsert and create-link — don't highlight the sibling
-            if (step.action === 'reinsert' || step.action === 'create-link') {
-                i++;
-                continue;
+            if (step.action === 'reinsert' || step.action === 'create-link') continue;
+
+            const color = this._getStepColor(step.action);
+            if (['found', 'insert', 'not-found', 'delete-leaf', 'replace', 'remove-link', 'simplify'].includes(step.action)) {
+                primaryNode = step.node;
+                primaryColor = color;
             }
 
-            // Clear previous highlight
-            this._highlights.clear();
+            frames.push({ model, highlights: [[step.node, color]], caption: this._describeStep(step) });
+        }
 
-            // Color based on action
-            let color;
-            switch (step.action) {
-                case 'visit':
-                case 'visit-link':
-                    color = '#F0AD4E'; // Yellow — checking
-                    break;
-                case 'found':
-                    color = '#28A745'; // Green — found
-                    primaryNode = step.node;
-                    primaryColor = color;
-                    break;
-                case 'insert':
-                    color = '#28A745'; // Green — inserted
-                    primaryNode = step.node;
-                    primaryColor = color;
-                    break;
-                case 'collision':
-                    color = '#F0AD4E'; // Yellow — collision
-                    break;
-                case 'not-found':
-                    color = '#DC3545'; // Red — not found
-                    primaryNode = step.node;
-                    primaryColor = color;
-                    break;
-                case 'delete-leaf':
-                case 'replace':
-                case 'remove-link':
-                case 'simplify':
-                    color = '#DC3545'; // Red — deletion
-                    primaryNode = step.node;
-                    primaryColor = color;
-                    break;
-                default:
-                    color = '#F0AD4E';
-            }
+        if (withResult && frames.length > 0) {
+            frames.push({
+                model,
+                highlights: primaryNode ? [[primaryNode, primaryColor]] : [],
+                caption: 'Resultado'
+            });
+        }
 
-            this._highlights.set(step.node, color);
-            this._drawTree();
-            await new Promise(r => setTimeout(r, DELAY));
+        return frames;
+    }
 
-            i++;
+    /**
+     * Color de resaltado según la acción del paso.
+     * @param {string} action
+     * @returns {string}
+     */
+    _getStepColor(action) {
+        switch (action) {
+            case 'found':
+            case 'insert':
+                return '#28A745'; // Green — found / inserted
+            case 'not-found':
+            case 'delete-leaf':
+            case 'replace':
+            case 'remove-link':
+            case 'simplify':
+                return '#DC3545'; // Red — not found / deletion
+            default:
+                return '#F0AD4E'; // Yellow — checking / collision
         }
+    }
 
-        // Final lingering highlight: show only the primary node
-        this._highlights.clear();
-        if (primaryNode && primaryColor) {
-            this._highlights.set(primaryNode, primaryColor);
+    /**
+     * Describe un paso (nodo visitado y comparación de bits) para el timeline.
+     * @param {Object} step
+     * @returns {string}
+     */
+    _describeStep(step) {
+        const node = step.node;
+        const nodeLabel = node.key ? `Nodo "${node.key}"` : 'Nodo de enlace';
+
+        let comparison = '';
+        if (step.block !== undefined) {
+            comparison = `: bloque ${step.blockIndex + 1} = ${step.block}`;
+        } else if (step.char !== undefined) {
+            comparison = `: letra ${step.charIndex + 1} = "${step.char}"`;
+        } else if (step.bit !== undefined && step.bit !== null) {
+            comparison = `: bit ${step.bitIndex + 1} = ${step.bit} → ${step.bit === '0' ? 'izquierda' : 'derecha'}`;
         }
-        this._drawTree();
-        await new Promise(r => setTimeout(r, DELAY));
 
-        this._highlights.clear();
-        this._drawTree();
+        switch (step.action) {
+            case 'insert': return `Clave "${node.key}" insertada`;
+            case 'found': return `Clave "${node.key}" encontrada`;
+            case 'not-found': return `${nodeLabel}${comparison} — clave no encontrada`;
+            case 'collision': return 'Colisión: la hoja se convierte en nodo de enlace';
+            default: return `${nodeLabel}${comparison}`;
+        }
+    }
+
+    /**
+     * Reproduce los cuadros en el timeline. Al terminar, los cuadros siguen
+     * disponibles para recorrerlos o repetirlos hasta la siguiente operación.
+     * @param {Array<{model: Object, highlights: Array, caption: string}>} frames
+     * @returns {Promise<void>} Se resuelve al terminar la primera reproducción.
+     */
+    _playFrames(frames) {
+        this.isAnimating = true;
+        this._disableButtons(true);
+
+        const DELAY = 500;
+
+        const renderStep = (i) => {
+            const frame = frames[i];
+            this._displayModel = frame.model === this.model ? null : frame.model;
+            this._highlights = new Map(frame.highlights);
+            this._drawTree();
+            this.elements.timelineCaption.textContent = frame.caption;
+        };
+
+        const onComplete = () => {
+            this._displayModel = null;
+            this._highlights.clear();
+            this._drawTree();
+            this.elements.timelineCaption.textContent = '';
+
+            this.isAnimating = false;
+            this._disableButtons(false);
+        };
+
+        return this.playback.run(frames, renderStep, { delay: DELAY, onComplete, persist: true });
+    }
 
+    /**
+     * Restaura un estado del historial de deshacer/rehacer. Descarta el
+     * timeline, que pertenece al árbol anterior.
+     * @param {Object} state - Árbol capturado con toJSON.
+     * @param {string} description - Operación deshecha o rehecha.
+     */
+    _restoreState(state, description) {
+        this._resetTimeline();
+        this.model.fromJSON(state);
+        this._syncEncodingControls();
+        this._fitToView();
+        this._setOperation('history');
+        this._addLog(description, 'info');
+    }
+
+    /**
+     * Descarta el timeline cargado (incluida una animación en pausa)
+     * y rehabilita los botones de operación.
+     */
+    _resetTimeline() {
+        this.playback.stop();
         this.isAnimating = false;
         this._disableButtons(false);
+        this._displayModel = null;
+        this._highlights.clear();
+        if (this.elements.timelineCaption) this.elements.timelineCaption.textContent = '';
+    }
+
+    /**
+     * Crea una copia independiente del modelo actual (vía toJSON/fromJSON).
+     * @returns {Object}
+     */
+    _cloneModel() {
+        const copy = new this.model.constructor();
+        copy.fromJSON(this.model.toJSON());
+        return copy;
     }
 
     _disableButtons(disabled) {
@@ -758,8 +1125,11 @@ class TreeView {
         this._lastOperation = operation;
     }
 
-    _addLog(message, type = 'info') {
-        this.logMessages.push({ message, type, time: new Date(), operation: this._lastOperation });
+    _addLog(message, type = 'info', details = null) {
+        const record = { message, type, time: new Date(), operation: this._lastOperation };
+        if (details) record.details = details;
+        this.logMessages.push(record);
+        this._scheduleSessionSave();
 
         const logContent = this.elements.logContent;
         const entry = document.createElement('div');
@@ -804,6 +1174,23 @@ class TreeView {
         this._renderLogView();
     }
 
+    /**
+     * Exporta el historial completo del log como traza (JSON, CSV o Markdown).
+     * @private
+     */
+    _onExportTrace() {
+        const titleEl = this.container.querySelector('.algo-title');
+        const config = this.model && this.model.created ? { ...this.model.toJSON() } : {};
+        delete config.type;
+        if (config.encoding) config.encoding = TreeUtils.describeEncoding(config.encoding);
+
+        TraceExporter.export(this.logMessages, {
+            algorithm: this._algorithmName || 'arbol',
+            title: titleEl ? titleEl.textContent : '',
+            config
+        });
+    }
+
     // ─── Print ──────────────────────────────────────────────────────────────────
 
     /**
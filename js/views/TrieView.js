@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Vista del Trie de palabras.
+ * Reemplaza la codificación binaria por el recorrido letra a letra y agrega
+ * la búsqueda por prefijo al panel de modificación.
+ * @extends TreeView
+ * @module views/TrieView
+ */
+
+class TrieView extends TreeView {
+    constructor(containerEl) {
+        super(containerEl);
+        this._algorithmName = 'arboles-trie';
+        this._fileTypes = ['trie', 'tree', 'linear', 'hash'];
+    }
+
+    show() {
+        this.model = new TrieModel();
+        this.render('Tries (Árboles de Palabras)');
+        this._injectPrefixButton();
+    }
+
+    /**
+     * Agrega el botón de búsqueda por prefijo junto a insertar/borrar/buscar.
+     */
+    _injectPrefixButton() {
+        const buttons = this.container.querySelector('.tree-mod-buttons');
+        if (!buttons) return;
+
+        const btnPrefix = document.createElement('button');
+        btnPrefix.classList.add('btn', 'btn-info');
+        btnPrefix.id = 'tree-btn-prefix';
+        btnPrefix.title = 'Listar las palabras que empiezan con el texto ingresado';
+        btnPrefix.textContent = 'Prefijo';
+        buttons.appendChild(btnPrefix);
+
+        this.elements.btnPrefix = btnPrefix;
+        btnPrefix.addEventListener('click', () => this._onPrefixSearch());
+    }
+
+    /**
+     * El trie no usa codificación binaria: se oculta el selector y el campo
+     * de entrada recibe palabras completas.
+     * @override
+     */
+    _syncEncodingControls() {
+        const el = this.elements;
+        if (!el.inputKey) return;
+
+        const encodingRow = this.container.querySelector('.tree-encoding-row');
+        if (encodingRow) encodingRow.classList.add('hidden');
+
+        el.inputLabel.textContent = 'Ingrese la Palabra';
+        el.inputKey.placeholder = 'Palabra';
+        el.inputKey.maxLength = TreeUtils.MAX_WORD_LENGTH;
+        el.inputKey.classList.remove('case-sensitive');
+    }
+
+    /**
+     * @override
+     */
+    _validateInput(raw) {
+        return TreeUtils.validateWord(raw);
+    }
+
+    /**
+     * Camino de una palabra: sus letras, una por nivel.
+     * @override
+     */
+    _keyPath(key) {
+        return [...key].join(' → ');
+    }
+
+    /**
+     * @override
+     */
+    _describeStep(step) {
+        if (step.action === 'prefix-end') {
+            return `Fin del prefijo "${step.prefix}": se listan las palabras de este subárbol`;
+        }
+        if (step.action === 'not-found' && step.prefixOnly) {
+            return 'El camino existe, pero el nodo no tiene marca de fin de palabra — palabra no encontrada';
+        }
+        return super._describeStep(step);
+    }
+
+    /**
+     * Lista las palabras que empiezan con el prefijo ingresado. Anima el
+     * recorrido del prefijo y resalta al final todas las palabras encontradas.
+     */
+    async _onPrefixSearch() {
+        if (this.isAnimating) {
+            Validation.showWarning('Espere a que la animación actual termine.');
+            return;
+        }
+
+        const el = this.elements;
+        const prefix = this._readKey();
+
+        if (!prefix) {
+            Validation.showError('Debe ingresar el prefijo que desea buscar.');
+            return;
+        }
+
+        const result = this.model.searchPrefix(prefix);
+        if (result.error) {
+            Validation.showError(result.error);
+            return;
+        }
+
+        this._setOperation('prefix');
+        this._addLog(`Buscando palabras con el prefijo "${prefix}" (${this._keyPath(prefix)})...`, 'info', { action: 'prefijo', key: prefix, formula: this._keyPath(prefix) });
+
+        const frames = this._buildFrames(result.steps, this.model, false);
+        if (result.words.length > 0) {
+            frames.push({
+                model: this.model,
+                highlights: result.steps.filter(s => s.action === 'found').map(s => [s.node, '#28A745']),
+                caption: `${result.words.length} palabra(s) con el prefijo "${prefix}"`
+            });
+        }
+
+        this._fitToView();
+        await this._playFrames(frames);
+
+        if (result.words.length > 0) {
+            this._addLog(`✔ ${result.words.length} palabra(s) con el prefijo "${prefix}": ${result.words.join(', ')}.`, 'success');
+        } else {
+            this._addLog(`✘ Ninguna palabra empieza con "${prefix}".`, 'error');
+        }
+
+        el.inputKey.value = '';
+        el.inputKey.focus();
+    }
+
+    /**
+     * @override
+     */
+    _disableButtons(disabled) {
+        super._disableButtons(disabled);
+        if (this.elements.btnPrefix) this.elements.btnPrefix.disabled = disabled;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Pruebas del Encadenamiento Coalescido (zona de desborde y borrado
+ * con reenlace de las claves que seguían a la eliminada).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHashModels } = require('./loadScripts');
+
+const STRATEGY = 'coalescido';
+
+/**
+ * Crea un área primaria de 5 posiciones (h(k) = (k mod 5) + 1) con 2 de desborde
+ * e inserta las claves.
+ */
+function buildTable(keys) {
+    const { DataStructure } = loadHashModels();
+    const ds = new DataStructure();
+    ds.create(5, 2, 'numerico', false, STRATEGY, 'modulo', { cellarSize: 2 });
+    for (const key of keys) {
+        const result = ds.hashInsert(key, STRATEGY);
+        assert.ok(result.success, `insertar ${key}: ${result.error}`);
+    }
+    return ds;
+}
+
+test('las colisiones ocupan primero la zona de desborde y se enlazan al final de la cadena', () => {
+    const ds = buildTable(['10', '15', '20']);
+
+    assert.strictEqual(ds.getTableLength(), 7);
+    assert.deepStrictEqual([...ds.keys], ['10', null, null, null, null, '20', '15']);
+    assert.deepStrictEqual([...ds.links], [6, -1, -1, -1, -1, -1, 5]);
+});
+
+test('una cadena que invade el área primaria se fusiona con la de otra posición base', () => {
+    const ds = buildTable(['10', '15', '20', '11', '25', '14']);
+
+    // 25 quedó en la posición base de 14, que se enlaza detrás de ella
+    assert.strictEqual(ds.keys[4], '25');
+    assert.strictEqual(ds.keys[3], '14');
+    assert.strictEqual(ds.links[4], 3);
+    assert.ok(ds.hashSearch('14', STRATEGY).found);
+});
+
+test('borrar reinserta las claves que seguían a la eliminada', () => {
+    const ds = buildTable(['10', '15', '20', '11', '25', '14']);
+
+    const result = ds.hashDelete('15', STRATEGY);
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(ds.count, 5);
+    assert.deepStrictEqual([...ds.keys], ['10', '11', null, null, '14', '25', '20']);
+    assert.deepStrictEqual([...ds.links], [6, -1, -1, -1, -1, -1, 5]);
+    assert.strictEqual(ds.hashSearch('15', STRATEGY).found, false);
+    for (const key of ['10', '11', '14', '20', '25']) assert.ok(ds.hashSearch(key, STRATEGY).found, `"${key}" no se encuentra tras borrar`);
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Pruebas del hashing Cuckoo (expulsiones entre tablas, rehash por
+ * ciclo y claves duplicadas).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHashModels } = require('./loadScripts');
+
+const STRATEGY = 'cuckoo';
+
+/**
+ * Crea dos tablas de 5 posiciones (h₁ = módulo, h₂ = multiplicación) e inserta las claves.
+ */
+function buildTable(keys, allowDuplicates = false) {
+    const { DataStructure } = loadHashModels();
+    const ds = new DataStructure();
+    ds.create(5, 2, 'numerico', allowDuplicates, STRATEGY, 'modulo');
+    for (const key of keys) {
+        const result = ds.hashInsert(key, STRATEGY);
+        assert.ok(result.success, `insertar ${key}: ${result.error}`);
+    }
+    return ds;
+}
+
+const copiesOf = (ds, key) => [...ds.keys, ...ds.altKeys].filter(k => k === key).length;
+
+test('la capacidad cuenta las posiciones de ambas tablas', () => {
+    const ds = buildTable([]);
+
+    assert.strictEqual(ds.getCapacity(), 10);
+});
+
+test('la clave nueva expulsa a la existente hacia la tabla 2', () => {
+    const ds = buildTable(['10']);
+
+    const result = ds.hashInsert('15', STRATEGY);
+
+    assert.ok(result.success, result.error);
+    assert.deepStrictEqual([...result.steps.map(s => s.action)], ['evict', 'relocated', 'inserted']);
+    assert.strictEqual(result.table, 1);
+    assert.strictEqual(result.position, 0);
+    assert.strictEqual(ds.keys[0], '15');
+    assert.strictEqual(ds.hashSearch('10', STRATEGY).table, 2);
+});
+
+test('un ciclo de expulsiones amplía las tablas y reinserta todas las claves', () => {
+    const ds = buildTable(['10', '60']);
+
+    const result = ds.hashInsert('65', STRATEGY);
+
+    assert.ok(result.success, result.error);
+    assert.ok(result.steps.some(s => s.action === 'rehash'));
+    assert.strictEqual(ds.size, 11);
+    assert.strictEqual(ds.count, 3);
+    for (const key of ['10', '60', '65']) {
+        const found = ds.hashSearch(key, STRATEGY);
+        assert.ok(found.found, `"${key}" no se encuentra tras el rehash`);
+        if (key === '65') assert.deepStrictEqual([found.table, found.position], [result.table, result.position]);
+    }
+});
+
+test('el rehash provocado por una segunda copia conserva ambas copias', () => {
+    const ds = buildTable(['10', '60'], true);
+
+    const result = ds.hashInsert('10', STRATEGY);
+
+    assert.ok(result.success, result.error);
+    assert.ok(result.steps.some(s => s.action === 'rehash'));
+    assert.strictEqual(ds.count, 3);
+    assert.strictEqual(copiesOf(ds, '10'), 2);
+});
+
+test('una tercera copia de la clave se rechaza sin modificar las tablas', () => {
+    const ds = buildTable(['12', '12'], true);
+    const keys = [...ds.keys];
+    const altKeys = [...ds.altKeys];
+
+    const result = ds.hashInsert('12', STRATEGY);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /como máximo dos copias/);
+    assert.strictEqual(ds.count, 2);
+    assert.deepStrictEqual([...ds.keys], keys);
+    assert.deepStrictEqual([...ds.altKeys], altKeys);
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Pruebas de la conversión de archivos entre grupos de
+ * compatibilidad (FileCompat.prepareConversion).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { FileCompat, FileSchema } = loadScripts([
+    'models/CollisionStrategy.js',
+    'models/DataStructure.js',
+    'models/DigitalTreeModel.js',
+    'utils/FileCompat.js',
+    'utils/FileSchema.js'
+], ['FileCompat', 'FileSchema']);
+
+/** Crea el sobre de un archivo con la versión actual del formato y verifica que sea válido. */
+function file(algorithm, structure) {
+    const data = FileSchema.createEnvelope(algorithm, structure);
+    const { valid, error } = FileSchema.validate(data);
+    assert.ok(valid, error);
+    return data;
+}
+
+const linearFile = () => file('busqueda-secuencial', {
+    keys: ['012', '345', '012', null], size: 4, keyLength: 3, dataType: 'numerico', allowDuplicates: true, count: 3
+});
+
+test('un árbol se convierte en claves de una letra para una tabla de 26 posiciones', () => {
+    const data = file('arboles-digitales', { type: 'digital-tree', insertionOrder: ['C', 'A', 'T'] });
+
+    const result = FileCompat.prepareConversion(data, 'busqueda-hash-mod');
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.fromGroup, 'tree');
+    assert.strictEqual(result.toGroup, 'hash');
+    assert.deepStrictEqual([...result.kept], ['C', 'A', 'T']);
+    assert.strictEqual(result.dropped.length, 0);
+    assert.deepStrictEqual({ ...result.config }, { size: 26, keyLength: 1, dataType: 'texto' });
+});
+
+test('al convertir a un árbol se conservan solo las letras sueltas', () => {
+    const data = file('busqueda-hash-mod', {
+        keys: ['A', '7', 'b', 'A'], size: 4, keyLength: 1, dataType: 'alfanumerico', allowDuplicates: true,
+        collisionStrategy: 'prueba-lineal', hashMethod: 'modulo', count: 4
+    });
+
+    const result = FileCompat.prepareConversion(data, 'arboles-residuos');
+
+    assert.ok(result.success, result.error);
+    assert.deepStrictEqual([...result.kept], ['A', 'B']);
+    assert.deepStrictEqual([...result.dropped.map(({ key }) => key)], ['7', 'A']);
+    assert.match(result.dropped[1].error, /repetida/);
+});
+
+test('las claves de más de un carácter no caben en un nodo del árbol', () => {
+    const data = file('busqueda-secuencial', {
+        keys: ['AB', null, null], size: 3, keyLength: 2, dataType: 'texto', allowDuplicates: false, count: 1
+    });
+
+    const result = FileCompat.prepareConversion(data, 'arboles-digitales');
+
+    assert.strictEqual(result.kept.length, 0);
+    assert.match(result.dropped[0].error, /Tiene 2 caracteres/);
+});
+
+test('al convertir entre listas de claves se mantiene la configuración y se descartan las repetidas', () => {
+    const result = FileCompat.prepareConversion(linearFile(), 'busqueda-hash-mod');
+
+    assert.ok(result.success, result.error);
+    assert.deepStrictEqual([...result.kept], ['012', '345']);
+    assert.deepStrictEqual([...result.dropped.map(({ key }) => key)], ['012']);
+    assert.deepStrictEqual({ ...result.config }, { size: 4, keyLength: 3, dataType: 'numerico' });
+});
+
+test('no hay conversión posible desde un árbol de Huffman', () => {
+    const data = file('arboles-huffman', { type: 'huffman-tree', message: 'HOLA' });
+
+    const result = FileCompat.prepareConversion(data, 'arboles-digitales');
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /no se pueden convertir/);
+    assert.ok(FileCompat.needsConversion(data, 'arboles-digitales'));
+    assert.strictEqual(FileCompat.needsConversion(linearFile(), 'busqueda-binaria'), false);
+});
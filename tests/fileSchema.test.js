@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Pruebas del esquema versionado de archivos (FileSchema.migrate,
+ * validate y prepare).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { FileSchema, DataStructure } = loadScripts([
+    'models/CollisionStrategy.js',
+    'models/DataStructure.js',
+    'models/DigitalTreeModel.js',
+    'utils/FileCompat.js',
+    'utils/FileSchema.js'
+], ['FileSchema', 'DataStructure']);
+
+/** Archivo v1 de una tabla hash: sin schemaVersion, hashMethod, allowDuplicates ni count. */
+function legacyHashFile() {
+    return {
+        algorithm: 'hash-plegamiento',
+        structure: { keys: [null, '1234', null, '5678'], size: 4, keyLength: 4, dataType: 'numerico', collisionStrategy: 'prueba-lineal' }
+    };
+}
+
+test('migrar un archivo v1 completa los campos que no guardaba', () => {
+    const result = FileSchema.migrate(legacyHashFile());
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.migratedFrom, 1);
+    assert.strictEqual(result.data.schemaVersion, FileSchema.CURRENT_VERSION);
+    assert.strictEqual(result.data.structure.hashMethod, 'plegamiento');
+    assert.strictEqual(result.data.structure.allowDuplicates, false);
+    assert.strictEqual(result.data.structure.count, 2);
+    assert.ok(FileSchema.validate(result.data).valid);
+});
+
+test('migrar un árbol v1 deduce su tipo del algoritmo', () => {
+    const result = FileSchema.migrate({ algorithm: 'arboles-residuos-multiples', structure: { insertionOrder: ['A', 'B'] } });
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.data.structure.type, 'multi-residue-tree');
+    assert.strictEqual(result.data.structure.m, 2);
+});
+
+test('un archivo de la versión actual no se migra', () => {
+    const data = FileSchema.createEnvelope('arboles-huffman', { type: 'huffman-tree', message: 'HOLA' });
+
+    const result = FileSchema.migrate(data);
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.migratedFrom, null);
+    assert.strictEqual(result.data, data);
+});
+
+test('se rechazan versiones inválidas o más recientes que la soportada', () => {
+    assert.match(FileSchema.migrate({ schemaVersion: 0, structure: {} }).error, /entero positivo/);
+    assert.match(FileSchema.migrate({ schemaVersion: FileSchema.CURRENT_VERSION + 1, structure: {} }).error, /más reciente/);
+});
+
+test('una tabla guardada por DataStructure es válida', () => {
+    const ds = new DataStructure();
+    ds.create(5, 2, 'numerico', false, 'encadenamiento', 'modulo');
+    for (const key of ['10', '15', '12']) ds.hashInsert(key, 'encadenamiento');
+
+    const result = FileSchema.prepare(FileSchema.createEnvelope('busqueda-hash-mod', ds.toJSON()), ['hash']);
+
+    assert.ok(result.valid, result.error);
+});
+
+test('la validación señala la posición o el campo del problema', () => {
+    const validate = (changes) => {
+        const data = FileSchema.migrate(legacyHashFile()).data;
+        Object.assign(data.structure, changes);
+        return FileSchema.validate(data).error;
+    };
+
+    assert.strictEqual(validate({}), null);
+    assert.match(validate({ keys: [null, '1234', null] }), /"keys" tiene 3 posiciones/);
+    assert.match(validate({ keys: [null, '1234', null, 12] }), /Posición 4/);
+    assert.match(validate({ keys: [null, '12a4', null, '5678'] }), /Clave "12a4" en la posición 2/);
+    assert.match(validate({ keys: ['1234', '1234', null, '5678'], count: 3 }), /"1234" está repetida \(la posición 1 y la posición 2\)/);
+    assert.match(validate({ count: 5 }), /"count" \(5\) no coincide con las 2 clave/);
+    assert.match(validate({ collisionStrategy: 'sondeo' }), /Estrategia de colisión desconocida/);
+});
+
+test('preparar rechaza un archivo de otro tipo de estructura', () => {
+    const result = FileSchema.prepare(legacyHashFile(), ['tree']);
+
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /contiene una tabla hash y esta vista espera un árbol/);
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Pruebas de la compactación de tablas hash (DataStructure.hashCompact).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHashModels } = require('./loadScripts');
+
+/**
+ * Crea una tabla numérica de 10 posiciones y aplica inserciones ('+clave')
+ * y borrados ('-clave') en orden.
+ */
+function buildTable(strategy, ops) {
+    const { DataStructure } = loadHashModels();
+    const ds = new DataStructure();
+    ds.create(10, 3, 'numerico', false, strategy, 'modulo', { deletionMode: 'lapida' });
+    for (const op of ops) {
+        const key = op.slice(1);
+        const result = op[0] === '+' ? ds.hashInsert(key, strategy) : ds.hashDelete(key, strategy);
+        assert.ok(result.success, `${op} en ${strategy}: ${result.error}`);
+    }
+    return ds;
+}
+
+const storedKeys = ds => ds.keys.filter(k => k !== null && k !== ds.constructor.TOMBSTONE).sort();
+
+for (const strategy of ['prueba-lineal', 'robin-hood', 'prueba-cuadratica', 'doble-hash']) {
+    test(`compactar conserva todas las claves (${strategy})`, () => {
+        const ds = buildTable(strategy, ['+012', '+022', '+032', '+045', '+055', '-022', '+067', '-045', '+077']);
+        const before = storedKeys(ds);
+
+        const result = ds.hashCompact(strategy);
+
+        assert.ok(result.success, result.error);
+        assert.strictEqual(ds.count, before.length);
+        assert.deepStrictEqual(storedKeys(ds), before);
+        assert.strictEqual(ds.getTombstoneCount(), 0);
+        for (const key of before) assert.ok(ds.hashSearch(key, strategy).found, `"${key}" no se encuentra tras compactar`);
+        for (const move of result.moves) assert.ok(move.to >= 0, `"${move.key}" sin posición`);
+    });
+}
+
+test('compactar con Prueba Cuadrática conserva la tabla si una clave no encuentra lugar', () => {
+    const strategy = 'prueba-cuadratica';
+    const ds = buildTable(strategy, ['+925', '+742', '+621', '+379', '-379', '+324', '+671', '+903', '+546', '-324', '-742', '+940', '+721', '+181']);
+    const keys = [...ds.keys];
+    const count = ds.count;
+
+    const result = ds.hashCompact(strategy);
+
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error);
+    assert.strictEqual(ds.count, count);
+    assert.deepStrictEqual([...ds.keys], keys);
+});
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Carga scripts de navegador de js/ en un contexto vm para las pruebas.
+ * Las clases declaradas en los scripts no quedan como globales del contexto,
+ * así que los archivos se concatenan y se exportan explícitamente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Ejecuta los scripts indicados en un contexto aislado.
+ * @param {string[]} files - Rutas relativas a js/, en orden de carga.
+ * @param {string[]} names - Clases u objetos a exponer en el contexto.
+ * @returns {Object} Contexto con los nombres exportados.
+ */
+function loadScripts(files, names) {
+    const context = {};
+    vm.createContext(context);
+    const source = files
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'))
+        .join('\n');
+    const exports = names.map(name => `this.${name} = ${name};`).join('\n');
+    vm.runInContext(`${source}\n${exports}`, context);
+    return context;
+}
+
+/**
+ * Carga CollisionStrategy y DataStructure.
+ * @returns {{DataStructure: Function}}
+ */
+function loadHashModels() {
+    return loadScripts(['models/CollisionStrategy.js', 'models/DataStructure.js'], ['DataStructure']);
+}
+
+module.exports = { loadScripts, loadHashModels };
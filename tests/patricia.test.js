@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Pruebas del Árbol Patricia (PatriciaTreeModel): un nodo de
+ * enlace por bifurcación, búsqueda con comparación final y borrado.
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { PatriciaTreeModel } = loadScripts(['models/DigitalTreeModel.js', 'models/PatriciaTreeModel.js'], ['PatriciaTreeModel']);
+
+/** Crea un árbol Patricia con letras de 5 bits (A = 00001, C = 00011, S = 10011). */
+function buildTree(letters) {
+    const tree = new PatriciaTreeModel();
+    for (const letter of letters) {
+        const result = tree.insert(letter);
+        assert.ok(result.success, `insertar ${letter}: ${result.error}`);
+    }
+    return tree;
+}
+
+/** Nodos de enlace y de información según las métricas del árbol. */
+function nodeCounts(tree) {
+    const { linkNodes, infoNodes } = tree.getMetrics();
+    return { linkNodes, infoNodes };
+}
+
+test('con una sola clave la raíz es su hoja', () => {
+    const tree = buildTree(['A']);
+
+    assert.strictEqual(tree.root.isLeaf, true);
+    assert.deepStrictEqual(nodeCounts(tree), { linkNodes: 0, infoNodes: 1 });
+});
+
+test('cada clave nueva agrega un único enlace en el primer bit en que difiere', () => {
+    const tree = buildTree(['A', 'C']);
+    assert.strictEqual(tree.root.bitIndex, 3);
+    assert.strictEqual(tree.root.left.key, 'A');
+    assert.strictEqual(tree.root.right.key, 'C');
+
+    // S difiere de C en el bit 0, que se examina antes que el 3: el enlace va sobre la raíz
+    tree.insert('S');
+    assert.strictEqual(tree.root.bitIndex, 0);
+    assert.strictEqual(tree.root.left.bitIndex, 3);
+    assert.strictEqual(tree.root.right.key, 'S');
+    assert.deepStrictEqual(nodeCounts(tree), { linkNodes: 2, infoNodes: 3 });
+});
+
+test('la búsqueda compara la clave completa al llegar a la hoja', () => {
+    const tree = buildTree(['A', 'C', 'S']);
+
+    for (const letter of ['A', 'C', 'S']) assert.ok(tree.search(letter).found, `"${letter}" no se encuentra`);
+
+    // K = 01011 sigue los mismos bits examinados que C, pero difiere en los omitidos
+    const result = tree.search('K');
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(result.steps.at(-1).node.key, 'C');
+});
+
+test('borrar quita la hoja y su enlace padre; el hermano sube a su lugar', () => {
+    const tree = buildTree(['A', 'C', 'S']);
+
+    assert.ok(tree.delete('C').success);
+    assert.deepStrictEqual(nodeCounts(tree), { linkNodes: 1, infoNodes: 2 });
+    assert.strictEqual(tree.root.left.key, 'A');
+    assert.ok(tree.search('A').found);
+    assert.strictEqual(tree.search('C').found, false);
+
+    tree.delete('S');
+    assert.strictEqual(tree.root.key, 'A');
+    tree.delete('A');
+    assert.strictEqual(tree.root, null);
+    assert.match(tree.delete('A').error, /no existe/);
+});
+
+test('se rechazan claves repetidas', () => {
+    const tree = buildTree(['A']);
+
+    assert.match(tree.insert('a').error, /ya existe/);
+    assert.deepStrictEqual([...tree.insertionOrder], ['A']);
+});
+
+test('las métricas cuentan la altura y el costo de las búsquedas exitosas', () => {
+    const tree = buildTree(['A', 'C', 'S']);
+
+    const metrics = tree.getMetrics();
+
+    assert.strictEqual(metrics.height, 2);
+    assert.strictEqual(metrics.totalSlots, 4);
+    assert.strictEqual(metrics.successful.max, 3);
+    assert.strictEqual(metrics.successful.mean, 8 / 3);
+});
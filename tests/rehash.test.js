@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Pruebas del rehash (DataStructure.hashRehash y rehash automático
+ * por factor de carga), incluidos los reintentos y la restauración de la tabla.
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHashModels } = require('./loadScripts');
+
+/** Crea una tabla numérica con h(k) = (k mod m) + 1 e inserta las claves. */
+function buildTable(size, strategy, keys, hashOptions = {}) {
+    const { DataStructure } = loadHashModels();
+    const ds = new DataStructure();
+    ds.create(size, 4, 'numerico', false, strategy, 'modulo', hashOptions);
+    for (const key of keys) {
+        const result = ds.hashInsert(key, strategy);
+        assert.ok(result.success, `insertar ${key}: ${result.error}`);
+    }
+    return ds;
+}
+
+test('el rehash automático amplía la tabla al superar el factor de carga', () => {
+    const strategy = 'prueba-lineal';
+    const ds = buildTable(4, strategy, ['0001', '0005', '0009'], { rehashPolicy: 'primo' });
+
+    const result = ds.hashInsert('0013', strategy);
+
+    assert.ok(result.success, result.error);
+    assert.ok(result.rehash.success);
+    assert.strictEqual(result.rehash.oldSize, 4);
+    assert.strictEqual(result.rehash.newSize, 11);
+    assert.strictEqual(ds.size, 11);
+    assert.strictEqual(ds.count, 4);
+    for (const key of ['0001', '0005', '0009', '0013']) assert.ok(ds.hashSearch(key, strategy).found, `"${key}" no se encuentra tras el rehash`);
+});
+
+// Con m potencia de 2, la Prueba Cuadrática solo visita unas pocas posiciones:
+// claves con la misma posición base módulo 8, 16 y 32 no caben todas.
+test('si una clave no cabe, el rehash vuelve a crecer la tabla', () => {
+    const strategy = 'prueba-cuadratica';
+    const keys = ['0000', '0352', '0704', '1056', '1408'];
+    const ds = buildTable(11, strategy, keys);
+
+    const result = ds.hashRehash(strategy, 8);
+
+    assert.ok(result.success, result.error);
+    assert.deepStrictEqual([...result.failedSizes], [8, 16]);
+    assert.strictEqual(result.newSize, 32);
+    assert.strictEqual(ds.size, 32);
+    assert.strictEqual(ds.count, keys.length);
+    for (const key of keys) assert.ok(ds.hashSearch(key, strategy).found, `"${key}" no se encuentra tras el rehash`);
+});
+
+test('tras agotar los intentos el rehash se cancela y conserva la tabla original', () => {
+    const strategy = 'prueba-cuadratica';
+    const ds = buildTable(23, strategy, ['0000', '0736', '1472', '2208', '2944', '3680', '4416', '5152']);
+    const keys = [...ds.keys];
+    const count = ds.count;
+
+    const result = ds.hashRehash(strategy, 8);
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual([...result.failedSizes], [8, 16, 32]);
+    assert.match(result.error, /Se conserva la tabla de m = 23/);
+    assert.strictEqual(ds.size, 23);
+    assert.strictEqual(ds.count, count);
+    assert.deepStrictEqual([...ds.keys], keys);
+});
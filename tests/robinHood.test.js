@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Pruebas de la estrategia Robin Hood (inserción con intercambio,
+ * búsqueda con corte anticipado y borrado con corrimiento hacia atrás).
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadHashModels } = require('./loadScripts');
+
+const STRATEGY = 'robin-hood';
+
+/** Crea una tabla numérica de 10 posiciones con h(k) = (k mod 10) + 1 e inserta las claves. */
+function buildTable(keys) {
+    const { DataStructure } = loadHashModels();
+    const ds = new DataStructure();
+    ds.create(10, 3, 'numerico', false, STRATEGY, 'modulo');
+    for (const key of keys) {
+        const result = ds.hashInsert(key, STRATEGY);
+        assert.ok(result.success, `insertar ${key}: ${result.error}`);
+    }
+    return ds;
+}
+
+test('la clave más alejada de su base desplaza a la que está en su posición base', () => {
+    const ds = buildTable(['013', '012', '022']);
+
+    assert.deepStrictEqual([...ds.keys.slice(2, 5)], ['012', '022', '013']);
+    assert.strictEqual(ds.getProbeDistance(3), 1);
+    assert.strictEqual(ds.getProbeDistance(4), 1);
+});
+
+test('la búsqueda se detiene ante una clave más cercana a su base', () => {
+    const ds = buildTable(['013', '012', '022']);
+
+    const result = ds.hashSearch('042', STRATEGY);
+
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(result.steps.at(-1).action, 'detenida');
+    assert.strictEqual(result.steps.at(-1).index, 4);
+});
+
+test('borrar corre hacia atrás las claves desplazadas', () => {
+    const ds = buildTable(['013', '012', '022']);
+
+    const result = ds.hashDelete('012', STRATEGY);
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(ds.count, 2);
+    assert.deepStrictEqual([...ds.keys.slice(2, 6)], ['022', '013', null, null]);
+    for (const key of ['022', '013']) assert.ok(ds.hashSearch(key, STRATEGY).found, `"${key}" no se encuentra tras borrar`);
+});
+
+test('el corrimiento se detiene en una clave que ya está en su posición base', () => {
+    const ds = buildTable(['012', '022', '014']);
+
+    ds.hashDelete('012', STRATEGY);
+
+    assert.deepStrictEqual([...ds.keys.slice(2, 5)], ['022', null, '014']);
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Pruebas del Árbol de Búsqueda Ternario (TernarySearchTreeModel):
+ * inserción por menor/igual/mayor, búsqueda, listado por prefijo y borrado.
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { TernarySearchTreeModel } = loadScripts(
+    ['models/DigitalTreeModel.js', 'models/TernarySearchTreeModel.js'],
+    ['TernarySearchTreeModel']
+);
+
+/** Crea un árbol ternario con las palabras dadas. */
+function buildTree(words) {
+    const tree = new TernarySearchTreeModel();
+    for (const word of words) {
+        const result = tree.insert(word);
+        assert.ok(result.success, `insertar ${word}: ${result.error}`);
+    }
+    return tree;
+}
+
+/** Cuenta los nodos del árbol. */
+function countNodes(node) {
+    if (!node) return 0;
+    return 1 + countNodes(node.left) + countNodes(node.mid) + countNodes(node.right);
+}
+
+test('las letras menores y mayores van a los lados y la siguiente letra por el medio', () => {
+    const tree = buildTree(['CAT', 'CAR', 'CUT', 'BAT']);
+    const a = tree.root.mid;
+
+    assert.strictEqual(tree.root.char, 'C');
+    assert.strictEqual(tree.root.left.char, 'B');
+    assert.strictEqual(a.char, 'A');
+    assert.strictEqual(a.right.char, 'U');
+    assert.strictEqual(a.mid.char, 'T');
+    assert.strictEqual(a.mid.left.char, 'R');
+    assert.strictEqual(a.mid.left.key, 'CAR');
+    assert.strictEqual(countNodes(tree.root), 9);
+});
+
+test('una palabra que es prefijo de otra marca un nodo ya existente', () => {
+    const tree = buildTree(['CAT']);
+
+    assert.strictEqual(tree.search('CA').found, false);
+    assert.strictEqual(tree.search('CA').steps.at(-1).prefixOnly, true);
+
+    tree.insert('CA');
+    assert.ok(tree.search('CA').found);
+    assert.strictEqual(countNodes(tree.root), 3);
+    assert.match(tree.insert('ca').error, /ya existe/);
+});
+
+test('una palabra ausente termina en un hijo vacío', () => {
+    const tree = buildTree(['CAT', 'CUT']);
+
+    const result = tree.search('COT');
+
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(result.steps.at(-1).action, 'not-found');
+});
+
+test('el listado por prefijo devuelve las palabras en orden alfabético', () => {
+    const tree = buildTree(['CAT', 'CUT', 'CAR', 'BAT', 'CA', 'CASA']);
+
+    assert.deepStrictEqual([...tree.searchPrefix('CA').words], ['CA', 'CAR', 'CASA', 'CAT']);
+    assert.deepStrictEqual([...tree.searchPrefix('C').words], ['CA', 'CAR', 'CASA', 'CAT', 'CUT']);
+    assert.deepStrictEqual([...tree.searchPrefix('D').words], []);
+});
+
+test('borrar reconstruye el árbol con las palabras restantes en su orden de inserción', () => {
+    const tree = buildTree(['CAT', 'CAR', 'CUT', 'BAT']);
+
+    assert.ok(tree.delete('CAT').success);
+
+    assert.deepStrictEqual([...tree.insertionOrder], ['CAR', 'CUT', 'BAT']);
+    assert.strictEqual(tree.root.mid.mid.char, 'R');
+    assert.strictEqual(countNodes(tree.root), 8);
+    for (const word of ['CAR', 'CUT', 'BAT']) assert.ok(tree.search(word).found, `"${word}" no se encuentra tras borrar`);
+    assert.strictEqual(tree.search('CAT').found, false);
+    assert.match(tree.delete('CAT').error, /no existe/);
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Pruebas del Trie de palabras (TrieModel): inserción con
+ * prefijos compartidos, búsqueda, listado por prefijo y borrado con poda.
+ * Ejecutar con: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { TrieModel } = loadScripts(['models/DigitalTreeModel.js', 'models/TrieModel.js'], ['TrieModel']);
+
+/** Crea un trie con las palabras dadas. */
+function buildTrie(words) {
+    const trie = new TrieModel();
+    for (const word of words) {
+        const result = trie.insert(word);
+        assert.ok(result.success, `insertar ${word}: ${result.error}`);
+    }
+    return trie;
+}
+
+/** Cuenta los nodos del trie, incluida la raíz. */
+function countNodes(node) {
+    if (!node) return 0;
+    return 1 + Object.values(node.children).reduce((acc, child) => acc + countNodes(child), 0);
+}
+
+test('las palabras con prefijo común comparten su camino desde la raíz', () => {
+    const trie = buildTrie(['casa', 'CASO', 'cal']);
+
+    // raíz + C-A compartidos + S + A, O + L
+    assert.strictEqual(countNodes(trie.root), 7);
+    assert.strictEqual(trie.root.children.C.children.A.childCount, 2);
+    assert.strictEqual(trie.root.children.C.children.A.children.S.children.O.key, 'CASO');
+});
+
+test('un prefijo almacenado solo como camino no se encuentra como palabra', () => {
+    const trie = buildTrie(['CASA']);
+
+    const prefix = trie.search('CAS');
+    assert.strictEqual(prefix.found, false);
+    assert.strictEqual(prefix.steps.at(-1).prefixOnly, true);
+
+    assert.ok(trie.search('casa').found);
+    assert.strictEqual(trie.search('CAMA').found, false);
+});
+
+test('una palabra repetida o inválida se rechaza', () => {
+    const trie = buildTrie(['CASA']);
+
+    assert.match(trie.insert('casa').error, /ya existe/);
+    assert.match(trie.insert('CASA1').error, /solo puede contener letras/);
+    assert.strictEqual(trie.insertionOrder.length, 1);
+});
+
+test('el listado por prefijo devuelve las palabras en orden alfabético', () => {
+    const trie = buildTrie(['CASO', 'COLA', 'CASA', 'CAS']);
+
+    assert.deepStrictEqual([...trie.searchPrefix('CA').words], ['CAS', 'CASA', 'CASO']);
+    assert.deepStrictEqual([...trie.searchPrefix('X').words], []);
+});
+
+test('borrar poda solo los nodos que no comparte con otras palabras', () => {
+    const trie = buildTrie(['CASA', 'CASO', 'CAS']);
+
+    assert.ok(trie.delete('CASA').success);
+    assert.strictEqual(countNodes(trie.root), 5);
+    assert.ok(trie.search('CASO').found);
+
+    // CAS es prefijo de CASO: se quita la marca, pero el nodo sigue en el camino
+    assert.ok(trie.delete('CAS').success);
+    assert.strictEqual(countNodes(trie.root), 5);
+    assert.strictEqual(trie.search('CAS').found, false);
+
+    assert.ok(trie.delete('CASO').success);
+    assert.strictEqual(trie.root, null);
+    assert.match(trie.delete('CASO').error, /no existe/);
+});
+
+test('fromJSON reconstruye el trie a partir del orden de inserción', () => {
+    const trie = buildTrie(['SOL', 'SOLO', 'SAL']);
+
+    const copy = new TrieModel();
+    copy.fromJSON(JSON.parse(JSON.stringify(trie.toJSON())));
+
+    assert.deepStrictEqual([...copy.insertionOrder], ['SOL', 'SOLO', 'SAL']);
+    assert.strictEqual(countNodes(copy.root), countNodes(trie.root));
+});